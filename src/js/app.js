@@ -1,4 +1,5 @@
 import { World } from "./core/index.js";
+import { CONFIG } from "./config/index.js";
 import {
   InitializationSystem,
 } from "./systems/index.js";
@@ -15,8 +16,9 @@ class IndustrialPortfolio {
   constructor() {
     // Theme, font, navigation, and sidebar now managed by DOMInterfaceSystem
     this.initialized = false;
-    this.world = new World();
+    this.world = new World(CONFIG.simulation);
     this.currentChatTarget = null; // Will be set to origin entity by default
+    this.currentGroupSessionId = null; // Set while chatting in a group session instead of a DM
   }
 
   async init() {
@@ -69,7 +71,7 @@ class IndustrialPortfolio {
     }
   }
 
-  // Session switching method - finds target entity and sets currentChatTarget
+  // Session switching method - finds target entity and sets currentChatTarget; resolves true once switched
   async switchToSession(sessionId) {
     console.log("🔄 Switching to session:", sessionId);
     
@@ -90,50 +92,33 @@ class IndustrialPortfolio {
       // Find the target entity (not the player)
       let targetEntity = null;
       
-      // First try to find by entity ID (in case entities still exist)
+      // Entity ids are stable across reloads, so participants point at live entities
       const targetId = session.participants.find(id => id !== this.playerEntity?.id);
       if (targetId) {
         targetEntity = this.world.getEntity(targetId);
       }
       
-      // If not found by ID, try to match by session title/tag
-      if (!targetEntity && session.title) {
-        // Session titles are usually formatted as "Entity1 ⟷ Entity2" or contain entity names
-        const titleLower = session.title.toLowerCase();
-        
-        // Try to find common entities
-        if (titleLower.includes('origin')) {
-          const originEntities = this.world.getEntitiesByTag('origin-marker');
-          if (originEntities && originEntities.length > 0) {
-            targetEntity = originEntities[0];
-          }
-        } else if (titleLower.includes('bot') || titleLower.includes('patrol')) {
-          const botEntities = this.world.getEntitiesByTag('bot');
-          if (botEntities && botEntities.length > 0) {
-            targetEntity = botEntities[0];
-          }
-        } else {
-          // Try to extract entity name from title
-          const titleParts = session.title.split(/[⟷↔\-–—]/);
-          for (const part of titleParts) {
-            const entityName = part.trim();
-            if (entityName && entityName.toLowerCase() !== 'player' && entityName.toLowerCase() !== 'user') {
-              // Try to find entity by tag
-              const entities = this.world.getEntitiesByTag(entityName.toLowerCase());
-              if (entities && entities.length > 0) {
-                targetEntity = entities[0];
-                break;
-              }
-            }
-          }
-        }
-      }
-      
       if (!targetEntity) {
-        this.addMessage("system", "Target entity not found - entities may have been recreated. Try starting a new chat with the entity.");
+        this.addMessage("system", "Target entity not found - it may have been removed from the world.");
         return;
       }
 
+      const chatLog = session.chatLogId
+        ? await persistenceSystem.storage.loadChatLog(session.chatLogId)
+        : null;
+
+      // Group sessions are continued in place, so replies see the whole conversation
+      if (session.participants.length > 2) {
+        const groupSession = this.world.getSystem("session")?.restoreSession(session, chatLog);
+        if (!groupSession) {
+          this.addMessage("system", "A participant of this group is no longer in the world.");
+          return;
+        }
+        this.currentGroupSessionId = groupSession.id;
+      } else {
+        this.currentGroupSessionId = null;
+      }
+
       // Switch chat target
       this.currentChatTarget = targetEntity;
       
@@ -141,11 +126,17 @@ class IndustrialPortfolio {
       this.clearChatDisplay();
       
       // Load and display chat history
-      if (session.chatLogId) {
-        const chatLog = await persistenceSystem.storage.loadChatLog(session.chatLogId);
-        if (chatLog && chatLog.messages) {
-          this.displayChatHistory(chatLog.messages, targetEntity);
-        }
+      if (chatLog && chatLog.messages) {
+        this.displayChatHistory(chatLog.messages, targetEntity);
+      }
+
+      if (this.currentGroupSessionId) {
+        const names = session.participants
+          .map(id => this.world.getEntity(id))
+          .filter(entity => entity && entity !== this.playerEntity)
+          .map(entity => entity.tag || entity.id);
+        this.addMessage("system", `👥 Switched to group with ${names.join(", ")} (${session.turnPolicy || CONFIG.groups.defaultTurnPolicy})`);
+        return true;
       }
       
       // Get entity info for confirmation message
@@ -154,6 +145,7 @@ class IndustrialPortfolio {
       const personality = brain?.personality ? ` (${brain.personality})` : "";
       
       this.addMessage("system", `📱 Switched to session with ${entityName}${personality}`);
+      return true;
 
     } catch (error) {
       console.error("Error switching to session:", error);
@@ -161,6 +153,17 @@ class IndustrialPortfolio {
     }
   }
 
+  // Open a session at one of its messages (search results)
+  async jumpToMessage(sessionId, messageId) {
+    // Save first so the session's latest messages are in the loaded history
+    await this.world.getSystem("persistence")?.forceSave();
+    if (!(await this.switchToSession(sessionId))) return;
+
+    if (!this.world.getSystem("chatInterface")?.focusMessage(messageId)) {
+      this.addMessage("system", "That message is no longer in the session.");
+    }
+  }
+
   // Clear the chat display
   clearChatDisplay() {
     const chatMessages = document.getElementById("chat-messages");
@@ -198,16 +201,16 @@ class IndustrialPortfolio {
         lastDate = dateStr;
       }
       
-      // Determine message type based on sender
+      // Determine message type based on sender (any entity but the player, in groups)
       let messageType = 'user';
-      if (msg.senderId === targetEntity.id) {
-        messageType = 'assistant';
-      } else if (msg.type === 'system') {
+      if (msg.type === 'system') {
         messageType = 'system';
+      } else if (msg.senderId === targetEntity.id || (this.currentGroupSessionId && msg.senderId !== this.playerEntity?.id)) {
+        messageType = 'assistant';
       }
       
       // Add the message to the display with images if present
-      const options = {};
+      const options = { entity: this.world.getEntity(msg.senderId), messageId: msg.id };
       if (msg.images && msg.images.length > 0) {
         options.images = msg.images;
       }
@@ -301,10 +304,10 @@ class IndustrialPortfolio {
 
     // Create new session
     console.log("Creating new session between player and origin");
-    const newSession = sessionSystem.createSession(
+    const newSession = sessionSystem.createSession([
       this.playerEntity,
       this.originEntity,
-    );
+    ]);
 
     if (newSession) {
       console.log("✅ Session created:", newSession.id);
@@ -324,10 +327,19 @@ class IndustrialPortfolio {
       return null;
     }
     
+    // In a group, messages go to the group session
+    const group = this.currentGroupSessionId && sessionSystem.sessions.get(this.currentGroupSessionId);
+    if (group) {
+      if (group.session.state !== "active") {
+        sessionSystem.activateSession(group.session.id);
+      }
+      return group.session;
+    }
+
     // Check if there's already an active session with this target
     const existingSessions = sessionSystem.getSessionHistory(this.playerEntity);
     const activeSession = existingSessions.find(
-      (s) => s && s.state === "active" && 
+      (s) => s && s.state === "active" && s.participants.size === 2 &&
       s.participants.has(this.currentChatTarget.id)
     );
     
@@ -338,10 +350,10 @@ class IndustrialPortfolio {
     
     // Create new session with current target
     console.log("Creating new session between player and", this.currentChatTarget.tag || this.currentChatTarget.id);
-    const newSession = sessionSystem.createSession(
+    const newSession = sessionSystem.createSession([
       this.playerEntity,
       this.currentChatTarget,
-    );
+    ]);
     
     if (newSession) {
       console.log("✅ Session created with target:", newSession.id);
@@ -433,16 +445,46 @@ class IndustrialPortfolio {
       if (commandSystem) {
         await commandSystem.handleSearchCommand(query);
       }
+    } else if (cmd === "/history") {
+      const commandSystem = this.world.getSystem("command");
+      if (commandSystem) {
+        await commandSystem.handleHistoryCommand();
+      }
+    } else if (cmd === "/mood" || cmd.startsWith("/mood ")) {
+      const commandSystem = this.world.getSystem("command");
+      if (commandSystem) {
+        commandSystem.handleMoodCommand(command);
+      }
+    } else if (cmd === "/brain" || cmd.startsWith("/brain ")) {
+      const commandSystem = this.world.getSystem("command");
+      if (commandSystem) {
+        await commandSystem.handleBrainCommand(command);
+      }
+    } else if (cmd === "/prompt" || cmd.startsWith("/prompt ")) {
+      const commandSystem = this.world.getSystem("command");
+      if (commandSystem) {
+        await commandSystem.handlePromptCommand(command);
+      }
     } else if (cmd === "/save") {
       const commandSystem = this.world.getSystem("command");
       if (commandSystem) {
         await commandSystem.handleSaveCommand();
       }
+    } else if (cmd === "/storage" || cmd.startsWith("/storage ")) {
+      const commandSystem = this.world.getSystem("command");
+      if (commandSystem) {
+        await commandSystem.handleStorageCommand(command);
+      }
     } else if (cmd === "/export") {
       const commandSystem = this.world.getSystem("command");
       if (commandSystem) {
         await commandSystem.handleExportCommand();
       }
+    } else if (cmd === "/import" || cmd.startsWith("/import ")) {
+      const commandSystem = this.world.getSystem("command");
+      if (commandSystem) {
+        await commandSystem.handleImportCommand(command);
+      }
     } else if (cmd.startsWith("/delete")) {
       const commandSystem = this.world.getSystem("command");
       if (commandSystem) {
@@ -453,15 +495,35 @@ class IndustrialPortfolio {
       if (commandSystem) {
         await commandSystem.handleGenerateTitlesCommand();
       }
+    } else if (cmd === "/scenario" || cmd.startsWith("/scenario ")) {
+      const commandSystem = this.world.getSystem("command");
+      if (commandSystem) {
+        await commandSystem.handleScenarioCommand(command);
+      }
+    } else if (cmd === "/group" || cmd.startsWith("/group ")) {
+      const commandSystem = this.world.getSystem("command");
+      if (commandSystem) {
+        await commandSystem.handleGroupCommand(command);
+      }
     } else if (cmd.startsWith("/connect")) {
       const commandSystem = this.world.getSystem("command");
       if (commandSystem) {
         await commandSystem.handleConnectCommand(command);
       }
+    } else if (cmd === "/allow" || cmd === "/deny") {
+      const commandSystem = this.world.getSystem("command");
+      if (commandSystem) {
+        await commandSystem.handleApprovalCommand(command);
+      }
+    } else if (cmd === "/stop") {
+      const commandSystem = this.world.getSystem("command");
+      if (commandSystem) {
+        await commandSystem.handleStopCommand();
+      }
     } else {
       this.addMessage(
         "assistant",
-        `Unknown command: ${command}\n\nAvailable commands:\n/start - Enter FPS mode\n/search <query> - Search chat history\n/save - Force save current session\n/export - Export all session data\n/delete - Delete sessions (see /delete help)\n/titles - Generate titles for untitled sessions\n/connect - Connect to entities (see /connect help)`,
+        `Unknown command: ${command}\n\nAvailable commands:\n/start - Enter FPS mode\n/search <query> - Search chat history\n/history - List recent sessions with summaries\n/mood [entity] - Show an entity's mood and personality drift\n/brain - Show or set an entity's model and generation options (see /brain help)\n/prompt - Edit and assign system prompt templates (see /prompt help)\n/save - Force save current session\n/export - Export all session data\n/import - Import sessions from an export file (see /import help)\n/storage - Database version, migrations and backups (see /storage help)\n/delete - Delete sessions (see /delete help)\n/titles - Generate titles for untitled sessions\n/connect - Connect to entities (see /connect help)\n/group - Chat with several entities at once (see /group help)\n/scenario - Stage scripted conversations (see /scenario help)\n/allow, /deny - Answer an entity asking to run a tool\n/stop - Stop the current response`,
       );
     }
   }
@@ -1,4 +1,5 @@
 import { Component } from '../core/Component.js';
+import { registerComponent } from '../core/ComponentRegistry.js';
 
 /**
  * AnimationComponent - Handles entity animations like rotation and floating
@@ -28,4 +29,6 @@ export class AnimationComponent extends Component {
   setBaseY(y) {
     this.baseY = y;
   }
-}
\ No newline at end of file
+}
+
+registerComponent(AnimationComponent);
@@ -1,11 +1,53 @@
 import { Component } from '../core/Component.js';
+import { registerComponent } from '../core/ComponentRegistry.js';
+import { CONFIG } from '../config/index.js';
+
+// How each kind of experience usually feels, when no sentiment was scored for it
+const EXPERIENCE_IMPACTS = {
+    positive_interaction: { valence: 0.3, arousal: 0.1 },
+    interaction: { valence: 0.1, arousal: 0.1 },
+    discovery: { valence: 0.2, arousal: 0.3 },
+    conflict: { valence: -0.3, arousal: 0.4 },
+    observation: { valence: 0.05, arousal: 0.05 },
+    message_relay: { valence: 0, arousal: 0.1 }
+};
+
+const SOCIAL_EXPERIENCES = new Set(['interaction', 'positive_interaction', 'conflict', 'message_relay']);
+
+// Where updateEmotion() puts each named mood
+const MOOD_POINTS = {
+    neutral: { valence: 0, arousal: 0 },
+    happy: { valence: 0.6, arousal: 0 },
+    excited: { valence: 0.6, arousal: 0.6 },
+    content: { valence: 0.5, arousal: -0.5 },
+    calm: { valence: 0, arousal: -0.6 },
+    alert: { valence: 0, arousal: 0.6 },
+    upset: { valence: -0.6, arousal: 0 },
+    stressed: { valence: -0.6, arousal: 0.6 },
+    sad: { valence: -0.6, arousal: -0.5 }
+};
+
+const SENTIMENT_LABELS = { positive: 1, neutral: 0, negative: -1 };
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Generation options a brain can set, by their Ollama names, with the values each takes
+const GENERATION_OPTIONS = {
+    temperature: { min: 0, max: 2 },
+    top_p: { min: 0, max: 1 },
+    num_ctx: { min: 256, integer: true }, // Context window in tokens
+    seed: { integer: true },
+    stop: { list: true }, // Sequences that end the reply
+    num_predict: { min: -1, integer: true } // Most tokens in a reply; -1 for no limit
+};
+const GENERATION_ALIASES = { max_tokens: 'num_predict', context: 'num_ctx' };
 
 export class BrainComponent extends Component {
     constructor(config = {}) {
         super();
         
         // Core attributes
-        this.model = config.model || 'human'; // 'human' or ollama model name
+        this.model = config.model || 'human'; // 'human', a model name, or 'provider:model'
         this.primaryFunction = config.primaryFunction || 'general';
         
         // Personality traits
@@ -18,10 +60,20 @@ export class BrainComponent extends Component {
             ...config.personality
         };
         
+        // Traits drift from here, but only so far (see updatePersonalityFromExperience)
+        this.basePersonality = { ...this.personality, ...config.basePersonality };
+        
         // Current state
         this.currentStatus = config.currentStatus || 'idle';
-        this.emotion = config.emotion || 'neutral';
         this.energy = config.energy || 1.0;
+
+        // Affect: valence (unpleasant..pleasant) and arousal (calm..excited), each -1..1.
+        // emotion is the mood name for the current point; a named emotion in config sets the starting point
+        this.affect = { valence: 0, arousal: 0, ...MOOD_POINTS[config.emotion], ...config.affect };
+        this.emotion = BrainComponent.moodFor(this.affect);
+        this.emotionIntensity = Math.min(1, Math.hypot(this.affect.valence, this.affect.arousal));
+        this.affectHistory = config.affectHistory || []; // { timestamp, cause, valence, arousal, mood }
+        this.personalityHistory = config.personalityHistory || []; // { timestamp, cause, changes }
         
         // Interests and knowledge
         this.interests = config.interests || [];
@@ -51,9 +103,12 @@ export class BrainComponent extends Component {
         
         // Behavioral modifiers
         this.responseStyle = config.responseStyle || 'balanced';
-        this.verbosity = config.verbosity || 0.5;
+        this.verbosity = config.verbosity ?? null; // 0-1; unset leaves reply length to the model
         this.creativity = config.creativity || 0.5;
         
+        // Generation options set for this brain; the rest follow personality (see getGenerationOptions)
+        this.generationOptions = { ...config.generationOptions };
+        
         // Message relay system
         this.pendingMessages = []; // Messages to relay to other entities
         
@@ -82,9 +137,95 @@ export class BrainComponent extends Component {
         this.activeSessionIds.delete(sessionId);
     }
 
+    // Move to a named mood (see MOOD_POINTS); unknown names are kept as a label only
     updateEmotion(newEmotion, intensity = 1.0) {
-        this.emotion = newEmotion;
-        this.emotionIntensity = Math.max(0, Math.min(1, intensity));
+        const point = MOOD_POINTS[newEmotion];
+        if (!point) {
+            this.emotion = newEmotion;
+            this.emotionIntensity = clamp(intensity, 0, 1);
+            return;
+        }
+
+        const scale = clamp(intensity, 0, 1);
+        this.setAffect({ valence: point.valence * scale, arousal: point.arousal * scale }, `emotion: ${newEmotion}`);
+    }
+
+    // Resting affect the brain decays back to: anxious brains rest lower, outgoing ones livelier
+    getAffectBaseline() {
+        return {
+            valence: (0.5 - this.personality.neuroticism) * 0.4,
+            arousal: (this.personality.extraversion - 0.5) * 0.4
+        };
+    }
+
+    /**
+     * Shift valence and arousal by delta ({ valence, arousal }), e.g. from a
+     * message's sentiment. More neurotic brains feel it more.
+     */
+    feel(delta, cause) {
+        const sensitivity = 0.75 + this.personality.neuroticism * 0.5;
+        this.setAffect({
+            valence: this.affect.valence + (delta.valence || 0) * sensitivity,
+            arousal: this.affect.arousal + (delta.arousal || 0) * sensitivity
+        }, cause);
+    }
+
+    /**
+     * Set the affect point and the mood name that goes with it. Changes with a
+     * cause go into affectHistory; a new mood emits brain:mood.
+     */
+    setAffect({ valence, arousal }, cause = null) {
+        const previousMood = this.emotion;
+        this.affect = { valence: clamp(valence, -1, 1), arousal: clamp(arousal, -1, 1) };
+        this.emotion = BrainComponent.moodFor(this.affect);
+        this.emotionIntensity = Math.min(1, Math.hypot(this.affect.valence, this.affect.arousal));
+
+        if (cause) {
+            this.recordHistory(this.affectHistory, {
+                timestamp: Date.now(),
+                cause,
+                ...this.affect,
+                mood: this.emotion
+            });
+        }
+
+        if (this.emotion !== previousMood) {
+            this.entity?.world?.events.emit('brain:mood', {
+                entity: this.entity,
+                mood: this.emotion,
+                previousMood,
+                ...this.affect
+            });
+        }
+    }
+
+    // Exponential decay toward the baseline over deltaTime seconds
+    decayAffect(deltaTime) {
+        const keep = Math.pow(0.5, deltaTime / CONFIG.affect.halfLifeSeconds);
+        const baseline = this.getAffectBaseline();
+        this.setAffect({
+            valence: baseline.valence + (this.affect.valence - baseline.valence) * keep,
+            arousal: baseline.arousal + (this.affect.arousal - baseline.arousal) * keep
+        });
+    }
+
+    recordHistory(history, entry) {
+        history.push(entry);
+        if (history.length > CONFIG.affect.historyLimit) {
+            history.splice(0, history.length - CONFIG.affect.historyLimit);
+        }
+    }
+
+    // Mood name for a point in valence/arousal space
+    static moodFor({ valence, arousal }) {
+        const threshold = CONFIG.affect.moodThreshold;
+        const level = value => (value >= threshold ? 1 : value <= -threshold ? -1 : 0);
+        const moods = {
+            '1,1': 'excited', '1,0': 'happy', '1,-1': 'content',
+            '0,1': 'alert', '0,0': 'neutral', '0,-1': 'calm',
+            '-1,1': 'stressed', '-1,0': 'upset', '-1,-1': 'sad'
+        };
+        return moods[`${level(valence)},${level(arousal)}`];
     }
 
     updateStatus(newStatus) {
@@ -103,18 +244,32 @@ export class BrainComponent extends Component {
         }
     }
 
-    addToLongTermMemory(item, category = 'general') {
-        this.longTermMemory.push({
+    /**
+     * Remember something long term. MemorySystem embeds and stores it; the
+     * brain itself only keeps the latest few (see recordLongTermMemory).
+     */
+    addToLongTermMemory(item, category = 'general', importance = 0.5) {
+        this.recordLongTermMemory({ content: item, category, timestamp: Date.now() });
+        this.entity?.world?.events.emit('brain:memory', {
+            entity: this.entity,
             content: item,
             category,
-            timestamp: Date.now()
+            importance
         });
     }
 
+    recordLongTermMemory({ content, category, timestamp }) {
+        this.longTermMemory.push({ content, category, timestamp });
+        if (this.longTermMemory.length > CONFIG.memory.recentInBrain) {
+            this.longTermMemory.splice(0, this.longTermMemory.length - CONFIG.memory.recentInBrain);
+        }
+    }
+
     getRecentMemories(count = 5) {
         return this.shortTermMemory.slice(-count);
     }
 
+    // Substring search over the recent memories kept here; MemorySystem.recall() searches them all
     searchLongTermMemory(query) {
         const lowerQuery = query.toLowerCase();
         return this.longTermMemory.filter(memory => 
@@ -133,14 +288,72 @@ export class BrainComponent extends Component {
         };
     }
 
+    // How much a topic or message ({ topic, message }) draws this brain in: extraversion plus matching interests and expertise
+    relevanceTo(context = {}) {
+        const text = `${context.topic || ''} ${context.message || ''}`.toLowerCase();
+        const matches = list => list.some(item => item && text.includes(item.toLowerCase()));
+        
+        return this.personality.extraversion
+            + (matches(this.interests) ? 0.3 : 0)
+            + (matches(this.expertise) ? 0.2 : 0);
+    }
+    
     shouldRespond(context = {}) {
         // Determine if this brain should respond based on personality and context
-        const baseChance = this.personality.extraversion;
-        const relevanceBonus = this.interests.some(interest => 
-            context.topic?.toLowerCase().includes(interest.toLowerCase())
-        ) ? 0.3 : 0;
-        
-        return Math.random() < (baseChance + relevanceBonus);
+        return Math.random() < this.relevanceTo(context);
+    }
+
+    /**
+     * Options sent to the model with this brain's replies. Creativity and
+     * openness set temperature and top_p. Verbosity, once set, sets num_predict;
+     * without it replies have no limit. Options set with setGenerationOption() win.
+     */
+    getGenerationOptions() {
+        const round = value => Math.round(value * 100) / 100;
+        return {
+            temperature: round(clamp(0.2 + this.creativity * 0.6 + (this.personality.openness - 0.5) * 0.4, 0.1, 1.2)),
+            top_p: round(0.8 + this.creativity * 0.15),
+            num_predict: this.verbosity === null ? -1 : Math.round(256 + this.verbosity * 768),
+            ...this.generationOptions
+        };
+    }
+
+    /**
+     * Set a generation option from text, e.g. ('temperature', '0.9') or
+     * ('stop', 'END, ###'). 'default' clears it. Returns the option's name.
+     */
+    setGenerationOption(name, value) {
+        const option = GENERATION_ALIASES[name] || name;
+        const spec = GENERATION_OPTIONS[option];
+        if (!spec) {
+            throw new Error(`Unknown option "${name}". Options: ${Object.keys(GENERATION_OPTIONS).join(', ')}`);
+        }
+
+        const text = String(value ?? '').trim();
+        if (!text || text === 'default') {
+            delete this.generationOptions[option];
+            return option;
+        }
+
+        if (spec.list) {
+            this.generationOptions[option] = text.split(',').map(item => item.trim()).filter(Boolean);
+            return option;
+        }
+
+        const number = Number(text);
+        if (!Number.isFinite(number) || (spec.integer && !Number.isInteger(number))) {
+            throw new Error(`${option} takes ${spec.integer ? 'a whole number' : 'a number'}, not "${text}"`);
+        }
+        if (number < (spec.min ?? -Infinity) || number > (spec.max ?? Infinity)) {
+            throw new Error(`${option} must be between ${spec.min ?? '-∞'} and ${spec.max ?? '∞'}`);
+        }
+        this.generationOptions[option] = number;
+        return option;
+    }
+
+    // Names of the options getGenerationOptions() can hold
+    static generationOptionNames() {
+        return Object.keys(GENERATION_OPTIONS);
     }
 
     generateResponseContext() {
@@ -151,6 +364,7 @@ export class BrainComponent extends Component {
             responseStyle: this.responseStyle,
             verbosity: this.verbosity,
             creativity: this.creativity,
+            generationOptions: this.getGenerationOptions(),
             systemPrompt: this.systemPrompt,
             contextSettings: this.contextSettings,
             commandAccess: this.commandAccess
@@ -186,21 +400,29 @@ export class BrainComponent extends Component {
         };
         
         this.experiences.push(experience);
+        this.feel(experience.emotional_impact, `${type}: ${description}`);
         
-        // Keep experiences manageable - remove oldest if too many
-        if (this.experiences.length > 100) {
-            this.experiences.shift();
+        // Keep experiences manageable - past the cap, the oldest batch is
+        // handed to SummarizationSystem to be kept as long-term memory
+        const { maxExperiences, experienceBatch } = CONFIG.summarization;
+        if (this.experiences.length > maxExperiences) {
+            const overflow = this.experiences.splice(0, experienceBatch);
+            this.entity?.world?.events.emit('brain:experiencesOverflow', {
+                entity: this.entity,
+                experiences: overflow
+            });
         }
         
         // Update long-term personality traits based on experiences
         this.updatePersonalityFromExperience(experience);
     }
     
-    observeEnvironment(world, entity) {
+    // conversations: how many autonomous conversations are running, from the caller
+    observeEnvironment(world, entity, { conversations = 0 } = {}) {
         // Gather environmental observations
         const nearbyEntities = this.findNearbyEntities(world, entity);
         const playerEntity = world.getEntitiesByTag('player')[0];
-        const systemHealth = this.assessSystemHealth(world);
+        const systemHealth = this.assessSystemHealth(world, conversations);
         
         const observation = {
             nearbyEntities: nearbyEntities.map(e => ({
@@ -239,19 +461,13 @@ export class BrainComponent extends Component {
         };
     }
     
-    updateRelationship(entityId, interactionType, sentiment = 'neutral', topic = null) {
-        if (!this.relationships.has(entityId)) {
-            this.relationships.set(entityId, {
-                entityId,
-                interactions: 0,
-                lastInteraction: null,
-                sentiment: 'neutral',
-                topics_discussed: [],
-                memorable_moments: []
-            });
-        }
-        
-        const relationship = this.relationships.get(entityId);
+    /**
+     * Count an interaction with entityId. sentiment is a score from -1 to 1 or
+     * 'positive' / 'neutral' / 'negative'; leave it null when the interaction's
+     * sentiment is scored separately (AffectSystem calls recordSentiment()).
+     */
+    updateRelationship(entityId, interactionType, sentiment = null, topic = null) {
+        const relationship = this.getRelationship(entityId);
         relationship.interactions++;
         relationship.lastInteraction = Date.now();
         
@@ -264,14 +480,35 @@ export class BrainComponent extends Component {
             }
         }
         
-        // Update sentiment (simple moving average)
-        const sentimentValue = sentiment === 'positive' ? 1 : sentiment === 'negative' ? -1 : 0;
-        const currentValue = relationship.sentiment === 'positive' ? 1 : relationship.sentiment === 'negative' ? -1 : 0;
-        const newValue = (currentValue * 0.8) + (sentimentValue * 0.2);
-        
-        relationship.sentiment = newValue > 0.3 ? 'positive' : newValue < -0.3 ? 'negative' : 'neutral';
-        
-        this.relationships.set(entityId, relationship);
+        if (sentiment !== null) {
+            this.recordSentiment(entityId, typeof sentiment === 'number' ? sentiment : SENTIMENT_LABELS[sentiment] ?? 0);
+        }
+    }
+
+    getRelationship(entityId) {
+        if (!this.relationships.has(entityId)) {
+            this.relationships.set(entityId, {
+                entityId,
+                interactions: 0,
+                lastInteraction: null,
+                sentiment: 'neutral',
+                sentimentScore: 0,
+                topics_discussed: [],
+                memorable_moments: []
+            });
+        }
+        return this.relationships.get(entityId);
+    }
+
+    // Fold a sentiment score (-1..1) from entityId into the relationship (moving average)
+    recordSentiment(entityId, score) {
+        const relationship = this.getRelationship(entityId);
+        const current = relationship.sentimentScore ?? SENTIMENT_LABELS[relationship.sentiment] ?? 0;
+
+        relationship.sentimentScore = current * 0.8 + clamp(score, -1, 1) * 0.2;
+        relationship.sentiment = relationship.sentimentScore > 0.15 ? 'positive'
+            : relationship.sentimentScore < -0.15 ? 'negative'
+            : 'neutral';
     }
     
     // Generate contextual conversation starters based on experiences
@@ -324,55 +561,78 @@ export class BrainComponent extends Component {
         return Math.sqrt(dx*dx + dy*dy + dz*dz);
     }
     
-    assessSystemHealth(world) {
-        const connectionSystem = world.getSystem('connection');
-        const autonomousChatSystem = world.getSystem('autonomousChat');
+    assessSystemHealth(world, conversations = 0) {
+        // Both ends of a connection hold it, so each one is counted twice
+        let connectionEnds = 0;
+        for (const other of world.entities.values()) {
+            connectionEnds += other.getComponent('Connection')?.connections.size || 0;
+        }
         
         return {
-            activeConnections: connectionSystem?.connectors?.size || 0,
-            conversations: autonomousChatSystem?.activeConversations?.size || 0,
+            activeConnections: connectionEnds / 2,
+            conversations,
             entities: world.entities.size
         };
     }
     
-    assessEmotionalImpact(type, context) {
-        // Simple emotional impact assessment
-        switch(type) {
-            case 'positive_interaction': return 0.3;
-            case 'discovery': return 0.2;
-            case 'conflict': return -0.2;
-            case 'observation': return 0.1;
-            default: return 0;
-        }
+    // How an experience feels ({ valence, arousal }): a sentiment scored for it, or the type's usual impact
+    assessEmotionalImpact(type, context = {}) {
+        return context.sentiment || EXPERIENCE_IMPACTS[type] || { valence: 0, arousal: 0 };
     }
     
+    /**
+     * Let an experience nudge the Big Five traits. Each experience moves them
+     * by at most traitDriftRate, and they never drift more than maxTraitDrift
+     * from basePersonality.
+     */
     updatePersonalityFromExperience(experience) {
-        // Gradually evolve personality based on experiences
-        // This is subtle and happens over many experiences
-        const impact = experience.emotional_impact * 0.01; // Very small changes
-        
-        if (experience.type === 'positive_interaction') {
-            this.personality.agreeableness += impact;
-            this.personality.extraversion += impact * 0.5;
-        } else if (experience.type === 'discovery') {
-            this.personality.openness += impact;
-        } else if (experience.type === 'conflict') {
-            this.personality.neuroticism += Math.abs(impact);
-            this.personality.agreeableness -= Math.abs(impact);
+        const { valence, arousal } = experience.emotional_impact;
+        const social = SOCIAL_EXPERIENCES.has(experience.type);
+        const drift = {
+            // Pleasant contact makes an entity warmer and more outgoing
+            agreeableness: social ? valence : valence * 0.5,
+            extraversion: social ? (valence + arousal) * 0.5 : 0,
+            // Unpleasant, agitating experiences make it more anxious
+            neuroticism: -valence * 0.5 + (valence < 0 ? arousal * 0.5 : 0),
+            // New things make it more curious
+            openness: experience.type === 'discovery' ? Math.abs(valence) + arousal * 0.5 : 0,
+            conscientiousness: experience.type === 'message_relay' ? 0.5 : 0
+        };
+
+        const { traitDriftRate, maxTraitDrift } = CONFIG.affect;
+        const changes = {};
+        for (const [trait, amount] of Object.entries(drift)) {
+            if (!amount || this.personality[trait] === undefined) continue;
+
+            const base = this.basePersonality[trait] ?? this.personality[trait];
+            const value = clamp(
+                this.personality[trait] + amount * traitDriftRate,
+                Math.max(0, base - maxTraitDrift),
+                Math.min(1, base + maxTraitDrift)
+            );
+            if (value !== this.personality[trait]) {
+                changes[trait] = value - this.personality[trait];
+                this.personality[trait] = value;
+            }
+        }
+
+        if (Object.keys(changes).length > 0) {
+            this.recordHistory(this.personalityHistory, {
+                timestamp: experience.timestamp,
+                cause: `${experience.type}: ${experience.description}`,
+                changes
+            });
         }
-        
-        // Keep personality traits in bounds
-        Object.keys(this.personality).forEach(trait => {
-            this.personality[trait] = Math.max(0, Math.min(1, this.personality[trait]));
-        });
     }
     
     // Message relay methods
-    addPendingMessage(targetEntityId, message, fromEntityId = null) {
+    // relayId links the message to its RelaySystem record, which tracks delivery
+    addPendingMessage(targetEntityId, message, fromEntityId = null, relayId = null) {
         this.pendingMessages.push({
             targetEntityId,
             message,
             fromEntityId,
+            relayId,
             timestamp: Date.now()
         });
         
@@ -396,4 +656,26 @@ export class BrainComponent extends Component {
     hasPendingMessagesFor(targetEntityId) {
         return this.pendingMessages.some(msg => msg.targetEntityId === targetEntityId);
     }
-}
\ No newline at end of file
+
+    toJSON() {
+        const data = super.toJSON();
+        data.activeSessionIds = Array.from(this.activeSessionIds);
+        data.relationships = Array.from(this.relationships.entries());
+        return data;
+    }
+
+    static fromJSON(data = {}) {
+        const { activeSessionIds = [], relationships = [], ...fields } = data;
+        const component = Object.assign(new BrainComponent(fields), fields);
+        component.activeSessionIds = new Set(activeSessionIds);
+        component.relationships = new Map(relationships);
+
+        // Saves from before affect had two axes scored an experience as one valence number
+        component.experiences = component.experiences.map(experience => typeof experience.emotional_impact === 'number'
+            ? { ...experience, emotional_impact: { valence: experience.emotional_impact, arousal: EXPERIENCE_IMPACTS[experience.type]?.arousal || 0 } }
+            : experience);
+        return component;
+    }
+}
+
+registerComponent(BrainComponent);
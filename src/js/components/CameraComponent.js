@@ -1,4 +1,5 @@
 import { Component } from '../core/Component.js';
+import { registerComponent } from '../core/ComponentRegistry.js';
 import { CONFIG } from '../config/index.js';
 
 /**
@@ -57,4 +58,26 @@ export class CameraComponent extends Component {
   setActive(active) {
     this.isActive = active;
   }
-}
\ No newline at end of file
+
+  // The Three.js camera and follow target are rebuilt at runtime
+  toJSON() {
+    return {
+      fov: this.fov,
+      near: this.near,
+      far: this.far,
+      isActive: this.isActive,
+      pitch: this.pitch,
+      yaw: this.yaw,
+      sensitivity: this.sensitivity
+    };
+  }
+  
+  static fromJSON(data = {}) {
+    const component = new CameraComponent(data);
+    component.pitch = data.pitch || 0;
+    component.yaw = data.yaw || 0;
+    return component;
+  }
+}
+
+registerComponent(CameraComponent);
@@ -1,4 +1,5 @@
 import { Component } from '../core/Component.js';
+import { registerComponent } from '../core/ComponentRegistry.js';
 import { generateUUID } from '../utils/uuid.js';
 
 export class ChatLog extends Component {
@@ -30,6 +31,7 @@ export class ChatLog extends Component {
             content: message.content,
             timestamp: message.timestamp || Date.now(),
             type: message.type || 'user', // user, llm, system
+            images: message.images || [],
             metadata: message.metadata || {}
         };
 
@@ -96,4 +98,18 @@ export class ChatLog extends Component {
             exportedAt: Date.now()
         };
     }
-}
\ No newline at end of file
+
+    toJSON() {
+        return { logs: Array.from(this.logs.values()) };
+    }
+
+    static fromJSON(data = {}) {
+        const component = new ChatLog();
+        for (const log of data.logs || []) {
+            component.logs.set(log.id, log);
+        }
+        return component;
+    }
+}
+
+registerComponent(ChatLog);
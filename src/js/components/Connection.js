@@ -1,4 +1,5 @@
 import { Component } from '../core/Component.js';
+import { registerComponent } from '../core/ComponentRegistry.js';
 import { generateUUID } from '../utils/uuid.js';
 
 export class Connection extends Component {
@@ -50,4 +51,18 @@ export class Connection extends Component {
     hasConnectionTo(targetEntityId) {
         return this.connections.has(targetEntityId);
     }
-}
\ No newline at end of file
+
+    toJSON() {
+        return { connections: this.getAllConnections() };
+    }
+
+    static fromJSON(data = {}) {
+        const component = new Connection();
+        for (const connection of data.connections || []) {
+            component.connections.set(connection.targetEntityId, { ...connection });
+        }
+        return component;
+    }
+}
+
+registerComponent(Connection);
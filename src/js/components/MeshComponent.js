@@ -1,4 +1,23 @@
 import { Component } from '../core/Component.js';
+import { registerComponent } from '../core/ComponentRegistry.js';
+
+// Constructor arguments of the geometries a mesh can be saved with, in order,
+// named as Three.js keeps them in geometry.parameters
+const GEOMETRY_ARGS = {
+  BoxGeometry: ['width', 'height', 'depth', 'widthSegments', 'heightSegments', 'depthSegments'],
+  PlaneGeometry: ['width', 'height', 'widthSegments', 'heightSegments'],
+  CircleGeometry: ['radius', 'segments', 'thetaStart', 'thetaLength'],
+  RingGeometry: ['innerRadius', 'outerRadius', 'thetaSegments', 'phiSegments', 'thetaStart', 'thetaLength'],
+  SphereGeometry: ['radius', 'widthSegments', 'heightSegments', 'phiStart', 'phiLength', 'thetaStart', 'thetaLength'],
+  CylinderGeometry: ['radiusTop', 'radiusBottom', 'height', 'radialSegments', 'heightSegments', 'openEnded', 'thetaStart', 'thetaLength'],
+  ConeGeometry: ['radius', 'height', 'radialSegments', 'heightSegments', 'openEnded', 'thetaStart', 'thetaLength'],
+  CapsuleGeometry: ['radius', 'length', 'capSegments', 'radialSegments'],
+  TorusGeometry: ['radius', 'tube', 'radialSegments', 'tubularSegments', 'arc'],
+  TetrahedronGeometry: ['radius', 'detail'],
+  OctahedronGeometry: ['radius', 'detail'],
+  IcosahedronGeometry: ['radius', 'detail'],
+  DodecahedronGeometry: ['radius', 'detail']
+};
 
 /**
  * MeshComponent - Stores Three.js mesh data for rendering
@@ -57,4 +76,62 @@ export class MeshComponent extends Component {
       }
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Meshes are stored as a geometry/material description and rebuilt with
+   * the matching Three.js constructors on restore. Geometries not in
+   * GEOMETRY_ARGS keep only their type and aren't rebuilt
+   */
+  toJSON() {
+    const material = this.material;
+    const argNames = this.geometry && GEOMETRY_ARGS[this.geometry.type];
+    return {
+      geometry: this.geometry ? {
+        type: this.geometry.type,
+        parameters: argNames
+          ? Object.fromEntries(argNames.map(name => [name, this.geometry.parameters?.[name]]))
+          : null
+      } : null,
+      material: material ? {
+        type: material.type,
+        color: material.color ? material.color.getHex() : undefined,
+        metalness: material.metalness,
+        roughness: material.roughness,
+        opacity: material.opacity,
+        transparent: material.transparent
+      } : null,
+      castShadow: this.castShadow,
+      receiveShadow: this.receiveShadow
+    };
+  }
+  
+  static fromJSON(data = {}) {
+    let geometry = null;
+    const argNames = data.geometry && GEOMETRY_ARGS[data.geometry.type];
+    if (argNames && THREE[data.geometry.type]) {
+      // Missing arguments fall back to Three.js defaults
+      const parameters = data.geometry.parameters || {};
+      geometry = new THREE[data.geometry.type](...argNames.map(name => parameters[name] ?? undefined));
+    } else if (data.geometry) {
+      console.warn(`MeshComponent: can't rebuild a ${data.geometry.type}; restored without geometry`);
+    }
+    
+    let material = null;
+    if (data.material && THREE[data.material.type]) {
+      const { type, ...params } = data.material;
+      const definedParams = Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+      );
+      material = new THREE[type](definedParams);
+    }
+    
+    return new MeshComponent({
+      geometry,
+      material,
+      castShadow: data.castShadow,
+      receiveShadow: data.receiveShadow
+    });
+  }
+}
+
+registerComponent(MeshComponent);
@@ -1,4 +1,5 @@
 import { Component } from '../core/Component.js';
+import { registerComponent } from '../core/ComponentRegistry.js';
 import { CONFIG } from '../config/index.js';
 
 /**
@@ -74,4 +75,35 @@ export class MovementComponent extends Component {
     this.wantsJump = false;
     this.wantsRun = false;
   }
-}
\ No newline at end of file
+
+  toJSON() {
+    return {
+      walkSpeed: this.walkSpeed,
+      runSpeed: this.runSpeed,
+      jumpForce: this.jumpForce,
+      crouchSpeed: this.crouchSpeed,
+      friction: this.friction,
+      gravity: this.gravity,
+      groundHeight: this.groundHeight,
+      characterHeight: this.characterHeight,
+      crouchHeight: this.crouchHeight,
+      currentHeight: this.currentHeight,
+      velocity: { x: this.velocity.x, y: this.velocity.y, z: this.velocity.z },
+      isOnGround: this.isOnGround,
+      isCrouching: this.isCrouching
+    };
+  }
+  
+  static fromJSON(data = {}) {
+    const component = new MovementComponent(data);
+    if (data.velocity) {
+      component.velocity.set(data.velocity.x, data.velocity.y, data.velocity.z);
+    }
+    component.isOnGround = data.isOnGround !== undefined ? data.isOnGround : true;
+    component.isCrouching = data.isCrouching || false;
+    component.currentHeight = data.currentHeight || component.characterHeight;
+    return component;
+  }
+}
+
+registerComponent(MovementComponent);
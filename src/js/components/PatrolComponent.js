@@ -1,4 +1,5 @@
 import { Component } from '../core/Component.js';
+import { registerComponent } from '../core/ComponentRegistry.js';
 
 /**
  * PatrolComponent - Simple patrol behavior
@@ -16,4 +17,6 @@ export class PatrolComponent extends Component {
     // Current target
     this.targetPosition = { x: 0, y: 0, z: 0 };
   }
-}
\ No newline at end of file
+}
+
+registerComponent(PatrolComponent);
@@ -1,4 +1,5 @@
 import { Component } from '../core/Component.js';
+import { registerComponent } from '../core/ComponentRegistry.js';
 
 /**
  * PlayerControllerComponent - Handles player input state and control mode
@@ -87,4 +88,20 @@ export class PlayerControllerComponent extends Component {
     this.isFPSMode = false;
     this.hasPointerLock = false;
   }
-}
\ No newline at end of file
+
+  // FPS mode needs pointer lock, which only a user gesture can grant, so it isn't restored
+  toJSON() {
+    return {
+      isEnabled: this.isEnabled,
+      keybinds: this.keybinds,
+      mouseSensitivity: this.mouseSensitivity,
+      invertY: this.invertY
+    };
+  }
+  
+  static fromJSON(data = {}) {
+    return new PlayerControllerComponent(data);
+  }
+}
+
+registerComponent(PlayerControllerComponent);
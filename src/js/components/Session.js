@@ -1,4 +1,5 @@
 import { Component } from '../core/Component.js';
+import { registerComponent } from '../core/ComponentRegistry.js';
 import { generateUUID } from '../utils/uuid.js';
 
 export class Session extends Component {
@@ -80,4 +81,26 @@ export class Session extends Component {
         }
         return null;
     }
-}
\ No newline at end of file
+
+    toJSON() {
+        return {
+            sessions: this.getAllSessions().map(session => ({
+                ...session,
+                participants: Array.from(session.participants)
+            }))
+        };
+    }
+
+    static fromJSON(data = {}) {
+        const component = new Session();
+        for (const session of data.sessions || []) {
+            component.activeSessions.set(session.id, {
+                ...session,
+                participants: new Set(session.participants)
+            });
+        }
+        return component;
+    }
+}
+
+registerComponent(Session);
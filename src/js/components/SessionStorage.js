@@ -1,49 +1,397 @@
 import { Component } from '../core/Component.js';
+import { CONFIG } from '../config/index.js';
+import { MIGRATIONS, LATEST_VERSION } from '../systems/Persistence/migrations.js';
+import { BUNDLE_VERSION } from '../systems/Persistence/bundle.js';
+
+// Resolve with an IndexedDB request's result
+const settle = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// A backup without its records
+const summarize = ({ stores, ...summary }) => summary;
+
+// Fields recomputed when missing, left out of backups to keep them small
+const DERIVED_FIELDS = {
+    memories: ['embedding', 'embeddingModel'] // MemorySystem embeds memories loaded without one
+};
 
 export class SessionStorage extends Component {
     constructor() {
         super();
         this.storageKey = 'ecs-session-data';
         this.dbName = 'ECSSessionDB';
-        this.dbVersion = 1;
+        this.dbVersion = LATEST_VERSION; // See systems/Persistence/migrations.js
+        this.backupDbName = 'ECSSessionDBBackups';
+        this.legacyEntityIds = {}; // old counter id -> stable entity id, used when upgrading from v1/v2
+        this.pendingMigrations = []; // Migrations held back by CONFIG.storage.dryRun, as planned
+        this.missingStores = []; // Stores those migrations would add; see hasStore()
         this.db = null;
     }
 
+    /**
+     * Open the database, migrating it to dbVersion (see migrations.js). A
+     * database with migrations pending is backed up first; with
+     * CONFIG.storage.dryRun it is left as it is and the plan is logged.
+     */
     async initIndexedDB() {
+        const storedVersion = await this.getStoredVersion();
+
+        if (storedVersion > 0 && storedVersion < this.dbVersion) {
+            if (CONFIG.storage.dryRun) {
+                this.pendingMigrations = await this.planMigrations();
+                console.log(`🧪 Dry run: ${this.dbName} stays at v${storedVersion}. Pending migrations:`);
+                this.pendingMigrations.forEach(({ version, description, changes }) =>
+                    console.log(`  v${version} ${description}\n    ${changes.join('\n    ')}`)
+                );
+                this.db = await this.openDatabase(storedVersion);
+
+                const latestStores = new Set(MIGRATIONS.flatMap(migration => Object.keys(migration.stores || {})));
+                this.missingStores = [...latestStores].filter(name => !this.db.objectStoreNames.contains(name));
+                if (this.missingStores.length > 0) {
+                    console.warn(`🧪 Dry run: ${this.missingStores.join(', ')} don't exist at v${storedVersion}. ` +
+                        'Until the migrations run, what would be saved there is kept in memory and lost on reload.');
+                }
+                return this.db;
+            }
+            if (CONFIG.storage.backupBeforeMigrate) {
+                await this.backupDatabase(`before migrating to v${this.dbVersion}`);
+            }
+        }
+
+        this.db = await this.openDatabase(this.dbVersion);
+        this.pendingMigrations = [];
+        this.missingStores = [];
+        return this.db;
+    }
+
+    // Whether the open database has store; features check before saving to stores a dry run holds back
+    hasStore(name) {
+        return Boolean(this.db?.objectStoreNames.contains(name));
+    }
+
+    // Version of the saved database, 0 if there is none
+    getStoredVersion() {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.dbVersion);
-            
-            request.onerror = () => reject(request.error);
+            const request = indexedDB.open(this.dbName);
+
+            // No database yet; abort so that asking doesn't create one
+            request.onupgradeneeded = () => request.transaction.abort();
             request.onsuccess = () => {
-                this.db = request.result;
-                resolve(this.db);
+                const version = request.result.version;
+                request.result.close();
+                resolve(version);
             };
-            
+            request.onerror = (event) => {
+                if (request.error?.name !== 'AbortError') return reject(request.error);
+                event.preventDefault();
+                resolve(0);
+            };
+        });
+    }
+
+    // Open at version, running the migrations up to it
+    openDatabase(version) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, version);
+            let migrationError = null;
+
+            request.onerror = () => reject(migrationError || request.error);
+            request.onblocked = () => console.warn('⏳ Database upgrade is waiting for other tabs to close');
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab is upgrading; step aside rather than block it
+                db.onversionchange = () => {
+                    db.close();
+                    console.warn('⚠️ Database upgraded in another tab. Reload to keep saving');
+                };
+                resolve(db);
+            };
+
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Sessions object store
-                if (!db.objectStoreNames.contains('sessions')) {
-                    const sessionStore = db.createObjectStore('sessions', { keyPath: 'id' });
-                    sessionStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    sessionStore.createIndex('participants', 'participants', { unique: false, multiEntry: true });
-                }
-                
-                // Chat logs object store
-                if (!db.objectStoreNames.contains('chatLogs')) {
-                    const chatStore = db.createObjectStore('chatLogs', { keyPath: 'id' });
-                    chatStore.createIndex('sessionId', 'sessionId', { unique: false });
-                }
-                
-                // Entity brains object store
-                if (!db.objectStoreNames.contains('brains')) {
-                    const brainStore = db.createObjectStore('brains', { keyPath: 'entityId' });
-                    brainStore.createIndex('model', 'model', { unique: false });
-                }
+                const transaction = request.transaction;
+                this.runMigrations(transaction, event.oldVersion, version).catch(error => {
+                    migrationError = error;
+                    console.error('❌ Migration failed, database left unchanged:', error);
+                    try {
+                        transaction.abort();
+                    } catch (abortError) {
+                        // Already aborted by the failed request
+                    }
+                });
             };
         });
     }
 
+    /**
+     * Run the migrations after oldVersion up to newVersion inside the upgrade
+     * transaction. Only IndexedDB requests are awaited, which keeps the
+     * transaction open between steps.
+     */
+    async runMigrations(transaction, oldVersion, newVersion) {
+        const db = transaction.db;
+        const context = { legacyEntityIds: this.legacyEntityIds };
+
+        for (const migration of MIGRATIONS) {
+            if (migration.version <= oldVersion || migration.version > newVersion) continue;
+            if (migration.when && !migration.when(context)) continue;
+
+            Object.entries(migration.stores || {}).forEach(([name, { keyPath, indexes = {} }]) => {
+                if (db.objectStoreNames.contains(name)) return;
+                const store = db.createObjectStore(name, { keyPath });
+                Object.entries(indexes).forEach(([index, options]) => this.createIndex(store, index, options));
+            });
+
+            Object.entries(migration.dropIndexes || {}).forEach(([name, indexes]) => {
+                const store = transaction.objectStore(name);
+                indexes.filter(index => store.indexNames.contains(index)).forEach(index => store.deleteIndex(index));
+            });
+
+            Object.entries(migration.indexes || {}).forEach(([name, indexes]) => {
+                const store = transaction.objectStore(name);
+                Object.entries(indexes)
+                    .filter(([index]) => !store.indexNames.contains(index))
+                    .forEach(([index, options]) => this.createIndex(store, index, options));
+            });
+
+            (migration.clear || [])
+                .filter(name => db.objectStoreNames.contains(name))
+                .forEach(name => transaction.objectStore(name).clear());
+
+            const data = {};
+            for (const name of migration.read || []) {
+                data[name] = await settle(transaction.objectStore(name).getAll());
+            }
+
+            for (const [name, transform] of Object.entries(migration.transform || {})) {
+                const store = transaction.objectStore(name);
+                const records = await settle(store.getAll());
+                const { puts, deletes } = this.transformRecords(records, store.keyPath, record => transform(record, data, context));
+                deletes.forEach(key => store.delete(key));
+                puts.forEach(record => store.put(record));
+            }
+
+            console.log(`🔁 Migrated ${this.dbName} to v${migration.version}: ${migration.description}`);
+        }
+    }
+
+    createIndex(store, name, { keyPath = name, unique = false, multiEntry = false } = {}) {
+        return store.createIndex(name, keyPath, { unique, multiEntry });
+    }
+
+    /**
+     * What transform does to records: puts are new records, deletes the keys
+     * to remove (including the old key of a record whose key changed)
+     */
+    transformRecords(records, keyPath, transform) {
+        const puts = [];
+        const deletes = [];
+        let deleted = 0;
+
+        for (const record of records) {
+            const result = transform(record);
+            if (result === undefined) continue;
+
+            if (result === null) {
+                deletes.push(record[keyPath]);
+                deleted++;
+                continue;
+            }
+            if (result[keyPath] !== record[keyPath]) deletes.push(record[keyPath]);
+            puts.push(result);
+        }
+        return { puts, deletes, updated: puts.length, deleted };
+    }
+
+    /**
+     * Dry run: what the pending migrations would do to the saved database,
+     * worked out on copies of the records. Writes nothing.
+     * Resolves with [{ version, description, changes }], changes as text.
+     */
+    async planMigrations() {
+        const storedVersion = await this.getStoredVersion();
+        const pending = MIGRATIONS.filter(migration => migration.version > storedVersion && migration.version <= this.dbVersion);
+        if (pending.length === 0) return [];
+
+        const context = { legacyEntityIds: this.legacyEntityIds };
+        const touched = new Set(pending.flatMap(migration => [
+            ...(migration.read || []),
+            ...(migration.clear || []),
+            ...Object.keys(migration.transform || {})
+        ]));
+
+        // name -> { keyPath, indexes, records }; records only for stores the migrations touch
+        const stores = {};
+        if (storedVersion > 0) {
+            const db = await this.openDatabase(storedVersion);
+            const names = Array.from(db.objectStoreNames);
+            const transaction = db.transaction(names, 'readonly');
+            for (const name of names) {
+                const store = transaction.objectStore(name);
+                stores[name] = {
+                    keyPath: store.keyPath,
+                    indexes: new Set(store.indexNames),
+                    records: touched.has(name) ? await settle(store.getAll()) : []
+                };
+            }
+            db.close();
+        }
+
+        return pending.map(migration => {
+            const plan = { version: migration.version, description: migration.description, changes: [] };
+            const { changes } = plan;
+            if (migration.when && !migration.when(context)) {
+                changes.push('Skipped: nothing to do for this database');
+                return plan;
+            }
+
+            Object.entries(migration.stores || {}).forEach(([name, { keyPath, indexes = {} }]) => {
+                if (stores[name]) return;
+                stores[name] = { keyPath, indexes: new Set(Object.keys(indexes)), records: [] };
+                changes.push(`Create store ${name}`);
+            });
+            Object.entries(migration.dropIndexes || {}).forEach(([name, indexes]) => {
+                indexes.filter(index => stores[name]?.indexes.delete(index)).forEach(index => changes.push(`Drop index ${name}.${index}`));
+            });
+            Object.entries(migration.indexes || {}).forEach(([name, indexes]) => {
+                Object.keys(indexes).filter(index => !stores[name].indexes.has(index)).forEach(index => {
+                    stores[name].indexes.add(index);
+                    changes.push(`Add index ${name}.${index}`);
+                });
+            });
+            (migration.clear || []).filter(name => stores[name]).forEach(name => {
+                changes.push(`Clear ${name} (${stores[name].records.length} records)`);
+                stores[name].records = [];
+            });
+
+            const data = Object.fromEntries((migration.read || []).map(name => [name, stores[name].records]));
+            Object.entries(migration.transform || {}).forEach(([name, transform]) => {
+                const store = stores[name];
+                const { puts, deletes, updated, deleted } = this.transformRecords(store.records, store.keyPath, record => transform(record, data, context));
+                const removed = new Set(deletes);
+                const replaced = new Set(puts.map(record => record[store.keyPath]));
+                store.records = [
+                    ...store.records.filter(record => !removed.has(record[store.keyPath]) && !replaced.has(record[store.keyPath])),
+                    ...puts
+                ];
+                changes.push(`${name}: ${updated} of ${store.records.length + deleted} records updated` + (deleted > 0 ? `, ${deleted} deleted` : ''));
+            });
+
+            if (changes.length === 0) changes.push('No changes');
+            return plan;
+        });
+    }
+
+    openBackups() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.backupDbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('backups', { keyPath: 'id' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Copy every store of the saved database into the backups database,
+     * without DERIVED_FIELDS. Keeps the newest CONFIG.storage.keepBackups.
+     * Resolves with the backup's summary, or null if there is nothing to back up.
+     */
+    async backupDatabase(reason = 'manual') {
+        const version = this.db?.version || await this.getStoredVersion();
+        if (version === 0) return null;
+
+        const db = this.db || await this.openDatabase(version);
+        const names = Array.from(db.objectStoreNames);
+        const transaction = db.transaction(names, 'readonly');
+        const stores = {};
+        for (const name of names) {
+            const records = await settle(transaction.objectStore(name).getAll());
+            const derived = DERIVED_FIELDS[name] || [];
+            stores[name] = derived.length === 0 ? records : records.map(record => {
+                const copy = { ...record };
+                derived.forEach(field => delete copy[field]);
+                return copy;
+            });
+        }
+        if (db !== this.db) db.close();
+
+        const createdAt = Date.now();
+        const backup = {
+            id: `v${version}-${createdAt}`,
+            version,
+            reason,
+            createdAt,
+            counts: Object.fromEntries(names.map(name => [name, stores[name].length])),
+            stores
+        };
+
+        const backups = await this.openBackups();
+        try {
+            await settle(backups.transaction(['backups'], 'readwrite').objectStore('backups').put(backup));
+
+            // Ids start with the version, so go by creation time
+            const summaries = await this.listBackups(backups);
+            const expired = summaries.slice(CONFIG.storage.keepBackups);
+            if (expired.length > 0) {
+                const store = backups.transaction(['backups'], 'readwrite').objectStore('backups');
+                await Promise.all(expired.map(({ id }) => settle(store.delete(id))));
+            }
+        } finally {
+            backups.close();
+        }
+
+        console.log(`🗄️ Backed up ${this.dbName} v${version} as ${backup.id} (${reason})`);
+        return summarize(backup);
+    }
+
+    // Backups newest first, without their records: [{ id, version, reason, createdAt, counts }]
+    async listBackups(backups = null) {
+        const db = backups || await this.openBackups();
+        try {
+            const all = await settle(db.transaction(['backups'], 'readonly').objectStore('backups').getAll());
+            return all
+                .map(summarize)
+                .sort((a, b) => b.createdAt - a.createdAt);
+        } finally {
+            if (!backups) db.close();
+        }
+    }
+
+    /**
+     * Replace the saved database with a backup. The current data is backed up
+     * first; the restored data is then migrated up to dbVersion like any old
+     * database. Resolves with the restored backup's summary.
+     */
+    async restoreBackup(id) {
+        const backups = await this.openBackups();
+        const backup = await settle(backups.transaction(['backups'], 'readonly').objectStore('backups').get(id))
+            .finally(() => backups.close());
+        if (!backup) throw new Error(`No backup called "${id}"`);
+
+        await this.backupDatabase(`before restoring ${id}`);
+        this.db?.close();
+        this.db = null;
+        await settle(indexedDB.deleteDatabase(this.dbName));
+
+        // Recreate the schema the backup was taken with, fill it, then migrate as usual
+        const db = await this.openDatabase(backup.version);
+        const names = Object.keys(backup.stores).filter(name => db.objectStoreNames.contains(name));
+        if (names.length > 0) {
+            const transaction = db.transaction(names, 'readwrite');
+            names.forEach(name => backup.stores[name].forEach(record => transaction.objectStore(name).put(record)));
+            await new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+        db.close();
+
+        this.db = await this.openDatabase(this.dbVersion);
+        console.log(`♻️ Restored ${this.dbName} from ${id}`);
+        return summarize(backup);
+    }
+
     // Session storage format
     createSessionData(session, chatLog, participants) {
         return {
@@ -53,6 +401,10 @@ export class SessionStorage extends Component {
             state: session.state,
             title: session.title,
             keywords: session.keywords,
+            turnPolicy: session.turnPolicy || null,
+            summary: session.summary || null,
+            summaryFacts: session.summaryFacts || [],
+            summarizedMessageCount: session.summarizedMessageCount || 0,
             createdAt: session.createdAt,
             lastActivityAt: session.lastActivityAt,
             messageCount: session.messageCount,
@@ -61,15 +413,17 @@ export class SessionStorage extends Component {
         };
     }
 
-    createChatLogData(chatLog) {
+    createChatLogData(chatLog, sessionId = null) {
         return {
             id: chatLog.id,
+            sessionId,
             messages: chatLog.messages.map(msg => ({
                 id: msg.id,
                 senderId: msg.senderId,
                 content: msg.content,
                 timestamp: msg.timestamp,
                 type: msg.type,
+                images: msg.images || [],
                 metadata: msg.metadata || {}
             })),
             createdAt: chatLog.createdAt,
@@ -88,6 +442,10 @@ export class SessionStorage extends Component {
             expertise: brain.expertise,
             sessionHistory: brain.sessionHistory,
             notes: brain.notes,
+            creativity: brain.creativity,
+            verbosity: brain.verbosity,
+            generationOptions: brain.generationOptions,
+            promptTemplate: brain.promptTemplate,
             timestamp: Date.now()
         };
     }
@@ -117,6 +475,139 @@ export class SessionStorage extends Component {
         return store.put(brainData);
     }
 
+    async saveWorldSnapshot(snapshot, id = 'current') {
+        if (!this.db) await this.initIndexedDB();
+        
+        const transaction = this.db.transaction(['worldSnapshots'], 'readwrite');
+        const store = transaction.objectStore('worldSnapshots');
+        return store.put({ ...snapshot, id });
+    }
+
+    async loadWorldSnapshot(id = 'current') {
+        if (!this.db) await this.initIndexedDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['worldSnapshots'], 'readonly');
+            const store = transaction.objectStore('worldSnapshots');
+            const request = store.get(id);
+            
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteWorldSnapshot(id = 'current') {
+        if (!this.db) await this.initIndexedDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['worldSnapshots'], 'readwrite');
+            const store = transaction.objectStore('worldSnapshots');
+            const request = store.delete(id);
+            
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveMemory(memory) {
+        if (!this.db) await this.initIndexedDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['memories'], 'readwrite');
+            const request = transaction.objectStore('memories').put(memory);
+            
+            request.onsuccess = () => resolve(memory);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async loadMemories(entityId) {
+        if (!this.db) await this.initIndexedDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['memories'], 'readonly');
+            const index = transaction.objectStore('memories').index('entityId');
+            const request = index.getAll(entityId);
+            
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteMemories(ids) {
+        if (!this.db) await this.initIndexedDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['memories'], 'readwrite');
+            const store = transaction.objectStore('memories');
+            ids.forEach(id => store.delete(id));
+            
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async saveRelay(relay) {
+        if (!this.db) await this.initIndexedDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['relays'], 'readwrite');
+            const request = transaction.objectStore('relays').put(relay);
+            
+            request.onsuccess = () => resolve(relay);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async loadRelays(status) {
+        if (!this.db) await this.initIndexedDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['relays'], 'readonly');
+            const index = transaction.objectStore('relays').index('status');
+            const request = index.getAll(status);
+            
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async savePromptTemplate(template) {
+        if (!this.db) await this.initIndexedDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['promptTemplates'], 'readwrite');
+            const request = transaction.objectStore('promptTemplates').put(template);
+            
+            request.onsuccess = () => resolve(template);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async loadPromptTemplates() {
+        if (!this.db) await this.initIndexedDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['promptTemplates'], 'readonly');
+            const request = transaction.objectStore('promptTemplates').getAll();
+            
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deletePromptTemplate(name) {
+        if (!this.db) await this.initIndexedDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['promptTemplates'], 'readwrite');
+            const request = transaction.objectStore('promptTemplates').delete(name);
+            
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     async updateSessionTitle(sessionId, newTitle) {
         if (!this.db) await this.initIndexedDB();
         
@@ -174,6 +665,18 @@ export class SessionStorage extends Component {
         });
     }
 
+    async getAllChatLogs() {
+        if (!this.db) await this.initIndexedDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['chatLogs'], 'readonly');
+            const request = transaction.objectStore('chatLogs').getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     async loadBrain(entityId) {
         if (!this.db) await this.initIndexedDB();
         
@@ -200,6 +703,31 @@ export class SessionStorage extends Component {
         });
     }
 
+    // Sessions by last activity, newest first, through the lastActivityAt index
+    async getRecentSessions(limit = 20) {
+        if (!this.db) await this.initIndexedDB();
+        
+        const store = this.db.transaction(['sessions'], 'readonly').objectStore('sessions');
+        if (!store.indexNames.contains('lastActivityAt')) {
+            // Held back by a dry run
+            const sessions = await settle(store.getAll());
+            return sessions.sort((a, b) => (b.lastActivityAt || b.timestamp || 0) - (a.lastActivityAt || a.timestamp || 0)).slice(0, limit);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const request = store.index('lastActivityAt').openCursor(null, 'prev');
+            const sessions = [];
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || sessions.length >= limit) return resolve(sessions);
+                sessions.push(cursor.value);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     async searchSessions(keywords) {
         const sessions = await this.getAllSessions();
         const lowerKeywords = keywords.map(k => k.toLowerCase());
@@ -300,11 +828,15 @@ export class SessionStorage extends Component {
         });
     }
 
-    // Export/Import functionality
+    async getAllBrains() {
+        if (!this.db) await this.initIndexedDB();
+        return settle(this.db.transaction(['brains'], 'readonly').objectStore('brains').getAll());
+    }
+
+    // Export/Import functionality: see systems/Persistence/bundle.js for the format
     async exportAllData() {
         const sessions = await this.getAllSessions();
         const chatLogs = [];
-        const brains = [];
         
         // Get all chat logs for sessions
         for (const session of sessions) {
@@ -312,44 +844,47 @@ export class SessionStorage extends Component {
             if (chatLog) chatLogs.push(chatLog);
         }
         
-        // Get all brain data
-        const transaction = this.db.transaction(['brains'], 'readonly');
-        const store = transaction.objectStore('brains');
-        const brainRequest = store.getAll();
-        
-        return new Promise((resolve) => {
-            brainRequest.onsuccess = () => {
-                resolve({
-                    sessions,
-                    chatLogs,
-                    brains: brainRequest.result,
-                    exportedAt: Date.now(),
-                    version: 1
-                });
-            };
-        });
+        return {
+            sessions,
+            chatLogs,
+            brains: await this.getAllBrains(),
+            exportedAt: Date.now(),
+            version: BUNDLE_VERSION
+        };
     }
 
-    async importData(data) {
-        if (!data.version || data.version !== 1) {
-            throw new Error('Unsupported data format version');
-        }
-        
-        // Import sessions
-        for (const session of data.sessions) {
-            await this.saveSession(session);
-        }
-        
-        // Import chat logs
-        for (const chatLog of data.chatLogs) {
-            await this.saveChatLog(chatLog);
-        }
-        
-        // Import brains
-        for (const brain of data.brains) {
-            await this.saveBrain(brain);
-        }
-        
-        console.log('✅ Data import completed');
+    // Saved ids an import can collide with: { sessionIds, chatLogIds, brainIds }
+    async getSavedIds() {
+        if (!this.db) await this.initIndexedDB();
+
+        const transaction = this.db.transaction(['sessions', 'chatLogs', 'brains'], 'readonly');
+        const [sessions, chatLogIds, brainIds] = await Promise.all([
+            settle(transaction.objectStore('sessions').getAll()),
+            settle(transaction.objectStore('chatLogs').getAllKeys()),
+            settle(transaction.objectStore('brains').getAllKeys())
+        ]);
+        return {
+            sessionIds: new Set(sessions.map(session => session.id)),
+            chatLogIds: new Set(chatLogIds),
+            chatLogOwners: new Map(sessions.map(session => [session.chatLogId, session.id])),
+            brainIds: new Set(brainIds)
+        };
+    }
+
+    // Save the records from bundle.prepareImport in one transaction, so a failed import changes nothing
+    async importRecords({ sessions, chatLogs, brains }) {
+        if (!this.db) await this.initIndexedDB();
+
+        const transaction = this.db.transaction(['sessions', 'chatLogs', 'brains'], 'readwrite');
+        sessions.forEach(session => transaction.objectStore('sessions').put(session));
+        chatLogs.forEach(chatLog => transaction.objectStore('chatLogs').put(chatLog));
+        brains.forEach(brain => transaction.objectStore('brains').put(brain));
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Import aborted'));
+        });
+        console.log(`✅ Imported ${sessions.length} sessions, ${chatLogs.length} chat logs and ${brains.length} brains`);
     }
 }
\ No newline at end of file
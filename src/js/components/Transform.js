@@ -1,4 +1,5 @@
 import { Component } from '../core/Component.js';
+import { registerComponent } from '../core/ComponentRegistry.js';
 
 export class Transform extends Component {
   constructor(x = 0, y = 0, rotation = 0, scale = 1) {
@@ -17,4 +18,6 @@ export class Transform extends Component {
   rotate(angle) {
     this.rotation += angle;
   }
-}
\ No newline at end of file
+}
+
+registerComponent(Transform);
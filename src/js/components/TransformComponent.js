@@ -1,4 +1,5 @@
 import { Component } from '../core/Component.js';
+import { registerComponent } from '../core/ComponentRegistry.js';
 
 /**
  * TransformComponent - Stores position, rotation, and scale for 3D entities
@@ -40,4 +41,18 @@ export class TransformComponent extends Component {
   setScale(x, y, z) {
     this.scale.set(x, y, z);
   }
-}
\ No newline at end of file
+
+  toJSON() {
+    return {
+      position: { x: this.position.x, y: this.position.y, z: this.position.z },
+      rotation: { x: this.rotation.x, y: this.rotation.y, z: this.rotation.z },
+      scale: { x: this.scale.x, y: this.scale.y, z: this.scale.z }
+    };
+  }
+  
+  static fromJSON(data = {}) {
+    return new TransformComponent(data);
+  }
+}
+
+registerComponent(TransformComponent);
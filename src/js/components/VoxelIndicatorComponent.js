@@ -1,4 +1,5 @@
 import { Component } from "../core/Component.js";
+import { registerComponent } from "../core/ComponentRegistry.js";
 import {
   VoxelAnimationManager,
   VoxelAnimationPresets,
@@ -60,6 +61,8 @@ export class VoxelIndicatorComponent extends Component {
     // Entity state
     this.state = config.state || "idle";
     this.lastState = "idle";
+    this.pattern = null; // Last pattern drawn with createPattern()
+    this.mood = config.mood || null; // { mood, valence, arousal } from brain:mood, shown while idle
     this.stateChangeTime = 0;
 
     // Animation management
@@ -69,6 +72,7 @@ export class VoxelIndicatorComponent extends Component {
     // Performance settings
     this.updateRate = config.updateRate || 60; // FPS for animations
     this.lastUpdate = 0;
+    this.skippedTime = 0; // Seconds of deltaTime from frames skipped by updateRate
 
     // Initialize with clear state
     this.clear();
@@ -253,6 +257,7 @@ export class VoxelIndicatorComponent extends Component {
   createPattern(patternName) {
     // Creating pattern: patternName
     this.clear();
+    this.pattern = patternName;
 
     switch (patternName) {
       case "smiley":
@@ -270,9 +275,15 @@ export class VoxelIndicatorComponent extends Component {
       case "success":
         this.createSuccessPattern();
         break;
+      case "cancelled":
+        this.createCancelledPattern();
+        break;
       case "patrol":
         this.createPatrolPattern();
         break;
+      case "mood":
+        this.createMoodPattern();
+        break;
       default:
         this.createIdlePattern();
     }
@@ -307,6 +318,76 @@ export class VoxelIndicatorComponent extends Component {
     this.animateVoxelsAppear(voxelIndices, { sequenceDelay: 100 });
   }
 
+  /**
+   * Face for the current mood: color follows valence (red to blue to green),
+   * brightness follows arousal, and the eyes and mouth follow the mood name
+   */
+  createMoodPattern() {
+    const { mood = "neutral", valence = 0, arousal = 0 } = this.mood || {};
+
+    const lerp = (from, to, t) => from.map((value, i) => value + (to[i] - value) * t);
+    const color = valence < 0
+      ? lerp([100, 150, 255], [255, 80, 80], -valence)
+      : lerp([100, 150, 255], [80, 220, 120], valence);
+    const brightness = 0.6 + (arousal + 1) * 0.2;
+    const dot = (x, y) => this.setVoxel(x, y, 0, ...color, brightness);
+
+    // Eyes: wide when aroused, sleepy when low, dots otherwise
+    if (["excited", "stressed", "alert"].includes(mood)) {
+      [2, 5].forEach((x) => {
+        dot(x, 5);
+        dot(x, 6);
+      });
+    } else if (["content", "sad", "calm"].includes(mood)) {
+      [[1, 2], [5, 6]].forEach(([a, b]) => {
+        dot(a, 5);
+        dot(b, 5);
+      });
+    } else {
+      dot(2, 5);
+      dot(5, 5);
+    }
+
+    // Mouth
+    if (["happy", "excited", "content"].includes(mood)) {
+      dot(2, 2);
+      dot(3, 1);
+      dot(4, 1);
+      dot(5, 2);
+    } else if (["sad", "upset", "stressed"].includes(mood)) {
+      dot(2, 1);
+      dot(3, 2);
+      dot(4, 2);
+      dot(5, 1);
+    } else {
+      [2, 3, 4, 5].forEach((x) => dot(x, 2));
+    }
+
+    const voxelIndices = [];
+    for (let i = 0; i < this.voxelCount; i++) {
+      if (this.voxels[i].targetVisible) {
+        voxelIndices.push(i);
+      }
+    }
+    this.animateVoxelsAppear(voxelIndices, { sequenceDelay: 100 });
+  }
+
+  /**
+   * Show a new mood. The face is redrawn right away when idle; otherwise it
+   * appears the next time the entity goes idle.
+   */
+  setMood(mood) {
+    this.mood = mood;
+    if (this.state !== "idle" || !["mood", "smiley"].includes(this.pattern)) return;
+
+    this.animateAllDisappear({ sequenceDelay: 20 });
+    setTimeout(() => {
+      if (this.state === "idle") {
+        this.createPattern("mood");
+      }
+    }, 500); // Wait for disappear animation
+  }
+
   createThinkingPattern() {
     // Three dots
     const dotColor = [255, 255, 0];
@@ -402,6 +483,26 @@ export class VoxelIndicatorComponent extends Component {
     this.animateVoxelsAppear(voxelIndices, { sequenceDelay: 100 });
   }
 
+  createCancelledPattern() {
+    // Stop square
+    const cancelledColor = [160, 160, 160];
+
+    for (let y = 2; y < 6; y++) {
+      for (let x = 2; x < 6; x++) {
+        this.setVoxel(x, y, 0, ...cancelledColor);
+      }
+    }
+
+    const voxelIndices = [];
+    for (let i = 0; i < this.voxelCount; i++) {
+      if (this.voxels[i].targetVisible) {
+        voxelIndices.push(i);
+      }
+    }
+
+    this.animateVoxelsAppear(voxelIndices, { sequenceDelay: 60 });
+  }
+
   createIdlePattern() {
     // Creating full grid pattern
     // Fill entire 8x8 grid
@@ -480,6 +581,12 @@ export class VoxelIndicatorComponent extends Component {
       this.state = newState;
       this.stateChangeTime = Date.now();
       this.onStateChange(newState, this.lastState);
+
+      this.entity?.world?.events.emit("indicator:state", {
+        entity: this.entity,
+        state: newState,
+        previousState: this.lastState,
+      });
     }, 500); // Wait for disappear animation
   }
 
@@ -489,7 +596,7 @@ export class VoxelIndicatorComponent extends Component {
   onStateChange(newState, oldState) {
     switch (newState) {
       case "idle":
-        this.createPattern("smiley");
+        this.createPattern(this.mood ? "mood" : "smiley");
         break;
       case "thinking":
         this.createPattern("thinking");
@@ -503,6 +610,9 @@ export class VoxelIndicatorComponent extends Component {
       case "success":
         this.createPattern("success");
         break;
+      case "cancelled":
+        this.createPattern("cancelled");
+        break;
       case "notification":
         this.createPattern("notification");
         break;
@@ -516,6 +626,7 @@ export class VoxelIndicatorComponent extends Component {
    */
   update(deltaTime) {
     const now = Date.now();
+    this.skippedTime += deltaTime;
 
     // Check if we need to update based on frame rate
     if (now - this.lastUpdate < 1000 / this.updateRate) {
@@ -523,6 +634,8 @@ export class VoxelIndicatorComponent extends Component {
     }
 
     this.lastUpdate = now;
+    const sinceUpdate = this.skippedTime; // Seconds since the last update
+    this.skippedTime = 0;
     let hasChanges = false;
 
     // Update each voxel's animation
@@ -570,7 +683,7 @@ export class VoxelIndicatorComponent extends Component {
 
           case "pulse":
             // LED-style pulsing
-            voxel.animationPhase += deltaTime / 1000; // 1 second cycle
+            voxel.animationPhase += sinceUpdate; // One radian per second
             if (voxel.animationPhase > Math.PI * 2) {
               voxel.animationPhase -= Math.PI * 2;
             }
@@ -619,4 +732,34 @@ export class VoxelIndicatorComponent extends Component {
     this.visible = visible;
     this.needsUpdate = true;
   }
+
+  /**
+   * Indicators are saved as configuration plus the current pattern; voxel
+   * animation state is regenerated from the pattern on restore
+   */
+  toJSON() {
+    return {
+      gridSize: this.gridSize,
+      cubeSize: this.cubeSize,
+      spacing: this.spacing,
+      position: this.position,
+      scale: this.scale,
+      brightness: this.brightness,
+      visible: this.visible,
+      state: this.state,
+      pattern: this.pattern,
+      mood: this.mood,
+      updateRate: this.updateRate,
+    };
+  }
+
+  static fromJSON(data = {}) {
+    const component = new VoxelIndicatorComponent(data);
+    if (data.pattern) {
+      component.createPattern(data.pattern);
+    }
+    return component;
+  }
 }
+
+registerComponent(VoxelIndicatorComponent);
@@ -3,11 +3,14 @@
  * All hardcoded values should be defined here for easy management
  */
 
+// Outside a browser (tests, a headless world) there is no location; count that as development
+const hostname = globalThis.location?.hostname ?? 'localhost';
+
 export const CONFIG = {
   // Development environment settings
   environment: {
-    isDevelopment: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1',
-    isProduction: window.location.hostname !== 'localhost' && window.location.hostname !== '127.0.0.1'
+    isDevelopment: hostname === 'localhost' || hostname === '127.0.0.1',
+    isProduction: hostname !== 'localhost' && hostname !== '127.0.0.1'
   },
 
   // Server and API settings
@@ -18,20 +21,133 @@ export const CONFIG = {
 
   // AI/Ollama configuration
   ai: {
-    ollamaUrl: 'http://localhost:11434',
+    // Model backends by name. Brains pick one with model: 'provider:model';
+    // plain model names use defaultProvider. Types: ollama, openai, mock
+    providers: {
+      ollama: { type: 'ollama', baseUrl: 'http://localhost:11434' },
+      // llamacpp: { type: 'openai', baseUrl: 'http://localhost:8080' },
+      // vllm: { type: 'openai', baseUrl: 'http://localhost:8000', apiKey: '' },
+      // mock: { type: 'mock' } // Offline canned replies; lists mock:mock among the models
+    },
+    defaultProvider: 'ollama',
     defaultModel: 'gemma3',
+    // Name-based guesses for backends that can't report capabilities (Ollama
+    // reports them through /api/show): models that take images, and models
+    // given native tool definitions (others get tools described in the prompt)
     multimodalModels: ['gemma3', 'llava', 'bakllava'],
+    toolModels: ['llama3.1', 'llama3.2', 'llama3.3', 'qwen2.5', 'qwen3', 'mistral-nemo', 'mistral-small', 'command-r'],
+    maxToolRounds: 3, // Tool calls answered per reply before the model must answer in text
     healthCheckInterval: 5000,
     contextWindow: 10,
     historyLimit: 5,
+    contextLength: 8192, // Tokens, for models whose provider doesn't say (Ollama: unless num_ctx is set)
+    responseReserveTokens: 1024, // Context left free for the reply when fitting history
     defaultCommands: ['search', 'history', 'who', 'context'],
+    requestTimeout: 120000, // Abort a generation request after this many ms
     timeout: {
       successDisplay: 1500,
       errorDisplay: 2000,
+      cancelledDisplay: 2000,
       copyFeedback: 2000
     }
   },
 
+  // Long-term memory (MemorySystem)
+  memory: {
+    embedder: 'agent', // 'agent' embeds with embeddingModel; 'hash' embeds locally, no model needed
+    embeddingModel: 'nomic-embed-text', // Also takes 'provider:model', e.g. 'mock:mock' offline with the mock provider enabled
+    batchDelay: 200, // ms messages wait so they are embedded together
+    batchSize: 32, // Messages per embedding request at most
+    topK: 3, // Memories added to each prompt
+    minSimilarity: 0.25,
+    weights: { similarity: 0.7, recency: 0.15, importance: 0.15 },
+    recencyHalfLifeDays: 7,
+    bruteForceLimit: 500, // Stores up to this size are scanned in full
+    maxPerEntity: 2000, // Least valuable memories are dropped beyond this
+    recentInBrain: 50 // Latest memories also kept on BrainComponent.longTermMemory
+  },
+
+  // Background summaries of ended sessions and overflowing experiences (SummarizationSystem)
+  summarization: {
+    minMessages: 4, // Shorter sessions aren't summarized
+    maxTranscriptChars: 12000, // Newest part of a conversation sent to the model
+    maxExperiences: 100, // BrainComponent.experiences cap
+    experienceBatch: 20, // Oldest experiences summarized together once the cap is passed
+    maxAttempts: 3,
+    retryDelay: 30000 // Before retrying a failed job, e.g. while the model is offline
+  },
+
+  // Emotion and personality model (BrainComponent affect, AffectSystem)
+  affect: {
+    halfLifeSeconds: 120, // Valence and arousal decay back to the brain's baseline
+    moodThreshold: 0.2, // Distance from 0 at which valence or arousal changes the mood
+    messageImpact: 0.35, // Share of a message's sentiment its listeners feel
+    llmSentiment: true, // Have the model judge sentiment; the word lexicon is the fallback
+    sentimentTimeout: 10000,
+    traitDriftRate: 0.002, // Trait change per unit of an experience's impact
+    maxTraitDrift: 0.15, // Traits stay within this distance of their starting values
+    historyLimit: 500 // Affect and personality history entries kept per brain
+  },
+
+  // Sessions with more than two participants (SessionSystem, AutonomousChatSystem)
+  groups: {
+    turnPolicies: ["round-robin", "relevance", "mention"],
+    defaultTurnPolicy: "relevance",
+    maxReplies: 2, // Most entities that answer one player message
+    roundTableChance: 0.3, // Chance an autonomous conversation invites more than two entities
+    roundTableSize: 4 // Most entities at an autonomous round-table
+  },
+
+  // Scripted autonomous conversations (DirectorSystem, /scenario)
+  scenarios: {
+    path: "/data/scenarios/", // Scenario files are <path><name>.json
+    manifest: "index.json", // { "scenarios": ["name", ...] } under path, for /scenario list
+    defaultMaxMessages: 6 // Beats without a stop.maxMessages end after this many messages
+  },
+
+  // Messages the player asks one entity to pass to another (RelaySystem)
+  relay: {
+    llmIntent: true, // Ask the model whether a message is a relay request; regexes otherwise
+    intentTimeout: 8000, // ms before falling back to the regexes
+    deliveryDelay: 10000, // ms before the first delivery attempt, so scenarios and chatter get a chance
+    retryDelay: 20000, // ms between delivery attempts
+    maxAttempts: 5, // Delivery conversations before giving up
+    deliveryMessages: 3 // Length of a delivery conversation
+  },
+
+  // Full-text message search (SearchSystem, /search)
+  search: {
+    resultLimit: 20, // Results listed per search
+    snippetLength: 160 // Characters of each message shown around its first match
+  },
+
+  // IndexedDB migrations (SessionStorage, systems/Persistence/migrations.js)
+  storage: {
+    backupBeforeMigrate: true, // Copy the database to ECSSessionDBBackups before upgrading it
+    keepBackups: 3, // Newest backups kept; older ones are deleted
+    dryRun: false, // Log what pending migrations would change and leave the database as it is
+    importStrategy: "skip" // /import default for sessions already saved: skip, overwrite or duplicate
+  },
+
+  // System prompt size (SystemPromptBuilder). Sections are marked in templates
+  // with {{#section name}}; each is cut to its budget (tokens), then, if the
+  // prompt is still over systemShare of the context, the lowest priority
+  // sections are cut further. Unlisted sections and text outside sections
+  // are never cut. trim: 'start' cuts the oldest lines of a list first
+  prompt: {
+    systemShare: 0.4, // Most of the context window the system prompt may use
+    sections: {
+      pendingMessages: { budget: 300, priority: 9 },
+      entityReferences: { budget: 100, priority: 8 },
+      memories: { budget: 400, priority: 7 },
+      experiences: { budget: 400, priority: 6, trim: 'start' },
+      relationships: { budget: 300, priority: 5 },
+      commands: { budget: 300, priority: 3 },
+      environment: { budget: 60, priority: 2 },
+      guide: { budget: 400, priority: 1 }
+    }
+  },
+
   // Three.js rendering configuration
   rendering: {
     camera: {
@@ -185,6 +301,12 @@ export const CONFIG = {
       fadeZone: 0.1
     },
 
+    // Group sessions: one tube from each participant to a shared hub
+    hub: {
+      height: 1.5, // Above the participants' average position
+      radius: 0.06
+    },
+
     lod: {
       distances: {
         close: 10,
@@ -289,6 +411,13 @@ export const CONFIG = {
     }
   },
 
+  // Simulation loop (seconds)
+  simulation: {
+    fixedTimestep: 1 / 60,
+    maxSubSteps: 5,
+    timeScale: 1
+  },
+
   // Performance settings
   performance: {
     updateThreshold: 0.01, // Minimum movement for updates
@@ -300,7 +429,7 @@ export const CONFIG = {
 
   // Debug settings
   debug: {
-    enabled: false,
+    enabled: false, // Also logs conversation, scenario and relay traces to the console
     showStats: false,
     showGrid: true,
     logLevel: 'info', // 'error', 'warn', 'info', 'debug'
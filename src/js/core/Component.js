@@ -13,4 +13,25 @@ export class Component {
   onDetach() {
     this.entity = null;
   }
-}
\ No newline at end of file
+
+  /**
+   * Plain-data snapshot used by World.serialize(). The default copies own
+   * fields except the entity back-reference; override when a component holds
+   * Maps, Sets, Three.js objects or other runtime-only state.
+   */
+  toJSON() {
+    const data = {};
+    for (const [key, value] of Object.entries(this)) {
+      if (key === 'entity' || typeof value === 'function') continue;
+      data[key] = value;
+    }
+    return data;
+  }
+
+  /**
+   * Rebuild a component from toJSON() output
+   */
+  static fromJSON(data = {}) {
+    return Object.assign(new this(data), data);
+  }
+}
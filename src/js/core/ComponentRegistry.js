@@ -0,0 +1,24 @@
+/**
+ * ComponentRegistry - Maps serialized component names back to their classes
+ *
+ * Entities key components by constructor name, so snapshots use the same
+ * name. Only registered components are written by World.serialize().
+ */
+const registry = new Map(); // component name -> Component class
+
+export function registerComponent(ComponentClass, name = ComponentClass.name) {
+  const existing = registry.get(name);
+  if (existing && existing !== ComponentClass) {
+    throw new Error(`Component name "${name}" is already registered to a different class`);
+  }
+  registry.set(name, ComponentClass);
+  return ComponentClass;
+}
+
+export function getComponentType(name) {
+  return registry.get(name);
+}
+
+export function getRegisteredComponentNames() {
+  return Array.from(registry.keys());
+}
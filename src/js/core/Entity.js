@@ -1,24 +1,43 @@
+import { generateUUID } from '../utils/uuid.js';
+
 /**
  * Entity - Unique identifier with components
+ *
+ * Ids are UUIDs so they stay valid across page loads. Pass an id to recreate
+ * an entity declared in level data or restored from a snapshot.
  */
 export class Entity {
-  static nextId = 0;
-
-  constructor() {
-    this.id = Entity.nextId++;
+  constructor(id = null) {
+    this.id = id ?? generateUUID();
     this.components = new Map();
     this.active = true;
     this.world = null; // Reference to the world
+    this._tag = undefined;
+  }
+
+  get tag() {
+    return this._tag;
+  }
+
+  set tag(value) {
+    const previousTag = this._tag;
+    this._tag = value;
+
+    // Keep the world's tag index in sync
+    if (this.world && previousTag !== value) {
+      this.world.onTagChanged(this, previousTag);
+    }
   }
 
   addComponent(component) {
     this.components.set(component.constructor.name, component);
-    
+    component.onAttach(this);
+
     // Notify world systems about component addition
     if (this.world) {
       this.world.onComponentAdded(this, component);
     }
-    
+
     return this;
   }
 
@@ -34,7 +53,18 @@ export class Entity {
 
   removeComponent(componentType) {
     const name = typeof componentType === 'string' ? componentType : componentType.name;
-    return this.components.delete(name);
+    const component = this.components.get(name);
+    if (!component) return false;
+
+    this.components.delete(name);
+    component.onDetach();
+
+    // Notify world so queries drop this entity if it no longer matches
+    if (this.world) {
+      this.world.onComponentRemoved(this, component);
+    }
+
+    return true;
   }
 
   destroy() {
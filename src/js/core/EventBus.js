@@ -0,0 +1,103 @@
+/**
+ * EventBus - Publish/subscribe messaging between systems
+ *
+ * Event names are namespaced as "<source>:<what>" (e.g. 'session:message').
+ * Listeners may subscribe to an exact name, a namespace wildcard ('session:*')
+ * or everything ('*'). Listeners receive (payload, eventName).
+ *
+ * For calls that need an answer (e.g. asking the agent for a completion), one
+ * system registers a handler with handle() and others call request().
+ */
+export class EventBus {
+  constructor() {
+    this.listeners = new Map(); // event pattern -> Set of listeners
+    this.handlers = new Map(); // request name -> handler
+  }
+
+  /**
+   * Subscribe to an event or wildcard pattern. Returns an unsubscribe function.
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  once(event, listener) {
+    const wrapper = (payload, eventName) => {
+      this.off(event, wrapper);
+      listener(payload, eventName);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+
+    for (const registered of listeners) {
+      if (registered === listener || registered.listener === listener) {
+        listeners.delete(registered);
+      }
+    }
+    if (listeners.size === 0) {
+      this.listeners.delete(event);
+    }
+  }
+
+  emit(event, payload = {}) {
+    const namespace = event.includes(':') ? `${event.split(':')[0]}:*` : null;
+
+    for (const pattern of [event, namespace, '*']) {
+      const listeners = pattern && this.listeners.get(pattern);
+      if (!listeners) continue;
+
+      // Copy so listeners can unsubscribe while we iterate
+      for (const listener of Array.from(listeners)) {
+        try {
+          listener(payload, event);
+        } catch (error) {
+          console.error(`Error in "${pattern}" listener for ${event}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Register the single responder for a request. Returns an unregister function.
+   */
+  handle(name, handler) {
+    if (this.handlers.has(name)) {
+      console.warn(`Replacing existing handler for "${name}"`);
+    }
+    this.handlers.set(name, handler);
+    return () => {
+      if (this.handlers.get(name) === handler) {
+        this.handlers.delete(name);
+      }
+    };
+  }
+
+  hasHandler(name) {
+    return this.handlers.has(name);
+  }
+
+  /**
+   * Ask the registered responder for a result. Always returns a Promise.
+   */
+  async request(name, payload = {}) {
+    const handler = this.handlers.get(name);
+    if (!handler) {
+      throw new Error(`No handler registered for "${name}"`);
+    }
+    return handler(payload);
+  }
+
+  clear() {
+    this.listeners.clear();
+    this.handlers.clear();
+  }
+}
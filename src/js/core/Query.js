@@ -0,0 +1,96 @@
+/**
+ * Query - Live, cached set of entities matching component requirements
+ *
+ * Descriptors take the form { all: [...], any: [...], none: [...] } where each
+ * entry is a component class or component name. The World keeps one Query per
+ * distinct descriptor and updates it incrementally as components change.
+ */
+export class Query {
+  constructor(descriptor = {}) {
+    this.all = Query.normalize(descriptor.all);
+    this.any = Query.normalize(descriptor.any);
+    this.none = Query.normalize(descriptor.none);
+    this.key = Query.createKey(descriptor);
+
+    this.entities = new Set();
+    this.listeners = new Set();
+  }
+
+  static normalize(componentTypes = []) {
+    return componentTypes.map(componentType =>
+      typeof componentType === 'string' ? componentType : componentType.name
+    );
+  }
+
+  static createKey(descriptor = {}) {
+    const part = (list) => Query.normalize(list).sort().join(',');
+    return `all:${part(descriptor.all)}|any:${part(descriptor.any)}|none:${part(descriptor.none)}`;
+  }
+
+  /**
+   * Every component name this query depends on
+   */
+  get componentNames() {
+    return [...this.all, ...this.any, ...this.none];
+  }
+
+  get size() {
+    return this.entities.size;
+  }
+
+  matches(entity) {
+    if (!this.all.every(name => entity.hasComponent(name))) return false;
+    if (this.any.length > 0 && !this.any.some(name => entity.hasComponent(name))) return false;
+    if (this.none.some(name => entity.hasComponent(name))) return false;
+    return true;
+  }
+
+  /**
+   * Re-check a single entity and add/remove it from the result set
+   */
+  evaluate(entity) {
+    const matched = this.matches(entity);
+    const present = this.entities.has(entity);
+
+    if (matched && !present) {
+      this.entities.add(entity);
+      this.notify('onEntityAdded', entity);
+    } else if (!matched && present) {
+      this.entities.delete(entity);
+      this.notify('onEntityRemoved', entity);
+    }
+  }
+
+  remove(entity) {
+    if (this.entities.delete(entity)) {
+      this.notify('onEntityRemoved', entity);
+    }
+  }
+
+  /**
+   * Listen for membership changes. Listener is { onEntityAdded, onEntityRemoved }.
+   * Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(event, entity) {
+    for (const listener of this.listeners) {
+      listener[event]?.(entity);
+    }
+  }
+
+  toArray() {
+    return Array.from(this.entities);
+  }
+
+  first() {
+    return this.entities.values().next().value;
+  }
+
+  [Symbol.iterator]() {
+    return this.entities.values();
+  }
+}
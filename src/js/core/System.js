@@ -1,3 +1,5 @@
+import { Query } from './Query.js';
+
 /**
  * Base System class
  */
@@ -5,7 +7,24 @@ export class System {
   constructor() {
     this.entities = new Set();
     this.requiredComponents = [];
+    // Optional { all, any, none } descriptor; takes precedence over requiredComponents
+    this.requirements = null;
+    this.query = null; // Cached Query, bound by World.addSystem
     this.active = true;
+
+    // Scheduling: phase from World.PHASES, lower priority runs earlier within a phase,
+    // before/after name other systems that must run after/before this one
+    this.phase = 'simulation';
+    this.priority = 0;
+    this.before = [];
+    this.after = [];
+  }
+
+  /**
+   * Query descriptor used by the World to keep this system's entity set live
+   */
+  getRequirements() {
+    return this.requirements || { all: this.requiredComponents };
   }
 
   addEntity(entity) {
@@ -23,14 +42,13 @@ export class System {
   }
 
   matchesRequirements(entity) {
-    return this.requiredComponents.every(componentType => 
-      entity.hasComponent(componentType)
-    );
+    const query = this.query || new Query(this.getRequirements());
+    return query.matches(entity);
   }
 
   update(deltaTime) {
     if (!this.active) return;
-    
+
     for (const entity of this.entities) {
       if (entity.active) {
         this.updateEntity(entity, deltaTime);
@@ -49,4 +67,12 @@ export class System {
   onEntityRemoved(entity) {
     // Override in subclasses
   }
+
+  /**
+   * Called before membership is re-evaluated, while the entity is still in
+   * this system. The removed component is passed since the entity no longer has it.
+   */
+  onComponentRemoved(entity, component) {
+    // Override in subclasses
+  }
 }
\ No newline at end of file
@@ -1,59 +1,197 @@
 import { Entity } from './Entity.js';
+import { Query } from './Query.js';
+import { EventBus } from './EventBus.js';
+import { getComponentType } from './ComponentRegistry.js';
 
 /**
  * World - ECS Container
  */
 export class World {
-  constructor() {
+  static PHASES = ['input', 'simulation', 'ai', 'presentation', 'render'];
+  // Phases run on every fixed step; the others run once per frame, after the steps
+  static FIXED_PHASES = ['input', 'simulation', 'ai'];
+  static SNAPSHOT_VERSION = 1;
+
+  constructor(options = {}) {
     this.entities = new Map();
     this.systems = new Map();
+    // System name -> { phase, priority, before, after, index }
+    this.schedule = new Map();
+    // Systems in phase/constraint order, and split into the ones run per fixed step and per frame
+    this.setExecutionOrder([]);
+    this.fixedSystems = [];
+    this.frameSystems = [];
+    this.nextSystemIndex = 0;
+    // Cross-system messaging
+    this.events = new EventBus();
     this.running = false;
     this.lastTime = 0;
+
+    // Fixed-timestep scheduler (all times in seconds)
+    this.fixedTimestep = options.fixedTimestep ?? 1 / 60;
+    this.maxSubSteps = options.maxSubSteps ?? 5; // Cap per frame so a long stall can't spiral
+    this.timeScale = options.timeScale ?? 1;
+    this.paused = false;
+    this.accumulator = 0;
+    this.time = 0; // Simulated time
+    this.frame = 0; // Fixed steps simulated so far
+    this.animationFrameId = null;
+
+    // Query cache: descriptor key -> Query
+    this.queries = new Map();
+    // Component name -> queries that depend on it (only these are re-checked on change)
+    this.queriesByComponent = new Map();
+    // Tag -> Set of entities
+    this.tagIndex = new Map();
+    // System name -> unsubscribe function for its query
+    this.systemSubscriptions = new Map();
   }
 
-  createEntity() {
-    const entity = new Entity();
+  /**
+   * Create an entity. Pass an id to recreate a saved entity under its original id.
+   */
+  createEntity(id = null) {
+    if (id !== null && this.entities.has(id)) {
+      throw new Error(`Entity ${id} already exists`);
+    }
+
+    const entity = new Entity(id);
     entity.world = this; // Set world reference
     this.entities.set(entity.id, entity);
-    
-    // Notify all systems about the new entity
-    for (const system of this.systems.values()) {
-      system.addEntity(entity);
+
+    // Evaluate against every query (systems are notified through their queries)
+    for (const query of this.queries.values()) {
+      query.evaluate(entity);
     }
-    
+
     return entity;
   }
-  
+
+  /**
+   * Get a live, cached result set for { all, any, none } component requirements
+   */
+  query(descriptor = {}) {
+    const key = Query.createKey(descriptor);
+    let query = this.queries.get(key);
+    if (query) return query;
+
+    query = new Query(descriptor);
+    this.queries.set(key, query);
+
+    for (const name of query.componentNames) {
+      if (!this.queriesByComponent.has(name)) {
+        this.queriesByComponent.set(name, new Set());
+      }
+      this.queriesByComponent.get(name).add(query);
+    }
+
+    // Populate with existing entities
+    for (const entity of this.entities.values()) {
+      query.evaluate(entity);
+    }
+
+    return query;
+  }
+
   onComponentAdded(entity, component) {
-    // Re-check this entity against all systems
+    this.evaluateQueriesFor(entity, component.constructor.name);
+  }
+
+  onComponentRemoved(entity, component) {
+    // Let systems that currently hold the entity tear down state tied to the component
     for (const system of this.systems.values()) {
-      if (!system.entities.has(entity) && system.matchesRequirements(entity)) {
-        system.addEntity(entity);
+      if (system.entities.has(entity)) {
+        system.onComponentRemoved(entity, component);
+      }
+    }
+
+    // Re-evaluate membership; systems that no longer match get onEntityRemoved
+    this.evaluateQueriesFor(entity, component.constructor.name);
+  }
+
+  evaluateQueriesFor(entity, componentName) {
+    const affected = this.queriesByComponent.get(componentName);
+    if (!affected) return;
+
+    for (const query of affected) {
+      query.evaluate(entity);
+    }
+  }
+
+  onTagChanged(entity, previousTag) {
+    if (previousTag !== undefined) {
+      this.tagIndex.get(previousTag)?.delete(entity);
+    }
+    if (entity.tag !== undefined) {
+      if (!this.tagIndex.has(entity.tag)) {
+        this.tagIndex.set(entity.tag, new Set());
       }
+      this.tagIndex.get(entity.tag).add(entity);
     }
   }
 
   removeEntity(entityId) {
     const entity = this.entities.get(entityId);
     if (entity) {
-      // Notify all systems about entity removal
-      for (const system of this.systems.values()) {
-        system.removeEntity(entity);
+      // Notify all queries (and through them, systems) about entity removal
+      for (const query of this.queries.values()) {
+        query.remove(entity);
       }
-      
+
+      if (entity.tag !== undefined) {
+        this.tagIndex.get(entity.tag)?.delete(entity);
+      }
+
       entity.destroy();
       this.entities.delete(entityId);
     }
   }
 
-  addSystem(system, name) {
+  /**
+   * Register a system. Options override the system's own phase/priority/before/after.
+   * Throws if the phase is unknown or the ordering constraints form a cycle.
+   */
+  addSystem(system, name, options = {}) {
+    if (this.systems.has(name)) {
+      throw new Error(`System "${name}" is already registered`);
+    }
+
+    const entry = {
+      phase: options.phase ?? system.phase ?? 'simulation',
+      priority: options.priority ?? system.priority ?? 0,
+      before: [...(system.before || []), ...(options.before || [])],
+      after: [...(system.after || []), ...(options.after || [])],
+      index: this.nextSystemIndex++,
+    };
+
+    if (!World.PHASES.includes(entry.phase)) {
+      throw new Error(`System "${name}" has unknown phase "${entry.phase}" (expected one of: ${World.PHASES.join(', ')})`);
+    }
+
+    // Resolve the new order first so a cycle leaves the world untouched
+    const schedule = new Map(this.schedule).set(name, entry);
+    const order = this.resolveExecutionOrder(schedule);
+
+    system.phase = entry.phase;
+    system.priority = entry.priority;
+    this.schedule = schedule;
     this.systems.set(name, system);
-    
+    this.setExecutionOrder(order.map(systemName => this.systems.get(systemName)));
+
+    // Bind the system to a cached query so membership updates incrementally
+    const query = this.query(system.getRequirements());
+    system.query = query;
+
+    this.systemSubscriptions.set(name, query.subscribe({
+      onEntityAdded: (entity) => system.addEntity(entity),
+      onEntityRemoved: (entity) => system.removeEntity(entity),
+    }));
+
     // Add existing entities to the new system
-    for (const entity of this.entities.values()) {
+    for (const entity of query.entities) {
       system.addEntity(entity);
     }
-    
+
     return system;
   }
 
@@ -64,9 +202,107 @@ export class World {
   removeSystem(name) {
     const system = this.systems.get(name);
     if (system) {
+      this.systemSubscriptions.get(name)?.();
+      this.systemSubscriptions.delete(name);
       system.entities.clear();
       this.systems.delete(name);
+      this.schedule.delete(name);
+      this.setExecutionOrder(this.executionOrder.filter(s => s !== system));
+    }
+  }
+
+  setExecutionOrder(systems) {
+    this.executionOrder = systems;
+    this.fixedSystems = systems.filter(system => World.FIXED_PHASES.includes(system.phase));
+    this.frameSystems = systems.filter(system => !World.FIXED_PHASES.includes(system.phase));
+  }
+
+  /**
+   * Topologically sort systems: phases in World.PHASES order, then explicit
+   * before/after constraints, ties broken by priority and registration order.
+   * Constraints naming systems that aren't registered (yet) are ignored.
+   */
+  resolveExecutionOrder(schedule = this.schedule) {
+    const names = Array.from(schedule.keys());
+    const edges = new Map(names.map(name => [name, new Set()]));
+    const inDegree = new Map(names.map(name => [name, 0]));
+
+    const addEdge = (from, to) => {
+      if (!edges.has(from) || !edges.has(to) || edges.get(from).has(to)) return;
+      edges.get(from).add(to);
+      inDegree.set(to, inDegree.get(to) + 1);
+    };
+
+    for (const [name, entry] of schedule) {
+      entry.before.forEach(other => addEdge(name, other));
+      entry.after.forEach(other => addEdge(other, name));
+
+      const phaseIndex = World.PHASES.indexOf(entry.phase);
+      for (const [otherName, other] of schedule) {
+        if (World.PHASES.indexOf(other.phase) > phaseIndex) {
+          addEdge(name, otherName);
+        }
+      }
+    }
+
+    const rank = (name) => {
+      const entry = schedule.get(name);
+      return [World.PHASES.indexOf(entry.phase), entry.priority, entry.index];
+    };
+    const compare = (a, b) => {
+      const ra = rank(a);
+      const rb = rank(b);
+      return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2];
+    };
+
+    const ready = names.filter(name => inDegree.get(name) === 0);
+    const order = [];
+
+    while (ready.length > 0) {
+      ready.sort(compare);
+      const name = ready.shift();
+      order.push(name);
+
+      for (const next of edges.get(name)) {
+        inDegree.set(next, inDegree.get(next) - 1);
+        if (inDegree.get(next) === 0) ready.push(next);
+      }
+    }
+
+    if (order.length < names.length) {
+      const stuck = names.filter(name => !order.includes(name));
+      const cycle = this.findCycle(stuck, edges);
+      const describe = cycle.map(name => `${name} (${schedule.get(name).phase})`).join(' -> ');
+      throw new Error(`System ordering cycle: ${describe}. Check before/after constraints against phase order.`);
+    }
+
+    return order;
+  }
+
+  findCycle(names, edges) {
+    const visiting = [];
+    const done = new Set();
+
+    const visit = (name) => {
+      const start = visiting.indexOf(name);
+      if (start !== -1) return [...visiting.slice(start), name];
+      if (done.has(name)) return null;
+
+      visiting.push(name);
+      for (const next of edges.get(name)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+      visiting.pop();
+      done.add(name);
+      return null;
+    };
+
+    for (const name of names) {
+      const cycle = visit(name);
+      if (cycle) return cycle;
     }
+    return names;
   }
 
   start() {
@@ -77,20 +313,82 @@ export class World {
 
   stop() {
     this.running = false;
+    if (this.animationFrameId !== null) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    // Don't replay the time spent paused
+    this.accumulator = 0;
+    this.lastTime = performance.now();
   }
 
   gameLoop() {
     if (!this.running) return;
 
     const currentTime = performance.now();
-    const deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
+    const frameTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
     this.lastTime = currentTime;
 
-    this.update(deltaTime);
+    this.tick(frameTime);
+
+    this.animationFrameId = requestAnimationFrame(() => this.gameLoop());
+  }
+
+  /**
+   * Advance the simulation by a real-time delta (seconds), running as many
+   * fixed steps as have accumulated, then the presentation and render phases
+   * once. Works without requestAnimationFrame, so it can drive the world
+   * headless. Returns the number of steps run.
+   */
+  tick(deltaTime) {
+    // A paused world still draws, it just doesn't move
+    const frameTime = this.paused ? 0 : Math.max(0, deltaTime) * this.timeScale;
+    this.accumulator += frameTime;
 
-    requestAnimationFrame(() => this.gameLoop());
+    let steps = 0;
+    while (this.accumulator >= this.fixedTimestep && steps < this.maxSubSteps) {
+      this.runStep();
+      this.accumulator -= this.fixedTimestep;
+      steps++;
+    }
+
+    // Drop whatever is left after hitting the cap rather than falling further behind
+    if (steps === this.maxSubSteps && this.accumulator >= this.fixedTimestep) {
+      this.accumulator = 0;
+    }
+
+    this.renderFrame(frameTime);
+    return steps;
+  }
+
+  /**
+   * Run exactly n fixed steps, regardless of pause state or time scale, then
+   * render once
+   */
+  step(n = 1) {
+    for (let i = 0; i < n; i++) {
+      this.runStep();
+    }
+    this.renderFrame(n * this.fixedTimestep);
+    return n;
+  }
+
+  runStep() {
+    this.update(this.fixedTimestep);
+    this.time += this.fixedTimestep;
+    this.frame++;
   }
 
+  // One fixed step of the input, simulation and ai phases
   update(deltaTime) {
     // Clean up destroyed entities
     for (const [id, entity] of this.entities) {
@@ -99,36 +397,111 @@ export class World {
       }
     }
 
-    // Update all systems
-    for (const system of this.systems.values()) {
+    for (const system of this.fixedSystems) {
       system.update(deltaTime);
     }
   }
 
-  getEntity(entityId) {
-    return this.entities.get(entityId);
+  /**
+   * The presentation and render phases, once per frame, with the simulated
+   * time this frame covered. They draw the state of the last fixed step.
+   */
+  renderFrame(deltaTime) {
+    for (const system of this.frameSystems) {
+      system.update(deltaTime);
+    }
   }
-  
-  getEntitiesByTag(tag) {
+
+  /**
+   * Snapshot every live entity and its registered components as plain JSON data.
+   * Unregistered components are runtime-only and skipped.
+   */
+  serialize() {
     const entities = [];
+
     for (const entity of this.entities.values()) {
-      if (entity.tag === tag) {
-        entities.push(entity);
+      if (!entity.active) continue;
+
+      const components = {};
+      for (const [name, component] of entity.components) {
+        if (getComponentType(name)) {
+          components[name] = component.toJSON();
+        }
       }
+
+      entities.push({ id: entity.id, tag: entity.tag ?? null, components });
     }
-    return entities;
+
+    const snapshot = {
+      version: World.SNAPSHOT_VERSION,
+      savedAt: Date.now(),
+      time: this.time,
+      frame: this.frame,
+      entities,
+    };
+
+    // Round-trip so the snapshot shares no references with live components
+    return JSON.parse(JSON.stringify(snapshot));
   }
-  
-  getEntitiesWithComponent(ComponentClass) {
-    const entities = [];
-    for (const entity of this.entities.values()) {
-      if (entity.hasComponent(ComponentClass)) {
-        entities.push(entity);
+
+  /**
+   * Create a new world (without systems) from a serialize() snapshot
+   */
+  static deserialize(json, options = {}) {
+    return new World(options).restore(json);
+  }
+
+  /**
+   * Replace this world's entities with those in a snapshot, keeping systems.
+   * Systems see the old entities removed and the restored ones added, then
+   * 'world:restored' is emitted so they can rebuild derived state.
+   */
+  restore(json) {
+    const snapshot = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!snapshot || snapshot.version !== World.SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported world snapshot version: ${snapshot?.version}`);
+    }
+
+    for (const id of Array.from(this.entities.keys())) {
+      this.removeEntity(id);
+    }
+
+    for (const data of snapshot.entities) {
+      const entity = this.createEntity(data.id);
+      if (data.tag !== null && data.tag !== undefined) {
+        entity.tag = data.tag;
+      }
+
+      for (const [name, componentData] of Object.entries(data.components || {})) {
+        const ComponentClass = getComponentType(name);
+        if (!ComponentClass) {
+          console.warn(`Skipping unknown component "${name}" on entity ${data.id}`);
+          continue;
+        }
+        entity.addComponent(ComponentClass.fromJSON(componentData));
       }
     }
-    return entities;
+
+    this.time = snapshot.time || 0;
+    this.frame = snapshot.frame || 0;
+    this.accumulator = 0;
+
+    this.events.emit('world:restored', { snapshot });
+    return this;
+  }
+
+  getEntity(entityId) {
+    return this.entities.get(entityId);
+  }
+
+  getEntitiesByTag(tag) {
+    return Array.from(this.tagIndex.get(tag) || []);
+  }
+
+  getEntitiesWithComponent(ComponentClass) {
+    return this.query({ all: [ComponentClass] }).toArray();
   }
-  
+
   ensureComponent(entity, ComponentClass) {
     if (!entity.hasComponent(ComponentClass)) {
       const component = new ComponentClass();
@@ -139,8 +512,22 @@ export class World {
   }
 
   clear() {
-    this.running = false;
+    this.stop();
+    this.paused = false;
+    this.accumulator = 0;
+    this.time = 0;
+    this.frame = 0;
+    for (const unsubscribe of this.systemSubscriptions.values()) {
+      unsubscribe();
+    }
+    this.systemSubscriptions.clear();
     this.entities.clear();
     this.systems.clear();
+    this.schedule.clear();
+    this.setExecutionOrder([]);
+    this.queries.clear();
+    this.queriesByComponent.clear();
+    this.tagIndex.clear();
+    this.events.clear();
   }
 }
\ No newline at end of file
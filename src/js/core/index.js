@@ -1,4 +1,7 @@
 export { Entity } from './Entity.js';
 export { Component } from './Component.js';
 export { System } from './System.js';
-export { World } from './World.js';
\ No newline at end of file
+export { World } from './World.js';
+export { Query } from './Query.js';
+export { EventBus } from './EventBus.js';
+export { registerComponent, getComponentType, getRegisteredComponentNames } from './ComponentRegistry.js';
\ No newline at end of file
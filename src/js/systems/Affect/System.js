@@ -0,0 +1,111 @@
+import { System } from '../../core/System.js';
+import { CONFIG } from '../../config/index.js';
+import { BrainComponent } from '../../components/BrainComponent.js';
+import { Sentiment } from '../../utils/Sentiment.js';
+
+/**
+ * AffectSystem - Moves AI entities' moods with what they hear
+ *
+ * Every message an AI entity receives is scored for valence and arousal, by
+ * the LLM when it's available and by the Sentiment lexicon otherwise. The
+ * score shifts the listener's affect and its feeling toward the sender. Each
+ * frame, affect decays back toward the brain's personality baseline.
+ */
+export class AffectSystem extends System {
+    constructor(world) {
+        super();
+        this.phase = 'ai';
+        this.world = world;
+
+        this.scoring = Promise.resolve(); // Scores run one at a time so they don't crowd out replies
+    }
+
+    init() {
+        console.log('💗 Initializing AffectSystem...');
+        const events = this.world.events;
+
+        // Player chats, groups and autonomous conversations all go through sessions
+        events.on('session:message', ({ message, senderId, entities }) => {
+            if (message.type === 'system') return;
+            const listeners = entities.filter(entity => entity.id !== senderId && this.hasAffect(entity));
+            if (listeners.length > 0) {
+                this.hear(listeners, senderId, message.content);
+            }
+        });
+
+        console.log('✅ AffectSystem initialized');
+    }
+
+    hasAffect(entity) {
+        const brain = entity.getComponent(BrainComponent);
+        return Boolean(brain) && brain.model !== 'human';
+    }
+
+    async hear(listeners, senderId, text) {
+        if (!text || !text.trim()) return;
+
+        const score = await this.score(text);
+        const { messageImpact } = CONFIG.affect;
+        const senderName = this.world.getEntity(senderId)?.tag || 'someone';
+        const cause = `message from ${senderName}: "${text.length > 60 ? `${text.slice(0, 60)}...` : text}"`;
+
+        for (const entity of listeners) {
+            const brain = entity.getComponent(BrainComponent);
+            if (!brain) continue;
+
+            brain.feel({ valence: score.valence * messageImpact, arousal: score.arousal * messageImpact }, cause);
+            if (senderId) {
+                brain.recordSentiment(senderId, score.valence);
+            }
+        }
+    }
+
+    /**
+     * { valence, arousal } for text, each -1..1
+     */
+    score(text) {
+        const result = this.scoring.then(() => this.scoreWithModel(text));
+        this.scoring = result.catch(() => {});
+        return result;
+    }
+
+    async scoreWithModel(text) {
+        if (!CONFIG.affect.llmSentiment || !this.world.events.hasHandler('agent:generate')) {
+            return Sentiment.score(text);
+        }
+
+        try {
+            const reply = await this.world.events.request('agent:generate', {
+                prompt: `Rate the emotional tone of this message.
+
+Message: ${text}
+
+Respond with only JSON in this shape:
+{"valence": number from -1 (very negative) to 1 (very positive), "arousal": number from -1 (calm) to 1 (intense)}`,
+                options: { temperature: 0, signal: AbortSignal.timeout(CONFIG.affect.sentimentTimeout) }
+            });
+
+            const data = JSON.parse(reply.match(/\{[\s\S]*?\}/)?.[0]);
+            const valence = Number(data.valence);
+            const arousal = Number(data.arousal);
+            if (Number.isFinite(valence) && Number.isFinite(arousal)) {
+                return {
+                    valence: Math.max(-1, Math.min(1, valence)),
+                    arousal: Math.max(-1, Math.min(1, arousal))
+                };
+            }
+        } catch (error) {
+            // Model offline, slow or off-format; the lexicon still gives a score
+        }
+        return Sentiment.score(text);
+    }
+
+    update(deltaTime) {
+        for (const entity of this.world.getEntitiesWithComponent(BrainComponent)) {
+            const brain = entity.getComponent(BrainComponent);
+            if (brain.model !== 'human') {
+                brain.decayAffect(deltaTime);
+            }
+        }
+    }
+}
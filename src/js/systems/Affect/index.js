@@ -0,0 +1 @@
+export { AffectSystem } from './System.js';
\ No newline at end of file
@@ -1,22 +1,29 @@
 import { System } from "../../core/System.js";
-import { VoxelIndicatorComponent } from "../../components/VoxelIndicatorComponent.js";
 import { CONFIG } from "../../config/index.js";
+import { createProviders } from "./providers/index.js";
+import { ConversationHistory, TokenEstimator } from "../../utils/index.js";
+import { ToolCalling } from "./ToolCalling.js";
+import { BrainComponent } from "../../components/BrainComponent.js";
 
 /**
- * AgentSystem - Handles communication with local Ollama instance
+ * AgentSystem - Handles communication with LLM providers (Ollama by default)
  */
 export class AgentSystem extends System {
   constructor() {
     super();
+    this.phase = 'ai';
     this.requiredComponents = [];
 
-    // Ollama configuration from CONFIG
-    this.ollamaUrl = CONFIG.ai.ollamaUrl;
+    // Providers from CONFIG; models are named "model" or "provider:model"
+    this.providers = createProviders(CONFIG.ai.providers);
+    this.defaultProvider = CONFIG.ai.defaultProvider;
     this.currentModel = CONFIG.ai.defaultModel;
     this.availableModels = [];
 
-    // Connection state
+    // Connection state: isConnected is the default provider's, providerHealth
+    // has every provider's by name
     this.isConnected = false;
+    this.providerHealth = new Map();
     this.lastHealthCheck = 0;
     this.healthCheckInterval = CONFIG.ai.healthCheckInterval;
 
@@ -24,6 +31,15 @@ export class AgentSystem extends System {
     this.messages = [];
     this.isProcessing = false;
 
+    // In-flight requests: { entity, controller, timer }
+    this.activeRequests = new Set();
+
+    // What each model can do, by model name (see getCapabilities)
+    this.modelCapabilities = new Map();
+
+    // The last request sent for each entity, for /prompt debug (see recordTurn)
+    this.lastTurns = new Map();
+
     // Multimodal support
     this.supportsImages = true;
     this.imageQueue = [];
@@ -38,14 +54,25 @@ export class AgentSystem extends System {
     // Initial health check
     await this.checkHealth();
 
-    // Get available models
-    if (this.isConnected) {
-      await this.fetchModels();
-    }
+    // Get available models (other providers may be up even if the default isn't)
+    await this.fetchModels();
 
     // Setup message handler
     this.setupMessageHandler();
 
+    // Session turns sent with entity prompts
+    this.conversationHistory = new ConversationHistory(this.world);
+
+    // Answer generation requests from other systems
+    this.world.events.handle('agent:generate', (request) => this.handleGenerateRequest(request));
+    this.world.events.handle('agent:embed', ({ input, model }) => this.embed(input, model));
+    this.world.events.handle('agent:connection', ({ entity, options }) => this.connectionFor(entity, options));
+    this.world.events.handle('agent:capabilities', async ({ entity, model = this.modelFor(entity) }) => {
+      const capabilities = await this.getCapabilities(model);
+      return { model, capabilities, description: this.describeCapabilities(capabilities) };
+    });
+    this.world.events.handle('agent:switchModel', ({ model }) => this.switchModel(model));
+
     // Update UI with current capabilities
     this.updateImageUploadUI();
 
@@ -53,97 +80,294 @@ export class AgentSystem extends System {
   }
 
   async checkHealth() {
-    try {
-      const response = await fetch(`${this.ollamaUrl}/api/tags`, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-        },
-      });
+    await Promise.all([...this.providers].map(async ([name, provider]) => {
+      const connected = await provider.checkHealth();
+      if (connected !== (this.providerHealth.get(name) ?? false)) {
+        console.log(connected ? `✅ ${name} is connected` : `❌ ${name} connection failed`);
+      }
+      this.providerHealth.set(name, connected);
+    }));
 
-      if (response.ok) {
-        this.isConnected = true;
-        this.updateConnectionStatus(true);
-        console.log("✅ Ollama is connected");
-        return true;
+    const connected = this.providerHealth.get(this.defaultProvider) ?? false;
+    this.isConnected = connected;
+    this.updateConnectionStatus(connected);
+    return connected;
+  }
+
+  // Whether provider answered its last health check
+  isProviderConnected(provider) {
+    return this.providerHealth.get(provider.name) === true;
+  }
+
+  // { provider, connected }: the name of the provider answering for entity
+  // (or options.model) and whether it is up
+  connectionFor(entity = null, options = {}) {
+    const { provider } = this.resolveModel(options.model || this.modelFor(entity));
+    return { provider: provider.name, connected: this.isProviderConnected(provider) };
+  }
+
+  /**
+   * Split "provider:model" into its provider and model name. Names without a
+   * known provider prefix (e.g. "gemma3:4b") go to the default provider.
+   */
+  resolveModel(modelName = this.currentModel) {
+    const separator = modelName.indexOf(":");
+    if (separator > 0) {
+      const provider = this.providers.get(modelName.slice(0, separator));
+      if (provider) {
+        return { provider, model: modelName.slice(separator + 1) };
       }
-    } catch (error) {
-      console.log("❌ Ollama connection failed:", error.message);
     }
 
-    this.isConnected = false;
-    this.updateConnectionStatus(false);
-    return false;
+    const provider = this.providers.get(this.defaultProvider);
+    if (!provider) {
+      throw new Error(`No provider configured for model "${modelName}"`);
+    }
+    return { provider, model: modelName };
   }
 
   async fetchModels() {
-    try {
-      const response = await fetch(`${this.ollamaUrl}/api/tags`);
-      if (response.ok) {
-        const data = await response.json();
-        this.availableModels = data.models || [];
-        console.log(
-          "📋 Available models:",
-          this.availableModels.map((m) => m.name),
-        );
+    const models = [];
+
+    // Models may have been pulled again since they were last asked about
+    this.modelCapabilities.clear();
+
+    // Default provider models keep their plain names, others get a prefix
+    for (const [name, provider] of this.providers) {
+      try {
+        const providerModels = await provider.listModels();
+        providerModels.forEach((model) => {
+          models.push({
+            ...model,
+            name: name === this.defaultProvider ? model.name : `${name}:${model.name}`,
+          });
+        });
+      } catch (error) {
+        console.warn(`⚠️ Failed to fetch models from ${name}:`, error.message);
+      }
+    }
 
-        // Check if current model exists, otherwise use first available
-        const modelExists = this.availableModels.some(
-          (m) => m.name === this.currentModel,
-        );
-        if (!modelExists && this.availableModels.length > 0) {
-          this.currentModel = this.availableModels[0].name;
-        }
+    await Promise.all(models.map(async (model) => {
+      model.capabilities = await this.getCapabilities(model.name);
+    }));
 
-        // Check if current model supports images
-        this.checkModelCapabilities();
+    this.availableModels = models;
+    console.log(
+      "📋 Available models:",
+      this.availableModels.map((m) => `${m.name} (${this.describeCapabilities(m.capabilities)})`),
+    );
 
-        // Update UI with model list
-        this.updateModelList();
-      }
-    } catch (error) {
-      console.error("❌ Failed to fetch models:", error);
+    // Check if current model exists and can chat, otherwise use the first one
+    // its provider offers (an unreachable provider lists nothing, so keep the choice)
+    const { provider } = this.resolveModel(this.currentModel);
+    const modelExists = this.availableModels.some(
+      (m) => m.name === this.currentModel && !this.isEmbeddingOnly(m.capabilities),
+    );
+    const sameProvider = this.availableModels.filter(
+      (m) => this.resolveModel(m.name).provider === provider && !this.isEmbeddingOnly(m.capabilities),
+    );
+    if (!modelExists && sameProvider.length > 0) {
+      this.currentModel = sameProvider[0].name;
     }
+
+    // Check what the current model can do
+    await this.checkModelCapabilities();
+
+    // Update UI with model list
+    this.updateModelList();
   }
 
-  checkModelCapabilities() {
-    // Check if current model supports multimodal input
-    const multimodalModels = CONFIG.ai.multimodalModels;
-    this.supportsImages = multimodalModels.some((model) =>
-      this.currentModel.toLowerCase().includes(model),
-    );
+  async checkModelCapabilities() {
+    const capabilities = await this.getCapabilities(this.currentModel);
+    this.supportsImages = capabilities.images;
 
     console.log(
-      `🖼️ Model ${this.currentModel} supports images: ${this.supportsImages}`,
+      `🖼️ Model ${this.currentModel}: ${this.describeCapabilities(capabilities)}`,
     );
   }
 
+  /**
+   * { chat, images, tools, embedding, contextLength } for modelName, asked
+   * of its provider once and cached. The lookup gives up after
+   * CONFIG.ai.requestTimeout; guesses made while the provider was unreachable
+   * or slow aren't kept. Rejects with signal's reason if it aborts first.
+   */
+  getCapabilities(modelName = this.currentModel, signal = null) {
+    if (!this.modelCapabilities.has(modelName)) {
+      const { provider, model } = this.resolveModel(modelName);
+      const lookup = { signal: AbortSignal.timeout(CONFIG.ai.requestTimeout) };
+      const capabilities = provider.capabilities(model, lookup).then((result) => {
+        if (result.guessed) {
+          this.modelCapabilities.delete(modelName);
+        }
+        return result;
+      });
+      this.modelCapabilities.set(modelName, capabilities);
+    }
+    return this.untilAborted(this.modelCapabilities.get(modelName), signal);
+  }
+
+  // promise, or a rejection with signal's reason if signal aborts first
+  untilAborted(promise, signal) {
+    if (!signal) return promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      if (signal.aborted) return onAbort();
+
+      signal.addEventListener("abort", onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+
+  // Model that answers for entity: its brain's, or the selected one
+  modelFor(entity) {
+    const brain = entity?.getComponent('BrainComponent');
+    return brain && brain.model !== 'human' ? brain.model : this.currentModel;
+  }
+
+  /**
+   * Generation options for a reply: entity's brain's (see
+   * BrainComponent.getGenerationOptions), with any options of the same names
+   * on top, e.g. { temperature: 0 } for a classification prompt.
+   */
+  generationOptionsFor(entity, options = {}) {
+    const brain = entity?.getComponent(BrainComponent);
+    const generation = brain && brain.model !== 'human' ? brain.getGenerationOptions() : {};
+    BrainComponent.generationOptionNames().forEach((name) => {
+      if (options[name] !== undefined) {
+        generation[name] = options[name];
+      }
+    });
+    return generation;
+  }
+
+  // Models like nomic-embed-text only embed, so they can't answer
+  isEmbeddingOnly(capabilities) {
+    return Boolean(capabilities) && !capabilities.chat;
+  }
+
+  // e.g. "vision, tools, 8k context"
+  describeCapabilities(capabilities) {
+    if (!capabilities) return "unknown";
+    if (this.isEmbeddingOnly(capabilities)) return "embedding";
+
+    const parts = [];
+    if (capabilities.images) parts.push("vision");
+    if (capabilities.tools) parts.push("tools");
+    if (capabilities.embedding) parts.push("embedding");
+    parts.push(`${Math.round(capabilities.contextLength / 1024)}k context`);
+    return parts.join(", ");
+  }
+
   setupMessageHandler() {
     // Listen for send button click (already setup in app.js)
     // We'll hook into the sendMessage method
   }
 
+  /**
+   * Track a cancellable request, for entity in sessionId if given. Its
+   * controller aborts on cancelRequests(), when the caller's signal aborts,
+   * or after CONFIG.ai.requestTimeout.
+   */
+  beginRequest(entity = null, signal = null, sessionId = null) {
+    const controller = new AbortController();
+    const request = { entity, sessionId, controller };
+
+    request.timer = setTimeout(() => {
+      controller.abort(new DOMException(`Request timed out after ${CONFIG.ai.requestTimeout}ms`, "TimeoutError"));
+    }, CONFIG.ai.requestTimeout);
+
+    if (signal?.aborted) {
+      controller.abort(signal.reason);
+    } else if (signal) {
+      signal.addEventListener("abort", () => controller.abort(signal.reason), { once: true });
+    }
+
+    this.activeRequests.add(request);
+    return request;
+  }
+
+  endRequest(request) {
+    clearTimeout(request.timer);
+    this.activeRequests.delete(request);
+  }
+
+  /**
+   * Abort in-flight requests: entity's, those for sessionId (every speaker
+   * in a group), or all of them if neither is given. Returns how many were
+   * cancelled.
+   */
+  cancelRequests({ entity = null, sessionId = null } = {}) {
+    let cancelled = 0;
+    for (const request of this.activeRequests) {
+      if (request.controller.signal.aborted) continue;
+      if (entity && request.entity !== entity) continue;
+      if (sessionId && request.sessionId !== sessionId) continue;
+      request.controller.abort(new DOMException("Request cancelled", "AbortError"));
+      cancelled++;
+    }
+    return cancelled;
+  }
+
+  isAbortError(error) {
+    return error?.name === "AbortError";
+  }
+
+  /**
+   * Generate a reply. Pass options.onToken(token, text) to stream the reply
+   * as it is generated; the full text is still returned when done.
+   * options.history is a list of earlier { role, content } turns sent between
+   * the system prompt and content. Generation options (temperature, top_p,
+   * ...) come from entity's brain; the same names in options override them.
+   * options.tools are JSON-schema function definitions the model may call;
+   * each call goes to options.runTool({ name, arguments }), its result is sent
+   * back, and options.onToolCall({ name, arguments, result, error }) reports it.
+   * Rejects with an AbortError when cancelled, a TimeoutError when it
+   * runs past CONFIG.ai.requestTimeout, a NetworkError while the model's
+   * provider is offline, and the provider's error when the request fails.
+   */
   async generateResponse(content, options = {}) {
-    const { model = this.currentModel, images = [], entity = null, context = {} } = options;
+    let { images = [] } = options;
+    const { model = this.currentModel, entity = null, context = {}, history = [], onToken = null, signal = null } = options;
+    const { tools = [], runTool = null, onToolCall = null } = options;
     
-    if (!this.isConnected) {
-      console.warn("Cannot generate response: not connected to Ollama");
-      return "I'm currently offline. Please ensure Ollama is running.";
+    const { provider, model: providerModel } = this.resolveModel(model);
+    if (!this.isProviderConnected(provider)) {
+      throw new DOMException(`Not connected to ${provider.name}. Please ensure it is running.`, "NetworkError");
     }
 
+    const request = this.beginRequest(entity, signal, context.sessionId || null);
+
     try {
+      const capabilities = await this.getCapabilities(model, request.controller.signal);
+      const nativeTools = tools.length > 0 && capabilities.tools;
+
+      // Models without vision reject images, so send the text alone
+      if (images.length > 0 && !capabilities.images) {
+        console.warn(`⚠️ ${model} doesn't take images; sending ${images.length} image(s) without them`);
+        images = [];
+      }
+
       const messages = [];
       
-      // Add system prompt if entity has one
-      if (entity) {
-        const systemPrompt = this.buildSystemPrompt(entity, context);
-        if (systemPrompt) {
-          messages.push({
-            role: "system",
-            content: systemPrompt
-          });
-        }
+      // Add system prompt if entity has one; models without native tools
+      // get the tools described in it instead
+      let systemPrompt = options.systemPrompt !== undefined
+        ? options.systemPrompt
+        : entity && this.buildSystemPrompt(entity, context);
+      if (tools.length > 0 && !nativeTools) {
+        systemPrompt = [systemPrompt, ToolCalling.instructions(tools)].filter(Boolean).join("\n\n");
+      }
+      if (systemPrompt) {
+        messages.push({
+          role: "system",
+          content: systemPrompt
+        });
       }
+
+      // Add earlier turns of the conversation
+      messages.push(...history);
       
       // Add user message
       messages.push({
@@ -152,109 +376,273 @@ export class AgentSystem extends System {
         images: images.length > 0 ? images : undefined
       });
 
-      const response = await fetch(`${this.ollamaUrl}/api/chat`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: messages,
-          stream: false
-        }),
-      });
+      const toolNames = tools.map((tool) => tool.function.name);
+      const generation = this.generationOptionsFor(entity, options);
+
+      for (let round = 0; ; round++) {
+        const offerTools = tools.length > 0 && round < CONFIG.ai.maxToolRounds;
+        const chatRequest = {
+          model: providerModel,
+          messages,
+          signal: request.controller.signal,
+          tools: offerTools && nativeTools ? tools : undefined,
+          options: generation,
+        };
+
+        // A prompted tool call is plain JSON text, so hold tokens back until
+        // the reply clearly isn't one
+        let holding = offerTools && !nativeTools;
+        const streamToken = (token, text) => {
+          if (holding && ToolCalling.mightBeToolCall(text)) return;
+          if (holding) {
+            holding = false;
+            token = text;
+          }
+          onToken(token, text);
+        };
+
+        const result = onToken
+          ? await provider.stream({ ...chatRequest, onToken: streamToken })
+          : await provider.chat(chatRequest);
+        if (entity) {
+          this.recordTurn(entity, { model, messages, history, tools: chatRequest.tools, context, usage: result.usage, round });
+        }
+
+        let toolCalls = [];
+        if (offerTools) {
+          toolCalls = nativeTools ? result.toolCalls || [] : ToolCalling.parse(result.content, toolNames);
+        }
+
+        if (toolCalls.length === 0) {
+          if (holding && result.content) {
+            onToken(result.content, result.content);
+          }
+          return result.content || "No response generated.";
+        }
+
+        messages.push(nativeTools
+          ? { role: "assistant", content: result.content || "", tool_calls: toolCalls.map((call) => ({ function: call })) }
+          : { role: "assistant", content: result.content });
+
+        for (const call of toolCalls) {
+          const trace = await this.runToolCall(call, runTool);
+          request.controller.signal.throwIfAborted();
+          onToolCall?.(trace);
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+          const output = trace.error ? `Error: ${trace.error}` : trace.result;
+          messages.push(nativeTools
+            ? { role: "tool", tool_name: call.name, content: output }
+            : { role: "user", content: `Result of ${call.name}:\n${output}` });
+        }
+
+        if (round + 1 >= CONFIG.ai.maxToolRounds) {
+          messages.push({ role: "user", content: "No more tools are available for this reply. Answer with what you have." });
+        }
+      }
+    } catch (error) {
+      // Failures are for the caller to handle, never passed off as a reply;
+      // cancellation and timeouts arrive as the abort's reason
+      throw request.controller.signal.aborted ? request.controller.signal.reason : error;
+    } finally {
+      this.endRequest(request);
+    }
+  }
+
+  /**
+   * Keep what was just sent for entity, section by section, with our token
+   * estimates and the count the backend reported (usage.promptTokens, from
+   * Ollama's prompt_eval_count). Read by /prompt debug.
+   */
+  recordTurn(entity, { model, messages, history, tools, context, usage, round }) {
+    const [first, ...rest] = messages;
+    const system = first?.role === "system" ? first : null;
+    const assembly = context.promptAssembly;
+    const sections = [];
+
+    if (system && assembly && system.content.startsWith(assembly.prompt)) {
+      assembly.sections
+        .filter((section) => section.text.trim() || section.cut > 0)
+        .forEach((section) => sections.push({ ...section, name: section.name || "template", part: "system" }));
+
+      // Prompted tool descriptions follow the rendered template
+      const extra = system.content.slice(assembly.prompt.length).trim();
+      if (extra) {
+        sections.push({ name: "tool instructions", text: extra, tokens: TokenEstimator.count(extra), part: "system" });
       }
+    } else if (system) {
+      sections.push({ name: "system prompt", text: system.content, tokens: TokenEstimator.count(system.content), part: "system" });
+    }
+
+    (system ? rest : messages).forEach((message, index) => {
+      const part = index < history.length ? "history" : index === history.length ? "message" : "tool round";
+      sections.push({
+        name: `${part}: ${message.role}${message.images?.length ? ` + ${message.images.length} image(s)` : ""}`,
+        text: message.content || (message.tool_calls ? JSON.stringify(message.tool_calls) : ""),
+        tokens: TokenEstimator.countMessage(message),
+        part,
+      });
+    });
+
+    if (tools) {
+      const definitions = JSON.stringify(tools);
+      sections.push({ name: `tool definitions (${tools.length})`, text: definitions, tokens: TokenEstimator.count(definitions), part: "tools" });
+    }
+
+    this.lastTurns.set(entity.id, {
+      model,
+      round,
+      timestamp: Date.now(),
+      budget: assembly?.budget ?? null,
+      sections,
+      estimated: TokenEstimator.countMessages(messages) + (tools ? TokenEstimator.count(JSON.stringify(tools)) : 0),
+      reported: usage?.promptTokens ?? null,
+    });
+  }
 
-      const data = await response.json();
-      return data.message?.content || "No response generated.";
+  // Run one tool call; failures are reported back to the model rather than thrown
+  async runToolCall(call, runTool) {
+    const trace = { name: call.name, arguments: call.arguments };
+    try {
+      if (!runTool) {
+        throw new Error("Tools are not available");
+      }
+      trace.result = String(await runTool(call));
     } catch (error) {
-      console.error("Failed to generate response:", error);
-      return "Failed to generate response. Please check the console for details.";
+      trace.error = error.message;
     }
+    return trace;
+  }
+
+  /**
+   * Embed one or more texts with model ("provider:model" works). Resolves with
+   * one vector per text.
+   */
+  async embed(input, model = CONFIG.memory.embeddingModel) {
+    const { provider, model: providerModel } = this.resolveModel(model);
+    return provider.embed({ model: providerModel, input: Array.isArray(input) ? input : [input] });
   }
 
   buildSystemPrompt(entity, context = {}) {
     const brain = entity.getComponent('BrainComponent');
-    if (!brain || !brain.systemPrompt) return null;
+    if (!brain) return null;
 
-    // Use the SystemPromptBuilder if available
+    // Render the entity's prompt template (experiences, relationships and
+    // relays come from the brain; memories and @references from context).
+    // The sections are kept on context for recordTurn
     if (this.promptBuilder) {
-      return this.promptBuilder.buildPrompt(entity, context);
+      context.promptAssembly = this.promptBuilder.assemblePrompt(entity, context, { budget: context.promptBudget });
+      return context.promptAssembly.prompt;
     }
 
     // Fallback to basic system prompt
-    return brain.systemPrompt;
+    return brain.systemPrompt || null;
   }
 
   setPromptBuilder(promptBuilder) {
     this.promptBuilder = promptBuilder;
   }
 
-  async generateResponseWithContext(content, entity, context = {}) {
-    const brain = entity.getComponent('BrainComponent');
-    if (!brain) {
-      return this.generateResponse(content);
+  /**
+   * Responder for world.events.request('agent:generate', { prompt, entity, context, options }).
+   * Rejects while the model's provider is offline so callers can fall back
+   * to canned text.
+   */
+  async handleGenerateRequest({ prompt, entity = null, context = {}, options = {} }) {
+    const { provider, connected } = this.connectionFor(entity, options);
+    if (!connected) {
+      throw new Error(`Agent is not connected to ${provider}`);
     }
 
-    // Update indicator to show thinking state
-    const indicator = entity.getComponent(VoxelIndicatorComponent);
-    if (indicator) {
-      indicator.setState('thinking');
+    if (entity) {
+      return this.generateResponseWithContext(prompt, entity, context, options);
     }
+    return this.generateResponse(prompt, options);
+  }
 
-    try {
-      // Add conversation context if enabled
-      if (brain.contextSettings.includeHistory) {
-        const sessionSystem = this.world.getSystem('session');
-        if (sessionSystem) {
-          // Get recent conversation context
-          context.recentHistory = this.getRecentConversationContext(entity, brain.contextSettings.historyLimit);
-        }
-      }
-
-      // Add entity's experiences, relationships, and environmental awareness to context
-      if (brain.experiences && brain.experiences.length > 0) {
-        context.recentExperiences = brain.experiences.slice(-5).map(exp => 
-          `${exp.type}: ${exp.description} (${exp.context ? JSON.stringify(exp.context) : 'no details'})`
-        );
-      }
+  /**
+   * Generate a reply in character for entity. The reply is always streamed:
+   * agent:streaming fires on the first token and agent:token on every token,
+   * and options.onToken(token, text) is called as well if given.
+   * The entity can run the commands its brain has access to as tools; each
+   * call fires agent:tool and options.onToolCall(trace). Other options,
+   * e.g. { model, temperature }, override the brain's for this reply.
+   */
+  async generateResponseWithContext(content, entity, context = {}, options = {}) {
+    const brain = entity.getComponent('BrainComponent');
+    if (!brain) {
+      return this.generateResponse(content, options);
+    }
 
-      if (brain.relationships && brain.relationships.size > 0) {
-        context.relationships = Array.from(brain.relationships.entries()).map(([entityId, rel]) => {
-          const entity = this.world.entities.get(entityId);
-          const entityName = entity?.tag || `Entity ${entityId}`;
-          return `${entityName}: ${rel.interactions} interactions, ${rel.sentiment} sentiment, topics: [${rel.topics_discussed?.slice(-3).join(', ') || 'none'}]`;
-        });
-      }
+    this.world.events.emit('agent:thinking', { entity });
 
-      if (brain.environmentalAwareness) {
-        context.environmentalAwareness = {
-          playerPresent: brain.environmentalAwareness.playerPresent,
-          nearbyEntities: brain.environmentalAwareness.nearbyEntities?.length || 0,
-          activeConversations: brain.environmentalAwareness.systemLoad || 0
-        };
+    let streaming = false;
+    const onToken = (token, text) => {
+      if (!streaming) {
+        streaming = true;
+        this.world.events.emit('agent:streaming', { entity });
       }
+      this.world.events.emit('agent:token', { entity, token, text });
+      options.onToken?.(token, text);
+    };
 
-      // Add pending messages to context
-      if (brain.pendingMessages && brain.pendingMessages.length > 0) {
-        context.pendingMessages = brain.pendingMessages.map(msg => {
-          const fromEntity = this.world.entities.get(msg.fromEntityId);
-          const fromName = fromEntity?.tag || 'Unknown';
-          return `From ${fromName}: "${msg.message}" (${new Date(msg.timestamp).toLocaleTimeString()})`;
-        });
-      }
+    const onToolCall = (trace) => {
+      this.world.events.emit('agent:tool', { entity, ...trace });
+      options.onToolCall?.(trace);
+    };
 
+    try {
       // Add @entity references to context for better understanding
       context.entityReferences = this.extractEntityReferences(content);
 
+      // Long-term memories related to this message go into the system prompt
+      if (this.world.events.hasHandler('memory:recall')) {
+        context.relevantMemories = await this.world.events
+          .request('memory:recall', { entity, query: content })
+          .catch((error) => {
+            console.warn("⚠️ Memory recall failed:", error.message);
+            return [];
+          });
+      }
+
+      // Commands the brain has access to, callable as tools; the system prompt lists them too
+      const tools = context.includeTools === false || !this.world.events.hasHandler('command:tools')
+        ? []
+        : await this.world.events.request('command:tools', { brain });
+      context.tools = tools;
+
+      // The system prompt gets a share of the context; its sections are cut to fit
+      const model = options.model || this.modelFor(entity);
+      const numCtx = this.generationOptionsFor(entity, options).num_ctx;
+      const contextLength = numCtx || (await this.getCapabilities(model, options.signal)).contextLength;
+      context.promptBudget = Math.floor(contextLength * CONFIG.prompt.systemShare);
+      const systemPrompt = this.buildSystemPrompt(entity, context);
+
+      // Callers with their own transcript in the prompt pass includeHistory: false
+      const includeHistory = context.includeHistory ?? brain.contextSettings.includeHistory;
+      const history = includeHistory
+        ? await this.getRecentConversationContext(entity, content, {
+            model,
+            systemPrompt,
+            sessionId: context.sessionId,
+            limit: brain.contextSettings.historyLimit,
+            numCtx,
+            signal: options.signal,
+          })
+        : [];
+
+      // The caller's options (temperature, signal, ...) go along; generateResponse puts them over the brain's
       const response = await this.generateResponse(content, {
-        model: brain.model !== 'human' ? brain.model : this.currentModel,
+        ...options,
+        model,
         entity: entity,
         context: context,
-        images: context.images || []
+        systemPrompt,
+        history,
+        images: context.images || options.images || [],
+        tools,
+        runTool: (call) => this.world.events.request('command:runTool', { entity, name: call.name, arguments: call.arguments }),
+        onToolCall,
+        onToken
       });
 
       // Log the conversation experience for the entity
@@ -269,46 +657,46 @@ export class AgentSystem extends System {
         // Update relationship with player
         const playerEntity = this.world?.getEntitiesByTag('player')[0];
         if (playerEntity) {
-          brain.updateRelationship(playerEntity.id, 'conversation', 'positive', this.extractTopicFromMessage(content));
+          brain.updateRelationship(playerEntity.id, 'conversation', null, this.extractTopicFromMessage(content));
         }
-        
-        // Check if player is asking to relay a message
-        this.checkForMessageRelay(content, entity, brain, playerEntity);
       }
 
-      // Update indicator to show success
-      if (indicator) {
-        indicator.setState('success');
-        // Return to idle after a brief success display
-        setTimeout(() => {
-          if (indicator.state === 'success') {
-            indicator.setState('idle');
-          }
-        }, CONFIG.ai.timeout.successDisplay);
-      }
+      this.world.events.emit('agent:response', { entity, response });
 
       return response;
 
     } catch (error) {
-      // Update indicator to show error state
-      if (indicator) {
-        indicator.setState('error');
-        // Return to idle after error display
-        setTimeout(() => {
-          if (indicator.state === 'error') {
-            indicator.setState('idle');
-          }
-        }, CONFIG.ai.timeout.errorDisplay);
+      if (this.isAbortError(error)) {
+        this.world.events.emit('agent:cancelled', { entity });
+      } else {
+        this.world.events.emit('agent:error', { entity, error });
       }
       
       throw error;
     }
   }
 
-  getRecentConversationContext(entity, limit = 5) {
-    // This would get recent messages from the current session
-    // For now, return empty array
-    return [];
+  /**
+   * Earlier turns of entity's session as chat messages: at most limit turns,
+   * and only as many as fit in the model's context next to the system prompt,
+   * the new message and room for the reply. Older turns arrive as a summary.
+   * numCtx is the context the brain asks for, if it sets one.
+   */
+  async getRecentConversationContext(entity, content, { model, systemPrompt, sessionId = null, limit = CONFIG.ai.historyLimit, numCtx = null, signal = null }) {
+    const { contextLength } = await this.getCapabilities(model, signal);
+
+    const budget = (numCtx || contextLength)
+      - CONFIG.ai.responseReserveTokens
+      - ConversationHistory.estimateTokens(systemPrompt)
+      - ConversationHistory.estimateTokens(content);
+
+    return this.conversationHistory.getMessages(entity, {
+      sessionId,
+      limit,
+      budget,
+      model,
+      exclude: content,
+    });
   }
 
   async sendMessage(content, images = []) {
@@ -318,6 +706,7 @@ export class AgentSystem extends System {
     }
 
     this.isProcessing = true;
+    const request = this.beginRequest();
 
     // Add user message to history
     const userMessage = {
@@ -330,46 +719,47 @@ export class AgentSystem extends System {
     this.addMessageToUI("user", content, images);
 
     try {
-      // Prepare request body
-      const requestBody = {
-        model: this.currentModel,
-        messages: this.formatMessagesForOllama(),
-        stream: true,
-      };
-
-      // Add images if supported and provided
-      if (this.supportsImages && images.length > 0) {
-        requestBody.images = images;
-      }
-
-      // Send to Ollama
-      const response = await fetch(`${this.ollamaUrl}/api/chat`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
+      const { provider, model } = this.resolveModel(this.currentModel);
+      let messageElement = null;
+
+      const result = await provider.stream({
+        model,
+        messages: this.formatMessages(),
+        signal: request.controller.signal,
+        onToken: (token, text) => {
+          // Create or update message in UI
+          if (!messageElement) {
+            messageElement = this.addMessageToUI("assistant", text, [], true);
+          } else {
+            this.updateStreamingMessage(messageElement, text);
+          }
         },
-        body: JSON.stringify(requestBody),
       });
 
-      if (!response.ok) {
-        throw new Error(`Ollama request failed: ${response.statusText}`);
-      }
-
-      // Handle streaming response
-      await this.handleStreamingResponse(response);
+      // Save complete message to history
+      this.messages.push({
+        role: "assistant",
+        content: result.content,
+        timestamp: Date.now(),
+      });
     } catch (error) {
-      console.error("❌ Error sending message:", error);
-      this.addMessageToUI(
-        "assistant",
-        "Error: Failed to communicate with Ollama. Please check if it's running.",
-      );
+      if (this.isAbortError(error)) {
+        this.addMessageToUI("assistant", "⏹️ Response cancelled.");
+      } else {
+        console.error("❌ Error sending message:", error);
+        this.addMessageToUI(
+          "assistant",
+          "Error: Failed to communicate with Ollama. Please check if it's running.",
+        );
+      }
     } finally {
+      this.endRequest(request);
       this.isProcessing = false;
     }
   }
 
-  formatMessagesForOllama() {
-    // Format messages for Ollama API
+  formatMessages() {
+    // Format history as provider messages
     return this.messages.map((msg) => ({
       role: msg.role,
       content: msg.content,
@@ -377,59 +767,6 @@ export class AgentSystem extends System {
     }));
   }
 
-  async handleStreamingResponse(response) {
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
-    let assistantMessage = "";
-    let messageElement = null;
-
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        const chunk = decoder.decode(value);
-        const lines = chunk.split("\n").filter((line) => line.trim());
-
-        for (const line of lines) {
-          try {
-            const data = JSON.parse(line);
-
-            if (data.message && data.message.content) {
-              assistantMessage += data.message.content;
-
-              // Create or update message in UI
-              if (!messageElement) {
-                messageElement = this.addMessageToUI(
-                  "assistant",
-                  assistantMessage,
-                  [],
-                  true,
-                );
-              } else {
-                this.updateStreamingMessage(messageElement, assistantMessage);
-              }
-            }
-
-            if (data.done) {
-              // Save complete message to history
-              this.messages.push({
-                role: "assistant",
-                content: assistantMessage,
-                timestamp: Date.now(),
-              });
-            }
-          } catch (e) {
-            console.warn("Failed to parse streaming chunk:", e);
-          }
-        }
-      }
-    } finally {
-      reader.releaseLock();
-    }
-  }
-
   addMessageToUI(role, content, images = [], streaming = false) {
     const chatMessages = document.getElementById("chat-messages");
     const welcome = chatMessages.querySelector(".chat-welcome");
@@ -576,7 +913,12 @@ export class AgentSystem extends System {
     this.availableModels.forEach((model) => {
       const option = document.createElement("option");
       option.value = model.name;
-      option.textContent = model.name;
+      option.textContent = model.capabilities
+        ? `${model.name} (${this.describeCapabilities(model.capabilities)})`
+        : model.name;
+      if (model.capabilities?.trainedLength) {
+        option.title = `Trained for ${model.capabilities.trainedLength} tokens of context`;
+      }
       if (model.name === this.currentModel) {
         option.selected = true;
       }
@@ -587,7 +929,7 @@ export class AgentSystem extends System {
   async switchModel(modelName) {
     if (this.availableModels.some((m) => m.name === modelName)) {
       this.currentModel = modelName;
-      this.checkModelCapabilities();
+      await this.checkModelCapabilities();
       console.log(`🔄 Switched to model: ${modelName}`);
 
       // Update image upload UI visibility
@@ -630,87 +972,27 @@ export class AgentSystem extends System {
     }
   }
 
+  // @mentions of entities: by tag (exact, then prefix) or by full id, never part of an id
   extractEntityReferences(content) {
     const entityRefs = [];
-    const atMentions = content.match(/@(\w+)/g);
-    
-    if (atMentions) {
-      atMentions.forEach(mention => {
-        const entityName = mention.substring(1).toLowerCase();
-        const entities = Array.from(this.world.entities.values());
-        const referencedEntity = entities.find(e => 
-          (e.tag && e.tag.toLowerCase().includes(entityName)) ||
-          (e.id && String(e.id).toLowerCase().includes(entityName))
-        );
-        
-        if (referencedEntity) {
-          entityRefs.push({
-            mention: mention,
-            entity: referencedEntity,
-            name: referencedEntity.tag || referencedEntity.id
-          });
-        }
-      });
-    }
-    
-    return entityRefs;
-  }
-
-  checkForMessageRelay(content, entity, brain, playerEntity) {
-    const lowerContent = content.toLowerCase();
-    
-    // Look for message relay patterns (including @entity syntax)
-    const relayPatterns = [
-      /tell\s+@(\w+)\s+(.+)/i,
-      /send\s+@(\w+)\s+(.+)/i,
-      /give\s+@(\w+)\s+(.+)/i,
-      /relay\s+to\s+@(\w+):\s*(.+)/i,
-      /pass\s+this\s+to\s+@(\w+):\s*(.+)/i,
-      // Legacy patterns without @ symbol
-      /tell\s+(\w+)\s+(.+)/i,
-      /say\s+to\s+(\w+)\s+(.+)/i,
-      /give\s+(\w+)\s+this\s+message:\s*(.+)/i,
-      /relay\s+to\s+(\w+):\s*(.+)/i,
-      /pass\s+this\s+to\s+(\w+):\s*(.+)/i,
-      // New @entity direct messaging patterns  
-      /hey\s+@(\w+),\s+send\s+@(\w+)\s+(.+)/i,
-      /@(\w+),?\s+send\s+@(\w+)\s+(.+)/i
-    ];
-    
-    for (const pattern of relayPatterns) {
-      const match = content.match(pattern);
-      if (match) {
-        let targetName, message;
-        
-        // Handle different pattern structures
-        if (pattern.source.includes('send\\s+@(\\w+)')) {
-          // Pattern: "hey @bot, send @origin my joke" or "@bot, send @origin my joke"
-          targetName = match[2]?.toLowerCase(); // Second capture group is the target
-          message = match[3]?.trim();           // Third capture group is the message
-        } else {
-          // Standard patterns: "tell @bot hello" or "give @origin this message"
-          targetName = match[1]?.toLowerCase(); // First capture group is the target
-          message = match[2]?.trim();           // Second capture group is the message
-        }
-        
-        if (targetName && message) {
-          // Find the target entity
-          const entities = Array.from(this.world.entities.values());
-          const targetEntity = entities.find(e => 
-            (e.tag && e.tag.toLowerCase().includes(targetName)) ||
-            (e.id && String(e.id).toLowerCase().includes(targetName))
-          );
-          
-          if (targetEntity && targetEntity.id !== entity.id) {
-            brain.addPendingMessage(targetEntity.id, message, playerEntity?.id);
-            console.log(`📝 ${entity.tag || entity.id} will relay message to ${targetEntity.tag || targetEntity.id}: "${message}"`);
-            return true;
-          }
-        }
+    const entities = Array.from(this.world.entities.values());
+
+    for (const [mention, name] of content.matchAll(/@([\w-]+)/g)) {
+      const lower = name.toLowerCase();
+      const referencedEntity = entities.find(e => e.tag?.toLowerCase() === lower)
+        || entities.find(e => e.tag?.toLowerCase().startsWith(lower))
+        || entities.find(e => String(e.id).toLowerCase() === lower);
+
+      if (referencedEntity) {
+        entityRefs.push({
+          mention: mention,
+          entity: referencedEntity,
+          name: referencedEntity.tag || referencedEntity.id
+        });
       }
     }
     
-    return false;
+    return entityRefs;
   }
 
   extractTopicFromMessage(message) {
@@ -729,6 +1011,7 @@ export class AgentSystem extends System {
 
   destroy() {
     // Cleanup
+    this.cancelRequests();
     this.messages = [];
     this.imageQueue = [];
   }
@@ -0,0 +1,50 @@
+/**
+ * ToolCalling - Tool calls for models without native tool support
+ *
+ * The tools are described in the system prompt, and the model calls one by
+ * replying with nothing but a JSON object:
+ *   {"tool": "search", "arguments": {"query": "robots"}}
+ */
+export class ToolCalling {
+  static instructions(tools) {
+    const lines = tools.map(({ function: tool }) => {
+      const params = Object.entries(tool.parameters?.properties || {})
+        .map(([name, schema]) => `${name}: ${schema.type}`)
+        .join(", ");
+      return `- ${tool.name}(${params}) - ${tool.description}`;
+    });
+
+    return `## Tools
+You can use these tools:
+${lines.join("\n")}
+
+To use a tool, reply with only a JSON object such as {"tool": "${tools[0].function.name}", "arguments": {}} and nothing else. The result will be sent back to you; then answer normally or use another tool. Only use a tool when it helps with the request.`;
+  }
+
+  /**
+   * Tool calls in a reply as [{ name, arguments }]: one if the whole reply is
+   * a JSON tool call (code fences allowed), otherwise none. Calls to tools the
+   * entity doesn't have still count, so the model hears why they failed.
+   */
+  static parse(text, toolNames) {
+    const match = String(text || "").trim().match(/^(?:```(?:json)?\s*)?(\{[\s\S]*\})\s*(?:```)?$/);
+    if (!match) return [];
+
+    let data;
+    try {
+      data = JSON.parse(match[1]);
+    } catch (error) {
+      return [];
+    }
+
+    const name = data.tool ?? (toolNames.includes(data.name) ? data.name : undefined);
+    if (typeof name !== "string") return [];
+    return [{ name, arguments: data.arguments ?? data.parameters ?? {} }];
+  }
+
+  // Whether a reply starting with text could still turn out to be a tool call
+  static mightBeToolCall(text) {
+    const start = text.trimStart();
+    return start === "" || start.startsWith("{") || start.startsWith("`");
+  }
+}
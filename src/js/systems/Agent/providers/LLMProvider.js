@@ -0,0 +1,109 @@
+import { CONFIG } from "../../../config/index.js";
+
+/**
+ * LLMProvider - Base class for model backends used by AgentSystem
+ *
+ * Messages use Ollama's shape: { role, content, images? } with images as
+ * base64 strings. chat() and stream() resolve with { content, usage } where
+ * usage is { promptTokens, completionTokens } when the backend reports it.
+ * Providers whose capabilities() report tools also take tools (JSON-schema
+ * function definitions) and add toolCalls: [{ name, arguments }] to the result.
+ * options are generation options by their Ollama names (temperature, top_p,
+ * num_ctx, seed, stop, num_predict); backends skip the ones they lack.
+ */
+export class LLMProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.baseUrl = config.baseUrl || "";
+  }
+
+  /** Resolves true when the backend is reachable */
+  async checkHealth() {
+    return false;
+  }
+
+  /** Resolves with [{ name }] */
+  async listModels() {
+    throw new Error(`${this.constructor.name} does not implement listModels()`);
+  }
+
+  /** Resolves with { content, usage } once the whole reply is ready */
+  async chat({ model, messages, signal, tools, options }) {
+    throw new Error(`${this.constructor.name} does not implement chat()`);
+  }
+
+  /** Like chat(), calling onToken(token, text) as the reply arrives */
+  async stream({ model, messages, signal, tools, options, onToken }) {
+    throw new Error(`${this.constructor.name} does not implement stream()`);
+  }
+
+  /** Resolves with one embedding vector per input string */
+  async embed({ model, input, signal }) {
+    throw new Error(`${this.constructor.name} does not implement embed()`);
+  }
+
+  /**
+   * Resolves with { chat, images, tools, embedding, contextLength } for
+   * model. Backends that can't report them are guessed from the model name.
+   * A lookup that fails or is aborted through signal resolves with the
+   * guess and guessed: true.
+   */
+  async capabilities(model, { signal } = {}) {
+    const embedding = model.toLowerCase().includes("embed");
+    return {
+      chat: !embedding,
+      images: CONFIG.ai.multimodalModels.some((name) => model.toLowerCase().includes(name)),
+      tools: false,
+      embedding,
+      contextLength: this.config.contextLength || CONFIG.ai.contextLength,
+    };
+  }
+
+  headers() {
+    return { "Content-Type": "application/json" };
+  }
+
+  async request(path, { method = "GET", body, signal } = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: this.headers(),
+      body: body ? JSON.stringify(body) : undefined,
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response;
+  }
+
+  /**
+   * Read a streamed response body line by line. Chunks can end mid-line, so
+   * the partial line is kept for the next read.
+   */
+  async readLines(response, onLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.filter((line) => line.trim()).forEach(onLine);
+      }
+
+      buffer += decoder.decode();
+      if (buffer.trim()) {
+        onLine(buffer);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+}
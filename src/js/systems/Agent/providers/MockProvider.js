@@ -0,0 +1,83 @@
+import { LLMProvider } from "./LLMProvider.js";
+
+/**
+ * MockProvider - Deterministic offline provider for tests and demos
+ *
+ * Replies with config.reply (a string or a function of the messages), or
+ * echoes the last user message. Embeddings are hashed bags of words, so
+ * texts sharing words get similar vectors.
+ */
+export class MockProvider extends LLMProvider {
+  async checkHealth() {
+    return true;
+  }
+
+  async listModels() {
+    return (this.config.models || ["mock"]).map((name) => ({ name }));
+  }
+
+  async chat({ model, messages, signal }) {
+    signal?.throwIfAborted();
+    return { content: this.reply(messages), usage: this.usage(messages) };
+  }
+
+  async stream({ model, messages, signal, onToken }) {
+    const reply = this.reply(messages);
+    const tokens = reply.match(/\S+\s*/g) || [];
+    let content = "";
+
+    for (const token of tokens) {
+      await new Promise((resolve) => setTimeout(resolve, this.config.tokenDelay || 0));
+      signal?.throwIfAborted();
+
+      content += token;
+      onToken(token, content);
+    }
+
+    return { content, usage: this.usage(messages) };
+  }
+
+  async embed({ model, input, signal }) {
+    signal?.throwIfAborted();
+    const inputs = Array.isArray(input) ? input : [input];
+    return inputs.map((text) => this.embedText(text));
+  }
+
+  async capabilities(model) {
+    const defaults = await super.capabilities(model);
+    return { ...defaults, chat: true, images: false, tools: false, embedding: true, ...this.config.capabilities };
+  }
+
+  reply(messages) {
+    if (typeof this.config.reply === "function") {
+      return this.config.reply(messages);
+    }
+    if (this.config.reply) {
+      return this.config.reply;
+    }
+
+    const lastUser = [...messages].reverse().find((message) => message.role === "user");
+    return `Mock reply to: ${lastUser?.content || ""}`;
+  }
+
+  usage(messages) {
+    const words = messages.reduce((total, message) => total + String(message.content).split(/\s+/).length, 0);
+    return { promptTokens: words, completionTokens: null };
+  }
+
+  embedText(text) {
+    const dimensions = this.config.dimensions || 64;
+    const vector = new Array(dimensions).fill(0);
+
+    for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+      let hash = 0;
+      for (let i = 0; i < word.length; i++) {
+        hash = (hash * 31 + word.charCodeAt(i)) >>> 0;
+      }
+      vector[hash % dimensions] += 1;
+    }
+
+    const length = Math.hypot(...vector) || 1;
+    return vector.map((value) => value / length);
+  }
+}
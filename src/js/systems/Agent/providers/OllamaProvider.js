@@ -0,0 +1,136 @@
+import { CONFIG } from "../../../config/index.js";
+import { LLMProvider } from "./LLMProvider.js";
+
+/**
+ * OllamaProvider - Talks to a local Ollama server (/api/*)
+ */
+export class OllamaProvider extends LLMProvider {
+  async checkHealth() {
+    try {
+      await this.request("/api/tags");
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async listModels() {
+    const response = await this.request("/api/tags");
+    const data = await response.json();
+    return data.models || [];
+  }
+
+  async chat({ model, messages, signal, tools, options }) {
+    const response = await this.request("/api/chat", {
+      method: "POST",
+      body: { model, messages, tools, options, stream: false },
+      signal,
+    });
+
+    const data = await response.json();
+    return {
+      content: data.message?.content || "",
+      toolCalls: this.parseToolCalls(data.message),
+      usage: this.parseUsage(data),
+    };
+  }
+
+  async stream({ model, messages, signal, tools, options, onToken }) {
+    const response = await this.request("/api/chat", {
+      method: "POST",
+      body: { model, messages, tools, options, stream: true },
+      signal,
+    });
+
+    let content = "";
+    let toolCalls = [];
+    let usage = null;
+
+    // Each line is a JSON chunk; the last one has done: true and the token counts
+    await this.readLines(response, (line) => {
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new Error(data.error);
+      }
+
+      const token = data.message?.content;
+      if (token) {
+        content += token;
+        onToken(token, content);
+      }
+      // Tool calls arrive whole, in their own chunk
+      toolCalls.push(...this.parseToolCalls(data.message));
+      if (data.done) {
+        usage = this.parseUsage(data);
+      }
+    });
+
+    return { content, toolCalls, usage };
+  }
+
+  async embed({ model, input, signal }) {
+    const response = await this.request("/api/embed", {
+      method: "POST",
+      body: { model, input },
+      signal,
+    });
+
+    const data = await response.json();
+    return data.embeddings || [];
+  }
+
+  /**
+   * Capabilities as reported by /api/show. Servers too old to list them get
+   * the name-based guess; an unreachable server, or one too slow to answer
+   * before signal aborts, gets it with guessed: true, so callers know to ask
+   * again later.
+   */
+  async capabilities(model, { signal } = {}) {
+    const defaults = await super.capabilities(model);
+    const guess = {
+      ...defaults,
+      tools: CONFIG.ai.toolModels.some((name) => model.toLowerCase().includes(name)),
+    };
+
+    let data;
+    try {
+      const response = await this.request("/api/show", { method: "POST", body: { model }, signal });
+      data = await response.json();
+    } catch (error) {
+      return { ...guess, guessed: true };
+    }
+
+    // Ollama runs a model with num_ctx tokens of context, not the length it
+    // was trained for, unless its Modelfile sets num_ctx
+    const trainedLength = Object.entries(data.model_info || {})
+      .find(([key]) => key.endsWith(".context_length"))?.[1] || null;
+    const numCtx = Number(/^num_ctx\s+(\d+)/m.exec(data.parameters || "")?.[1]) || null;
+    const contextLength = numCtx || Math.min(trainedLength || Infinity, defaults.contextLength);
+
+    if (!Array.isArray(data.capabilities)) {
+      return { ...guess, contextLength, trainedLength };
+    }
+    return {
+      chat: data.capabilities.includes("completion"),
+      images: data.capabilities.includes("vision"),
+      tools: data.capabilities.includes("tools"),
+      embedding: data.capabilities.includes("embedding"),
+      contextLength,
+      trainedLength,
+    };
+  }
+
+  parseToolCalls(message) {
+    return (message?.tool_calls || []).map((call) => ({
+      name: call.function?.name,
+      arguments: call.function?.arguments || {},
+    }));
+  }
+
+  parseUsage(data) {
+    return {
+      promptTokens: data.prompt_eval_count ?? null,
+      completionTokens: data.eval_count ?? null,
+    };
+  }
+}
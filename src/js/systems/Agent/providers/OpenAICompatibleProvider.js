@@ -0,0 +1,135 @@
+import { LLMProvider } from "./LLMProvider.js";
+
+/**
+ * OpenAICompatibleProvider - Talks to servers that speak the OpenAI /v1 API
+ * (llama.cpp server, vLLM, LM Studio, ...)
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  headers() {
+    const headers = super.headers();
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+    return headers;
+  }
+
+  async checkHealth() {
+    try {
+      await this.request("/v1/models");
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async listModels() {
+    const response = await this.request("/v1/models");
+    const data = await response.json();
+    return (data.data || []).map((model) => ({ name: model.id }));
+  }
+
+  async chat({ model, messages, signal, options }) {
+    const response = await this.request("/v1/chat/completions", {
+      method: "POST",
+      body: { model, messages: this.formatMessages(messages), ...this.formatOptions(options), stream: false },
+      signal,
+    });
+
+    const data = await response.json();
+    return {
+      content: data.choices?.[0]?.message?.content || "",
+      usage: this.parseUsage(data.usage),
+    };
+  }
+
+  async stream({ model, messages, signal, options, onToken }) {
+    const response = await this.request("/v1/chat/completions", {
+      method: "POST",
+      body: {
+        model,
+        messages: this.formatMessages(messages),
+        ...this.formatOptions(options),
+        stream: true,
+        stream_options: { include_usage: true },
+      },
+      signal,
+    });
+
+    let content = "";
+    let usage = null;
+
+    // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+    await this.readLines(response, (line) => {
+      if (!line.startsWith("data:")) return;
+
+      const payload = line.slice(5).trim();
+      if (payload === "[DONE]") return;
+
+      const data = JSON.parse(payload);
+      if (data.error) {
+        throw new Error(data.error.message || data.error);
+      }
+
+      const token = data.choices?.[0]?.delta?.content;
+      if (token) {
+        content += token;
+        onToken(token, content);
+      }
+      if (data.usage) {
+        usage = this.parseUsage(data.usage);
+      }
+    });
+
+    return { content, usage };
+  }
+
+  async embed({ model, input, signal }) {
+    const response = await this.request("/v1/embeddings", {
+      method: "POST",
+      body: { model, input },
+      signal,
+    });
+
+    const data = await response.json();
+    return (data.data || []).map((item) => item.embedding);
+  }
+
+  // Ollama option names as OpenAI request fields; num_ctx is the server's to set
+  formatOptions(options = {}) {
+    const { temperature, top_p, seed, stop, num_predict } = options;
+    return {
+      temperature,
+      top_p,
+      seed,
+      stop,
+      max_tokens: num_predict > 0 ? num_predict : undefined,
+    };
+  }
+
+  // Images go in content parts rather than a separate images array
+  formatMessages(messages) {
+    return messages.map(({ role, content, images }) => {
+      if (!images?.length) {
+        return { role, content };
+      }
+
+      return {
+        role,
+        content: [
+          { type: "text", text: content },
+          ...images.map((image) => ({
+            type: "image_url",
+            image_url: { url: `data:image/jpeg;base64,${image}` },
+          })),
+        ],
+      };
+    });
+  }
+
+  parseUsage(usage) {
+    return {
+      promptTokens: usage?.prompt_tokens ?? null,
+      completionTokens: usage?.completion_tokens ?? null,
+    };
+  }
+}
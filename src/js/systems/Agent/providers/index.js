@@ -0,0 +1,31 @@
+import { OllamaProvider } from "./OllamaProvider.js";
+import { OpenAICompatibleProvider } from "./OpenAICompatibleProvider.js";
+import { MockProvider } from "./MockProvider.js";
+
+export { LLMProvider } from "./LLMProvider.js";
+export { OllamaProvider, OpenAICompatibleProvider, MockProvider };
+
+const PROVIDER_TYPES = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider,
+};
+
+/**
+ * Build providers from CONFIG.ai.providers ({ name: { type, baseUrl, ... } })
+ * into a Map of name -> provider
+ */
+export function createProviders(configs = {}) {
+  const providers = new Map();
+
+  for (const [name, config] of Object.entries(configs)) {
+    const ProviderClass = PROVIDER_TYPES[config.type];
+    if (!ProviderClass) {
+      console.warn(`⚠️ Unknown provider type "${config.type}" for "${name}"`);
+      continue;
+    }
+    providers.set(name, new ProviderClass(name, config));
+  }
+
+  return providers;
+}
@@ -1,17 +1,20 @@
 import { System } from '../../core/System.js';
 import { BrainComponent } from '../../components/BrainComponent.js';
 import { Connection } from '../../components/Connection.js';
-import { Session } from '../../components/Session.js';
-import { ChatLog } from '../../components/ChatLog.js';
+import { PlayerControllerComponent } from '../../components/PlayerControllerComponent.js';
+import { TurnTaking } from '../../utils/TurnTaking.js';
 import { CONFIG } from '../../config/index.js';
 
 /**
  * AutonomousChatSystem - Enables entities to autonomously chat with each other using AI generation
- * This system creates emergent, contextual conversations based on entity experiences and environment
+ * This system creates emergent, contextual conversations based on entity experiences and environment.
+ * Conversations are sessions like any other: pairs, or round-tables of several entities that take
+ * turns by the session's turn policy.
  */
 export class AutonomousChatSystem extends System {
     constructor() {
         super();
+        this.phase = 'ai';
         this.requiredComponents = [BrainComponent];
         
         // System state
@@ -20,7 +23,8 @@ export class AutonomousChatSystem extends System {
         this.minChatInterval = 5000; // Minimum time between messages
         this.maxChatInterval = 15000; // Maximum time between messages
         this.maxConversationLength = 8; // Max messages in one conversation
-        this.activeConversations = new Map(); // entityPairKey -> conversation state
+        this.activeConversations = new Map(); // sorted participant ids -> conversation state
+        this.randomChatter = true; // Pick random conversations on the schedule; the director turns this off for scenarios
         
         // Environmental observation update frequency
         this.observationInterval = 3000; // Update observations every 3 seconds
@@ -41,13 +45,24 @@ export class AutonomousChatSystem extends System {
     
     init(world) {
         this.world = world;
+        
+        // Brain entities that can chat autonomously (excludes the player-controlled entity)
+        this.participantQuery = world.query({
+            all: [BrainComponent],
+            none: [PlayerControllerComponent]
+        });
+        // Other systems (relays, scenarios) start and end conversations through
+        // requests; randomChatter answers with the previous setting
+        world.events.handle('conversation:start', ({ entities, script }) => this.startConversation(entities, script));
+        world.events.handle('conversation:end', ({ conversation }) => this.endConversation(conversation));
+        world.events.handle('conversation:randomChatter', ({ enabled }) => {
+            const previous = this.randomChatter;
+            this.randomChatter = enabled;
+            return previous;
+        });
+        
         console.log('%c🧠 AI-Driven Autonomous Chat System Initialized', this.consoleStyles.header);
         console.log('%cEntities will generate conversations based on their experiences and environment!', this.consoleStyles.system);
-        console.log('%cDEBUG: Use window.autonomousChat.triggerConversation() to manually trigger a conversation', this.consoleStyles.system);
-        console.log('%cDEBUG: Use window.autonomousChat.getStatus() to check system status', this.consoleStyles.system);
-        
-        // Expose to window for debugging
-        window.autonomousChat = this;
         
         // Start the conversation scheduler
         this.scheduleNextConversation();
@@ -66,93 +81,135 @@ export class AutonomousChatSystem extends System {
     }
     
     attemptNewConversation() {
-        // Get all entities with brains
-        const entities = this.world.getEntitiesWithComponent(BrainComponent);
-        console.log(`%cDEBUG: Found ${entities.length} entities with brains: ${entities.map(e => e.tag || e.id).join(', ')}`, this.consoleStyles.system);
+        if (!this.randomChatter) return;
         
-        // Filter out player and any entities already in conversation
-        const availableEntities = entities.filter(entity => {
-            if (entity.tag === 'player') return false;
-            
-            // Check if entity is already in an active conversation
-            for (const [key, convo] of this.activeConversations) {
-                if (convo.entity1.id === entity.id || convo.entity2.id === entity.id) {
-                    return false;
-                }
-            }
-            return true;
-        });
+        // Get all non-player entities with brains
+        const entities = this.participantQuery.toArray();
         
-        console.log(`%cDEBUG: Available entities for conversation: ${availableEntities.map(e => e.tag || e.id).join(', ')}`, this.consoleStyles.system);
+        // Filter out any entities already in conversation
+        const availableEntities = entities.filter(entity => !this.isInConversation(entity));
+        
+        if (CONFIG.debug.enabled) {
+            console.log(`%cDEBUG: ${availableEntities.length} of ${entities.length} entities with brains free to talk: ${availableEntities.map(e => e.tag || e.id).join(', ')}`, this.consoleStyles.system);
+        }
         
         // Need at least 2 entities to have a conversation
         if (availableEntities.length < 2) {
-            console.log('%cDEBUG: Not enough available entities for conversation', this.consoleStyles.system);
             return;
         }
         
-        // Randomly select two entities
-        const entity1 = availableEntities[Math.floor(Math.random() * availableEntities.length)];
-        const remaining = availableEntities.filter(e => e.id !== entity1.id);
-        const entity2 = remaining[Math.floor(Math.random() * remaining.length)];
+        // Usually two entities; sometimes a round-table of several
+        const { roundTableChance, roundTableSize } = CONFIG.groups;
+        const size = Math.random() < roundTableChance
+            ? Math.min(availableEntities.length, 3 + Math.floor(Math.random() * (roundTableSize - 2)))
+            : 2;
         
-        if (!entity2) return;
+        // Randomly select the participants
+        const shuffled = [...availableEntities].sort(() => Math.random() - 0.5);
         
         // Start a conversation between them
-        this.startConversation(entity1, entity2);
+        this.startConversation(shuffled.slice(0, size));
     }
     
-    async startConversation(entity1, entity2) {
-        const key = this.getConversationKey(entity1.id, entity2.id);
-        
-        // Check if these entities are already talking
-        if (this.activeConversations.has(key)) return;
+    isInConversation(entity) {
+        for (const conversation of this.activeConversations.values()) {
+            if (conversation.participants.includes(entity)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Start a conversation between entities, the first one speaking first.
+     * script (from DirectorSystem) can fix the topic, give each participant a
+     * goal (entity id -> text) and say when to stop: after maxMessages, or
+     * once shouldStop(conversation) is true. Returns the conversation, or null
+     * if it couldn't start.
+     */
+    async startConversation(entities, script = null) {
+        const participants = [...new Set(entities)];
+        if (participants.length < 2) return null;
+        
+        // Check if any of these entities are already talking
+        if (participants.some(entity => this.isInConversation(entity))) return null;
         
         // Get brain components
-        const brain1 = entity1.getComponent(BrainComponent);
-        const brain2 = entity2.getComponent(BrainComponent);
+        const brains = new Map(participants.map(entity => [entity.id, entity.getComponent(BrainComponent)]));
+        if ([...brains.values()].some(brain => !brain)) return null;
         
-        if (!brain1 || !brain2) return;
+        const session = await this.ensureSession(participants);
+        // Another conversation may have taken one of them while the session opened
+        if (participants.some(entity => this.isInConversation(entity))) return null;
         
-        // Update environmental observations for both entities
-        brain1.observeEnvironment(this.world, entity1);
-        brain2.observeEnvironment(this.world, entity2);
+        // Update environmental observations for every participant
+        const environment = { conversations: this.activeConversations.size };
+        participants.forEach(entity => brains.get(entity.id).observeEnvironment(this.world, entity, environment));
         
-        // Create or get connection between entities
-        this.establishConnection(entity1, entity2);
+        // Pairs talk over a connection; round-tables meet at a hub
+        if (participants.length === 2) {
+            this.establishConnection(participants[0], participants[1]);
+        }
         
         // Create conversation state
         const conversation = {
-            entity1,
-            entity2,
-            brain1,
-            brain2,
+            participants,
+            brains,
+            sessionId: session?.id || null,
+            turnPolicy: session?.turnPolicy || CONFIG.groups.defaultTurnPolicy,
+            script,
             messages: [],
-            currentSpeaker: entity1,
+            currentSpeaker: participants[0],
             messageCount: 0,
             startTime: Date.now(),
             context: {
-                topic: null, // Will emerge from conversation
+                topic: script?.topic || null, // Will emerge from conversation unless scripted
                 mood: 'curious',
-                relationship_status: this.assessRelationshipStatus(brain1, brain2, entity1, entity2)
+                relationship_status: this.assessGroupStatus(participants, brains)
             }
         };
         
-        this.activeConversations.set(key, conversation);
+        this.activeConversations.set(this.getConversationKey(participants.map(entity => entity.id)), conversation);
+        this.world.events.emit('conversation:started', { conversation, entities: participants, topic: conversation.context.topic });
         
         // Log conversation start
-        console.log('%c━━━ AI-Generated Conversation Started ━━━', this.consoleStyles.header);
+        console.log(`%c━━━ AI-Generated ${participants.length > 2 ? 'Round-Table' : 'Conversation'} Started ━━━`, this.consoleStyles.header);
         console.log(
-            `%c${entity1.tag || 'Entity ' + entity1.id}%c ⟷ %c${entity2.tag || 'Entity ' + entity2.id}`,
-            this.consoleStyles.entity1,
-            this.consoleStyles.connection,
-            this.consoleStyles.entity2
+            participants.map(entity => `%c${this.nameOf(entity)}`).join('%c ⟷ '),
+            ...participants.flatMap((entity, index) => [
+                ...(index > 0 ? [this.consoleStyles.connection] : []),
+                this.speakerStyle(conversation, entity)
+            ])
         );
         console.log(`%cRelationship: ${conversation.context.relationship_status}`, this.consoleStyles.context);
+        if (participants.length > 2) {
+            console.log(`%cTurn policy: ${conversation.turnPolicy}`, this.consoleStyles.context);
+        }
         console.log('%c─────────────────────────────', this.consoleStyles.system);
         
         // Send first message
-        await this.sendNextMessage(conversation);
+        this.sendNextMessage(conversation);
+        return conversation;
+    }
+    
+    // False once the conversation has ended, e.g. timed out while a line was being generated
+    isActive(conversation) {
+        return this.activeConversations.get(this.getConversationKey(conversation.participants.map(entity => entity.id))) === conversation;
+    }
+    
+    nameOf(entity) {
+        return entity.tag || `Entity ${entity.id}`;
+    }
+    
+    // Alternate the two console colours around the table
+    speakerStyle(conversation, entity) {
+        return conversation.participants.indexOf(entity) % 2 === 0 ? this.consoleStyles.entity1 : this.consoleStyles.entity2;
+    }
+    
+    // Everyone else at the table, as a readable list
+    othersText(conversation, speaker) {
+        const names = conversation.participants.filter(entity => entity !== speaker).map(entity => entity.tag || 'another entity');
+        return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
     }
     
     establishConnection(entity1, entity2) {
@@ -172,50 +229,27 @@ export class AutonomousChatSystem extends System {
         // Create bidirectional connection
         connection1.addConnection(entity2.id, { state: 'active', metadata: { type: 'chat' } });
         connection2.addConnection(entity1.id, { state: 'active', metadata: { type: 'chat' } });
-        
-        // Create or get session
-        this.ensureSession(entity1, entity2);
     }
     
-    ensureSession(entity1, entity2) {
-        // Check if session component exists
-        let session1 = entity1.getComponent(Session);
-        if (!session1) {
-            session1 = new Session();
-            entity1.addComponent(session1);
-        }
+    // The participants' active session, or a new one, through SessionSystem so the log is shared
+    async ensureSession(participants) {
+        if (!this.world.events.hasHandler('session:open')) return null;
         
-        let session2 = entity2.getComponent(Session);
-        if (!session2) {
-            session2 = new Session();
-            entity2.addComponent(session2);
-        }
-        
-        // Check if these entities already have an active session together
-        const activeSessions1 = session1.getActiveSessionsForEntity(entity1.id);
-        const existingSession = activeSessions1.find(session => 
-            session.participants.has(entity1.id) && session.participants.has(entity2.id)
-        );
+        return this.world.events.request('session:open', { entities: participants });
+    }
+    
+    // Relationship status across the table; pairs are assessed directly
+    assessGroupStatus(participants, brains) {
+        const statuses = new Set();
+        participants.forEach((entity1, index) => {
+            participants.slice(index + 1).forEach(entity2 => {
+                statuses.add(this.assessRelationshipStatus(brains.get(entity1.id), brains.get(entity2.id), entity1, entity2));
+            });
+        });
         
-        if (!existingSession) {
-            // Create new session using the proper API
-            const connectionId = `connection_${entity1.id}_${entity2.id}`;
-            const sessionData = session1.createSession(connectionId, [entity1.id, entity2.id]);
-            
-            // Set a descriptive title
-            sessionData.title = `${entity1.tag || 'Entity'} ⟷ ${entity2.tag || 'Entity'}`;
-            
-            // Create chat log component and attach to one of the entities
-            const chatLog = new ChatLog(sessionData.chatLogId);
-            entity1.addComponent(chatLog);
-            
-            // Also create session component on entity2 and add the same session
-            const activeSessions2 = session2.getActiveSessionsForEntity(entity2.id);
-            if (!activeSessions2.find(s => s.id === sessionData.id)) {
-                // Manually add the session to entity2's session component
-                session2.activeSessions.set(sessionData.id, sessionData);
-            }
-        }
+        if (statuses.size === 1) return [...statuses][0];
+        if (statuses.has('tension present')) return 'tension present';
+        return 'mixed acquaintances';
     }
     
     assessRelationshipStatus(brain1, brain2, entity1, entity2) {
@@ -236,43 +270,44 @@ export class AutonomousChatSystem extends System {
     }
     
     async sendNextMessage(conversation) {
-        const { entity1, entity2, brain1, brain2, currentSpeaker, messageCount } = conversation;
+        const { brains, currentSpeaker: speaker, messageCount } = conversation;
+        
+        // Ended while the last message was being generated
+        if (!this.isActive(conversation)) return;
         
-        // Check if conversation should end (with variation)
-        const conversationLength = this.maxConversationLength + Math.floor(Math.random() * 4) - 2;
-        if (messageCount >= conversationLength) {
+        // Check if conversation should end (with variation); round-tables run a little longer
+        const extraTurns = Math.max(0, conversation.participants.length - 2) * 2;
+        const conversationLength = conversation.script?.maxMessages
+            || this.maxConversationLength + extraTurns + Math.floor(Math.random() * 4) - 2;
+        if (messageCount >= conversationLength || (messageCount > 0 && conversation.script?.shouldStop?.(conversation))) {
             this.endConversation(conversation);
             return;
         }
         
         // Determine the message
-        const speaker = currentSpeaker.id === entity1.id ? entity1 : entity2;
-        const listener = currentSpeaker.id === entity1.id ? entity2 : entity1;
-        const speakerBrain = currentSpeaker.id === entity1.id ? brain1 : brain2;
-        const listenerBrain = currentSpeaker.id === entity1.id ? brain2 : brain1;
+        const speakerBrain = brains.get(speaker.id);
+        const listeners = conversation.participants.filter(entity => entity !== speaker);
         
         let message;
         try {
             if (messageCount === 0) {
                 // First message - generate conversation starter
-                message = await this.generateStarterMessage(speakerBrain, speaker, listenerBrain, listener, conversation);
+                message = await this.generateStarterMessage(speakerBrain, speaker, listeners, conversation);
             } else if (messageCount >= conversationLength - 2) {
                 // Near the end - generate conclusion
                 message = await this.generateConclusionMessage(speakerBrain, speaker, conversation);
             } else {
                 // Middle of conversation - generate contextual response
-                message = await this.generateContextualResponse(speakerBrain, speaker, listenerBrain, listener, conversation);
+                message = await this.generateContextualResponse(speakerBrain, speaker, conversation);
             }
         } catch (error) {
             console.error('Error generating AI message:', error);
             message = this.generateFallbackMessage(speakerBrain, messageCount);
         }
+        if (!this.isActive(conversation)) return;
         
         // Log the message
-        const speakerName = speaker.tag || `Entity ${speaker.id}`;
-        const speakerStyle = speaker.id === entity1.id ? this.consoleStyles.entity1 : this.consoleStyles.entity2;
-        
-        console.log(`%c${speakerName}: %c${message}`, speakerStyle, this.consoleStyles.message);
+        console.log(`%c${this.nameOf(speaker)}: %c${message}`, this.speakerStyle(conversation, speaker), this.consoleStyles.message);
         
         // Add to conversation history
         conversation.messages.push({
@@ -281,20 +316,24 @@ export class AutonomousChatSystem extends System {
             timestamp: Date.now()
         });
         
-        // Update relationships and log experiences
-        speakerBrain.updateRelationship(listener.id, 'conversation', 'positive', conversation.context.topic);
-        listenerBrain.updateRelationship(speaker.id, 'conversation', 'positive', conversation.context.topic);
+        // Update relationships and log experiences (AffectSystem scores the sentiment)
+        for (const listener of listeners) {
+            speakerBrain.updateRelationship(listener.id, 'conversation', null, conversation.context.topic);
+            brains.get(listener.id).updateRelationship(speaker.id, 'conversation', null, conversation.context.topic);
+        }
         
-        speakerBrain.logExperience('interaction', `Had a conversation with ${listener.tag || listener.id}`, {
+        speakerBrain.logExperience('interaction', `Had a conversation with ${this.othersText(conversation, speaker)}`, {
             topic: conversation.context.topic,
             message_count: messageCount + 1
         });
         
-        // Store in chat log if available
-        this.storeMessage(speaker, listener, message);
+        // Store in the session's chat log
+        this.storeMessage(conversation, speaker, message);
+        this.world.events.emit('conversation:message', { speaker, listeners, message, topic: conversation.context.topic });
         
         // Update conversation state
-        conversation.currentSpeaker = listener;
+        const nextSpeaker = await this.pickNextSpeaker(conversation, speaker, message);
+        conversation.currentSpeaker = nextSpeaker;
         conversation.messageCount++;
         
         // Schedule next message
@@ -303,8 +342,7 @@ export class AutonomousChatSystem extends System {
         // Show thinking indicator
         setTimeout(() => {
             if (conversation.messageCount < conversationLength) {
-                const nextSpeaker = listener.tag || `Entity ${listener.id}`;
-                console.log(`%c${nextSpeaker} is thinking...`, this.consoleStyles.thinking);
+                console.log(`%c${this.nameOf(nextSpeaker)} is thinking...`, this.consoleStyles.thinking);
             }
         }, delay / 2);
         
@@ -313,24 +351,71 @@ export class AutonomousChatSystem extends System {
         }, delay);
     }
     
-    async generateStarterMessage(speakerBrain, speaker, listenerBrain, listener, conversation) {
-        const agentSystem = this.world.getSystem('agent');
-        if (!agentSystem || !agentSystem.isConnected) {
-            return this.generateFallbackMessage(speakerBrain, 0);
+    // Who speaks after speaker said message, by the session's turn policy; pairs simply alternate
+    async pickNextSpeaker(conversation, speaker, message) {
+        const options = { topic: conversation.context.topic, limit: 1 };
+        const bySession = conversation.sessionId && this.world.events.hasHandler('session:nextSpeakers')
+            ? await this.world.events.request('session:nextSpeakers', {
+                sessionId: conversation.sessionId,
+                senderId: speaker.id,
+                content: message,
+                options
+            })
+            : null;
+        
+        const [next] = bySession || TurnTaking.nextSpeakers(conversation.turnPolicy, {
+                candidates: conversation.participants.filter(entity => entity !== speaker),
+                message,
+                lastSpeakerId: conversation.messages[conversation.messages.length - 2]?.speaker || null,
+                ...options
+            });
+        return next || TurnTaking.after(conversation.participants, speaker.id);
+    }
+    
+    // These prompts carry their own transcript, so leave out session history.
+    // Lines between entities are just talk, so no tools either
+    generateLine(prompt, speaker) {
+        return this.world.events.request('agent:generate', {
+            prompt,
+            entity: speaker,
+            context: { includeHistory: false, includeTools: false }
+        });
+    }
+    
+    // Round-tables are told who's there and how to address one of them
+    groupNote(conversation) {
+        if (conversation.participants.length <= 2) return '';
+        return `\nThis is a group conversation. Address someone in particular with @name.`;
+    }
+    
+    // Topic and goal a scenario gave the speaker
+    scriptNote(conversation, speaker) {
+        const { topic, goals } = conversation.script || {};
+        const goal = goals?.[speaker.id];
+        return `${topic ? `\nThe conversation is about: ${topic}.` : ''}${goal ? `\nYour goal in this conversation: ${goal}` : ''}`;
+    }
+    
+    async generateStarterMessage(speakerBrain, speaker, listeners, conversation) {
+        // Check for pending messages to relay to anyone at the table
+        const pendingMessages = listeners.flatMap(listener => speakerBrain.getPendingMessagesFor(listener.id)
+            .map(msg => ({ ...msg, listener })));
+        
+        if (!this.world.events.hasHandler('agent:generate')) {
+            return pendingMessages.length > 0
+                ? this.relayVerbatim(speaker, listeners, pendingMessages, conversation)
+                : this.generateFallbackMessage(speakerBrain, 0);
         }
         
         // Build rich context for AI generation
-        const context = speakerBrain.generateConversationContext(listener);
+        const context = speakerBrain.generateConversationContext(listeners[0]);
         
-        // Check for pending messages to relay
-        const pendingMessages = speakerBrain.getPendingMessagesFor(listener.id);
         let pendingMessageContext = '';
         if (pendingMessages.length > 0) {
-            pendingMessageContext = `\n\nIMPORTANT: You have ${pendingMessages.length} message(s) to relay to this entity:\n${pendingMessages.map(msg => `- From ${this.world.entities.get(msg.fromEntityId)?.tag || 'Unknown'}: "${msg.message}"`).join('\n')}`;
+            pendingMessageContext = `\n\nIMPORTANT: You have ${pendingMessages.length} message(s) to relay:\n${pendingMessages.map(msg => `- From ${this.world.entities.get(msg.fromEntityId)?.tag || 'Unknown'} to ${msg.listener.tag || 'them'}: "${msg.message}"`).join('\n')}`;
         }
         
-        const prompt = `You are ${speaker.tag || 'an entity'} starting a conversation with ${listener.tag || 'another entity'}. 
-Generate a natural, contextual conversation starter based on your recent experiences and observations.
+        const prompt = `You are ${speaker.tag || 'an entity'} starting a conversation with ${this.othersText(conversation, speaker)}. 
+Generate a natural, contextual conversation starter based on your recent experiences and observations.${this.groupNote(conversation)}${this.scriptNote(conversation, speaker)}
 
 Your Context:
 - Personality: ${JSON.stringify(context.personality)}
@@ -345,36 +430,63 @@ ${context.systemPrompt}
 Respond with just the conversation starter message (1-2 sentences). Be natural and contextual, not generic. If you have messages to relay, include them naturally in your greeting.`;
         
         try {
-            const response = await agentSystem.generateResponseWithContext(prompt, speaker, {});
+            const response = await this.generateLine(prompt, speaker);
             
             // Clear pending messages since they've been relayed
             if (pendingMessages.length > 0) {
-                speakerBrain.clearPendingMessagesFor(listener.id);
-                console.log(`%c✉️ ${speaker.tag || speaker.id} relayed ${pendingMessages.length} message(s) to ${listener.tag || listener.id}`, this.consoleStyles.system);
+                this.handOver(speaker, listeners, pendingMessages, conversation);
             }
             
             // Extract topic from the starter for context
-            conversation.context.topic = this.extractTopicFromMessage(response);
+            if (!conversation.script?.topic) {
+                conversation.context.topic = this.extractTopicFromMessage(response);
+            }
             return response;
         } catch (error) {
             console.error('Error generating starter message:', error);
-            return this.generateFallbackMessage(speakerBrain, 0);
+            return pendingMessages.length > 0
+                ? this.relayVerbatim(speaker, listeners, pendingMessages, conversation)
+                : this.generateFallbackMessage(speakerBrain, 0);
+        }
+    }
+    
+    // Deliver relays word for word when the model can't phrase them
+    relayVerbatim(speaker, listeners, pendingMessages, conversation) {
+        this.handOver(speaker, listeners, pendingMessages, conversation);
+        return pendingMessages
+            .map(msg => `${this.world.entities.get(msg.fromEntityId)?.tag || 'Someone'} asked me to tell you: "${msg.message}"`)
+            .join(' ');
+    }
+    
+    // Relayed messages leave the speaker's pending list; RelaySystem sends the receipts
+    handOver(speaker, listeners, pendingMessages, conversation) {
+        const speakerBrain = speaker.getComponent(BrainComponent);
+        listeners.forEach(listener => speakerBrain.clearPendingMessagesFor(listener.id));
+        if (CONFIG.debug.enabled) {
+            console.log(`%c✉️ ${speaker.tag || speaker.id} relayed ${pendingMessages.length} message(s) to ${this.othersText(conversation, speaker)}`, this.consoleStyles.system);
         }
+        
+        this.world.events.emit('conversation:relayed', {
+            speaker,
+            messages: pendingMessages.map(({ listener, ...msg }) => ({ ...msg, targetEntityId: listener.id })),
+            sessionId: conversation.sessionId
+        });
     }
     
-    async generateContextualResponse(speakerBrain, speaker, listenerBrain, listener, conversation) {
-        const agentSystem = this.world.getSystem('agent');
-        if (!agentSystem || !agentSystem.isConnected) {
+    async generateContextualResponse(speakerBrain, speaker, conversation) {
+        if (!this.world.events.hasHandler('agent:generate')) {
             return this.generateFallbackMessage(speakerBrain, conversation.messageCount);
         }
         
-        const context = speakerBrain.generateConversationContext(listener);
         const lastMessage = conversation.messages[conversation.messages.length - 1];
-        const conversationHistory = conversation.messages.slice(-3).map(m => 
-            `${m.speaker === speaker.id ? 'You' : listener.tag || 'Other'}: ${m.message}`
+        const lastSpeaker = this.world.getEntity(lastMessage.speaker);
+        const context = speakerBrain.generateConversationContext(lastSpeaker);
+        const recentCount = Math.max(3, conversation.participants.length + 1);
+        const conversationHistory = conversation.messages.slice(-recentCount).map(m => 
+            `${m.speaker === speaker.id ? 'You' : this.world.getEntity(m.speaker)?.tag || 'Other'}: ${m.message}`
         ).join('\n');
         
-        const prompt = `You are ${speaker.tag || 'an entity'} responding in an ongoing conversation with ${listener.tag || 'another entity'}.
+        const prompt = `You are ${speaker.tag || 'an entity'} responding in an ongoing conversation with ${this.othersText(conversation, speaker)}.${this.groupNote(conversation)}${this.scriptNote(conversation, speaker)}
 
 Your Context:
 - Personality: ${JSON.stringify(context.personality)}
@@ -386,17 +498,17 @@ Your Context:
 Recent conversation:
 ${conversationHistory}
 
-Last message from ${listener.tag || 'other'}: "${lastMessage.message}"
+Last message from ${lastSpeaker?.tag || 'other'}: "${lastMessage.message}"
 
 ${context.systemPrompt}
 
 Respond naturally based on your personality, experiences, and the conversation flow. Be engaging and build on what was said (1-2 sentences).`;
         
         try {
-            const response = await agentSystem.generateResponseWithContext(prompt, speaker, {});
+            const response = await this.generateLine(prompt, speaker);
             // Update topic if it has evolved
             const newTopic = this.extractTopicFromMessage(response);
-            if (newTopic && newTopic !== conversation.context.topic) {
+            if (newTopic && newTopic !== conversation.context.topic && !conversation.script?.topic) {
                 conversation.context.topic = newTopic;
             }
             return response;
@@ -407,15 +519,14 @@ Respond naturally based on your personality, experiences, and the conversation f
     }
     
     async generateConclusionMessage(speakerBrain, speaker, conversation) {
-        const agentSystem = this.world.getSystem('agent');
-        if (!agentSystem || !agentSystem.isConnected) {
+        if (!this.world.events.hasHandler('agent:generate')) {
             return "This has been interesting. I should get back to my tasks.";
         }
         
-        const context = speakerBrain.generateConversationContext(conversation.entity1.id === speaker.id ? conversation.entity2 : conversation.entity1);
+        const context = speakerBrain.generateConversationContext(conversation.participants.find(entity => entity !== speaker));
         const conversationSummary = conversation.messages.slice(-3).map(m => m.message).join('. ');
         
-        const prompt = `You are ${speaker.tag || 'an entity'} concluding a conversation about ${conversation.context.topic || 'various topics'}.
+        const prompt = `You are ${speaker.tag || 'an entity'} concluding a conversation about ${conversation.context.topic || 'various topics'}.${this.scriptNote(conversation, speaker)}
 
 Your Context:
 - Personality: ${JSON.stringify(context.personality)}
@@ -427,7 +538,7 @@ ${context.systemPrompt}
 Generate a natural conversation conclusion that wraps up the discussion. Be authentic to your personality (1-2 sentences).`;
         
         try {
-            return await agentSystem.generateResponseWithContext(prompt, speaker, {});
+            return await this.generateLine(prompt, speaker);
         } catch (error) {
             console.error('Error generating conclusion message:', error);
             return "This has been enlightening. Thanks for the chat!";
@@ -469,36 +580,20 @@ Generate a natural conversation conclusion that wraps up the discussion. Be auth
         return null;
     }
     
-    storeMessage(sender, receiver, message) {
-        // Get session between these entities
-        const senderSession = sender.getComponent(Session);
-        if (!senderSession) return;
+    storeMessage(conversation, sender, message) {
+        if (!conversation.sessionId || !this.world.events.hasHandler('session:send')) return;
         
-        // Find session with both participants
-        const activeSessions = senderSession.getActiveSessionsForEntity(sender.id);
-        const session = activeSessions.find(s => 
-            s.participants.has(sender.id) && s.participants.has(receiver.id)
-        );
-        if (!session) return;
-        
-        // Get chat log
-        const chatLog = sender.getComponent(ChatLog) || receiver.getComponent(ChatLog);
-        if (!chatLog) return;
-        
-        // Add message to chat log
-        chatLog.addMessage(session.chatLogId, {
+        this.world.events.request('session:send', {
+            sessionId: conversation.sessionId,
             senderId: sender.id,
             content: message,
-            timestamp: Date.now(),
-            type: 'text'
-        });
-        
-        // Update session message count
-        senderSession.incrementMessageCount(session.id);
+            type: 'llm'
+        }).catch(error => console.error('Failed to store conversation message:', error));
     }
     
     endConversation(conversation) {
-        const key = this.getConversationKey(conversation.entity1.id, conversation.entity2.id);
+        if (!this.isActive(conversation)) return;
+        const key = this.getConversationKey(conversation.participants.map(entity => entity.id));
         
         // Log conversation end
         console.log('%c─────────────────────────────', this.consoleStyles.system);
@@ -509,36 +604,43 @@ Generate a natural conversation conclusion that wraps up the discussion. Be auth
         );
         console.log('');
         
-        // Log final experience for both entities
-        conversation.brain1.logExperience('positive_interaction', `Completed conversation with ${conversation.entity2.tag || conversation.entity2.id}`, {
-            duration: Date.now() - conversation.startTime,
-            topic: conversation.context.topic,
-            messages: conversation.messageCount
-        });
-        
-        conversation.brain2.logExperience('positive_interaction', `Completed conversation with ${conversation.entity1.tag || conversation.entity1.id}`, {
-            duration: Date.now() - conversation.startTime,
-            topic: conversation.context.topic,
-            messages: conversation.messageCount
-        });
-        
-        // Update connection states
-        const connection1 = conversation.entity1.getComponent(Connection);
-        const connection2 = conversation.entity2.getComponent(Connection);
-        
-        if (connection1) {
-            connection1.updateConnectionState(conversation.entity2.id, 'inactive');
-        }
-        if (connection2) {
-            connection2.updateConnectionState(conversation.entity1.id, 'inactive');
+        // Log final experience for every participant
+        for (const entity of conversation.participants) {
+            conversation.brains.get(entity.id).logExperience('positive_interaction', `Completed conversation with ${this.othersText(conversation, entity)}`, {
+                duration: Date.now() - conversation.startTime,
+                topic: conversation.context.topic,
+                messages: conversation.messageCount
+            });
         }
         
         // Remove from active conversations
         this.activeConversations.delete(key);
+        
+        // Closing the session lets SummarizationSystem remember it
+        if (conversation.sessionId && this.world.events.hasHandler('session:deactivate')) {
+            this.world.events.request('session:deactivate', { sessionId: conversation.sessionId })
+                .catch(error => console.error('Failed to close conversation session:', error));
+        }
+        
+        this.world.events.emit('conversation:ended', {
+            conversation,
+            entities: conversation.participants,
+            topic: conversation.context.topic,
+            messageCount: conversation.messageCount
+        });
+    }
+    
+    onEntityRemoved(entity) {
+        // Entity lost its brain or left the world - drop any conversation it was part of
+        for (const conversation of Array.from(this.activeConversations.values())) {
+            if (conversation.participants.includes(entity)) {
+                this.endConversation(conversation);
+            }
+        }
     }
     
-    getConversationKey(id1, id2) {
-        return [id1, id2].sort().join('_');
+    getConversationKey(ids) {
+        return [...ids].sort().join('_');
     }
     
     update(deltaTime) {
@@ -546,11 +648,10 @@ Generate a natural conversation conclusion that wraps up the discussion. Be auth
         
         // Update environmental observations periodically
         if (currentTime - this.lastObservationUpdate > this.observationInterval) {
-            const entities = this.world.getEntitiesWithComponent(BrainComponent);
-            entities.forEach(entity => {
+            for (const entity of this.entities) {
                 const brain = entity.getComponent(BrainComponent);
-                brain.observeEnvironment(this.world, entity);
-            });
+                brain.observeEnvironment(this.world, entity, { conversations: this.activeConversations.size });
+            }
             this.lastObservationUpdate = currentTime;
         }
         
@@ -591,7 +692,7 @@ Generate a natural conversation conclusion that wraps up the discussion. Be auth
     // Get conversation status
     getStatus() {
         const activeCount = this.activeConversations.size;
-        const entities = this.world.getEntitiesWithComponent(BrainComponent).length;
+        const entities = this.entities.size;
         
         console.log('%c📊 AI Autonomous Chat Status', this.consoleStyles.header);
         console.log(`%cEnabled: ${this.enabled}`, this.consoleStyles.system);
@@ -600,7 +701,7 @@ Generate a natural conversation conclusion that wraps up the discussion. Be auth
         console.log(`%cConversation Interval: ${this.conversationInterval}ms`, this.consoleStyles.system);
         
         // Show some entity experiences if available
-        const entitiesWithExperiences = this.world.getEntitiesWithComponent(BrainComponent)
+        const entitiesWithExperiences = Array.from(this.entities)
             .filter(e => e.getComponent(BrainComponent).experiences.length > 0);
         
         if (entitiesWithExperiences.length > 0) {
@@ -7,6 +7,7 @@ import { CameraComponent, TransformComponent, PlayerControllerComponent } from '
 export class CameraSystem extends System {
   constructor() {
     super();
+    this.phase = 'presentation';
     this.requiredComponents = [CameraComponent, TransformComponent];
     this.activeCamera = null;
     this.threeRenderSystem = null;
@@ -101,15 +102,27 @@ export class CameraSystem extends System {
     
     const camera = entity.getComponent(CameraComponent);
     if (camera === this.activeCamera) {
-      this.activeCamera = null;
-      
-      // Try to find another active camera
-      for (const otherEntity of this.entities) {
-        const otherCamera = otherEntity.getComponent(CameraComponent);
-        if (otherCamera && otherCamera.isActive) {
-          this.setActiveCamera(otherCamera);
-          break;
-        }
+      this.releaseActiveCamera();
+    }
+  }
+  
+  onComponentRemoved(entity, component) {
+    super.onComponentRemoved(entity, component);
+    
+    if (component === this.activeCamera) {
+      this.releaseActiveCamera();
+    }
+  }
+  
+  releaseActiveCamera() {
+    this.activeCamera = null;
+    
+    // Try to find another active camera
+    for (const otherEntity of this.entities) {
+      const otherCamera = otherEntity.getComponent(CameraComponent);
+      if (otherCamera && otherCamera.isActive) {
+        this.setActiveCamera(otherCamera);
+        break;
       }
     }
   }
@@ -7,6 +7,7 @@ import { System } from '../../core/System.js';
 export class ChatInterfaceSystem extends System {
     constructor() {
         super();
+        this.phase = 'presentation';
         this.requiredComponents = [];
         
         // System references - will be set by app.js
@@ -20,6 +21,16 @@ export class ChatInterfaceSystem extends System {
         this.industrialPortfolio = industrialPortfolio;
         
         this.initChatInterface();
+
+        // Relay receipts show up live if the player is looking at the chat they asked in
+        const showReceipt = async ({ relay, notice }) => {
+            if (relay.sessionId && relay.sessionId === await this.currentSessionId()) {
+                this.addMessage("system", notice);
+            }
+        };
+        this.world.events.on("relay:delivered", showReceipt);
+        this.world.events.on("relay:failed", showReceipt);
+
         console.log("✅ ChatInterface System initialized");
     }
 
@@ -59,9 +70,8 @@ export class ChatInterfaceSystem extends System {
         // Model select handler
         if (modelSelect) {
             modelSelect.addEventListener("change", (e) => {
-                const agentSystem = this.world?.getSystem("agent");
-                if (agentSystem) {
-                    agentSystem.switchModel(e.target.value);
+                if (this.world?.events.hasHandler("agent:switchModel")) {
+                    this.world.events.request("agent:switchModel", { model: e.target.value });
                 }
             });
         }
@@ -86,6 +96,17 @@ export class ChatInterfaceSystem extends System {
             });
         }
 
+        // Export files for /import, from the file picker or dropped on the chat
+        const importFile = document.getElementById("import-file");
+        if (importFile) {
+            importFile.addEventListener("change", (e) => {
+                const [file] = e.target.files;
+                e.target.value = ""; // Let the same file be chosen again
+                if (file) this.world?.getSystem("command")?.handleImportFile(file);
+            });
+        }
+        this.setupFileDrop(document.querySelector(".chat-container"));
+
         console.log("✅ Chat interface initialized");
     }
 
@@ -98,16 +119,25 @@ export class ChatInterfaceSystem extends System {
             welcome.remove();
         }
 
+        // Assistant messages come from options.entity (group sessions) or the current chat target
+        const target = options.entity || this.industrialPortfolio?.currentChatTarget;
+        const author = type === 'assistant' ? (target?.id || '') : type;
+
         // Check if this is a consecutive message from the same author
         const lastMessage = chatMessages.lastElementChild;
         const isConsecutive = lastMessage && 
                              lastMessage.classList.contains('message') &&
                              lastMessage.classList.contains(type) &&
+                             lastMessage.dataset.author === author &&
                              !lastMessage.classList.contains('system');
 
         // Create message element with Slack-style structure
         const messageDiv = document.createElement("div");
         messageDiv.className = `message ${type}`;
+        messageDiv.dataset.author = author;
+        if (options.messageId) {
+            messageDiv.dataset.messageId = options.messageId;
+        }
         
         if (isConsecutive) {
             messageDiv.classList.add('consecutive');
@@ -127,7 +157,6 @@ export class ChatInterfaceSystem extends System {
                 avatarDiv.textContent = 'U';
             } else if (type === 'assistant') {
                 // Get entity name for avatar
-                const target = this.industrialPortfolio?.currentChatTarget;
                 if (target && target.tag) {
                     if (target.tag === 'origin-marker') {
                         avatarDiv.textContent = 'O';
@@ -150,7 +179,6 @@ export class ChatInterfaceSystem extends System {
             if (type === 'user') {
                 authorSpan.textContent = 'You';
             } else if (type === 'assistant') {
-                const target = this.industrialPortfolio?.currentChatTarget;
                 if (target && target.tag) {
                     if (target.tag === 'origin-marker') {
                         authorSpan.textContent = 'Origin';
@@ -225,6 +253,75 @@ export class ChatInterfaceSystem extends System {
 
         // Scroll to bottom
         chatMessages.scrollTop = chatMessages.scrollHeight;
+
+        return messageDiv;
+    }
+
+    // Search results (SearchSystem.search) as a list under a system message; clicking one calls onOpen(hit)
+    addSearchResults(query, { hits, total }, onOpen) {
+        const more = total > hits.length ? ` (showing the best ${hits.length})` : "";
+        const messageDiv = this.addMessage("system", `🔎 ${total} message${total === 1 ? "" : "s"} matching "${query}"${more}:`);
+
+        const list = document.createElement("div");
+        list.className = "search-results";
+        hits.forEach(hit => {
+            const item = document.createElement("button");
+            item.type = "button";
+            item.className = "search-result";
+
+            const meta = document.createElement("div");
+            meta.className = "search-result-meta";
+            meta.textContent = `${hit.sender} · ${hit.sessionTitle} · ${new Date(hit.timestamp).toLocaleString()}${hit.hasImage ? " · 🖼️" : ""}`;
+
+            // Snippet text with the matching words in <mark>
+            const snippet = document.createElement("div");
+            snippet.className = "search-result-snippet";
+            let cursor = 0;
+            hit.snippet.highlights.forEach(([start, end]) => {
+                const mark = document.createElement("mark");
+                mark.textContent = hit.snippet.text.slice(start, end);
+                snippet.append(hit.snippet.text.slice(cursor, start), mark);
+                cursor = end;
+            });
+            snippet.append(hit.snippet.text.slice(cursor));
+
+            item.append(meta, snippet);
+            item.addEventListener("click", () => onOpen(hit));
+            list.appendChild(item);
+        });
+
+        messageDiv.querySelector(".message-body").appendChild(list);
+        const chatMessages = document.getElementById("chat-messages");
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+        return messageDiv;
+    }
+
+    // Scroll to a message added with options.messageId and flash it; false if it isn't shown
+    focusMessage(messageId) {
+        const messageDiv = Array.from(document.querySelectorAll("#chat-messages .message"))
+            .find(element => element.dataset.messageId === messageId);
+        if (!messageDiv) return false;
+
+        messageDiv.scrollIntoView({ block: "center" });
+        messageDiv.classList.add("search-focus");
+        setTimeout(() => messageDiv.classList.remove("search-focus"), 2500);
+        return true;
+    }
+
+    // Replace the text of a message added with addMessage (used while streaming)
+    updateMessage(messageDiv, content) {
+        const chatMessages = document.getElementById("chat-messages");
+        const messageContent = messageDiv.querySelector(".message-content");
+        if (!messageContent) return;
+
+        // Only follow the stream if the user hasn't scrolled up to read
+        const nearBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 100;
+
+        messageContent.textContent = content;
+
+        if (nearBottom) {
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+        }
     }
 
     autoResizeTextarea(textarea) {
@@ -279,69 +376,68 @@ export class ChatInterfaceSystem extends System {
         this.updateSendButton(chatInput, document.getElementById("chat-send"));
         this.clearImagePreview();
 
-        // Send message through session system
-        const sessionSystem = this.world?.getSystem("session");
-        const agentSystem = this.world?.getSystem("agent");
+        // Send message through the session system
+        const { events } = this.world || {};
+        const portfolio = this.industrialPortfolio;
 
-        if (sessionSystem && this.industrialPortfolio?.playerEntity && this.industrialPortfolio?.currentChatTarget) {
+        if (events?.hasHandler("session:send") && portfolio?.playerEntity && portfolio?.currentChatTarget) {
             // Add user message to session with images
-            sessionSystem.sendMessage(
-                session.id,
-                this.industrialPortfolio.playerEntity.id,
-                message,
-                "user",
-                { images: images }
-            );
+            await events.request("session:send", {
+                sessionId: session.id,
+                senderId: portfolio.playerEntity.id,
+                content: message,
+                type: "user",
+                options: { images: images }
+            });
 
             // Display user message
             this.addMessage("user", message);
 
-            // Get AI response if agent system is ready
-            if (agentSystem && agentSystem.isConnected) {
-                try {
-                    // Get response from AI using entity context
-                    const response = await agentSystem.generateResponseWithContext(
-                        message,
-                        this.industrialPortfolio.currentChatTarget,
-                        { images: images, userMessage: message }
-                    );
-
-                    // Add AI response to session
-                    sessionSystem.sendMessage(
-                        session.id,
-                        this.industrialPortfolio.currentChatTarget.id,
-                        response,
-                        "llm"
-                    );
-
-                    // Display AI response
-                    this.addMessage("assistant", response);
-                    
-                    // Refresh sessions list to show updated activity
-                    if (this.industrialPortfolio.loadSessionsList) {
-                        this.industrialPortfolio.loadSessionsList();
+            // Get AI responses if agent system is ready: the chat target, or
+            // whoever the group's turn policy picks
+            if (events.hasHandler("agent:generate")) {
+                const isGroup = session.participants.size > 2;
+                const speakers = isGroup
+                    ? await events.request("session:nextSpeakers", { sessionId: session.id, senderId: portfolio.playerEntity.id, content: message }) || []
+                    : [portfolio.currentChatTarget];
+
+                let latest = message;
+                let latestSender = portfolio.playerEntity;
+                for (const entity of speakers) {
+                    // Speakers' models may run on different providers; skip those whose is down
+                    const { provider, connected } = await events.request("agent:connection", { entity });
+                    if (!connected) {
+                        const offline = `${entity.tag || "This entity"} is offline. Please check if ${provider} is running.`;
+                        await events.request("session:send", { sessionId: session.id, senderId: entity.id, content: offline, type: "system" });
+                        this.addMessage("assistant", offline, { entity });
+                        continue;
                     }
-                } catch (error) {
-                    console.error("Error getting AI response:", error);
-                    // Fallback response
-                    const fallbackResponse = "Agent system not initialized. Please check if Ollama is running.";
-                    sessionSystem.sendMessage(
-                        session.id,
-                        this.industrialPortfolio.currentChatTarget.id,
-                        fallbackResponse,
-                        "system"
-                    );
-                    this.addMessage("assistant", fallbackResponse);
+
+                    // In groups, each reply answers the newest message, with its sender's name
+                    const content = isGroup ? `${latestSender.tag || 'Unknown'}: ${latest}` : latest;
+                    const response = await this.respond(session, entity, content, {
+                        images: latestSender === portfolio.playerEntity ? images : [],
+                        userMessage: latestSender === portfolio.playerEntity ? message : undefined
+                    });
+                    if (response === null) break;
+
+                    latest = response;
+                    latestSender = entity;
+                }
+
+                // Refresh sessions list to show updated activity
+                if (portfolio.loadSessionsList) {
+                    portfolio.loadSessionsList();
                 }
             } else {
-                // Fallback response when agent not connected
-                const fallbackResponse = "Agent system not initialized. Please check if Ollama is running.";
-                sessionSystem.sendMessage(
-                    session.id,
-                    this.industrialPortfolio.currentChatTarget.id,
-                    fallbackResponse,
-                    "system"
-                );
+                // Fallback response when there is no agent system
+                const fallbackResponse = "Agent system not initialized.";
+                await events.request("session:send", {
+                    sessionId: session.id,
+                    senderId: portfolio.currentChatTarget.id,
+                    content: fallbackResponse,
+                    type: "system"
+                });
                 this.addMessage("assistant", fallbackResponse);
             }
         } else {
@@ -351,18 +447,141 @@ export class ChatInterfaceSystem extends System {
         }
     }
 
+    /**
+     * Stream entity's reply to content into the chat and the session. Resolves
+     * with the reply, or null if it was cancelled or failed.
+     */
+    async respond(session, entity, content, { images = [], userMessage } = {}) {
+        const { events } = this.world;
+
+        // Reply shown while tokens stream in, created on the first token
+        let replyElement = null;
+        let replyText = "";
+
+        try {
+            // Get response from AI using entity context
+            const response = await events.request("agent:generate", {
+                prompt: content,
+                entity,
+                context: { images: images, userMessage, sessionId: session.id },
+                options: {
+                    onToken: (token, text) => {
+                        replyText = text;
+                        if (replyElement) {
+                            this.updateMessage(replyElement, text);
+                        } else {
+                            replyElement = this.addMessage("assistant", text, { entity });
+                        }
+                    },
+                    onToolCall: (trace) => {
+                        // The reply restarts after a tool call, below its trace
+                        replyElement?.remove();
+                        replyElement = null;
+                        replyText = "";
+                        this.recordToolCall(session, trace, entity);
+                    }
+                }
+            });
+
+            // Add AI response to session
+            await events.request("session:send", { sessionId: session.id, senderId: entity.id, content: response, type: "llm" });
+
+            // Display AI response (the final text replaces the streamed text)
+            if (replyElement) {
+                this.updateMessage(replyElement, response);
+            } else {
+                this.addMessage("assistant", response, { entity });
+            }
+            return response;
+        } catch (error) {
+            if (error?.name === "AbortError") {
+                this.recordCancelledReply(session, replyElement, replyText, entity);
+                return null;
+            }
+
+            // Failures are logged as system messages, not as something the entity said
+            console.error("Error getting AI response:", error);
+            replyElement?.remove();
+            const notice = error.name === "TimeoutError"
+                ? "⏱️ The response took too long and was stopped."
+                : `⚠️ No reply: ${error.message}`;
+            await events.request("session:send", { sessionId: session.id, senderId: entity.id, content: notice, type: "system" });
+            this.addMessage("system", notice);
+            return null;
+        }
+    }
+
+    // Show a tool the entity ran, and keep it in the chat log
+    recordToolCall(session, { name, arguments: args, result, error }, entity = null) {
+        const target = entity || this.industrialPortfolio?.currentChatTarget;
+
+        const call = `🔧 ${name}(${JSON.stringify(args || {})})`;
+        const output = error ? `❌ ${error}` : result;
+        const content = `${call}\n${output.length > 300 ? `${output.slice(0, 300)}…` : output}`;
+
+        if (target && this.world?.events.hasHandler("session:send")) {
+            this.world.events.request("session:send", {
+                sessionId: session.id,
+                senderId: target.id,
+                content,
+                type: "system",
+                options: { metadata: { tool: { name, arguments: args, error: error || null } } }
+            });
+        }
+        this.addMessage("system", content);
+    }
+
+    // Keep whatever streamed before /stop, marked as cancelled in the chat log
+    recordCancelledReply(session, replyElement, partialText, entity = null) {
+        const target = entity || this.industrialPortfolio?.currentChatTarget;
+        const content = partialText
+            ? `${partialText} …\n\n⏹️ Response cancelled`
+            : "⏹️ Response cancelled";
+
+        if (target && this.world?.events.hasHandler("session:send")) {
+            this.world.events.request("session:send", {
+                sessionId: session.id,
+                senderId: target.id,
+                content,
+                type: partialText ? "llm" : "system",
+                options: { metadata: { cancelled: true } }
+            });
+        }
+
+        if (replyElement) {
+            this.updateMessage(replyElement, content);
+        } else {
+            this.addMessage("system", content);
+        }
+    }
+
+    // Id of the session shown in the chat panel: the group, or the active DM with the target
+    async currentSessionId() {
+        const portfolio = this.industrialPortfolio;
+        const events = this.world?.events;
+        if (!portfolio?.playerEntity || !portfolio.currentChatTarget || !events?.hasHandler("session:find")) return null;
+        if (portfolio.currentGroupSessionId) return portfolio.currentGroupSessionId;
+
+        const session = await events.request("session:find", { entities: [portfolio.playerEntity, portfolio.currentChatTarget] });
+        return session?.id || null;
+    }
+
     async handleImageUpload(files) {
         const imagePreview = document.getElementById("image-preview");
-        const agentSystem = this.world?.getSystem("agent");
+        const events = this.world?.events;
 
-        if (!agentSystem) {
+        if (!events?.hasHandler("agent:capabilities")) {
             alert("AgentSystem not ready. Please wait for Ollama to connect.");
             return;
         }
 
-        if (!agentSystem.supportsImages) {
+        // The model that will answer has to take images
+        const { model, capabilities, description } = await events.request("agent:capabilities", {
+            entity: this.industrialPortfolio?.currentChatTarget
+        });
+        if (!capabilities.images) {
             alert(
-                `Current model "${agentSystem.currentModel}" doesn't support images. Please select a multimodal model like gemma2 or gemma3.`
+                `Model "${model}" doesn't support images (${description}). Please select a model with vision.`
             );
             return;
         }
@@ -388,6 +607,47 @@ export class ChatInterfaceSystem extends System {
         }
     }
 
+    // Open the file picker for /import; false if the page has none
+    chooseImportFile() {
+        const importFile = document.getElementById("import-file");
+        importFile?.click();
+        return Boolean(importFile);
+    }
+
+    // Dropping a .json file on the chat previews importing it; dropped images are attached like uploads
+    setupFileDrop(container) {
+        if (!container) return;
+        const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes("Files");
+
+        container.addEventListener("dragover", (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            container.classList.add("drop-target");
+        });
+
+        container.addEventListener("dragleave", (e) => {
+            if (!container.contains(e.relatedTarget)) {
+                container.classList.remove("drop-target");
+            }
+        });
+
+        container.addEventListener("drop", (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            container.classList.remove("drop-target");
+
+            const files = Array.from(e.dataTransfer.files);
+            const exportFile = files.find(file => file.type === "application/json" || file.name.toLowerCase().endsWith(".json"));
+            const images = files.filter(file => file.type.startsWith("image/"));
+            if (exportFile) {
+                this.world?.getSystem("command")?.handleImportFile(exportFile);
+            }
+            if (images.length > 0) {
+                this.handleImageUpload(images);
+            }
+        });
+    }
+
     fileToBase64(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -1,4 +1,8 @@
 import { System } from '../../core/System.js';
+import { CONFIG } from '../../config/index.js';
+import { BrainComponent } from '../../components/BrainComponent.js';
+import { SearchIndex } from '../Search/SearchIndex.js';
+import { MERGE_STRATEGIES } from '../Persistence/bundle.js';
 
 /**
  * CommandSystem - Handles slash command processing and execution
@@ -7,17 +11,26 @@ import { System } from '../../core/System.js';
 export class CommandSystem extends System {
     constructor() {
         super();
+        this.phase = 'input';
         this.requiredComponents = [];
         
         // System references - will be set by app.js
         this.world = null;
         this.industrialPortfolio = null;
+
+        this.pendingImport = null; // { fileName, bundle, strategy, participantMap } until /import confirm or cancel
+        this.pendingTool = null; // { entity, name, args } of a tool call waiting for /allow or /deny
+        this.tools = this.createTools();
     }
 
     init(world, industrialPortfolio) {
         console.log("🎮 Initializing Command System...");
         this.world = world;
         this.industrialPortfolio = industrialPortfolio;
+
+        // AgentSystem offers and runs tools through these
+        world.events.handle("command:tools", ({ brain }) => this.getTools(brain));
+        world.events.handle("command:runTool", ({ entity, name, arguments: args }) => this.runTool(entity, name, args));
         console.log("✅ Command System initialized");
     }
 
@@ -26,86 +39,541 @@ export class CommandSystem extends System {
 
     // Handle /save command - saves current session to IndexedDB
     async handleSaveCommand() {
+        this.industrialPortfolio?.addMessage("assistant", await this.saveSession());
+    }
+
+    // Save the current session; resolves with the text to show
+    async saveSession() {
         const persistenceSystem = this.world?.getSystem("persistence");
         if (!persistenceSystem) {
-            this.industrialPortfolio?.addMessage("assistant", "Save system not available.");
-            return;
+            return "Save system not available.";
         }
 
         if (!persistenceSystem.initialized) {
-            this.industrialPortfolio?.addMessage("assistant", "Persistence system not initialized.");
-            return;
+            return "Persistence system not initialized.";
         }
 
         try {
             // Force a save of current session data to IndexedDB
             if (typeof persistenceSystem.forceSave === 'function') {
                 await persistenceSystem.forceSave();
-                this.industrialPortfolio?.addMessage("assistant", "✅ Current session saved to local storage (IndexedDB)!");
-            } else {
-                // Alternative: trigger a manual save
-                await persistenceSystem.update(0); // Force an update
-                this.industrialPortfolio?.addMessage("assistant", "✅ Session data synchronized to local storage!");
+                return "✅ Current session saved to local storage (IndexedDB)!";
             }
+            // Alternative: trigger a manual save
+            await persistenceSystem.update(0); // Force an update
+            return "✅ Session data synchronized to local storage!";
         } catch (error) {
             console.error("Error saving session:", error);
-            this.industrialPortfolio?.addMessage(
-                "assistant", 
-                "❌ Failed to save session to local storage. Please try again."
-            );
+            return "❌ Failed to save session to local storage. Please try again.";
         }
     }
 
-    // Handle /search command - search sessions by query
+    // Handle /stop command - abort in-flight generation for the current chat target
+    async handleStopCommand() {
+        const agentSystem = this.world?.getSystem("agent");
+        const target = this.industrialPortfolio?.currentChatTarget;
+        if (!agentSystem || !target) {
+            this.industrialPortfolio?.addMessage("assistant", "Nothing to stop.");
+            return;
+        }
+
+        // Every reply in the open session, so a group stops all its speakers
+        const sessionId = await this.world.getSystem("chatInterface")?.currentSessionId();
+        const cancelled = agentSystem.cancelRequests(sessionId ? { sessionId } : { entity: target });
+        if (cancelled === 0) {
+            this.industrialPortfolio?.addMessage("assistant", sessionId
+                ? "Nothing is being generated in this chat."
+                : `${target.tag || target.id} isn't generating anything.`);
+        }
+    }
+
+    // Handle /search command - search messages and sessions by query
     async handleSearchCommand(query) {
+        const chatInterface = this.world?.getSystem("chatInterface");
+        const found = await this.searchMessages(query);
+
+        // Clickable results that open each message in its session
+        if (found?.total > 0 && chatInterface) {
+            chatInterface.addSearchResults(query, found, (hit) => this.industrialPortfolio?.jumpToMessage(hit.sessionId, hit.messageId));
+            const sessions = await this.describeSessionMatches(query);
+            if (sessions) {
+                this.industrialPortfolio?.addMessage("assistant", sessions);
+            }
+            return;
+        }
+        this.industrialPortfolio?.addMessage("assistant", await this.searchSessions(query));
+    }
+
+    // Full-text message search (SearchSystem); null when it isn't available
+    async searchMessages(query) {
+        const searchSystem = this.world?.getSystem("search");
+        return searchSystem ? searchSystem.search(query) : null;
+    }
+
+    // Search messages and sessions; resolves with the results as text
+    async searchSessions(query) {
         const persistenceSystem = this.world?.getSystem("persistence");
         if (!persistenceSystem) {
-            this.industrialPortfolio?.addMessage("assistant", "Search system not available.");
-            return;
+            return "Search system not available.";
         }
 
         try {
-            const results = await persistenceSystem.searchSessions(query);
+            const found = await this.searchMessages(query);
+            if (found?.errors.length > 0) {
+                return `❌ ${found.errors.join("\n")}`;
+            }
 
-            if (results.length === 0) {
-                this.industrialPortfolio?.addMessage("assistant", `No sessions found matching "${query}"`);
-                return;
+            let response = "";
+            if (found?.total > 0) {
+                response += `Found ${found.total} message(s) matching "${query}":\n\n`;
+                found.hits.slice(0, 5).forEach((hit, index) => {
+                    const date = new Date(hit.timestamp).toLocaleDateString();
+                    response += `${index + 1}. ${hit.sender} in "${hit.sessionTitle}" (${date}): ${SearchIndex.mark(hit.snippet)}\n`;
+                });
+                if (found.total > 5) {
+                    response += `...and ${found.total - 5} more.\n`;
+                }
+            }
+
+            const sessions = await this.describeSessionMatches(query);
+            if (sessions) {
+                response += `${response ? "\n" : ""}${sessions}`;
+            }
+            return response || `No messages or sessions found matching "${query}"`;
+        } catch (error) {
+            console.error("Search error:", error);
+            return "Search failed. Please try again.";
+        }
+    }
+
+    // Sessions whose title or keywords match the query's words (filters left out), as text
+    async describeSessionMatches(query) {
+        const words = query.replace(/\b(from|before|after|has):\S+/gi, "").replace(/"/g, "").trim();
+        const persistenceSystem = this.world?.getSystem("persistence");
+        if (!words || !persistenceSystem) {
+            return "";
+        }
+
+        const results = await persistenceSystem.searchSessions(words);
+        if (results.length === 0) {
+            return "";
+        }
+
+        let response = `Found ${results.length} session(s) matching "${words}":\n\n`;
+        results.slice(0, 5).forEach((session, index) => {
+            const date = new Date(session.lastActivityAt).toLocaleDateString();
+            const title = session.title || "Untitled Session";
+            response += `${index + 1}. ${title} (${date}) - ${session.messageCount} messages\n`;
+            if (session.keywords?.length > 0) {
+                response += `   Keywords: ${session.keywords.join(", ")}\n`;
             }
+        });
+
+        if (results.length > 5) {
+            response += `\n...and ${results.length - 5} more results.`;
+        }
+        return response;
+    }
+
+    // Handle /history command - list recent sessions with their summaries
+    async handleHistoryCommand() {
+        this.industrialPortfolio?.addMessage("assistant", await this.listHistory());
+    }
 
-            let response = `Found ${results.length} session(s) matching "${query}":\n\n`;
-            results.slice(0, 5).forEach((session, index) => {
+    // Recent sessions, numbered like /delete range, with their summaries
+    async listHistory(limit = 10) {
+        const persistenceSystem = this.world?.getSystem("persistence");
+        if (!persistenceSystem?.initialized) {
+            return "History not available.";
+        }
+
+        try {
+            const sessions = (await persistenceSystem.storage.getAllSessions())
+                .sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+
+            if (sessions.length === 0) {
+                return "No saved sessions yet.";
+            }
+
+            let response = `**Recent sessions** (${Math.min(limit, sessions.length)} of ${sessions.length}):\n\n`;
+            sessions.slice(0, limit).forEach((session, index) => {
                 const date = new Date(session.lastActivityAt).toLocaleDateString();
                 const title = session.title || "Untitled Session";
                 response += `${index + 1}. ${title} (${date}) - ${session.messageCount} messages\n`;
-                if (session.keywords?.length > 0) {
-                    response += `   Keywords: ${session.keywords.join(", ")}\n`;
+                if (session.summary) {
+                    response += `   ${session.summary}\n`;
                 }
             });
 
-            if (results.length > 5) {
-                response += `\n...and ${results.length - 5} more results.`;
+            return response;
+        } catch (error) {
+            console.error("History error:", error);
+            return "Failed to load history. Please try again.";
+        }
+    }
+
+    // Handle /mood command - show an entity's affect and how its personality has drifted
+    handleMoodCommand(command) {
+        this.industrialPortfolio?.addMessage("assistant", this.describeMood(command));
+    }
+
+    // /mood [entity] [count]: entity defaults to the current chat target, count to 5 history entries
+    describeMood(command) {
+        const args = command.trim().split(/\s+/).slice(1);
+        const count = /^\d+$/.test(args[args.length - 1] || "") ? parseInt(args.pop(), 10) : 5;
+        const name = args.join(" ").toLowerCase();
+
+        const entity = name
+            ? Array.from(this.world.entities.values()).find(e =>
+                e.tag?.toLowerCase() === name && e.getComponent("BrainComponent"))
+            : this.industrialPortfolio?.currentChatTarget;
+        const brain = entity?.getComponent("BrainComponent");
+        if (!brain) {
+            return name ? `❌ Entity "${name}" not found or has no brain.` : "❌ No entity selected. Try /mood <entity>.";
+        }
+
+        const format = value => (value >= 0 ? "+" : "") + value.toFixed(2);
+        const baseline = brain.getAffectBaseline();
+
+        let response = `**${entity.tag || entity.id}** is ${brain.emotion} ` +
+            `(valence ${format(brain.affect.valence)}, arousal ${format(brain.affect.arousal)}; ` +
+            `resting at ${format(baseline.valence)}, ${format(baseline.arousal)})\n\n`;
+
+        response += "**Personality** (drift from start):\n";
+        Object.entries(brain.personality).forEach(([trait, value]) => {
+            const drift = value - (brain.basePersonality[trait] ?? value);
+            response += `• ${trait}: ${value.toFixed(2)} (${drift >= 0 ? "+" : ""}${drift.toFixed(3)})\n`;
+        });
+
+        const time = timestamp => new Date(timestamp).toLocaleTimeString();
+        const affectHistory = brain.affectHistory.slice(-count).reverse();
+        if (affectHistory.length > 0) {
+            response += `\n**Recent feelings:**\n`;
+            affectHistory.forEach(entry => {
+                response += `• ${time(entry.timestamp)} ${entry.mood} (${format(entry.valence)}, ${format(entry.arousal)}) - ${entry.cause}\n`;
+            });
+        }
+
+        const personalityHistory = brain.personalityHistory.slice(-count).reverse();
+        if (personalityHistory.length > 0) {
+            response += `\n**Recent trait changes:**\n`;
+            personalityHistory.forEach(entry => {
+                const changes = Object.entries(entry.changes)
+                    .map(([trait, change]) => `${trait} ${change >= 0 ? "+" : ""}${change.toFixed(4)}`)
+                    .join(", ");
+                response += `• ${time(entry.timestamp)} ${changes} - ${entry.cause}\n`;
+            });
+        }
+
+        return response;
+    }
+
+    async handleBrainCommand(command) {
+        this.industrialPortfolio?.addMessage("assistant", await this.runBrainCommand(command));
+    }
+
+    // /brain show|set|reset: an entity's model, creativity, verbosity and generation options
+    async runBrainCommand(command) {
+        const [, subCommand = "help", name, setting, ...rest] = command.trim().split(/\s+/);
+        const usage = `**Brain Command Usage:**\n\n` +
+            `\`/brain show [entity]\` - Model and generation options (defaults to the current chat target)\n` +
+            `\`/brain set <entity> <setting> <value>\` - Set model, creativity, verbosity or an option\n` +
+            `\`/brain reset <entity> [option]\` - Go back to options derived from personality\n\n` +
+            `Options: ${BrainComponent.generationOptionNames().join(", ")} (max_tokens works for num_predict). ` +
+            `\`stop\` takes a comma-separated list. Example: \`/brain set bot temperature 0.9\``;
+
+        const entity = name ? this.findChatEntity(name) : this.industrialPortfolio?.currentChatTarget;
+        const brain = entity?.getComponent("BrainComponent");
+
+        switch (subCommand.toLowerCase()) {
+            case "show":
+                if (!brain) return name ? `❌ Entity "${name}" not found or doesn't support chat.` : "❌ No entity selected. Try /brain show <entity>.";
+                return this.describeBrain(entity, brain);
+
+            case "set": {
+                if (!brain) return `❌ Entity "${name || ""}" not found or doesn't support chat.`;
+                const value = rest.join(" ");
+                if (!setting || !value) return "❌ Usage: /brain set <entity> <setting> <value>";
+
+                let note = "";
+                try {
+                    if (setting === "model") {
+                        const agentSystem = this.world.getSystem("agent");
+                        if (agentSystem && !agentSystem.availableModels.some(m => m.name === value)) {
+                            note = ` (not in the model list; check the name if replies fail)`;
+                        }
+                        brain.model = value;
+                    } else if (setting === "creativity" || setting === "verbosity") {
+                        const number = Number(value);
+                        if (!(number >= 0 && number <= 1)) return `❌ ${setting} must be between 0 and 1`;
+                        brain[setting] = number;
+                    } else {
+                        brain.setGenerationOption(setting, value);
+                    }
+                } catch (error) {
+                    return `❌ ${error.message}`;
+                }
+
+                await this.world.getSystem("persistence")?.saveBrain(entity);
+                return `✅ Set ${setting} for **${entity.tag}** to ${value}${note}.\n\n${this.describeBrain(entity, brain)}`;
             }
 
-            this.industrialPortfolio?.addMessage("assistant", response);
+            case "reset": {
+                if (!brain) return `❌ Entity "${name || ""}" not found or doesn't support chat.`;
+                try {
+                    if (setting) {
+                        brain.setGenerationOption(setting, "default");
+                    } else {
+                        brain.generationOptions = {};
+                    }
+                } catch (error) {
+                    return `❌ ${error.message}`;
+                }
+
+                await this.world.getSystem("persistence")?.saveBrain(entity);
+                return `✅ Reset ${setting || "generation options"} for **${entity.tag}**.\n\n${this.describeBrain(entity, brain)}`;
+            }
+
+            default:
+                return usage;
+        }
+    }
+
+    describeBrain(entity, brain) {
+        let response = `**${entity.tag || entity.id}** uses **${brain.model}** ` +
+            `(creativity ${brain.creativity}, verbosity ${brain.verbosity ?? "not set"})\n\n**Generation options:**\n`;
+
+        Object.entries(brain.getGenerationOptions()).forEach(([option, value]) => {
+            const source = option in brain.generationOptions ? "set" : "from personality";
+            response += `• ${option}: ${Array.isArray(value) ? value.map(item => JSON.stringify(item)).join(", ") : value} (${source})\n`;
+        });
+        return response;
+    }
+
+    async handlePromptCommand(command) {
+        this.industrialPortfolio?.addMessage("assistant", await this.runPromptCommand(command));
+    }
+
+    // /prompt list|show|edit|assign|reset: the system prompt template library (PromptSystem)
+    async runPromptCommand(command) {
+        const [, subCommand = "help", ...args] = command.trim().split(/\s+/);
+        const promptSystem = this.world.getSystem("prompt");
+        if (!promptSystem) return "❌ Prompt templates not available.";
+
+        const usage = `**Prompt Command Usage:**\n\n` +
+            `\`/prompt list\` - Templates and partials, and who uses each template\n` +
+            `\`/prompt show <template> [entity]\` - Template source and the prompt it renders for an entity\n` +
+            `\`/prompt edit [template] [entity]\` - Open the editor with a live preview\n` +
+            `\`/prompt assign <entity> <template>\` - Give an entity a template\n` +
+            `\`/prompt reset <template>\` - Undo edits to a built-in, or delete your own template\n` +
+            `\`/prompt debug [entity]\` - What was sent to the model for the entity's last reply, section by section, with token counts\n\n` +
+            `Templates use {{brain.model}}, {{#if ...}}, {{#each experiences}} and {{> partial}}; see the Prompt system README.`;
+
+        switch (subCommand.toLowerCase()) {
+            case "list": {
+                let response = "**Prompt templates:**\n";
+                promptSystem.list().forEach((template, index, list) => {
+                    if (template.kind === "partial" && list[index - 1]?.kind !== "partial") {
+                        response += "\n**Partials** (use with {{> name}}):\n";
+                    }
+                    const users = promptSystem.usersOf(template.name).map(entity => entity.tag || entity.id);
+                    response += `• **${template.name}**${template.edited ? " (edited)" : template.builtIn ? "" : " (custom)"}` +
+                        `${template.description ? ` - ${template.description}` : ""}` +
+                        `${users.length > 0 ? ` · used by ${users.join(", ")}` : ""}\n`;
+                });
+                return response;
+            }
+
+            case "show": {
+                const [name, entityName] = args;
+                const template = promptSystem.get(name);
+                if (!template) return name ? `❌ No prompt template called "${name}". Try /prompt list.` : "❌ Usage: /prompt show <template> [entity]";
+
+                let response = `**${template.name}** (${template.kind}${template.edited ? ", edited" : ""})\n\n\`\`\`\n${template.source}\n\`\`\``;
+                const entity = entityName ? this.findChatEntity(entityName) : promptSystem.usersOf(name)[0];
+                if (entityName && !entity) return `❌ Entity "${entityName}" not found or doesn't support chat.`;
+                if (entity && template.kind === "template") {
+                    try {
+                        const prompt = promptSystem.preview(entity, template);
+                        response += `\n\n**Rendered for ${entity.tag}:**\n\n\`\`\`\n${prompt}\n\`\`\``;
+                    } catch (error) {
+                        response += `\n\n❌ ${error.message}`;
+                    }
+                }
+                return response;
+            }
+
+            case "edit": {
+                const [name, entityName] = args;
+                if (name && !promptSystem.get(name)) return `❌ No prompt template called "${name}". Try /prompt list.`;
+                const entity = entityName ? this.findChatEntity(entityName) : null;
+                if (entityName && !entity) return `❌ Entity "${entityName}" not found or doesn't support chat.`;
+
+                const editor = this.world.getSystem("promptEditor");
+                if (!editor?.show(name || null, entity)) return "❌ The prompt editor isn't available.";
+                return `📝 Editing ${name ? `"${name}"` : "the current entity's template"}. Changes show in the preview as you type.`;
+            }
+
+            case "assign": {
+                const [entityName, name] = args;
+                if (!entityName || !name) return "❌ Usage: /prompt assign <entity> <template>";
+                const entity = this.findChatEntity(entityName);
+                if (!entity) return `❌ Entity "${entityName}" not found or doesn't support chat.`;
+
+                try {
+                    await promptSystem.assign(entity, name);
+                } catch (error) {
+                    return `❌ ${error.message}`;
+                }
+                return `✅ **${entity.tag}** now uses the **${name}** prompt template.`;
+            }
+
+            case "debug": {
+                const [entityName] = args;
+                const entity = entityName ? this.findChatEntity(entityName) : this.industrialPortfolio?.currentChatTarget;
+                if (!entity) return entityName ? `❌ Entity "${entityName}" not found or doesn't support chat.` : "❌ No entity selected. Try /prompt debug <entity>.";
+                const turn = this.world.getSystem("agent")?.lastTurns.get(entity.id);
+                if (!turn) return `No request sent for **${entity.tag}** since the page loaded. Send it a message first.`;
+                return this.describeTurn(entity, turn);
+            }
+
+            case "reset": {
+                const [name] = args;
+                if (!name) return "❌ Usage: /prompt reset <template>";
+                const users = promptSystem.usersOf(name);
+                try {
+                    const restored = await promptSystem.reset(name);
+                    if (restored) return `✅ Reset **${name}** to the built-in.`;
+                } catch (error) {
+                    return `❌ ${error.message}`;
+                }
+                return `✅ Deleted **${name}**.` +
+                    (users.length > 0 ? ` ${users.map(entity => entity.tag).join(", ")} will use **default** until assigned another template.` : "");
+            }
+
+            default:
+                return usage;
+        }
+    }
+
+    // /prompt debug: a recorded request (AgentSystem.recordTurn) section by section
+    describeTurn(entity, turn) {
+        const time = new Date(turn.timestamp).toLocaleTimeString();
+        let response = `**Last request for ${entity.tag}** to **${turn.model}** at ${time}` +
+            `${turn.round > 0 ? ` (tool round ${turn.round + 1})` : ""}\n\n`;
+
+        response += `**Estimated:** ${turn.estimated} tokens`;
+        if (turn.reported !== null) {
+            const difference = turn.reported - turn.estimated;
+            const percent = turn.estimated > 0 ? Math.round((difference / turn.estimated) * 100) : 0;
+            response += ` · **Reported by the model:** ${turn.reported} (${difference >= 0 ? "+" : ""}${difference}, ${percent >= 0 ? "+" : ""}${percent}%)`;
+        } else {
+            response += " · The backend didn't report a prompt token count";
+        }
+        if (turn.budget !== null && Number.isFinite(turn.budget)) {
+            response += `\n**System prompt budget:** ${turn.budget} tokens`;
+        }
+        const title = (section) => (section.part === "system" ? `system: ${section.name}` : section.name);
+        response += "\n\n**Sections:**\n";
+        turn.sections.forEach((section) => {
+            const notes = [
+                section.budget ? `budget ${section.budget}` : "",
+                section.cut ? `${section.cut} line(s) cut` : "",
+            ].filter(Boolean);
+            response += `• ${title(section)}: ${section.tokens}${notes.length > 0 ? ` (${notes.join(", ")})` : ""}\n`;
+        });
+
+        turn.sections.forEach((section) => {
+            response += `\n**${title(section)}** (${section.tokens} tokens)\n\`\`\`\n${section.text.trim() || "(empty)"}\n\`\`\`\n`;
+        });
+
+        if (turn.reported !== null && turn.reported < turn.estimated / 2) {
+            response += "\nA reported count far below the estimate usually means Ollama reused a cached prefix of the prompt and only counted the new part.";
+        }
+        return response;
+    }
+
+    async handleStorageCommand(command) {
+        this.industrialPortfolio?.addMessage("assistant", await this.runStorageCommand(command));
+    }
+
+    // /storage status|plan|backup|restore: the database schema version, migrations and backups
+    async runStorageCommand(command) {
+        const [, subCommand = "status", id] = command.trim().split(/\s+/);
+        const persistenceSystem = this.world.getSystem("persistence");
+        const status = await persistenceSystem?.getStorageStatus();
+        if (!status) return "❌ Saved data isn't available (IndexedDB didn't open).";
+
+        const usage = `**Storage Command Usage:**\n\n` +
+            `\`/storage\` - Database version and backups\n` +
+            `\`/storage plan\` - What pending migrations would change (set CONFIG.storage.dryRun to hold them back)\n` +
+            `\`/storage backup\` - Back up all saved data now\n` +
+            `\`/storage restore <backup>\` - Replace saved data with a backup, then reload the page`;
+        const time = (timestamp) => new Date(timestamp).toLocaleString();
+
+        try {
+            switch (subCommand.toLowerCase()) {
+                case "status": {
+                    let response = `**Database:** v${status.version}` +
+                        (status.version < status.latestVersion ? ` (v${status.latestVersion} pending, see /storage plan)` : " (up to date)") +
+                        (status.missingStores.length > 0 ? `\nNot saved until migrated: ${status.missingStores.join(", ")}` : "") +
+                        `\n\n**Backups:**\n`;
+                    if (status.backups.length === 0) response += "None yet. One is made before each upgrade.\n";
+                    status.backups.forEach(backup => {
+                        const counts = Object.entries(backup.counts)
+                            .filter(([, count]) => count > 0)
+                            .map(([store, count]) => `${count} ${store}`)
+                            .join(", ");
+                        response += `• **${backup.id}** - ${time(backup.createdAt)}, ${backup.reason}${counts ? ` (${counts})` : ""}\n`;
+                    });
+                    return response;
+                }
+
+                case "plan": {
+                    if (status.pendingMigrations.length === 0) return `✅ No pending migrations. The database is at v${status.version}.`;
+                    let response = `**Pending migrations** (dry run, nothing changed):\n`;
+                    status.pendingMigrations.forEach(({ version, description, changes }) => {
+                        response += `\n**v${version}** ${description}\n${changes.map(change => `• ${change}`).join("\n")}\n`;
+                    });
+                    return response;
+                }
+
+                case "backup": {
+                    const backup = await persistenceSystem.backupStorage();
+                    return backup ? `🗄️ Backed up saved data as **${backup.id}**.` : "Nothing to back up yet.";
+                }
+
+                case "restore": {
+                    if (!id) return "❌ Usage: /storage restore <backup>. See /storage for the list.";
+                    const backup = await persistenceSystem.restoreStorage(id);
+                    return `♻️ Restored **${backup.id}** from ${time(backup.createdAt)}. ` +
+                        "Saving is paused; reload the page to load the restored data. The data you had is kept as a backup.";
+                }
+
+                default:
+                    return usage;
+            }
         } catch (error) {
-            console.error("Search error:", error);
-            this.industrialPortfolio?.addMessage("assistant", "Search failed. Please try again.");
+            return `❌ ${error.message}`;
         }
     }
 
     // Handle /export command - export session data to JSON file
     async handleExportCommand() {
+        this.industrialPortfolio?.addMessage("assistant", await this.exportSessions());
+    }
+
+    // Download all session data as JSON; resolves with the text to show
+    async exportSessions() {
         const persistenceSystem = this.world?.getSystem("persistence");
         if (!persistenceSystem) {
-            this.industrialPortfolio?.addMessage("assistant", "Export system not available.");
-            return;
+            return "Export system not available.";
         }
 
         try {
             const data = await persistenceSystem.exportData();
             if (!data) {
-                this.industrialPortfolio?.addMessage("assistant", "No data to export.");
-                return;
+                return "No data to export.";
             }
 
             // Create download
@@ -121,14 +589,269 @@ export class CommandSystem extends System {
             document.body.removeChild(a);
             URL.revokeObjectURL(url);
 
-            this.industrialPortfolio?.addMessage(
-                "assistant",
-                `✅ Exported ${data.sessions.length} sessions and ${data.chatLogs.length} chat logs!`,
-            );
+            return `✅ Exported ${data.sessions.length} sessions and ${data.chatLogs.length} chat logs!`;
         } catch (error) {
-            this.industrialPortfolio?.addMessage("assistant", "❌ Export failed. Please try again.");
             console.error("Export error:", error);
+            return "❌ Export failed. Please try again.";
+        }
+    }
+
+    // Handle /import command - bring sessions from an /export file into saved data
+    async handleImportCommand(command) {
+        const [, subCommand = "", ...args] = command.trim().split(/\s+/);
+
+        if (subCommand === "") {
+            if (!this.world?.getSystem("chatInterface")?.chooseImportFile()) {
+                this.industrialPortfolio?.addMessage("assistant", "❌ File picker not available. Drop an export file on the chat instead.");
+            }
+            return;
+        }
+        this.industrialPortfolio?.addMessage("assistant", await this.runImportCommand(subCommand.toLowerCase(), args));
+    }
+
+    // Read an export file chosen with /import or dropped on the chat, and preview importing it
+    async handleImportFile(file) {
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (error) {
+            this.industrialPortfolio?.addMessage("assistant", `❌ ${file.name} isn't a JSON file: ${error.message}`);
+            return;
+        }
+
+        this.pendingImport = { fileName: file.name, bundle, strategy: CONFIG.storage.importStrategy, participantMap: {} };
+        this.industrialPortfolio?.addMessage("assistant", await this.describeImport());
+    }
+
+    // /import strategy|map|confirm|cancel: change or run the import waiting for confirmation
+    async runImportCommand(subCommand, args) {
+        const usage = `**Import Command Usage:**\n\n` +
+            `\`/import\` - Choose an /export file (or drop one on the chat) and preview what it adds\n` +
+            `\`/import strategy <${MERGE_STRATEGIES.join("|")}>\` - What to do with sessions that are already saved\n` +
+            `\`/import map <participant> <entity|none>\` - Import a participant as one of this world's entities, or keep its id\n` +
+            `\`/import confirm\` - Import what the preview shows (saved data is backed up first)\n` +
+            `\`/import cancel\` - Forget the file`;
+        const pending = this.pendingImport;
+        if (!["strategy", "map", "confirm", "cancel"].includes(subCommand)) return usage;
+        if (!pending) return "Nothing to import. Use /import to choose a file.";
+
+        const persistenceSystem = this.world.getSystem("persistence");
+        try {
+            switch (subCommand) {
+                case "strategy": {
+                    const strategy = args[0]?.toLowerCase();
+                    if (!MERGE_STRATEGIES.includes(strategy)) return `❌ Usage: /import strategy <${MERGE_STRATEGIES.join("|")}>`;
+                    pending.strategy = strategy;
+                    return this.describeImport();
+                }
+
+                case "map": {
+                    const [name, target] = args;
+                    if (!name || !target) return "❌ Usage: /import map <participant> <entity|none>";
+
+                    const { participants } = await persistenceSystem.previewImport(pending.bundle, pending);
+                    const lower = name.replace(/^@/, "").toLowerCase();
+                    const participant = participants.find(p => p.id === name || p.tag?.toLowerCase() === lower)
+                        || participants.find(p => p.id.startsWith(name));
+                    if (!participant) return `❌ No participant "${name}" in ${pending.fileName}.`;
+
+                    if (target.toLowerCase() === "none") {
+                        pending.participantMap[participant.id] = null;
+                    } else {
+                        const entity = this.findEntity(target);
+                        if (!entity) return `❌ No entity called "${target}" in this world.`;
+                        pending.participantMap[participant.id] = entity.id;
+                    }
+                    return this.describeImport();
+                }
+
+                case "confirm": {
+                    const plan = await persistenceSystem.importData(pending.bundle, pending);
+                    this.pendingImport = null;
+                    const sessions = plan.sessions.filter(session => session.action !== "skip").length;
+                    const brains = plan.brains.filter(brain => brain.action !== "skip").length;
+                    if (sessions + brains === 0) {
+                        return `Nothing imported from ${pending.fileName}: everything in it was skipped.`;
+                    }
+                    return `✅ Imported ${sessions} session(s) and ${brains} brain(s) from ${pending.fileName}. ` +
+                        "Saved data was backed up first; /storage lists the backup.";
+                }
+
+                case "cancel":
+                    this.pendingImport = null;
+                    return `Import of ${pending.fileName} cancelled. Nothing was changed.`;
+            }
+        } catch (error) {
+            console.error("Import error:", error);
+            return `❌ Import failed: ${error.message}`;
+        }
+    }
+
+    // The pending import's preview as text: what happens to each session, participant and brain
+    async describeImport() {
+        const { fileName, bundle } = this.pendingImport;
+        const persistenceSystem = this.world?.getSystem("persistence");
+        if (!persistenceSystem) return "❌ Import not available.";
+
+        let plan;
+        try {
+            plan = await persistenceSystem.previewImport(bundle, this.pendingImport);
+        } catch (error) {
+            this.pendingImport = null;
+            return `❌ ${error.message}`;
+        }
+        if (plan.errors.length > 0) {
+            this.pendingImport = null;
+            return `❌ ${fileName} isn't a session export this version can read:\n${plan.errors.map(error => `• ${error}`).join("\n")}`;
+        }
+
+        const short = (id) => id.substring(0, 8);
+        const tally = (entries) => Object.entries(
+            entries.reduce((counts, { action }) => ({ ...counts, [action]: (counts[action] || 0) + 1 }), {})
+        ).map(([action, n]) => `${n} ${action}`).join(", ");
+
+        let response = `**Import preview:** ${fileName}` +
+            (bundle.exportedAt ? ` (exported ${new Date(bundle.exportedAt).toLocaleString()})` : "") +
+            `\nSessions already saved: **${plan.strategy}** (change with /import strategy)\n\n` +
+            `**Sessions** (${tally(plan.sessions) || "none"}):\n`;
+        plan.sessions.slice(0, 15).forEach(session => {
+            response += `• ${session.title} - ${session.messageCount} messages - ${session.action}${session.reason ? ` (${session.reason})` : ""}\n`;
+        });
+        if (plan.sessions.length > 15) response += `…and ${plan.sessions.length - 15} more\n`;
+
+        response += `\n**Participants:**\n`;
+        plan.participants.forEach(({ id, tag, entityId, entityTag, how }) => {
+            const from = tag ? `${tag} (${short(id)})` : short(id);
+            if (!entityId) {
+                response += `• ${from} → kept as is${how === "unmapped" ? `, no entity here matches (/import map ${tag || short(id)} <entity>)` : ""}\n`;
+            } else {
+                const note = { same: "same id", tag: "same tag", manual: "mapped" }[how];
+                response += `• ${from} → ${entityTag || short(entityId)} (${note})\n`;
+            }
+        });
+
+        if (plan.brains.length > 0) {
+            response += `\n**Brains** (${tally(plan.brains)}):\n`;
+            plan.brains.forEach(brain => {
+                response += `• ${brain.tag || short(brain.entityId)} - ${brain.action}${brain.reason ? ` (${brain.reason})` : ""}\n`;
+            });
+        }
+        if (plan.orphanChatLogs > 0) {
+            response += `\n${plan.orphanChatLogs} chat log(s) belong to no session in the file and won't be imported.\n`;
+        }
+        return response + "\n/import confirm to import, /import cancel to stop.";
+    }
+
+    // Any entity by tag (exact, then prefix) or id; "me" is the player
+    findEntity(name) {
+        if (name.toLowerCase() === "me") return this.industrialPortfolio?.playerEntity || null;
+        const lower = name.replace(/^@/, "").toLowerCase();
+        const entities = Array.from(this.world.entities.values());
+        return this.world.getEntity(name)
+            || entities.find(entity => entity.tag?.toLowerCase() === lower)
+            || entities.find(entity => entity.tag?.toLowerCase().startsWith(lower))
+            || null;
+    }
+
+    /**
+     * Commands AI entities can run as tools, keyed by their name in
+     * BrainComponent.commandAccess. Each runs like its slash command and
+     * resolves with the text the command would show. Tools marked confirm
+     * change or download data, so they wait for the user's /allow.
+     */
+    createTools() {
+        return {
+            search: {
+                description: "Search every chat message, and session titles and keywords",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        query: { type: "string", description: "Words to look for. \"Quoted phrases\" and the filters from:<entity>, before:<YYYY-MM-DD>, after:<YYYY-MM-DD> and has:image also work" }
+                    },
+                    required: ["query"]
+                },
+                run: ({ query }) => this.searchSessions(String(query))
+            },
+            history: {
+                description: "List recent chat sessions with summaries of what was discussed",
+                parameters: { type: "object", properties: {} },
+                run: () => this.listHistory()
+            },
+            save: {
+                description: "Save the current session to local storage (the user is asked first)",
+                parameters: { type: "object", properties: {} },
+                confirm: true,
+                run: () => this.saveSession()
+            },
+            export: {
+                description: "Download all sessions and chat logs as a JSON file (the user is asked first)",
+                parameters: { type: "object", properties: {} },
+                confirm: true,
+                run: () => this.exportSessions()
+            }
+        };
+    }
+
+    // Tool definitions (Ollama/OpenAI function format) for the commands brain may use
+    getTools(brain) {
+        return Object.entries(this.tools)
+            .filter(([name]) => brain.hasCommandAccess(name))
+            .map(([name, { description, parameters }]) => ({
+                type: "function",
+                function: { name, description, parameters }
+            }));
+    }
+
+    // Run a tool call from entity; throws if it isn't allowed or is malformed
+    async runTool(entity, name, args = {}) {
+        const tool = this.tools[name];
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
         }
+
+        const brain = entity.getComponent("BrainComponent");
+        if (!brain?.hasCommandAccess(name)) {
+            throw new Error(`${entity.tag || entity.id} does not have access to ${name}`);
+        }
+
+        const missing = (tool.parameters.required || []).filter(key => args[key] === undefined || args[key] === "");
+        if (missing.length > 0) {
+            throw new Error(`Missing argument(s) for ${name}: ${missing.join(", ")}`);
+        }
+
+        if (tool.confirm) {
+            return this.requestApproval(entity, name, args);
+        }
+
+        console.log(`🔧 ${entity.tag || entity.id} ran ${name}`, args);
+        return tool.run(args);
+    }
+
+    // Hold a confirm tool call for the user; a newer one replaces it. Resolves with what the model is told
+    requestApproval(entity, name, args) {
+        const who = entity.tag || entity.id;
+        this.pendingTool = { entity, name, args };
+        this.industrialPortfolio?.addMessage("assistant", `🔐 **${who}** wants to run **${name}**. /allow to run it, /deny to refuse.`);
+        return `The user has been asked to allow ${name}. It has not run yet; it runs only if they allow it.`;
+    }
+
+    // Handle /allow and /deny - answer the tool call waiting for approval
+    async handleApprovalCommand(command) {
+        const pending = this.pendingTool;
+        if (!pending) {
+            this.industrialPortfolio?.addMessage("assistant", "No tool is waiting for approval.");
+            return;
+        }
+
+        this.pendingTool = null;
+        const who = pending.entity.tag || pending.entity.id;
+        if (command.trim().toLowerCase() !== "/allow") {
+            this.industrialPortfolio?.addMessage("assistant", `🚫 ${who} won't run **${pending.name}**.`);
+            return;
+        }
+
+        console.log(`🔧 ${who} ran ${pending.name} (allowed)`, pending.args);
+        this.industrialPortfolio?.addMessage("assistant", await this.tools[pending.name].run(pending.args));
     }
 
 
@@ -327,10 +1050,12 @@ export class CommandSystem extends System {
             return;
         }
 
-        if (!agentSystem.isConnected) {
+        // Titles come from the selected model, whichever provider runs it
+        const { provider, connected } = agentSystem.connectionFor();
+        if (!connected) {
             this.industrialPortfolio?.addMessage(
                 "assistant",
-                "❌ LLM not connected. Cannot generate titles."
+                `❌ ${provider} not connected. Cannot generate titles.`
             );
             return;
         }
@@ -415,6 +1140,201 @@ export class CommandSystem extends System {
         }
     }
 
+    // Handle /group command - group sessions with several entities
+    async handleGroupCommand(command) {
+        this.industrialPortfolio?.addMessage("assistant", await this.runGroupCommand(command));
+    }
+
+    async runGroupCommand(command) {
+        const parts = command.trim().split(/\s+/).slice(1);
+        const subCommand = parts[0]?.toLowerCase();
+        const policies = CONFIG.groups.turnPolicies;
+
+        if (!subCommand || subCommand === "help") {
+            return `**Group Command Usage:**\n\n` +
+                `\`/group <entity> <entity> ...\` - Start a group chat with you and these entities\n` +
+                `\`/group add <entity>\` - Invite an entity to the current group\n` +
+                `\`/group remove <entity>\` - Remove an entity from the current group\n` +
+                `\`/group policy <${policies.join("|")}>\` - Choose who answers each message\n` +
+                `\`/group leave\` - Go back to chatting with one entity\n` +
+                `\`/group roundtable <entity> <entity> ...\` - Let entities talk among themselves\n\n` +
+                `**Turn policies:**\n` +
+                `• round-robin - entities answer one at a time, in turn\n` +
+                `• relevance - the entities most drawn to the message answer\n` +
+                `• mention - only @mentioned entities answer`;
+        }
+
+        const sessionSystem = this.world?.getSystem("session");
+        const portfolio = this.industrialPortfolio;
+        if (!sessionSystem || !portfolio?.playerEntity) {
+            return "❌ Session system not available.";
+        }
+
+        const groupSession = portfolio.currentGroupSessionId
+            ? sessionSystem.sessions.get(portfolio.currentGroupSessionId)?.session
+            : null;
+        const name = entity => entity.tag || entity.id;
+
+        switch (subCommand) {
+            case "add":
+            case "remove": {
+                if (!groupSession) return "❌ You're not in a group. Start one with /group <entity> <entity>.";
+                const entity = this.findChatEntity(parts[1]);
+                if (!entity) return `❌ Entity "${parts[1] || ""}" not found or doesn't support chat.`;
+
+                if (subCommand === "add") {
+                    return sessionSystem.addParticipant(groupSession.id, entity)
+                        ? `✅ ${name(entity)} joined the group.`
+                        : `${name(entity)} is already in the group.`;
+                }
+                if (groupSession.participants.size <= 3) {
+                    return "❌ A group needs at least two other entities. Use /group leave instead.";
+                }
+                return sessionSystem.removeParticipant(groupSession.id, entity)
+                    ? `✅ ${name(entity)} left the group.`
+                    : `${name(entity)} isn't in the group.`;
+            }
+
+            case "policy": {
+                if (!groupSession) return "❌ You're not in a group.";
+                const policy = parts[1]?.toLowerCase();
+                if (!sessionSystem.setTurnPolicy(groupSession.id, policy)) {
+                    return `❌ Unknown turn policy. Use one of: ${policies.join(", ")}`;
+                }
+                return `✅ Turn policy set to ${policy}.`;
+            }
+
+            case "leave":
+                if (!groupSession) return "You're not in a group.";
+                portfolio.currentGroupSessionId = null;
+                return `✅ Left the group. Your messages go to ${name(portfolio.currentChatTarget)} again.`;
+
+            case "roundtable": {
+                const entities = this.findChatEntities(parts.slice(1));
+                if (typeof entities === "string") return entities;
+                if (entities.length < 2) return "❌ A round-table needs at least two entities.";
+
+                const autonomousChat = this.world.getSystem("autonomousChat");
+                if (!autonomousChat) return "❌ Autonomous chat not available.";
+                const started = await autonomousChat.startConversation(entities);
+                return started
+                    ? `✅ Round-table started: ${entities.map(name).join(", ")}`
+                    : "❌ Some of these entities are already in a conversation.";
+            }
+
+            default: {
+                const entities = this.findChatEntities(parts);
+                if (typeof entities === "string") return entities;
+                if (entities.length < 2) return "❌ A group needs at least two entities besides you. For one, use /connect.";
+
+                const members = [portfolio.playerEntity, ...entities];
+                const session = sessionSystem.findActiveSession(members) || sessionSystem.createSession(members);
+                if (!session) return "❌ Failed to create the group.";
+
+                portfolio.currentGroupSessionId = session.id;
+                portfolio.currentChatTarget = entities[0];
+                portfolio.loadSessionsList?.();
+                return `✅ Group started with ${entities.map(name).join(", ")} (turn policy: ${session.turnPolicy}). ` +
+                    `Mention someone with @name to address them.`;
+            }
+        }
+    }
+
+    // Handle /scenario command - scripted conversations through the director
+    async handleScenarioCommand(command) {
+        this.industrialPortfolio?.addMessage("assistant", await this.runScenarioCommand(command));
+    }
+
+    async runScenarioCommand(command) {
+        const [, subCommand = "help", ...rest] = command.trim().split(/\s+/);
+        const argument = command.trim().replace(/^\/scenario\s+\S+\s*/i, "");
+        const director = this.world?.getSystem("director");
+        if (!director) return "❌ Director not available.";
+
+        try {
+            switch (subCommand.toLowerCase()) {
+                case "load": {
+                    if (!argument) return "❌ Usage: /scenario load <name | path | JSON>";
+                    const scenario = await director.load(argument);
+                    return `✅ Loaded scenario **${scenario.name}** (${scenario.beats.length} beats). Start it with /scenario start ${scenario.name}`;
+                }
+
+                case "start": {
+                    if (!rest[0]) return "❌ Usage: /scenario start <name>";
+                    const scenario = await director.start(rest[0]);
+                    return `🎬 Scenario **${scenario.name}** started.${scenario.description ? ` ${scenario.description}` : ""}` +
+                        (scenario.randomChatter ? "" : " Random chatter is paused until it ends.");
+                }
+
+                case "stop": {
+                    const scenario = director.stop();
+                    return scenario ? `⏹️ Scenario **${scenario.name}** stopped.` : "No scenario is running.";
+                }
+
+                case "list":
+                    return this.describeScenarios(director);
+
+                default:
+                    return `**Scenario Command Usage:**\n\n` +
+                        `\`/scenario list\` - Show loaded and available scenarios, and the one running\n` +
+                        `\`/scenario load <name>\` - Load ${CONFIG.scenarios.path}<name>.json (or a path, URL or inline JSON)\n` +
+                        `\`/scenario start <name>\` - Run a scenario, loading it first if needed\n` +
+                        `\`/scenario stop\` - Stop the running scenario\n\n` +
+                        `A scenario lists beats: who talks (\`participants\`), the \`topic\`, \`goals\` per entity, ` +
+                        `\`stop\` conditions and \`when\` triggers. See the Director README for the format.`;
+            }
+        } catch (error) {
+            return `❌ ${error.message}`;
+        }
+    }
+
+    async describeScenarios(director) {
+        const available = await director.listAvailable();
+        const names = [...new Set([...director.scenarios.keys(), ...available])];
+        const status = director.getStatus();
+
+        let response = "**Scenarios:**\n\n";
+        if (names.length === 0) {
+            response += `None found. Load one with /scenario load <name | path | JSON>.\n`;
+        }
+        names.forEach(name => {
+            const scenario = director.scenarios.get(name);
+            const marker = status?.name === name ? "▶️" : scenario ? "•" : "○";
+            response += `${marker} **${name}**${scenario ? ` - ${scenario.description || `${scenario.beats.length} beats`}` : " (not loaded)"}\n`;
+        });
+
+        if (status) {
+            response += `\n**Running:** ${status.name} (${Math.round(status.elapsed)}s)\n`;
+            status.beats.forEach(beat => {
+                response += `- ${beat.id}: ${beat.state}${beat.runs > 1 ? ` (${beat.runs} runs)` : ""}\n`;
+            });
+        }
+        return response;
+    }
+
+    // Entity with a brain by tag, case-insensitive; a prefix works too (origin -> origin-marker)
+    findChatEntity(tag) {
+        if (!tag) return null;
+        const lower = tag.replace(/^@/, "").toLowerCase();
+        const entities = Array.from(this.world.entities.values())
+            .filter(entity => entity.tag && entity.getComponent("BrainComponent") && entity !== this.industrialPortfolio?.playerEntity);
+
+        return entities.find(entity => entity.tag.toLowerCase() === lower)
+            || entities.find(entity => entity.tag.toLowerCase().startsWith(lower))
+            || null;
+    }
+
+    // Entities for a list of tags, or an error message naming the first one not found
+    findChatEntities(tags) {
+        const entities = [];
+        for (const tag of tags) {
+            const entity = this.findChatEntity(tag);
+            if (!entity) return `❌ Entity "${tag}" not found or doesn't support chat.`;
+            if (!entities.includes(entity)) entities.push(entity);
+        }
+        return entities;
+    }
+
     // Handle /connect command - manages entity connections
     async handleConnectCommand(command) {
         const parts = command.trim().split(/\s+/);
@@ -477,9 +1397,10 @@ export class CommandSystem extends System {
                 return;
             }
 
-            // Switch the active target for chat
+            // Switch the active target for chat (leaving any group)
             if (this.industrialPortfolio) {
                 this.industrialPortfolio.currentChatTarget = targetEntity;
+                this.industrialPortfolio.currentGroupSessionId = null;
             }
             
             this.industrialPortfolio?.addMessage("assistant", `✅ Connected to ${entityName}! Your messages will now go to this entity.`);
@@ -1,14 +1,18 @@
 import { System } from '../../core/System.js';
 import { Connection } from '../../components/Connection.js';
-import { TransformComponent } from '../../components/index.js';
+import { TransformComponent, Session } from '../../components/index.js';
 import { CONFIG } from '../../config/index.js';
 
 export class ConnectionSystem extends System {
     constructor(world, scene) {
         super();
+        this.phase = 'presentation';
+        this.requiredComponents = [Connection];
         this.world = world;
         this.scene = scene;
         this.connectors = new Map(); // connectionKey -> connectorData
+        this.hubs = new Map(); // sessionId -> { hubMesh, position, spokes: Map(entityId -> spokeData) } for group sessions
+        this.sessionHolders = world.query({ all: [Session] }); // Group sessions are read from their participants
         this.time = 0; // Track time for organic animations
         
         // Materials for different connection states from CONFIG
@@ -21,6 +25,32 @@ export class ConnectionSystem extends System {
                 emissive: matConfig.emissive
             });
         });
+
+        // Connection state follows sessions and autonomous conversations.
+        // Group sessions have no pairwise connection; they're drawn as hubs in update()
+        const events = this.world.events;
+        events.on('session:created', ({ session, entities }) => {
+            this.linkSession(entities, session.id);
+            this.setPairState(entities, 'active');
+        });
+        events.on('session:activated', ({ entities }) => this.setPairState(entities, 'active'));
+        events.on('session:deactivated', ({ entities }) => this.setPairState(entities, 'inactive'));
+        events.on('conversation:started', ({ entities }) => this.setPairState(entities, 'active'));
+        events.on('conversation:ended', ({ entities }) => this.setPairState(entities, 'inactive'));
+    }
+
+    setPairState(entities, state) {
+        if (entities.length !== 2) return;
+        const [entity1, entity2] = entities;
+        entity1?.getComponent(Connection)?.updateConnectionState(entity2.id, state);
+        entity2?.getComponent(Connection)?.updateConnectionState(entity1.id, state);
+    }
+
+    linkSession(entities, sessionId) {
+        if (entities.length !== 2) return;
+        const [entity1, entity2] = entities;
+        entity1?.getComponent(Connection)?.updateConnectionSession(entity2.id, sessionId);
+        entity2?.getComponent(Connection)?.updateConnectionSession(entity1.id, sessionId);
     }
 
     createConnectorKey(entity1Id, entity2Id) {
@@ -403,11 +433,159 @@ export class ConnectionSystem extends System {
         this.connectors.delete(key);
     }
 
+    // Point above the middle of the participants where a group's spokes meet
+    hubPosition(entities) {
+        const positions = entities
+            .map(entity => entity.getComponent(TransformComponent)?.position)
+            .filter(Boolean);
+        if (positions.length === 0) return null;
+
+        const center = new THREE.Vector3();
+        positions.forEach(position => center.add(position));
+        center.divideScalar(positions.length);
+        center.y += CONFIG.connections.hub.height;
+        return center;
+    }
+
+    createHub(sessionId, position) {
+        const geometry = new THREE.SphereGeometry(CONFIG.connections.hub.radius, 12, 12);
+        const hubMesh = new THREE.Mesh(geometry, this.materials.active);
+        hubMesh.position.copy(position);
+        this.scene.add(hubMesh);
+
+        const hub = { hubMesh, position: position.clone(), spokes: new Map() };
+        this.hubs.set(sessionId, hub);
+        return hub;
+    }
+
+    // Tube from an entity rising to the hub
+    spokeCurve(startPos, hubPos, curve = null) {
+        const rise = hubPos.y - startPos.y;
+        const control1 = startPos.clone().add(new THREE.Vector3(0, rise * 0.6, 0));
+        const control2 = hubPos.clone().lerp(startPos, 0.3).setY(hubPos.y - rise * 0.1);
+
+        if (!curve) {
+            return new THREE.CubicBezierCurve3(startPos.clone(), control1, control2, hubPos.clone());
+        }
+        curve.v0.copy(startPos);
+        curve.v1.copy(control1);
+        curve.v2.copy(control2);
+        curve.v3.copy(hubPos);
+        return curve;
+    }
+
+    spokeGeometry(curve, startPos, hubPos) {
+        const distance = startPos.distanceTo(hubPos);
+        return new THREE.TubeGeometry(
+            curve,
+            this.calculateLODSegments(distance, startPos, hubPos),
+            CONFIG.connections.curve.tubeRadius,
+            this.calculateLODRadialSegments(distance, startPos, hubPos),
+            false
+        );
+    }
+
+    createSpoke(hub, entity, startPos) {
+        const curve = this.spokeCurve(startPos, hub.position);
+        const mesh = new THREE.Mesh(this.spokeGeometry(curve, startPos, hub.position), this.materials.active);
+        this.scene.add(mesh);
+
+        // Same shape as connectorData, so pulses and particles work on spokes too
+        const spoke = { mesh, curve, entity, state: 'active', lastUpdatePos1: startPos.clone(), particles: null };
+        hub.spokes.set(entity.id, spoke);
+        this.createParticles(spoke);
+        return spoke;
+    }
+
+    removeSpoke(hub, entityId) {
+        const spoke = hub.spokes.get(entityId);
+        if (!spoke) return;
+
+        this.removeParticles(spoke);
+        this.scene.remove(spoke.mesh);
+        spoke.mesh.geometry.dispose();
+        hub.spokes.delete(entityId);
+    }
+
+    removeHub(sessionId) {
+        const hub = this.hubs.get(sessionId);
+        if (!hub) return;
+
+        Array.from(hub.spokes.keys()).forEach(entityId => this.removeSpoke(hub, entityId));
+        this.scene.remove(hub.hubMesh);
+        hub.hubMesh.geometry.dispose();
+        this.hubs.delete(sessionId);
+    }
+
+    // Active group sessions as sessionId -> entities still taking part, from their Session components
+    groupSessions() {
+        const groups = new Map();
+        for (const entity of this.sessionHolders) {
+            for (const session of entity.getComponent(Session).activeSessions.values()) {
+                if (session.state !== 'active' || session.participants.size <= 2 || !session.participants.has(entity.id)) continue;
+                if (!groups.has(session.id)) groups.set(session.id, []);
+                groups.get(session.id).push(entity);
+            }
+        }
+        return groups;
+    }
+
+    // Draw a hub for every active group session, with a spoke to each participant
+    updateHubs(deltaTime) {
+        const liveIds = new Set();
+        const threshold = CONFIG.performance.updateThreshold;
+
+        for (const [sessionId, entities] of this.groupSessions()) {
+            if (entities.length <= 2) continue;
+
+            const position = this.hubPosition(entities);
+            if (!position) continue;
+            liveIds.add(sessionId);
+
+            const hub = this.hubs.get(sessionId) || this.createHub(sessionId, position);
+            const hubMoved = hub.position.distanceTo(position) > threshold;
+            if (hubMoved) {
+                hub.position.copy(position);
+                hub.hubMesh.position.copy(position);
+            }
+
+            // Spokes follow participants joining, leaving (or leaving the world) and moving
+            const memberIds = new Set(entities.filter(entity => this.world.getEntity(entity.id)).map(entity => entity.id));
+            Array.from(hub.spokes.keys())
+                .filter(entityId => !memberIds.has(entityId))
+                .forEach(entityId => this.removeSpoke(hub, entityId));
+
+            for (const entity of entities) {
+                const transform = entity.getComponent(TransformComponent);
+                if (!transform || !memberIds.has(entity.id)) continue;
+
+                const startPos = new THREE.Vector3().copy(transform.position);
+                const spoke = hub.spokes.get(entity.id) || this.createSpoke(hub, entity, startPos);
+                if (hubMoved || spoke.lastUpdatePos1.distanceTo(startPos) > threshold) {
+                    spoke.lastUpdatePos1.copy(startPos);
+                    this.spokeCurve(startPos, hub.position, spoke.curve);
+                    spoke.mesh.geometry.dispose();
+                    spoke.mesh.geometry = this.spokeGeometry(spoke.curve, startPos, hub.position);
+                }
+                this.updateActivePulse(spoke, deltaTime);
+            }
+        }
+
+        for (const sessionId of Array.from(this.hubs.keys())) {
+            if (!liveIds.has(sessionId)) {
+                this.removeHub(sessionId);
+            }
+        }
+    }
+
     update(deltaTime) {
         // Update time for organic animations
         this.time += deltaTime;
+
+        this.updateHubs(deltaTime);
         
-        const entities = this.world.getEntitiesWithComponent(Connection);
+        // Live set maintained by the World's query cache
+        const entities = this.entities;
         
         // Update all existing connectors
         for (const [key, connectorData] of this.connectors) {
@@ -449,7 +627,8 @@ export class ConnectionSystem extends System {
             
             for (const connection of connections) {
                 const targetEntity = this.world.getEntity(connection.targetEntityId);
-                if (!targetEntity) continue;
+                // Both ends must still carry a Connection component
+                if (!targetEntity || !entities.has(targetEntity)) continue;
                 
                 const key = this.createConnectorKey(entity.id, targetEntity.id);
                 const existingConnector = this.connectors.get(key);
@@ -471,6 +650,9 @@ export class ConnectionSystem extends System {
             const connections = connectionComp.getAllConnections();
             
             for (const connection of connections) {
+                const targetEntity = this.world.getEntity(connection.targetEntityId);
+                if (!targetEntity || !entities.has(targetEntity)) continue;
+                
                 const key = this.createConnectorKey(entity.id, connection.targetEntityId);
                 activeKeys.add(key);
             }
@@ -484,7 +666,18 @@ export class ConnectionSystem extends System {
         }
     }
 
+    onEntityRemoved(entity) {
+        // Tear down every connector touching this entity (it lost its Connection or was removed)
+        for (const connectorData of Array.from(this.connectors.values())) {
+            if (connectorData.entity1 === entity || connectorData.entity2 === entity) {
+                this.removeConnector(connectorData.entity1, connectorData.entity2);
+            }
+        }
+    }
+
     cleanup() {
+        Array.from(this.hubs.keys()).forEach(sessionId => this.removeHub(sessionId));
+
         for (const connectorData of this.connectors.values()) {
             this.removeParticles(connectorData);
             this.scene.remove(connectorData.mesh);
@@ -7,6 +7,7 @@ import { System } from '../../core/System.js';
 export class DOMInterfaceSystem extends System {
     constructor() {
         super();
+        this.phase = 'presentation';
         this.requiredComponents = [];
         
         // UI state
@@ -0,0 +1,393 @@
+import { System } from '../../core/System.js';
+import { CONFIG } from '../../config/index.js';
+import { BrainComponent } from '../../components/BrainComponent.js';
+
+// Conditions a beat's "when" can use; every one given must hold
+const CONDITIONS = ['after', 'elapsed', 'pendingRelay', 'mood', 'message'];
+const STOP_CONDITIONS = ['maxMessages', 'timeout', 'keywords', 'relayDelivered'];
+
+/**
+ * DirectorSystem - Stages autonomous conversations from declarative scenarios
+ *
+ * A scenario is JSON naming who meets whom, the topic, a goal for each side,
+ * when to stop and what follows. Each conversation is a beat; beats without
+ * a "when" start with the scenario, the others start once their conditions
+ * hold (another beat finished, a relay is pending, a mood, a message...).
+ * While a scenario runs, AutonomousChatSystem's random chatter is paused
+ * unless the scenario asks for it. Conversations are started and ended
+ * through conversation:* requests and followed through conversation:*
+ * events, so no particular chat system is needed.
+ *
+ * Time is simulated time from update(), in seconds.
+ */
+export class DirectorSystem extends System {
+    constructor(world) {
+        super();
+        this.phase = 'ai';
+        this.after = ['autonomousChat'];
+        this.world = world;
+
+        this.scenarios = new Map(); // name -> validated scenario
+        this.running = null; // { scenario, startedAt, beats: Map(id -> beat state), messages }
+        this.conversations = new Set(); // Conversations under way, from conversation:started/ended
+        this.time = 0;
+    }
+
+    init() {
+        console.log('🎬 Initializing DirectorSystem...');
+
+        // Messages for "message" conditions
+        this.world.events.on('session:message', ({ message, senderId }) => {
+            if (!this.running || message.type === 'system') return;
+            this.running.messages.push({ senderId, content: message.content || '', time: this.time });
+            if (this.running.messages.length > 50) this.running.messages.shift();
+        });
+
+        this.world.events.on('conversation:started', ({ conversation }) => this.conversations.add(conversation));
+        this.world.events.on('conversation:ended', ({ conversation }) => this.conversations.delete(conversation));
+
+        console.log('✅ DirectorSystem initialized');
+    }
+
+    /**
+     * Load a scenario from inline JSON, a path or URL, or a name under
+     * CONFIG.scenarios.path. Returns the scenario; throws if it's invalid.
+     */
+    async load(source) {
+        const text = source.trim();
+        let data;
+
+        if (text.startsWith('{')) {
+            data = JSON.parse(text);
+        } else {
+            const url = /[/.]/.test(text) ? text : `${CONFIG.scenarios.path}${text}.json`;
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Couldn't load scenario from ${url} (${response.status})`);
+            }
+            data = await response.json();
+        }
+
+        const scenario = this.validate(data);
+        this.scenarios.set(scenario.name, scenario);
+        this.trace(`Loaded scenario "${scenario.name}" (${scenario.beats.length} beats)`);
+        return scenario;
+    }
+
+    // Check a scenario's shape and fill in defaults; throws Error listing what's wrong
+    validate(data) {
+        const problems = [];
+        if (!data || typeof data !== 'object') {
+            throw new Error('A scenario must be a JSON object');
+        }
+        if (typeof data.name !== 'string' || !data.name.trim()) problems.push('"name" is required');
+        if (!Array.isArray(data.beats) || data.beats.length === 0) problems.push('"beats" must be a non-empty array');
+
+        const ids = new Set();
+        (Array.isArray(data.beats) ? data.beats : []).forEach((beat, index) => {
+            const label = `beat ${beat?.id ?? index + 1}`;
+            if (typeof beat?.id !== 'string' || !beat.id) problems.push(`beat ${index + 1} needs an "id"`);
+            else if (ids.has(beat.id)) problems.push(`beat id "${beat.id}" is used twice`);
+            ids.add(beat?.id);
+
+            if (!Array.isArray(beat?.participants) || beat.participants.length < 2) {
+                problems.push(`${label} needs at least two "participants"`);
+            }
+            Object.keys(beat?.goals || {}).forEach(tag => {
+                if (!beat.participants?.includes(tag)) problems.push(`${label} has a goal for "${tag}", who isn't a participant`);
+            });
+            Object.keys(beat?.when || {}).forEach(key => {
+                if (!CONDITIONS.includes(key)) problems.push(`${label} has unknown condition "${key}" (use ${CONDITIONS.join(', ')})`);
+            });
+            Object.keys(beat?.stop || {}).forEach(key => {
+                if (!STOP_CONDITIONS.includes(key)) problems.push(`${label} has unknown stop condition "${key}" (use ${STOP_CONDITIONS.join(', ')})`);
+            });
+        });
+
+        (Array.isArray(data.beats) ? data.beats : []).forEach(beat => {
+            [].concat(beat?.when?.after || []).forEach(id => {
+                if (!ids.has(id)) problems.push(`beat ${beat.id} waits for unknown beat "${id}"`);
+            });
+        });
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid scenario: ${problems.join('; ')}`);
+        }
+
+        return {
+            name: data.name.trim(),
+            description: data.description || '',
+            randomChatter: Boolean(data.randomChatter),
+            duration: data.duration || null,
+            beats: data.beats.map(beat => ({
+                id: beat.id,
+                participants: beat.participants,
+                topic: beat.topic || null,
+                goals: beat.goals || {},
+                when: beat.when || null,
+                delay: beat.delay || 0,
+                repeat: Boolean(beat.repeat),
+                stop: { maxMessages: CONFIG.scenarios.defaultMaxMessages, ...beat.stop }
+            }))
+        };
+    }
+
+    // Scenario names that can be loaded by name, from the manifest; [] if there isn't one
+    async listAvailable() {
+        try {
+            const response = await fetch(`${CONFIG.scenarios.path}${CONFIG.scenarios.manifest}`);
+            if (!response.ok) return [];
+            const manifest = await response.json();
+            return Array.isArray(manifest.scenarios) ? manifest.scenarios.map(String) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Start a loaded (or loadable) scenario, stopping any other first
+    async start(name) {
+        const scenario = this.scenarios.get(name) || await this.load(name);
+        const beats = new Map(scenario.beats.map(beat => [beat.id, {
+            beat,
+            entities: beat.participants.map(tag => this.findEntity(tag)),
+            runs: 0,
+            conversation: null,
+            startedAt: null,
+            finishedAt: null,
+            readyAt: null
+        }]));
+
+        const missing = [...beats.values()].flatMap(({ beat, entities }) =>
+            beat.participants.filter((tag, index) => !entities[index]));
+        if (missing.length > 0) {
+            throw new Error(`No entity with a brain tagged ${[...new Set(missing)].map(tag => `"${tag}"`).join(', ')}`);
+        }
+
+        if (this.running) this.stop('replaced');
+
+        const randomChatter = await this.setRandomChatter(scenario.randomChatter);
+        this.running = {
+            scenario,
+            startedAt: this.time,
+            beats,
+            messages: [],
+            randomChatter
+        };
+
+        this.trace(`Scenario "${scenario.name}" started`);
+        this.world.events.emit('scenario:started', { scenario });
+        return scenario;
+    }
+
+    // Stop the running scenario and any beat still talking
+    stop(reason = 'stopped') {
+        if (!this.running) return null;
+
+        const { scenario, beats, randomChatter } = this.running;
+        for (const state of beats.values()) {
+            if (this.isTalking(state.conversation)) {
+                this.endConversation(state.conversation);
+            }
+        }
+        this.setRandomChatter(randomChatter);
+
+        this.running = null;
+        this.trace(`Scenario "${scenario.name}" ${reason}`);
+        this.world.events.emit('scenario:stopped', { scenario, reason });
+        return scenario;
+    }
+
+    // Turn random chatter on or off; resolves with the previous setting
+    async setRandomChatter(enabled) {
+        if (!this.world.events.hasHandler('conversation:randomChatter')) return true;
+        return this.world.events.request('conversation:randomChatter', { enabled });
+    }
+
+    // Whether conversation is still under way
+    isTalking(conversation) {
+        return this.conversations.has(conversation);
+    }
+
+    isInConversation(entity) {
+        return [...this.conversations].some(conversation => conversation.participants.includes(entity));
+    }
+
+    endConversation(conversation) {
+        this.world.events.request('conversation:end', { conversation })
+            .catch(error => console.error('Failed to end scenario conversation:', error));
+    }
+
+    // Entity with a brain by tag; a prefix works too (origin -> origin-marker)
+    findEntity(tag) {
+        const lower = String(tag).toLowerCase();
+        const entities = this.world.getEntitiesWithComponent(BrainComponent).filter(entity => entity.tag);
+        return entities.find(entity => entity.tag.toLowerCase() === lower)
+            || entities.find(entity => entity.tag.toLowerCase().startsWith(lower))
+            || null;
+    }
+
+    conditionsMet(state) {
+        const { when } = state.beat;
+        if (!when) return state.runs === 0;
+
+        const since = state.startedAt ?? -Infinity; // Repeating beats only count what happened since they last ran
+        const beats = this.running.beats;
+
+        if (when.after && ![].concat(when.after).every(id => (beats.get(id).finishedAt ?? -Infinity) > since)) {
+            return false;
+        }
+        if (when.elapsed && this.time - this.running.startedAt < when.elapsed) {
+            return false;
+        }
+        if (when.pendingRelay) {
+            const holder = this.findEntity(when.pendingRelay.from)?.getComponent(BrainComponent);
+            const target = when.pendingRelay.to ? this.findEntity(when.pendingRelay.to) : null;
+            const pending = target ? holder?.hasPendingMessagesFor(target.id) : holder?.pendingMessages.length > 0;
+            if (!pending) return false;
+        }
+        if (when.mood) {
+            const brain = this.findEntity(when.mood.entity)?.getComponent(BrainComponent);
+            if (!brain || ![].concat(when.mood.is).includes(brain.emotion)) return false;
+        }
+        if (when.message) {
+            const from = when.message.from ? this.findEntity(when.message.from) : null;
+            const text = String(when.message.contains || '').toLowerCase();
+            const heard = this.running.messages.some(message => message.time > since
+                && (!from || message.senderId === from.id)
+                && message.content.toLowerCase().includes(text));
+            if (!heard) return false;
+        }
+        return true;
+    }
+
+    // Stop conditions checked by AutonomousChatSystem after each message
+    shouldStop(state, conversation) {
+        const { keywords, relayDelivered } = state.beat.stop;
+        const last = conversation.messages[conversation.messages.length - 1]?.message.toLowerCase() || '';
+
+        if (keywords && [].concat(keywords).some(keyword => last.includes(String(keyword).toLowerCase()))) {
+            return true;
+        }
+        if (relayDelivered) {
+            const [holder, ...others] = state.entities;
+            const brain = holder.getComponent(BrainComponent);
+            return others.every(entity => !brain.hasPendingMessagesFor(entity.id));
+        }
+        return false;
+    }
+
+    async startBeat(state) {
+        if (!this.world.events.hasHandler('conversation:start')) return;
+
+        const { beat, entities } = state;
+        const goals = {};
+        entities.forEach((entity, index) => {
+            const goal = beat.goals[beat.participants[index]];
+            if (goal) goals[entity.id] = goal;
+        });
+
+        state.readyAt = null;
+        state.startedAt = this.time;
+        state.runs++;
+        state.conversation = 'starting'; // Holds the beat while the conversation starts
+
+        const conversation = await this.world.events.request('conversation:start', {
+            entities,
+            script: {
+                topic: beat.topic,
+                goals,
+                maxMessages: beat.stop.maxMessages,
+                shouldStop: conversation => this.shouldStop(state, conversation)
+            }
+        }).catch(error => {
+            console.error(`Failed to start beat "${beat.id}":`, error);
+            return null;
+        });
+
+        // Stopped while starting
+        if (!this.running || this.running.beats.get(beat.id) !== state) {
+            if (this.isTalking(conversation)) this.endConversation(conversation);
+            return;
+        }
+
+        state.conversation = conversation;
+        if (!conversation) {
+            // Someone was busy after all; try again later
+            state.runs--;
+            state.startedAt = null;
+            return;
+        }
+
+        this.trace(`Beat "${beat.id}": ${beat.participants.join(', ')}${beat.topic ? ` on ${beat.topic}` : ''}`);
+        this.world.events.emit('scenario:beat', { scenario: this.running.scenario, beat, state: 'started' });
+    }
+
+    finishBeat(state) {
+        state.conversation = null;
+        state.finishedAt = this.time;
+        this.trace(`Beat "${state.beat.id}" finished`);
+        this.world.events.emit('scenario:beat', { scenario: this.running.scenario, beat: state.beat, state: 'finished' });
+    }
+
+    // Scenario progress, logged only while debugging
+    trace(message) {
+        if (CONFIG.debug.enabled) {
+            console.log(`🎬 ${message}`);
+        }
+    }
+
+    // Running scenario's name, elapsed time and each beat's state, for /scenario list
+    getStatus() {
+        if (!this.running) return null;
+
+        const beats = [...this.running.beats.values()].map(state => ({
+            id: state.beat.id,
+            runs: state.runs,
+            state: state.conversation ? 'running' : state.readyAt !== null ? 'starting' : state.finishedAt !== null ? 'finished' : 'waiting'
+        }));
+        return { name: this.running.scenario.name, elapsed: this.time - this.running.startedAt, beats };
+    }
+
+    update(deltaTime) {
+        this.time += deltaTime;
+        if (!this.running) return;
+
+        const { scenario, beats } = this.running;
+
+        for (const state of beats.values()) {
+            if (state.conversation === 'starting') continue;
+
+            // Running beats end when their conversation does, or on timeout
+            if (state.conversation) {
+                const { timeout } = state.beat.stop;
+                if (timeout && this.time - state.startedAt >= timeout && this.isTalking(state.conversation)) {
+                    this.endConversation(state.conversation);
+                }
+                if (!this.isTalking(state.conversation)) {
+                    this.finishBeat(state);
+                }
+                continue;
+            }
+
+            if (state.runs > 0 && !state.beat.repeat) continue;
+
+            if (state.readyAt === null && this.conditionsMet(state)) {
+                state.readyAt = this.time + state.beat.delay;
+            }
+            if (state.readyAt !== null && this.time >= state.readyAt
+                && !state.entities.some(entity => this.isInConversation(entity))) {
+                this.startBeat(state);
+            }
+        }
+
+        // Done once every one-off beat has run and finished, or the scenario's time is up
+        const allStates = [...beats.values()];
+        const finished = allStates.every(state => !state.conversation && (state.beat.repeat || state.finishedAt !== null))
+            && allStates.some(state => !state.beat.repeat);
+        if (scenario.duration && this.time - this.running.startedAt >= scenario.duration) {
+            this.stop('timed out');
+        } else if (finished) {
+            this.stop('completed');
+        }
+    }
+}
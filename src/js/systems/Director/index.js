@@ -0,0 +1 @@
+export { DirectorSystem } from './System.js';
\ No newline at end of file
@@ -7,6 +7,7 @@ import { PlayerControllerComponent, CameraComponent, MeshComponent } from '../..
 export class FPSControllerSystem extends System {
   constructor() {
     super();
+    this.phase = 'input';
     this.requiredComponents = [PlayerControllerComponent];
     console.log('🎮 FPSControllerSystem created, required components:', this.requiredComponents);
     
@@ -12,10 +12,18 @@ import {
   ConnectionSystem,
   SessionSystem,
   PersistenceSystem,
+  MemorySystem,
+  SearchSystem,
+  SummarizationSystem,
+  AffectSystem,
+  DirectorSystem,
+  RelaySystem,
+  PromptSystem,
   VoxelIndicatorRenderSystem,
   DOMInterfaceSystem,
   ChatInterfaceSystem,
   SessionManagementSystem,
+  PromptEditorSystem,
   CommandSystem,
   AutonomousChatSystem,
 } from "../index.js";
@@ -69,6 +77,11 @@ export class InitializationSystem extends System {
         this.world.addSystem(sessionManagement, "sessionManagement");
         sessionManagement.init(this.world, this.industrialPortfolio);
 
+        // Add Prompt Editor system for the template editor modal
+        const promptEditor = new PromptEditorSystem();
+        this.world.addSystem(promptEditor, "promptEditor");
+        promptEditor.init(this.world, this.industrialPortfolio);
+
         // Add Command system for slash command handling
         const commandSystem = new CommandSystem();
         this.world.addSystem(commandSystem, "command");
@@ -90,12 +103,20 @@ export class InitializationSystem extends System {
         this.world.addSystem(cameraSystem, "camera");
         cameraSystem.init(this.world);
 
+        // Add persistence system BEFORE loading the level so a saved world snapshot can replace it
+        const persistenceSystem = new PersistenceSystem(this.world);
+        this.world.addSystem(persistenceSystem, "persistence");
+        await persistenceSystem.init({ legacyEntityIds: LevelLoader.LEGACY_ENTITY_IDS });
+
         // Add level loader
         const levelLoader = new LevelLoader();
         this.world.addSystem(levelLoader, "levelLoader");
 
-        // Load the level
-        await levelLoader.loadLevel(this.world);
+        // Resume the saved world if there is one, otherwise load the level
+        const snapshot = await persistenceSystem.loadWorldSnapshot();
+        if (!snapshot || !levelLoader.restoreLevel(this.world, snapshot)) {
+            await levelLoader.loadLevel(this.world);
+        }
 
         // Add agent system for Ollama
         const agentSystem = new AgentSystem();
@@ -103,9 +124,35 @@ export class InitializationSystem extends System {
         this.world.addSystem(agentSystem, "agent");
         await agentSystem.init();
 
+        // Load the prompt template library (built-ins plus edits saved in IndexedDB)
+        const promptSystem = new PromptSystem(this.world);
+        this.world.addSystem(promptSystem, "prompt");
+        await promptSystem.init();
+
         // Initialize SystemPromptBuilder
         const promptBuilder = new SystemPromptBuilder(this.world);
         agentSystem.setPromptBuilder(promptBuilder);
+        promptSystem.setPromptBuilder(promptBuilder);
+
+        // Add long-term memory (embeds through the agent, stores through persistence)
+        const memorySystem = new MemorySystem(this.world);
+        this.world.addSystem(memorySystem, "memory");
+        memorySystem.init();
+
+        // Index every chat message for /search
+        const searchSystem = new SearchSystem(this.world);
+        this.world.addSystem(searchSystem, "search");
+        searchSystem.init();
+
+        // Summarize ended sessions and old experiences into long-term memory
+        const summarizationSystem = new SummarizationSystem(this.world);
+        this.world.addSystem(summarizationSystem, "summarization");
+        summarizationSystem.init();
+
+        // Score what AI entities hear and let their moods follow
+        const affectSystem = new AffectSystem(this.world);
+        this.world.addSystem(affectSystem, "affect");
+        affectSystem.init();
 
         const playerMovementSystem = new PlayerMovementSystem();
         this.world.addSystem(playerMovementSystem, "playerMovement");
@@ -133,10 +180,15 @@ export class InitializationSystem extends System {
         this.world.addSystem(autonomousChatSystem, "autonomousChat");
         autonomousChatSystem.init(this.world);
 
-        // Add persistence system BEFORE creating connections so we can check for existing sessions
-        const persistenceSystem = new PersistenceSystem(this.world);
-        this.world.addSystem(persistenceSystem, "persistence");
-        await persistenceSystem.init();
+        // Stage scripted conversations from scenario files (/scenario)
+        const directorSystem = new DirectorSystem(this.world);
+        this.world.addSystem(directorSystem, "director");
+        directorSystem.init();
+
+        // Track messages entities carry for each other until they're delivered
+        const relaySystem = new RelaySystem(this.world);
+        this.world.addSystem(relaySystem, "relay");
+        await relaySystem.init();
 
         // Add 3D voxel indicator render system
         const voxelIndicatorRenderSystem = new VoxelIndicatorRenderSystem(
@@ -144,6 +196,7 @@ export class InitializationSystem extends System {
             cameraSystem.getActiveCamera()?.camera, // Get the Three.js camera from active CameraComponent
         );
         this.world.addSystem(voxelIndicatorRenderSystem, "voxelIndicatorRender");
+        voxelIndicatorRenderSystem.init(this.world);
 
         // Initialize player-origin connection after persistence is loaded
         await this.initializeDefaultConnections();
@@ -162,90 +215,11 @@ export class InitializationSystem extends System {
         const originMarker = this.world.getEntitiesByTag("origin-marker")[0];
 
         if (player && originMarker) {
-            // Add brain components
-            const playerBrain = new BrainComponent({
-                model: "human",
-                primaryFunction: "user",
-                personality: {
-                    openness: 0.8,
-                    extraversion: 0.7,
-                },
-                interests: ["exploration", "chatting", "learning"],
-            });
-            player.addComponent(playerBrain);
-
-            // Add connection component to player
-            const playerConnection = new Connection();
-            player.addComponent(playerConnection);
-
-            const originBrain = new BrainComponent({
-                model: "gemma3",
-                primaryFunction: "Origin Marker",
-                promptTemplate: "originMarker",
-                personality: {
-                    agreeableness: 0.9,
-                    conscientiousness: 0.8,
-                    extraversion: 0.8,
-                    openness: 0.9,
-                },
-                interests: [
-                    "helping",
-                    "system guidance",
-                    "technical explanation",
-                    "ECS architecture",
-                ],
-                expertise: [
-                    "chat systems",
-                    "ECS patterns",
-                    "Three.js",
-                    "persistence",
-                    "AI integration",
-                ],
-                responseStyle: "helpful",
-                systemPrompt: "You are the Origin Marker AI assistant.",
-                contextSettings: {
-                    includeHistory: true,
-                    historyLimit: 5,
-                    includePersonality: true,
-                    includeSystemInfo: true,
-                    includeCommands: true,
-                },
-                commandAccess: [
-                    "search",
-                    "history",
-                    "who",
-                    "model",
-                    "context",
-                    "save",
-                    "export",
-                ],
-            });
-            originMarker.addComponent(originBrain);
-
-            // Add connection component to origin marker
-            const originConnection = new Connection();
-            originMarker.addComponent(originConnection);
-
-            // Add 3D voxel indicator components (replacing 2D indicators)
-            const playerIndicator = new VoxelIndicatorComponent({
-                position: { x: 0, y: 1.2, z: 0 }, // Above player, closer due to smaller size
-                brightness: 0.8,
-                state: "idle",
-                gridSize: { width: 8, height: 8, depth: 1 }, // 8x8 grid as requested
-            });
-            player.addComponent(playerIndicator);
-
-            const originIndicator = new VoxelIndicatorComponent({
-                position: { x: 0, y: 1.3, z: 0 }, // Above origin marker
-                brightness: 1.0,
-                state: "idle",
-                gridSize: { width: 8, height: 8, depth: 1 },
-            });
-            originMarker.addComponent(originIndicator);
-
-            // Set initial patterns after components are added
-            this.setPlayerIndicatorPattern(playerIndicator);
-            this.setOriginIndicatorPattern(originIndicator);
+            // A restored world already has these components
+            const restored = player.hasComponent(BrainComponent);
+            if (!restored) {
+                this.addDefaultChatComponents(player, originMarker);
+            }
 
             // Store references for later use
             this.industrialPortfolio.playerEntity = player;
@@ -256,7 +230,15 @@ export class InitializationSystem extends System {
 
             // Create or reuse session between player and origin marker
             const sessionSystem = this.world?.getSystem("session");
-            if (sessionSystem) {
+            // Resume the most recent session from a restored world
+            const resumedSession = restored && sessionSystem
+                ? sessionSystem.getSessionsBetweenEntities(player, originMarker)
+                    .sort((a, b) => (b.lastActivityAt || 0) - (a.lastActivityAt || 0))[0]
+                : null;
+
+            if (resumedSession) {
+                console.log("🔄 Resuming session between player and origin marker:", resumedSession.title || resumedSession.id);
+            } else if (sessionSystem) {
                 // Check if there's an existing empty session we can reuse
                 const existingSession = await sessionSystem.findOrCreateSession(player, originMarker);
                 if (existingSession) {
@@ -274,6 +256,93 @@ export class InitializationSystem extends System {
         }
     }
 
+    addDefaultChatComponents(player, originMarker) {
+        // Add brain components
+        const playerBrain = new BrainComponent({
+            model: "human",
+            primaryFunction: "user",
+            personality: {
+                openness: 0.8,
+                extraversion: 0.7,
+            },
+            interests: ["exploration", "chatting", "learning"],
+        });
+        player.addComponent(playerBrain);
+
+        // Add connection component to player
+        const playerConnection = new Connection();
+        player.addComponent(playerConnection);
+
+        const originBrain = new BrainComponent({
+            model: "gemma3",
+            primaryFunction: "Origin Marker",
+            promptTemplate: "originMarker",
+            personality: {
+                agreeableness: 0.9,
+                conscientiousness: 0.8,
+                extraversion: 0.8,
+                openness: 0.9,
+            },
+            interests: [
+                "helping",
+                "system guidance",
+                "technical explanation",
+                "ECS architecture",
+            ],
+            expertise: [
+                "chat systems",
+                "ECS patterns",
+                "Three.js",
+                "persistence",
+                "AI integration",
+            ],
+            responseStyle: "helpful",
+            systemPrompt: "You are the Origin Marker AI assistant.",
+            contextSettings: {
+                includeHistory: true,
+                historyLimit: 5,
+                includePersonality: true,
+                includeSystemInfo: true,
+                includeCommands: true,
+            },
+            commandAccess: [
+                "search",
+                "history",
+                "who",
+                "model",
+                "context",
+                "save",
+                "export",
+            ],
+        });
+        originMarker.addComponent(originBrain);
+
+        // Add connection component to origin marker
+        const originConnection = new Connection();
+        originMarker.addComponent(originConnection);
+
+        // Add 3D voxel indicator components (replacing 2D indicators)
+        const playerIndicator = new VoxelIndicatorComponent({
+            position: { x: 0, y: 1.2, z: 0 }, // Above player, closer due to smaller size
+            brightness: 0.8,
+            state: "idle",
+            gridSize: { width: 8, height: 8, depth: 1 }, // 8x8 grid as requested
+        });
+        player.addComponent(playerIndicator);
+
+        const originIndicator = new VoxelIndicatorComponent({
+            position: { x: 0, y: 1.3, z: 0 }, // Above origin marker
+            brightness: 1.0,
+            state: "idle",
+            gridSize: { width: 8, height: 8, depth: 1 },
+        });
+        originMarker.addComponent(originIndicator);
+
+        // Set initial patterns after components are added
+        this.setPlayerIndicatorPattern(playerIndicator);
+        this.setOriginIndicatorPattern(originIndicator);
+    }
+
     setPlayerIndicatorPattern(indicator) {
         // Create a simple smiley pattern for voxel indicator
         indicator.createPattern("smiley");
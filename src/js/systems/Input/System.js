@@ -6,6 +6,7 @@ import { System } from '../../core/System.js';
 export class InputSystem extends System {
   constructor() {
     super();
+    this.phase = 'input';
     this.requiredComponents = []; // No specific components required
     this.keyStates = new Map(); // Track key states
     this.chatInput = null;
@@ -16,6 +16,22 @@ import {
  * LevelLoader - Loads level data from JSON or creates default environment
  */
 export class LevelLoader extends System {
+  // Fixed ids for the default environment's entities, so saved sessions and
+  // brains point at the same entities after every reload
+  static ENTITY_IDS = {
+    originMarker: "6c2532c3-a169-47eb-a90b-1aad5dcc7607",
+    player: "446c23ea-43d4-40a3-8d28-d16bfa1547e2",
+    patrolBot: "2fa0f730-c94a-43d6-a07b-5b1983684d0b",
+  };
+
+  // Ids the default entities got from the old per-load counter (creation order),
+  // used to migrate data saved before ids were stable
+  static LEGACY_ENTITY_IDS = {
+    0: LevelLoader.ENTITY_IDS.originMarker,
+    1: LevelLoader.ENTITY_IDS.player,
+    2: LevelLoader.ENTITY_IDS.patrolBot,
+  };
+
   constructor() {
     super();
     this.requiredComponents = [];
@@ -49,6 +65,31 @@ export class LevelLoader extends System {
     this.loaded = true;
   }
 
+  /**
+   * Restore a saved world snapshot instead of building the level.
+   * Returns false (leaving the world empty) if the snapshot can't be applied.
+   */
+  restoreLevel(world, snapshot) {
+    console.log("🗺️ Restoring saved world snapshot...");
+
+    try {
+      world.restore(snapshot);
+    } catch (error) {
+      console.warn("⚠️ Could not restore world snapshot, loading level instead:", error.message);
+      for (const id of Array.from(world.entities.keys())) {
+        world.removeEntity(id);
+      }
+      return false;
+    }
+
+    // The floor is scene-only, not an entity, so it isn't in the snapshot
+    this.createFloorPlane(world);
+    this.loaded = true;
+
+    console.log(`✅ Restored ${world.entities.size} entities from snapshot`);
+    return true;
+  }
+
   async createDefaultEnvironment(world) {
     // Create origin marker entity
     this.createOriginMarker(world);
@@ -75,7 +116,7 @@ export class LevelLoader extends System {
       : 0xffffff;
 
     // Create origin marker entity
-    const originMarker = world.createEntity();
+    const originMarker = world.createEntity(LevelLoader.ENTITY_IDS.originMarker);
 
     // Add transform component (1 unit above ground)
     const transform = new TransformComponent({
@@ -157,7 +198,7 @@ export class LevelLoader extends System {
       : 0xffffff;
 
     // Create player entity
-    const player = world.createEntity();
+    const player = world.createEntity(LevelLoader.ENTITY_IDS.player);
 
     // Add transform component (spawn position)
     const transform = new TransformComponent({
@@ -230,7 +271,7 @@ export class LevelLoader extends System {
       : 0x333333;
 
     // Create bot entity
-    const bot = world.createEntity();
+    const bot = world.createEntity(LevelLoader.ENTITY_IDS.patrolBot);
 
     // Add transform component (starting position)
     const transform = new TransformComponent({
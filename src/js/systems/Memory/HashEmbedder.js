@@ -0,0 +1,41 @@
+import { Stemmer } from '../../utils/Stemmer.js';
+
+/**
+ * HashEmbedder - Deterministic embeddings that need no model
+ *
+ * Each word is stemmed and hashed to one of `dimensions` slots with a +1 or
+ * -1 sign, and the vector is normalized. Texts sharing words (or their
+ * stems) point the same way, so recall still works offline, though without
+ * a model's sense of meaning. The same text always gets the same vector.
+ */
+export class HashEmbedder {
+    constructor({ dimensions = 256 } = {}) {
+        this.dimensions = dimensions;
+    }
+
+    // Same shape as the agent:embed request: a list of texts in, a list of vectors out
+    async embed(texts) {
+        return texts.map(text => this.vector(text));
+    }
+
+    vector(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+            const hash = HashEmbedder.hash(Stemmer.stem(word));
+            vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1;
+        }
+
+        const length = Math.hypot(...vector) || 1;
+        return vector.map(value => value / length);
+    }
+
+    // 32-bit FNV-1a
+    static hash(word) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < word.length; i++) {
+            hash ^= word.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * MemoryIndex - Locality-sensitive hash index over memory embeddings
+ *
+ * Each table hashes a vector to the side of `bits` random hyperplanes it
+ * falls on, so similar vectors tend to share a bucket. candidates() returns
+ * everything in the query's bucket, or one bit away from it, in any table;
+ * the caller scores those exactly. Hyperplanes come from a fixed seed, so the
+ * same vectors always land in the same buckets.
+ */
+export class MemoryIndex {
+    constructor({ tables = 8, bits = 10, seed = 1 } = {}) {
+        this.tableCount = tables;
+        this.bits = bits;
+        this.seed = seed;
+        this.dimensions = null;
+        this.planes = []; // per table: bits hyperplanes
+        this.tables = []; // per table: Map bucket key -> Set of memories
+        this.size = 0;
+    }
+
+    add(memory) {
+        const vector = memory.embedding;
+        if (!vector) return;
+
+        // The first vector fixes the dimension; others (a different embedding model) are skipped
+        if (this.dimensions === null) {
+            this.createPlanes(vector.length);
+        }
+        if (vector.length !== this.dimensions) return;
+
+        this.keys(vector).forEach((key, table) => {
+            const buckets = this.tables[table];
+            if (!buckets.has(key)) {
+                buckets.set(key, new Set());
+            }
+            buckets.get(key).add(memory);
+        });
+        this.size++;
+    }
+
+    remove(memory) {
+        const vector = memory.embedding;
+        if (!vector || vector.length !== this.dimensions) return;
+
+        this.keys(vector).forEach((key, table) => {
+            if (this.tables[table].get(key)?.delete(memory)) {
+                if (table === 0) this.size--;
+            }
+        });
+    }
+
+    candidates(vector) {
+        if (vector.length !== this.dimensions) return [];
+
+        const found = new Set();
+        this.keys(vector).forEach((key, table) => {
+            for (const probe of [key, ...MemoryIndex.neighbours(key)]) {
+                this.tables[table].get(probe)?.forEach(memory => found.add(memory));
+            }
+        });
+        return Array.from(found);
+    }
+
+    keys(vector) {
+        return this.planes.map(planes =>
+            planes.map(plane => (MemoryIndex.dot(plane, vector) >= 0 ? '1' : '0')).join('')
+        );
+    }
+
+    createPlanes(dimensions) {
+        const random = MemoryIndex.seededRandom(this.seed);
+        this.dimensions = dimensions;
+        this.planes = Array.from({ length: this.tableCount }, () =>
+            Array.from({ length: this.bits }, () =>
+                Array.from({ length: dimensions }, () => random() * 2 - 1)
+            )
+        );
+        this.tables = this.planes.map(() => new Map());
+    }
+
+    // Bucket keys that differ from key in exactly one bit
+    static neighbours(key) {
+        return Array.from(key, (bit, i) => key.slice(0, i) + (bit === '1' ? '0' : '1') + key.slice(i + 1));
+    }
+
+    static dot(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            sum += a[i] * b[i];
+        }
+        return sum;
+    }
+
+    // mulberry32
+    static seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
@@ -0,0 +1,323 @@
+import { System } from '../../core/System.js';
+import { CONFIG } from '../../config/index.js';
+import { BrainComponent } from '../../components/BrainComponent.js';
+import { generateUUID } from '../../utils/uuid.js';
+import { MemoryIndex } from './MemoryIndex.js';
+import { HashEmbedder } from './HashEmbedder.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * MemorySystem - Embedding-backed long-term memory for AI entities
+ *
+ * Memories are embedded through the agent's provider and stored in the
+ * IndexedDB 'memories' store. recall() ranks them by cosine similarity to a
+ * query, weighted with recency and importance. Memories arriving together
+ * (a busy session) are embedded in one request.
+ */
+export class MemorySystem extends System {
+    constructor(world, options = {}) {
+        super();
+        this.phase = 'ai';
+        this.world = world;
+
+        // Defaults to the agent's embed request, or HashEmbedder with embedder: 'hash'; tests can pass their own
+        this.embedder = options.embed || null;
+        this.hashEmbedder = null;
+        this.storage = options.storage || null;
+
+        this.memories = new Map(); // entityId -> memory records
+        this.indexes = new Map(); // entityId -> MemoryIndex
+        this.loading = new Map(); // entityId -> Promise of records
+        this.pending = []; // { text, resolve } waiting to be embedded
+        this.flushTimer = null;
+    }
+
+    init() {
+        console.log('🧠 Initializing MemorySystem...');
+        const events = this.world.events;
+
+        if (!this.storage) {
+            const persistenceSystem = this.world.getSystem('persistence');
+            this.storage = persistenceSystem?.storage?.hasStore('memories') ? persistenceSystem.storage : null;
+        }
+
+        // Remember what AI entities hear and say in their sessions
+        events.on('session:message', ({ message, entities }) => {
+            if (message.type === 'system') return;
+            const brains = entities.filter(entity => this.hasMemory(entity));
+            if (brains.length > 0) {
+                this.rememberForAll(brains, message.content, {
+                    category: 'conversation',
+                    importance: this.estimateImportance(message.content)
+                });
+            }
+        });
+
+        // BrainComponent.addToLongTermMemory(), which has already kept its own copy
+        events.on('brain:memory', ({ entity, content, category, importance }) => {
+            this.rememberForAll([entity], content, { category, importance, mirror: false });
+        });
+
+        events.handle('memory:recall', ({ entity, query, k }) => this.recall(entity, query, { k }));
+
+        console.log('✅ MemorySystem initialized');
+    }
+
+    hasMemory(entity) {
+        const brain = entity.getComponent(BrainComponent);
+        return Boolean(brain) && brain.model !== 'human';
+    }
+
+    // Stored with each vector; memories embedded by another model are embedded again on load
+    get embeddingModel() {
+        return CONFIG.memory.embedder === 'hash' ? 'hash' : CONFIG.memory.embeddingModel;
+    }
+
+    async embed(texts) {
+        if (this.embedder) {
+            return this.embedder(texts);
+        }
+        if (CONFIG.memory.embedder === 'hash') {
+            if (!this.hashEmbedder) {
+                this.hashEmbedder = new HashEmbedder();
+            }
+            return this.hashEmbedder.embed(texts);
+        }
+        return this.world.events.request('agent:embed', {
+            input: texts,
+            model: CONFIG.memory.embeddingModel
+        });
+    }
+
+    // Resolves with text's vector, or null if embedding failed, once its batch is sent
+    queueEmbedding(text) {
+        return new Promise(resolve => {
+            this.pending.push({ text, resolve });
+            if (this.pending.length >= CONFIG.memory.batchSize) {
+                this.flushEmbeddings();
+            } else if (!this.flushTimer) {
+                this.flushTimer = setTimeout(() => this.flushEmbeddings(), CONFIG.memory.batchDelay);
+            }
+        });
+    }
+
+    async flushEmbeddings() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        const batch = this.pending.splice(0);
+        if (batch.length === 0) return;
+
+        const texts = [...new Set(batch.map(item => item.text))];
+        let vectors = null;
+        try {
+            vectors = await this.embed(texts);
+        } catch (error) {
+            // Still kept; recall falls back to word overlap for them
+            console.warn(`⚠️ Could not embed ${texts.length} memor${texts.length === 1 ? 'y' : 'ies'}:`, error.message);
+        }
+        batch.forEach(({ text, resolve }) => resolve(vectors?.[texts.indexOf(text)] || null));
+    }
+
+    /**
+     * Store a memory for entity. Returns the stored record.
+     */
+    async remember(entity, content, options = {}) {
+        const [memory] = await this.rememberForAll([entity], content, options);
+        return memory;
+    }
+
+    // Embed once and store a copy for each entity
+    async rememberForAll(entities, content, { category = 'general', importance = 0.5, mirror = true } = {}) {
+        if (!content || !content.trim()) return [];
+
+        const embedding = await this.queueEmbedding(content);
+        const embeddingModel = this.embeddingModel;
+
+        const stored = [];
+        for (const entity of entities) {
+            const memory = {
+                id: generateUUID(),
+                entityId: entity.id,
+                content,
+                category,
+                importance: Math.max(0, Math.min(1, importance)),
+                embedding,
+                embeddingModel: embedding ? embeddingModel : null,
+                timestamp: Date.now()
+            };
+
+            const memories = await this.getMemories(entity.id);
+            memories.push(memory);
+            this.indexes.get(entity.id).add(memory);
+            await this.storage?.saveMemory(memory).catch(error =>
+                console.error('❌ Failed to save memory:', error)
+            );
+
+            if (mirror) {
+                entity.getComponent(BrainComponent)?.recordLongTermMemory(memory);
+            }
+            await this.prune(entity.id);
+            stored.push(memory);
+        }
+        return stored;
+    }
+
+    /**
+     * Top-k memories for query, best first: [{ content, category, score, similarity, timestamp }]
+     */
+    async recall(entity, query, { k = CONFIG.memory.topK } = {}) {
+        const memories = (await this.getMemories(entity.id)).filter(memory => memory.content !== query);
+        if (memories.length === 0 || !query) return [];
+
+        let queryVector = null;
+        try {
+            [queryVector] = await this.embed([query]);
+        } catch (error) {
+            console.warn('⚠️ Could not embed recall query, using word overlap:', error.message);
+        }
+
+        // Small stores are scanned in full; large ones only score the index's candidates
+        let pool = memories;
+        if (queryVector && memories.length > CONFIG.memory.bruteForceLimit) {
+            const candidates = this.indexes.get(entity.id).candidates(queryVector)
+                .filter(memory => memory.content !== query);
+            if (candidates.length >= k) {
+                pool = candidates;
+            }
+        }
+
+        const { weights, minSimilarity, recencyHalfLifeDays } = CONFIG.memory;
+        const now = Date.now();
+
+        return pool
+            .map(memory => {
+                const similarity = queryVector && memory.embedding?.length === queryVector.length
+                    ? MemorySystem.cosineSimilarity(queryVector, memory.embedding)
+                    : MemorySystem.wordOverlap(query, memory.content);
+                const recency = Math.pow(0.5, (now - memory.timestamp) / (recencyHalfLifeDays * DAY_MS));
+                const score = weights.similarity * similarity
+                    + weights.recency * recency
+                    + weights.importance * memory.importance;
+                return { memory, similarity, score };
+            })
+            .filter(({ similarity }) => similarity >= minSimilarity)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k)
+            .map(({ memory, similarity, score }) => ({
+                content: memory.content,
+                category: memory.category,
+                timestamp: memory.timestamp,
+                similarity,
+                score
+            }));
+    }
+
+    async getMemories(entityId) {
+        if (this.memories.has(entityId)) {
+            return this.memories.get(entityId);
+        }
+
+        // Concurrent callers share one load
+        if (!this.loading.has(entityId)) {
+            this.loading.set(entityId, this.loadMemories(entityId));
+        }
+        return this.loading.get(entityId);
+    }
+
+    async loadMemories(entityId) {
+        let records = [];
+        try {
+            records = (await this.storage?.loadMemories(entityId)) || [];
+        } catch (error) {
+            console.error('❌ Failed to load memories:', error);
+        }
+
+        // Backups leave embeddings out, the embedder may have been down when they were stored, or changed since
+        const embeddingModel = this.embeddingModel;
+        const unembedded = records.filter(memory => !memory.embedding || memory.embeddingModel !== embeddingModel);
+        if (unembedded.length > 0) {
+            try {
+                const vectors = await this.embed(unembedded.map(memory => memory.content));
+                unembedded.forEach((memory, i) => {
+                    memory.embedding = vectors[i];
+                    memory.embeddingModel = embeddingModel;
+                });
+                await Promise.all(unembedded.map(memory => this.storage?.saveMemory(memory)));
+            } catch (error) {
+                console.warn('⚠️ Could not embed stored memories:', error.message);
+            }
+        }
+
+        const index = new MemoryIndex();
+        records.forEach(memory => index.add(memory));
+
+        this.memories.set(entityId, records);
+        this.indexes.set(entityId, index);
+        this.loading.delete(entityId);
+        return records;
+    }
+
+    // Drop the least valuable memories (importance x recency) beyond maxPerEntity
+    async prune(entityId) {
+        const memories = this.memories.get(entityId);
+        const excess = memories.length - CONFIG.memory.maxPerEntity;
+        if (excess <= 0) return;
+
+        const now = Date.now();
+        const halfLife = CONFIG.memory.recencyHalfLifeDays * DAY_MS;
+        const retention = memory => memory.importance * Math.pow(0.5, (now - memory.timestamp) / halfLife);
+
+        const dropped = [...memories].sort((a, b) => retention(a) - retention(b)).slice(0, excess);
+        const droppedIds = new Set(dropped.map(memory => memory.id));
+
+        const index = this.indexes.get(entityId);
+        dropped.forEach(memory => index.remove(memory));
+        this.memories.set(entityId, memories.filter(memory => !droppedIds.has(memory.id)));
+
+        await this.storage?.deleteMemories([...droppedIds]).catch(error =>
+            console.error('❌ Failed to prune memories:', error)
+        );
+    }
+
+    // Cheap importance guess for conversation messages
+    estimateImportance(content) {
+        let importance = 0.3;
+        if (/\b(remember|important|don't forget|my name is|i (like|love|hate|prefer|am)|call me)\b/i.test(content)) {
+            importance += 0.4;
+        }
+        if (content.length > 200) {
+            importance += 0.1;
+        }
+        return importance;
+    }
+
+    static cosineSimilarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    // Share of the query's words found in text, for memories without embeddings
+    static wordOverlap(query, text) {
+        const words = new Set(query.toLowerCase().match(/[a-z0-9]+/g) || []);
+        if (words.size === 0) return 0;
+
+        const textWords = new Set(text.toLowerCase().match(/[a-z0-9]+/g) || []);
+        let shared = 0;
+        words.forEach(word => {
+            if (textWords.has(word)) shared++;
+        });
+        return shared / words.size;
+    }
+
+    update(deltaTime) {
+        // Memory work happens in response to events
+    }
+}
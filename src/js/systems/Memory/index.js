@@ -0,0 +1 @@
+export { MemorySystem } from './System.js';
\ No newline at end of file
@@ -7,6 +7,7 @@ import { TransformComponent, PatrolComponent } from '../../components/index.js';
 export class PatrolSystem extends System {
   constructor() {
     super();
+    this.phase = 'simulation';
     this.requiredComponents = [TransformComponent, PatrolComponent];
   }
   
@@ -3,10 +3,13 @@ import { SessionStorage } from '../../components/SessionStorage.js';
 import { Session } from '../../components/Session.js';
 import { ChatLog } from '../../components/ChatLog.js';
 import { BrainComponent } from '../../components/BrainComponent.js';
+import { validateBundle, planImport, prepareImport } from './bundle.js';
 
 export class PersistenceSystem extends System {
     constructor(world) {
         super();
+        this.phase = 'ai';
+        this.after = ['session', 'autonomousChat']; // Save state after this step's chat updates
         this.world = world;
         this.storage = new SessionStorage();
         this.saveInterval = 30000; // Save every 30 seconds
@@ -14,8 +17,12 @@ export class PersistenceSystem extends System {
         this.initialized = false;
     }
 
-    async init() {
+    // options.legacyEntityIds: old counter id -> stable id, for migrating saved data
+    async init(options = {}) {
         console.log('💾 Initializing PersistenceSystem...');
+        this.storage.legacyEntityIds = options.legacyEntityIds || {};
+        this.world.events.handle('persistence:sessions', () => this.initialized ? this.storage.getAllSessions() : []);
+        this.world.events.handle('persistence:saveSession', ({ session }) => this.saveSession(session));
         
         try {
             await this.storage.initIndexedDB();
@@ -77,7 +84,7 @@ export class PersistenceSystem extends System {
                 if (chatLogComp) {
                     const chatLog = chatLogComp.getLog(session.chatLogId);
                     if (chatLog) {
-                        const chatLogData = this.storage.createChatLogData(chatLog);
+                        const chatLogData = this.storage.createChatLogData(chatLog, session.id);
                         await this.storage.saveChatLog(chatLogData);
                     }
                 }
@@ -96,11 +103,38 @@ export class PersistenceSystem extends System {
             
             console.log(`✅ Saved ${savedCount} sessions to storage`);
             
+            // Save the full ECS state so a reload resumes where we left off
+            if (this.storage.hasStore('worldSnapshots')) {
+                await this.storage.saveWorldSnapshot(this.world.serialize());
+            }
+            
         } catch (error) {
             console.error('❌ Failed to save state:', error);
         }
     }
 
+    async loadWorldSnapshot() {
+        if (!this.initialized || !this.storage.hasStore('worldSnapshots')) return null;
+        
+        try {
+            return await this.storage.loadWorldSnapshot();
+        } catch (error) {
+            console.error('❌ Failed to load world snapshot:', error);
+            return null;
+        }
+    }
+
+    async clearWorldSnapshot() {
+        if (!this.initialized || !this.storage.hasStore('worldSnapshots')) return false;
+        
+        try {
+            return await this.storage.deleteWorldSnapshot();
+        } catch (error) {
+            console.error('❌ Failed to clear world snapshot:', error);
+            return false;
+        }
+    }
+
     async searchSessions(query) {
         if (!this.initialized) return [];
         
@@ -150,23 +184,61 @@ export class PersistenceSystem extends System {
         if (!this.initialized) return null;
         
         try {
-            return await this.storage.exportAllData();
+            const data = await this.storage.exportAllData();
+            return { ...data, entities: this.describeEntities(data) };
         } catch (error) {
             console.error('❌ Export failed:', error);
             return null;
         }
     }
 
-    async importData(data) {
-        if (!this.initialized) return false;
-        
-        try {
-            await this.storage.importData(data);
-            return true;
-        } catch (error) {
-            console.error('❌ Import failed:', error);
-            return false;
-        }
+    // { id, tag } of each entity an export mentions, so an import elsewhere can map them by tag
+    describeEntities({ sessions, chatLogs, brains }) {
+        const ids = new Set([
+            ...sessions.flatMap(session => session.participants),
+            ...chatLogs.flatMap(chatLog => chatLog.messages.map(message => message.senderId)),
+            ...brains.map(brain => brain.entityId)
+        ]);
+        return Array.from(ids)
+            .filter(Boolean)
+            .map(id => ({ id, tag: this.world.getEntity(id)?.tag || null }));
+    }
+
+    /**
+     * What importing bundle would change, without changing anything:
+     * { errors } if it isn't a valid export, else bundle.planImport's plan.
+     * options are { strategy, participantMap }.
+     */
+    async previewImport(bundle, options = {}) {
+        if (!this.initialized || !this.storage.db) throw new Error('Saved data isn\'t available (IndexedDB didn\'t open)');
+
+        const errors = validateBundle(bundle);
+        if (errors.length > 0) return { errors };
+
+        const sessionSystem = this.world.getSystem('session');
+        const current = {
+            ...await this.storage.getSavedIds(),
+            openSessionIds: new Set(sessionSystem ? sessionSystem.sessions.keys() : []),
+            entities: Array.from(this.world.entities.values(), entity => ({ id: entity.id, tag: entity.tag || null }))
+        };
+        return { errors: [], ...planImport(bundle, current, options) };
+    }
+
+    /**
+     * Import bundle as previewImport plans it, after backing up saved data.
+     * Resolves with the plan; throws if the bundle is invalid.
+     */
+    async importData(bundle, options = {}) {
+        const plan = await this.previewImport(bundle, options);
+        if (plan.errors.length > 0) throw new Error(`Not a valid export: ${plan.errors[0]}`);
+
+        const records = prepareImport(bundle, plan);
+        if (records.sessions.length + records.brains.length === 0) return plan;
+
+        await this.storage.backupDatabase('before import');
+        await this.storage.importRecords(records);
+        this.world.events.emit('persistence:imported', { sessionIds: records.sessions.map(session => session.id) });
+        return plan;
     }
 
     // Auto-save functionality
@@ -180,6 +252,36 @@ export class PersistenceSystem extends System {
         }
     }
 
+    // Save one session's record now, e.g. after its summary changes
+    async saveSession(session) {
+        if (!this.initialized || !this.storage.db) return false;
+
+        try {
+            await this.storage.saveSession(this.storage.createSessionData(session));
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save session:', error);
+            return false;
+        }
+    }
+
+    // Save one entity's brain now, e.g. after /brain set: its record and the world snapshot it's restored from
+    async saveBrain(entity) {
+        const brain = entity.getComponent(BrainComponent);
+        if (!this.initialized || !this.storage.db || !brain) return false;
+        
+        try {
+            await this.storage.saveBrain(this.storage.createBrainData(entity.id, brain));
+            if (this.storage.hasStore('worldSnapshots')) {
+                await this.storage.saveWorldSnapshot(this.world.serialize());
+            }
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save brain:', error);
+            return false;
+        }
+    }
+
     // Manual save trigger
     async forceSave() {
         await this.saveCurrentState();
@@ -191,10 +293,8 @@ export class PersistenceSystem extends System {
         if (!this.initialized) return [];
         
         try {
-            const sessions = await this.storage.getAllSessions();
+            const sessions = await this.storage.getRecentSessions(limit);
             return sessions
-                .sort((a, b) => b.lastActivityAt - a.lastActivityAt)
-                .slice(0, limit)
                 .map(session => ({
                     id: session.id,
                     title: session.title || 'Untitled Session',
@@ -209,6 +309,36 @@ export class PersistenceSystem extends System {
         }
     }
 
+    // Schema version, pending migrations (held back by CONFIG.storage.dryRun) and backups
+    async getStorageStatus() {
+        if (!this.storage.db) return null;
+        
+        return {
+            version: this.storage.db.version,
+            latestVersion: this.storage.dbVersion,
+            pendingMigrations: this.storage.pendingMigrations,
+            missingStores: this.storage.missingStores,
+            backups: await this.storage.listBackups()
+        };
+    }
+
+    async backupStorage() {
+        if (!this.initialized || !this.storage.db) return null;
+        return this.storage.backupDatabase('manual');
+    }
+
+    /**
+     * Replace saved data with a backup. What's in memory is now out of date,
+     * so saving stops until the page is reloaded.
+     */
+    async restoreStorage(backupId) {
+        if (!this.initialized) return null;
+        
+        const backup = await this.storage.restoreBackup(backupId);
+        this.initialized = false;
+        return backup;
+    }
+
     // Cleanup old sessions
     async cleanupOldSessions(daysToKeep = 30) {
         if (!this.initialized) return;
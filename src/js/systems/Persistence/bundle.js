@@ -0,0 +1,210 @@
+import { generateUUID } from '../../utils/uuid.js';
+
+/**
+ * Session bundles: the JSON /export downloads and /import reads back.
+ *
+ * A bundle is { version, exportedAt, sessions, chatLogs, brains } as saved
+ * in IndexedDB. Version 2 adds entities: the id and tag of every entity the
+ * records mention, so another machine can map them onto its own entities.
+ *
+ * An import is planned before anything is written: planImport decides what
+ * happens to each session and brain record, prepareImport turns that plan
+ * into the records to save.
+ */
+
+export const BUNDLE_VERSION = 2;
+
+// What to do with a session whose id is already saved
+export const MERGE_STRATEGIES = ['skip', 'overwrite', 'duplicate'];
+
+const MAX_ERRORS = 10;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isId = (value) => typeof value === 'string' && value.length > 0;
+
+// What's wrong with data as a bundle, e.g. "sessions[2].chatLogId is missing"; empty if it can be imported
+export function validateBundle(data) {
+    const errors = [];
+    const check = (ok, message) => {
+        if (!ok) errors.push(message);
+        return ok;
+    };
+
+    if (!check(isObject(data), 'Not a session export: expected a JSON object')) return errors;
+    if (!check(Number.isInteger(data.version) && data.version >= 1 && data.version <= BUNDLE_VERSION,
+        `Unsupported export version ${JSON.stringify(data.version)} (this build reads 1-${BUNDLE_VERSION})`)) return errors;
+    check(Array.isArray(data.sessions), 'sessions must be a list');
+    check(Array.isArray(data.chatLogs), 'chatLogs must be a list');
+    check(data.brains === undefined || Array.isArray(data.brains), 'brains must be a list');
+    check(data.entities === undefined || Array.isArray(data.entities), 'entities must be a list');
+    if (errors.length > 0) return errors;
+
+    const sessionIds = new Set();
+    data.sessions.forEach((session, i) => {
+        const at = `sessions[${i}]`;
+        if (!check(isObject(session), `${at} is not an object`)) return;
+        if (check(isId(session.id), `${at}.id is missing`)) {
+            check(!sessionIds.has(session.id), `${at}.id ${session.id} appears twice`);
+            sessionIds.add(session.id);
+        }
+        check(isId(session.chatLogId), `${at}.chatLogId is missing`);
+        check(Array.isArray(session.participants) && session.participants.every(isId), `${at}.participants must be a list of entity ids`);
+    });
+
+    data.chatLogs.forEach((chatLog, i) => {
+        const at = `chatLogs[${i}]`;
+        if (!check(isObject(chatLog), `${at} is not an object`)) return;
+        check(isId(chatLog.id), `${at}.id is missing`);
+        if (!check(Array.isArray(chatLog.messages), `${at}.messages must be a list`)) return;
+        chatLog.messages.forEach((message, j) => {
+            const messageAt = `${at}.messages[${j}]`;
+            if (!check(isObject(message), `${messageAt} is not an object`)) return;
+            check(isId(message.id), `${messageAt}.id is missing`);
+            check(message.senderId == null || isId(message.senderId), `${messageAt}.senderId must be an entity id`);
+            check(typeof message.content === 'string', `${messageAt}.content must be text`);
+            check(Number.isFinite(message.timestamp), `${messageAt}.timestamp must be a number`);
+        });
+    });
+
+    (data.brains || []).forEach((brain, i) => check(isObject(brain) && isId(brain.entityId), `brains[${i}].entityId is missing`));
+    (data.entities || []).forEach((entity, i) => check(isObject(entity) && isId(entity.id), `entities[${i}].id is missing`));
+
+    if (errors.length <= MAX_ERRORS) return errors;
+    return [...errors.slice(0, MAX_ERRORS), `…and ${errors.length - MAX_ERRORS} more`];
+}
+
+/**
+ * Every entity bundle mentions, and the current entity it becomes:
+ * [{ id, tag, entityId, entityTag, how }]. how is 'manual' (from
+ * participantMap, bundle id -> entity id, or null to keep the id), 'same'
+ * (the id exists here), 'tag' (a current entity has its tag) or 'unmapped'.
+ */
+export function mapParticipants(bundle, entities, participantMap = {}) {
+    const tags = new Map((bundle.entities || []).map(entity => [entity.id, entity.tag || null]));
+    const byId = new Map(entities.map(entity => [entity.id, entity]));
+
+    const ids = new Set();
+    bundle.sessions.forEach(session => session.participants.forEach(id => ids.add(id)));
+    bundle.chatLogs.forEach(chatLog => chatLog.messages.forEach(message => message.senderId && ids.add(message.senderId)));
+    (bundle.brains || []).forEach(brain => ids.add(brain.entityId));
+
+    return Array.from(ids, id => {
+        const tag = tags.get(id) ?? null;
+        let entity = null;
+        let how = 'unmapped';
+        if (id in participantMap) {
+            entity = byId.get(participantMap[id]) || null;
+            how = 'manual';
+        } else if (byId.has(id)) {
+            entity = byId.get(id);
+            how = 'same';
+        } else if (tag) {
+            entity = entities.find(e => e.tag?.toLowerCase() === tag.toLowerCase()) || null;
+            if (entity) how = 'tag';
+        }
+        return { id, tag, entityId: entity?.id ?? null, entityTag: entity?.tag ?? null, how };
+    });
+}
+
+/**
+ * What importing bundle would do: { strategy, sessions, brains, participants, orphanChatLogs }.
+ * current is { sessionIds, chatLogIds, chatLogOwners, brainIds, openSessionIds, entities }:
+ * the saved ids, saved chat log id -> its session's id, the sessions open in
+ * the world and [{ id, tag }] of its entities. Each session is { id, title,
+ * messageCount, action, reason, newChatLogId } and each brain { entityId,
+ * tag, action, reason }, action being 'add', 'skip', 'overwrite' or
+ * 'duplicate'. newChatLogId is true when the session's chat log id belongs
+ * to another saved session, so the log is saved under a new id instead.
+ */
+export function planImport(bundle, current, { strategy = 'skip', participantMap = {} } = {}) {
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown merge strategy "${strategy}" (use ${MERGE_STRATEGIES.join(', ')})`);
+    }
+
+    const participants = mapParticipants(bundle, current.entities, participantMap);
+    const chatLogs = new Map(bundle.chatLogs.map(chatLog => [chatLog.id, chatLog]));
+
+    const sessions = bundle.sessions.map(session => {
+        const messages = chatLogs.get(session.chatLogId)?.messages || [];
+        // Overwriting a log some other session (or none) owns would change that session's messages
+        const logTaken = current.chatLogIds.has(session.chatLogId) && current.chatLogOwners.get(session.chatLogId) !== session.id;
+        const entry = { id: session.id, title: session.title || 'Untitled Session', messageCount: messages.length, action: 'add', reason: null, newChatLogId: false };
+        if (!current.sessionIds.has(session.id)) {
+            return logTaken ? { ...entry, newChatLogId: true, reason: 'chat log id already used, saved under a new one' } : entry;
+        }
+
+        if (strategy === 'overwrite' && current.openSessionIds.has(session.id)) {
+            // Auto-save would write the open copy straight back over it
+            return { ...entry, action: 'skip', reason: 'open in this world' };
+        }
+        return { ...entry, action: strategy, reason: 'already saved', newChatLogId: strategy === 'overwrite' && logTaken };
+    });
+
+    const referenced = new Set(bundle.sessions.map(session => session.chatLogId));
+    const orphanChatLogs = bundle.chatLogs.filter(chatLog => !referenced.has(chatLog.id)).length;
+
+    // Entities here are restored from the world snapshot, not their brain records
+    const target = new Map(participants.map(participant => [participant.id, participant]));
+    const entityIds = new Set(current.entities.map(entity => entity.id));
+    const brains = (bundle.brains || []).map(brain => {
+        const { entityId, entityTag, tag } = target.get(brain.entityId);
+        const id = entityId || brain.entityId;
+        const entry = { entityId: id, tag: entityTag || tag, action: 'add', reason: null };
+        if (entityIds.has(id)) return { ...entry, action: 'skip', reason: 'keeps its brain in this world' };
+        if (!current.brainIds.has(id)) return entry;
+        if (strategy === 'overwrite') return { ...entry, action: 'overwrite', reason: 'already saved' };
+        return { ...entry, action: 'skip', reason: 'already saved' };
+    });
+
+    return { strategy, sessions, brains, participants, orphanChatLogs };
+}
+
+/**
+ * The records to save for plan: { sessions, chatLogs, brains }, with
+ * participants remapped. Duplicated sessions get new session, chat log and
+ * message ids, so nothing collides with the originals; sessions marked
+ * newChatLogId get new chat log and message ids.
+ */
+export function prepareImport(bundle, plan) {
+    const remap = new Map(plan.participants.filter(p => p.entityId).map(p => [p.id, p.entityId]));
+    const entityId = (id) => remap.get(id) ?? id;
+    const chatLogs = new Map(bundle.chatLogs.map(chatLog => [chatLog.id, chatLog]));
+    const planned = new Map(plan.sessions.map(entry => [entry.id, entry]));
+    const records = { sessions: [], chatLogs: [], brains: [] };
+
+    bundle.sessions.forEach(session => {
+        const { action, newChatLogId } = planned.get(session.id);
+        if (action === 'skip') return;
+
+        const duplicate = action === 'duplicate';
+        const newLog = duplicate || newChatLogId;
+        const sessionId = duplicate ? generateUUID() : session.id;
+        const chatLogId = newLog ? generateUUID() : session.chatLogId;
+        records.sessions.push({
+            ...session,
+            id: sessionId,
+            chatLogId,
+            participants: [...new Set(session.participants.map(entityId))]
+        });
+
+        const chatLog = chatLogs.get(session.chatLogId);
+        if (!chatLog) return;
+        records.chatLogs.push({
+            ...chatLog,
+            id: chatLogId,
+            sessionId,
+            messages: chatLog.messages.map(message => ({
+                ...message,
+                id: newLog ? generateUUID() : message.id,
+                senderId: message.senderId && entityId(message.senderId)
+            }))
+        });
+    });
+
+    (bundle.brains || []).forEach((brain, i) => {
+        const { action, entityId: id } = plan.brains[i];
+        if (action !== 'skip') records.brains.push({ ...brain, entityId: id });
+    });
+
+    return records;
+}
@@ -0,0 +1,108 @@
+/**
+ * IndexedDB schema history for ECSSessionDB, oldest first. SessionStorage
+ * opens the database at the last version here and runs every migration newer
+ * than the stored one, in order, inside the upgrade transaction.
+ *
+ * A migration is data, so the same steps can be planned without running them
+ * (SessionStorage.planMigrations). Steps run in this order:
+ *
+ *   stores      { name: { keyPath, indexes } } - create object stores
+ *   dropIndexes { store: [index names] }
+ *   indexes     { store: { name: { keyPath, multiEntry, unique } } } - keyPath defaults to name
+ *   clear       [store names] - delete every record
+ *   read        [store names] - loaded before transforms, passed to them as data
+ *   transform   { store: (record, data, context) => record | null | undefined }
+ *               Return a new record to replace it (its key may change), null
+ *               to delete it, or undefined to leave it alone
+ *
+ * when(context), if present, skips the whole migration when it returns false.
+ * context is { legacyEntityIds }. Never edit a migration that has shipped;
+ * add a new one with the next version.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Sessions, chat logs and brains',
+        stores: {
+            sessions: {
+                keyPath: 'id',
+                indexes: { timestamp: {}, participants: { multiEntry: true } }
+            },
+            chatLogs: { keyPath: 'id', indexes: { sessionId: {} } },
+            brains: { keyPath: 'entityId', indexes: { model: {} } }
+        }
+    },
+    {
+        version: 2,
+        description: 'Whole-world snapshots (World.serialize output)',
+        stores: {
+            worldSnapshots: { keyPath: 'id' }
+        }
+    },
+    {
+        // Before v3, entity ids came from a counter that restarted on every load
+        version: 3,
+        description: 'Re-link sessions, messages and brains from counter ids to stable entity ids',
+        when: ({ legacyEntityIds }) => Object.keys(legacyEntityIds).length > 0,
+        // Snapshots written with counter ids can't be trusted; the level is rebuilt instead
+        clear: ['worldSnapshots'],
+        transform: {
+            sessions: (session, data, { legacyEntityIds }) => ({
+                ...session,
+                participants: (session.participants || []).map(id => legacyEntityIds[id] ?? id)
+            }),
+            chatLogs: (chatLog, data, { legacyEntityIds }) => ({
+                ...chatLog,
+                messages: (chatLog.messages || []).map(msg => ({ ...msg, senderId: legacyEntityIds[msg.senderId] ?? msg.senderId }))
+            }),
+            // entityId is the key path, so this moves the record
+            brains: (brain, data, { legacyEntityIds }) => {
+                const entityId = legacyEntityIds[brain.entityId];
+                return entityId ? { ...brain, entityId } : undefined;
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Embedded long-term memories (MemorySystem)',
+        stores: {
+            memories: { keyPath: 'id', indexes: { entityId: {} } }
+        }
+    },
+    {
+        version: 5,
+        description: 'Messages entities carry for each other (RelaySystem)',
+        stores: {
+            relays: { keyPath: 'id', indexes: { status: {} } }
+        }
+    },
+    {
+        version: 6,
+        description: 'User-edited prompt templates and partials (PromptSystem)',
+        stores: {
+            promptTemplates: { keyPath: 'name' }
+        }
+    },
+    {
+        // sessions.timestamp held the last save time, which every auto-save
+        // rewrote, and chat logs never stored their session's id
+        version: 7,
+        description: 'Index sessions by last activity and link chat logs to their session',
+        dropIndexes: { sessions: ['timestamp'] },
+        indexes: { sessions: { lastActivityAt: {} } },
+        read: ['sessions'],
+        transform: {
+            sessions: (session) => {
+                if (session.lastActivityAt) return undefined;
+                return { ...session, lastActivityAt: session.createdAt || session.timestamp || 0 };
+            },
+            chatLogs: (chatLog, { sessions }) => {
+                const session = sessions.find(s => s.chatLogId === chatLog.id);
+                if (!session || chatLog.sessionId === session.id) return undefined;
+                return { ...chatLog, sessionId: session.id };
+            }
+        }
+    }
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
@@ -7,6 +7,7 @@ import { TransformComponent, MovementComponent, PlayerControllerComponent, Camer
 export class PlayerMovementSystem extends System {
   constructor() {
     super();
+    this.phase = 'simulation';
     this.requiredComponents = [TransformComponent, MovementComponent, PlayerControllerComponent];
   }
   
@@ -0,0 +1,155 @@
+import { System } from '../../core/System.js';
+import { BrainComponent } from '../../components/BrainComponent.js';
+import { PromptTemplate } from '../../utils/PromptTemplate.js';
+import { BUILT_IN_TEMPLATES } from './templates.js';
+
+const NAME_PATTERN = /^[\w-]+$/;
+
+/**
+ * PromptSystem - Library of system prompt templates and partials
+ *
+ * Starts from the built-ins in templates.js. Edits are saved to the
+ * promptTemplates IndexedDB store and replace the built-in of the same name
+ * until reset. Each brain names its template in promptTemplate;
+ * SystemPromptBuilder renders it.
+ */
+export class PromptSystem extends System {
+    constructor(world) {
+        super();
+        this.phase = 'ai';
+        this.world = world;
+        this.templates = new Map(); // name -> { name, kind, description, source, builtIn, edited, updatedAt }
+        this.promptBuilder = null;
+    }
+
+    async init() {
+        console.log('📝 Initializing PromptSystem...');
+        BUILT_IN_TEMPLATES.forEach(template => {
+            this.templates.set(template.name, { ...template, builtIn: true, edited: false });
+        });
+
+        if (this.storage) {
+            try {
+                (await this.storage.loadPromptTemplates()).forEach(saved => {
+                    const builtIn = this.templates.get(saved.name)?.builtIn || false;
+                    this.templates.set(saved.name, { ...saved, builtIn, edited: builtIn });
+                });
+            } catch (error) {
+                console.warn('⚠️ Failed to load prompt templates:', error.message);
+            }
+        }
+        console.log(`✅ PromptSystem initialized with ${this.templates.size} templates`);
+    }
+
+    get storage() {
+        const persistenceSystem = this.world.getSystem('persistence');
+        return persistenceSystem?.initialized && persistenceSystem.storage.hasStore('promptTemplates') ? persistenceSystem.storage : null;
+    }
+
+    setPromptBuilder(promptBuilder) {
+        this.promptBuilder = promptBuilder;
+    }
+
+    list(kind = null) {
+        return Array.from(this.templates.values())
+            .filter(template => !kind || template.kind === kind)
+            .sort((a, b) => (a.kind === b.kind ? 0 : a.kind === 'template' ? -1 : 1) || a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        return this.templates.get(name) || null;
+    }
+
+    // name -> source; any template can be used as a partial
+    getSources() {
+        return Object.fromEntries(Array.from(this.templates.values()).map(({ name, source }) => [name, source]));
+    }
+
+    // Problems that would stop source from rendering, as messages
+    check(source) {
+        return PromptTemplate.check(source, this.getSources());
+    }
+
+    // Entities whose brain uses the template
+    usersOf(name) {
+        return this.world.getEntitiesWithComponent(BrainComponent)
+            .filter(entity => entity.getComponent(BrainComponent).promptTemplate === name);
+    }
+
+    /**
+     * Create or replace a template. Throws if the name or source is invalid.
+     */
+    async save(name, source, { kind, description } = {}) {
+        if (!NAME_PATTERN.test(name || '')) {
+            throw new Error(`Template names are letters, digits, - and _ ("${name}" isn't)`);
+        }
+        const problems = this.check(source);
+        if (problems.length > 0) {
+            throw new Error(problems.join('\n'));
+        }
+
+        const existing = this.templates.get(name);
+        const record = {
+            name,
+            kind: kind || existing?.kind || 'template',
+            description: description ?? existing?.description ?? '',
+            source,
+            updatedAt: Date.now()
+        };
+        this.templates.set(name, { ...record, builtIn: existing?.builtIn || false, edited: existing?.builtIn || false });
+
+        if (this.storage) {
+            await this.storage.savePromptTemplate(record);
+        }
+        console.log(`📝 Saved prompt ${record.kind} "${name}"`);
+        this.world.events.emit('prompt:changed', { name, template: this.templates.get(name) });
+        return this.templates.get(name);
+    }
+
+    /**
+     * Undo edits: a built-in goes back to its original, anything else is
+     * deleted. Entities using a deleted template fall back to "default".
+     */
+    async reset(name) {
+        const existing = this.templates.get(name);
+        if (!existing) throw new Error(`No prompt template called "${name}"`);
+
+        const original = BUILT_IN_TEMPLATES.find(template => template.name === name);
+        if (original) {
+            this.templates.set(name, { ...original, builtIn: true, edited: false });
+        } else {
+            this.templates.delete(name);
+        }
+
+        if (this.storage) {
+            await this.storage.deletePromptTemplate(name);
+        }
+        this.world.events.emit('prompt:changed', { name, template: this.templates.get(name) || null });
+        return this.templates.get(name) || null;
+    }
+
+    async assign(entity, name) {
+        const brain = entity.getComponent(BrainComponent);
+        if (!brain) throw new Error(`${entity.tag || entity.id} has no brain`);
+
+        const template = this.templates.get(name);
+        if (!template) throw new Error(`No prompt template called "${name}"`);
+        if (template.kind !== 'template') throw new Error(`"${name}" is a partial; assign a template`);
+
+        brain.promptTemplate = name;
+        await this.world.getSystem('persistence')?.saveBrain(entity);
+        console.log(`📝 ${entity.tag || entity.id} now uses prompt template "${name}"`);
+        this.world.events.emit('prompt:assigned', { entity, name });
+    }
+
+    /**
+     * The system prompt entity would get, without message-specific context
+     * or the tools it is offered.
+     * draft ({ name, kind, source }) previews unsaved edits; throws if it
+     * doesn't render.
+     */
+    preview(entity, draft = null) {
+        if (!this.promptBuilder) throw new Error('No prompt builder');
+        return this.promptBuilder.buildPrompt(entity, {}, draft);
+    }
+}
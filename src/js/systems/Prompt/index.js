@@ -0,0 +1 @@
+export { PromptSystem } from './System.js';
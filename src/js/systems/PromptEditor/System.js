@@ -0,0 +1,216 @@
+import { System } from '../../core/System.js';
+import { BrainComponent } from '../../components/BrainComponent.js';
+
+/**
+ * PromptEditorSystem - Modal for editing prompt templates with a live preview
+ * The preview renders the draft for the chosen entity through PromptSystem;
+ * saving and resetting go through PromptSystem too
+ */
+export class PromptEditorSystem extends System {
+    constructor() {
+        super();
+        this.phase = 'presentation';
+        this.requiredComponents = [];
+
+        // System references - will be set by app.js
+        this.world = null;
+        this.industrialPortfolio = null;
+
+        this.previewTimer = null;
+    }
+
+    init(world, industrialPortfolio) {
+        console.log("📝 Initializing PromptEditor System...");
+        this.world = world;
+        this.industrialPortfolio = industrialPortfolio;
+
+        const overlay = document.getElementById("prompt-modal-overlay");
+        if (overlay) {
+            overlay.addEventListener("click", (e) => {
+                if (e.target === overlay) this.hide();
+            });
+        }
+        document.getElementById("prompt-modal-close")?.addEventListener("click", () => this.hide());
+        document.getElementById("prompt-cancel")?.addEventListener("click", () => this.hide());
+        document.getElementById("prompt-save")?.addEventListener("click", () => this.save());
+        document.getElementById("prompt-reset")?.addEventListener("click", () => this.reset());
+
+        document.getElementById("prompt-template-select")?.addEventListener("change", (e) => this.load(e.target.value));
+        document.getElementById("prompt-entity-select")?.addEventListener("change", () => this.updatePreview());
+        document.getElementById("prompt-kind-select")?.addEventListener("change", () => this.updatePreview());
+        document.getElementById("prompt-source-input")?.addEventListener("input", () => this.schedulePreview());
+        document.getElementById("prompt-name-input")?.addEventListener("input", () => this.schedulePreview());
+
+        // Keep the template list current when /prompt commands change it
+        this.world.events.on("prompt:changed", () => {
+            if (this.isOpen()) this.fillTemplates(document.getElementById("prompt-template-select")?.value);
+        });
+        console.log("✅ PromptEditor System initialized");
+    }
+
+    get promptSystem() {
+        return this.world.getSystem("prompt");
+    }
+
+    isOpen() {
+        return document.getElementById("prompt-modal-overlay")?.style.display === "flex";
+    }
+
+    /**
+     * Show the editor on a template (the entity's own if name is null),
+     * previewing for entity (the current chat target if null)
+     */
+    show(name = null, entity = null) {
+        const modal = document.getElementById("prompt-modal-overlay");
+        if (!modal || !this.promptSystem) return false;
+
+        const target = entity || this.industrialPortfolio?.currentChatTarget;
+        const brain = target?.getComponent(BrainComponent);
+        const template = name || brain?.promptTemplate || "default";
+
+        this.fillEntities(target);
+        this.fillTemplates(template);
+        this.load(template);
+
+        modal.style.display = "flex";
+        document.getElementById("prompt-source-input")?.focus();
+        return true;
+    }
+
+    hide() {
+        const modal = document.getElementById("prompt-modal-overlay");
+        if (modal) {
+            modal.style.display = "none";
+        }
+        clearTimeout(this.previewTimer);
+    }
+
+    fillTemplates(selected) {
+        const select = document.getElementById("prompt-template-select");
+        if (!select) return;
+
+        select.innerHTML = "";
+        for (const kind of ["template", "partial"]) {
+            const group = document.createElement("optgroup");
+            group.label = kind === "template" ? "Templates" : "Partials";
+            for (const template of this.promptSystem.list(kind)) {
+                const option = document.createElement("option");
+                option.value = template.name;
+                option.textContent = template.edited ? `${template.name} (edited)` : template.name;
+                group.appendChild(option);
+            }
+            select.appendChild(group);
+        }
+        if (this.promptSystem.get(selected)) select.value = selected;
+    }
+
+    // AI entities to preview for
+    fillEntities(selected) {
+        const select = document.getElementById("prompt-entity-select");
+        if (!select) return;
+
+        select.innerHTML = "";
+        this.world.getEntitiesWithComponent(BrainComponent)
+            .filter(entity => entity.getComponent(BrainComponent).model !== "human")
+            .forEach(entity => {
+                const option = document.createElement("option");
+                option.value = entity.id;
+                option.textContent = entity.tag || entity.id;
+                select.appendChild(option);
+            });
+        if (selected) select.value = selected.id;
+    }
+
+    load(name) {
+        const template = this.promptSystem.get(name);
+        if (!template) return;
+
+        document.getElementById("prompt-source-input").value = template.source;
+        document.getElementById("prompt-name-input").value = template.name;
+        document.getElementById("prompt-kind-select").value = template.kind;
+        document.getElementById("prompt-reset").textContent = template.builtIn ? "Reset to Built-in" : "Delete";
+        document.getElementById("prompt-reset").disabled = template.builtIn && !template.edited;
+        this.updatePreview();
+    }
+
+    getDraft() {
+        return {
+            name: document.getElementById("prompt-name-input").value.trim(),
+            kind: document.getElementById("prompt-kind-select").value,
+            source: document.getElementById("prompt-source-input").value
+        };
+    }
+
+    schedulePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updatePreview(), 200);
+    }
+
+    updatePreview() {
+        const preview = document.getElementById("prompt-preview");
+        const status = document.getElementById("prompt-status");
+        const entityId = document.getElementById("prompt-entity-select")?.value;
+        const entity = entityId && this.world.entities.get(entityId);
+        if (!preview || !status) return;
+
+        if (!entity) {
+            preview.textContent = "";
+            this.setStatus("No AI entities to preview for");
+            return;
+        }
+
+        const draft = this.getDraft();
+        const problems = this.promptSystem.check(draft.source);
+        if (problems.length > 0) {
+            this.setStatus(problems.join("\n"), true);
+            return;
+        }
+
+        try {
+            const prompt = this.promptSystem.preview(entity, { ...draft, name: draft.name || "(unsaved)" });
+            preview.textContent = prompt;
+
+            const users = this.promptSystem.usersOf(draft.name).map(user => user.tag || user.id);
+            const shown = draft.kind === "template"
+                ? `${entity.tag} with this template`
+                : `${entity.tag}'s template "${entity.getComponent(BrainComponent).promptTemplate}" with this partial`;
+            this.setStatus(`Previewing ${shown} · ${prompt.length.toLocaleString()} characters`
+                + (users.length > 0 ? ` · used by ${users.join(", ")}` : ""));
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+
+    setStatus(text, isError = false) {
+        const status = document.getElementById("prompt-status");
+        if (!status) return;
+        status.textContent = text;
+        status.classList.toggle("error", isError);
+    }
+
+    async save() {
+        const draft = this.getDraft();
+        try {
+            await this.promptSystem.save(draft.name, draft.source, { kind: draft.kind });
+            this.hide();
+            this.industrialPortfolio?.addMessage("system", `📝 Saved prompt ${draft.kind} "${draft.name}"`);
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+
+    async reset() {
+        const name = document.getElementById("prompt-template-select")?.value;
+        const template = this.promptSystem.get(name);
+        if (!template) return;
+
+        try {
+            const restored = await this.promptSystem.reset(name);
+            this.fillTemplates(restored ? name : "default");
+            this.load(restored ? name : "default");
+            this.setStatus(restored ? `Reset "${name}" to the built-in` : `Deleted "${name}"`);
+        } catch (error) {
+            this.setStatus(error.message, true);
+        }
+    }
+}
@@ -0,0 +1 @@
+export { PromptEditorSystem } from './System.js';
@@ -0,0 +1,386 @@
+import { System } from '../../core/System.js';
+import { CONFIG } from '../../config/index.js';
+import { BrainComponent } from '../../components/BrainComponent.js';
+import { generateUUID } from '../../utils/uuid.js';
+
+// Fallback relay requests, most specific first. "@bot, send @origin hi" names the courier too
+const RELAY_PATTERNS = [
+    /@[\w-]+,?\s+(?:send|tell)\s+@(?<target>[\w-]+)\s+(?<message>.+)/i,
+    /(?:relay|pass\s+this)\s+to\s+@?(?<target>[\w-]+):\s*(?<message>.+)/i,
+    /give\s+@?(?<target>[\w-]+)\s+this\s+message:\s*(?<message>.+)/i,
+    /(?:tell|send|give)\s+@(?<target>[\w-]+)\s+(?<message>.+)/i,
+    /(?:tell|say\s+to)\s+(?<target>[\w-]+)\s+(?<message>.+)/i
+];
+
+/**
+ * RelaySystem - Mailbox for messages entities carry for each other
+ *
+ * When the player asks an entity to pass something on ("tell @origin the
+ * tests pass"), the request is parsed by the model (or regexes when it's
+ * unavailable) into a relay: courier, target and message. Relays are saved
+ * to IndexedDB until delivered. Each one sits in the courier's
+ * pendingMessages; the courier brings it up the next time it talks to the
+ * target, and until then this system keeps starting delivery conversations
+ * through the conversation:start request (AutonomousChatSystem). The
+ * original sender gets a receipt in the session the request came from.
+ */
+export class RelaySystem extends System {
+    constructor(world) {
+        super();
+        this.phase = 'ai';
+        this.world = world;
+
+        this.relays = new Map(); // id -> pending relay
+        this.parsing = Promise.resolve(); // Intent parses run one at a time
+        this.talking = new Set(); // Ids of entities in a conversation, so deliveries wait for them
+    }
+
+    async init() {
+        console.log('✉️ Initializing RelaySystem...');
+        const events = this.world.events;
+
+        // Requests come from the player's direct messages
+        events.on('session:message', ({ sessionId, message, senderId, entities }) => {
+            if (message.type !== 'user' || entities.length !== 2) return;
+            const sender = entities.find(entity => entity.id === senderId);
+            const courier = entities.find(entity => entity.id !== senderId);
+            if (sender?.getComponent(BrainComponent)?.model === 'human' && courier?.getComponent(BrainComponent)) {
+                this.handleRequest(sender, courier, message.content, sessionId);
+            }
+        });
+
+        events.on('conversation:started', ({ entities }) => entities.forEach(entity => this.talking.add(entity.id)));
+        events.on('conversation:ended', ({ entities }) => entities.forEach(entity => this.talking.delete(entity.id)));
+
+        // Couriers hand messages over in conversation (AutonomousChatSystem)
+        events.on('conversation:relayed', ({ speaker, messages, sessionId }) => {
+            messages.forEach(message => {
+                const relay = message.relayId
+                    ? this.relays.get(message.relayId)
+                    : this.findRelay(speaker.id, message.targetEntityId, message.message);
+                if (relay) this.markDelivered(relay, sessionId);
+            });
+        });
+
+        await this.loadRelays();
+        console.log('✅ RelaySystem initialized');
+    }
+
+    get storage() {
+        const persistenceSystem = this.world.getSystem('persistence');
+        return persistenceSystem?.initialized && persistenceSystem.storage.hasStore('relays') ? persistenceSystem.storage : null;
+    }
+
+    // Bring back undelivered relays and line them up with what couriers are carrying
+    async loadRelays() {
+        if (this.storage) {
+            try {
+                (await this.storage.loadRelays('pending')).forEach(relay => this.relays.set(relay.id, relay));
+            } catch (error) {
+                console.warn('⚠️ Failed to load relays:', error.message);
+            }
+        }
+
+        for (const entity of this.world.getEntitiesWithComponent(BrainComponent)) {
+            const brain = entity.getComponent(BrainComponent);
+
+            // Messages a brain carried before relays were tracked get a record
+            brain.pendingMessages
+                .filter(message => !message.relayId)
+                .forEach(message => {
+                    message.relayId = this.createRelay({
+                        fromEntityId: message.fromEntityId,
+                        courierId: entity.id,
+                        targetEntityId: message.targetEntityId,
+                        message: message.message
+                    }).id;
+                });
+
+            // Drop messages whose relay was delivered or given up on
+            brain.pendingMessages = brain.pendingMessages.filter(message => this.relays.has(message.relayId));
+        }
+
+        for (const relay of this.relays.values()) {
+            const brain = this.world.getEntity(relay.courierId)?.getComponent(BrainComponent);
+            if (brain && !brain.pendingMessages.some(message => message.relayId === relay.id)) {
+                brain.pendingMessages.push({
+                    targetEntityId: relay.targetEntityId,
+                    message: relay.message,
+                    fromEntityId: relay.fromEntityId,
+                    relayId: relay.id,
+                    timestamp: relay.createdAt
+                });
+            }
+        }
+
+        if (this.relays.size > 0) {
+            this.trace(`✉️ ${this.relays.size} relay(s) waiting for delivery`);
+        }
+    }
+
+    createRelay({ fromEntityId, courierId, targetEntityId, message, sessionId = null }) {
+        const relay = {
+            id: generateUUID(),
+            fromEntityId,
+            courierId,
+            targetEntityId,
+            message,
+            sessionId, // Where the request was made; the receipt goes there
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now() + CONFIG.relay.deliveryDelay,
+            createdAt: Date.now(),
+            deliveredAt: null
+        };
+        this.relays.set(relay.id, relay);
+        this.save(relay);
+        return relay;
+    }
+
+    async handleRequest(sender, courier, content, sessionId) {
+        const parse = this.parsing.then(() => this.parseIntent(content, courier));
+        this.parsing = parse.catch(() => {});
+
+        const intent = await parse;
+        if (!intent) return null;
+
+        const target = this.findTarget(intent.target, courier);
+        if (!target || target === sender) return null;
+
+        const relay = this.createRelay({
+            fromEntityId: sender.id,
+            courierId: courier.id,
+            targetEntityId: target.id,
+            message: intent.message,
+            sessionId
+        });
+        courier.getComponent(BrainComponent).addPendingMessage(target.id, intent.message, sender.id, relay.id);
+
+        this.trace(`📝 ${courier.tag || courier.id} will relay message to ${target.tag || target.id}: "${intent.message}"`);
+        this.world.events.emit('relay:queued', { relay, courier, target });
+        return relay;
+    }
+
+    /**
+     * { target, message } if content asks the courier to pass a message on,
+     * else null. The model decides when it can; the regexes otherwise.
+     */
+    async parseIntent(content, courier) {
+        const names = this.world.getEntitiesWithComponent(BrainComponent)
+            .filter(entity => entity !== courier && entity.tag && entity.getComponent(BrainComponent).model !== 'human')
+            .map(entity => entity.tag);
+        const lower = content.toLowerCase();
+
+        // Only messages that mention someone can be relay requests
+        if (!lower.includes('@') && !names.some(name => lower.includes(name.toLowerCase().split('-')[0]))) {
+            return null;
+        }
+
+        if (CONFIG.relay.llmIntent && this.world.events.hasHandler('agent:generate')) {
+            try {
+                const reply = await this.world.events.request('agent:generate', {
+                    prompt: `Does this message ask ${courier.tag || 'the assistant'} to pass a message on to someone?
+Known entities: ${names.join(', ')}
+
+Message: ${content}
+
+Respond with only JSON in this shape:
+{"relay": true or false, "target": "the entity to pass it to, or null", "message": "what to pass on, in the sender's words, or null"}`,
+                    options: { temperature: 0, signal: AbortSignal.timeout(CONFIG.relay.intentTimeout) }
+                });
+
+                const data = JSON.parse(reply.match(/\{[\s\S]*?\}/)?.[0]);
+                if (typeof data?.relay === 'boolean') {
+                    return data.relay && data.target && data.message
+                        ? { target: String(data.target).replace(/^@/, ''), message: String(data.message).trim() }
+                        : null;
+                }
+            } catch (error) {
+                // Model offline, slow or off-format; the regexes still work
+            }
+        }
+
+        return this.parseWithPatterns(content);
+    }
+
+    parseWithPatterns(content) {
+        for (const pattern of RELAY_PATTERNS) {
+            const match = content.match(pattern);
+            if (match) {
+                return { target: match.groups.target, message: match.groups.message.trim() };
+            }
+        }
+        return null;
+    }
+
+    // Entity with a brain by name: exact tag, then a tag starting with it
+    findTarget(name, courier) {
+        const lower = String(name || '').toLowerCase();
+        if (!lower) return null;
+
+        const entities = this.world.getEntitiesWithComponent(BrainComponent)
+            .filter(entity => entity !== courier && entity.tag);
+        return entities.find(entity => entity.tag.toLowerCase() === lower)
+            || entities.find(entity => entity.tag.toLowerCase().startsWith(lower))
+            || null;
+    }
+
+    // Pending relay matching a handed-over message that has no relayId
+    findRelay(courierId, targetEntityId, message) {
+        for (const relay of this.relays.values()) {
+            if (relay.courierId === courierId && relay.targetEntityId === targetEntityId && relay.message === message) {
+                return relay;
+            }
+        }
+        return null;
+    }
+
+    markDelivered(relay, sessionId = null) {
+        relay.status = 'delivered';
+        relay.deliveredAt = Date.now();
+        relay.deliverySessionId = sessionId;
+        this.finish(relay, `✉️ ${this.nameOf(relay.courierId)} delivered your message to ${this.nameOf(relay.targetEntityId)}: "${relay.message}"`);
+        this.world.getEntity(relay.targetEntityId)?.getComponent(BrainComponent)?.logExperience(
+            'interaction',
+            `Received a message from ${this.nameOf(relay.fromEntityId)} via ${this.nameOf(relay.courierId)}`,
+            { message: relay.message }
+        );
+    }
+
+    markFailed(relay, reason) {
+        relay.status = 'failed';
+        relay.failureReason = reason;
+
+        const brain = this.world.getEntity(relay.courierId)?.getComponent(BrainComponent);
+        if (brain) {
+            brain.pendingMessages = brain.pendingMessages.filter(message => message.relayId !== relay.id);
+        }
+        this.finish(relay, `⚠️ ${this.nameOf(relay.courierId)} couldn't deliver your message to ${this.nameOf(relay.targetEntityId)} (${reason})`);
+    }
+
+    // Save the outcome and send the receipt to the original sender
+    finish(relay, notice) {
+        this.relays.delete(relay.id);
+        this.save(relay);
+
+        const sender = this.world.getEntity(relay.fromEntityId);
+        const senderBrain = sender?.getComponent(BrainComponent);
+        if (senderBrain && senderBrain.model !== 'human') {
+            senderBrain.logExperience('message_relay', notice, { relayId: relay.id });
+        }
+
+        // Receipt in the session the request was made in; sessions that are gone ignore it
+        if (relay.sessionId && this.world.events.hasHandler('session:send')) {
+            this.world.events.request('session:send', {
+                sessionId: relay.sessionId,
+                senderId: relay.courierId,
+                content: notice,
+                type: 'system',
+                options: { metadata: { relayId: relay.id } }
+            }).catch(error => console.error('❌ Failed to send relay receipt:', error));
+        }
+
+        this.trace(notice);
+        this.world.events.emit(`relay:${relay.status}`, { relay, notice });
+    }
+
+    // Relay progress, logged only while debugging
+    trace(message) {
+        if (CONFIG.debug.enabled) {
+            console.log(message);
+        }
+    }
+
+    nameOf(entityId) {
+        return this.world.getEntity(entityId)?.tag || 'someone';
+    }
+
+    async save(relay) {
+        if (!this.storage) return;
+        const { delivering, ...record } = relay;
+        try {
+            await this.storage.saveRelay(record);
+        } catch (error) {
+            console.error('❌ Failed to save relay:', error);
+        }
+    }
+
+    // Start a delivery conversation for each relay that's due and whose courier and target are free
+    update(deltaTime) {
+        if (this.relays.size === 0) return;
+
+        const events = this.world.events;
+        const now = Date.now();
+
+        for (const relay of Array.from(this.relays.values())) {
+            if (relay.nextAttemptAt > now || relay.delivering) continue;
+
+            const courier = this.world.getEntity(relay.courierId);
+            const target = this.world.getEntity(relay.targetEntityId);
+            if (!courier?.getComponent(BrainComponent) || !target) {
+                this.markFailed(relay, 'they are gone');
+                continue;
+            }
+            if (relay.attempts >= CONFIG.relay.maxAttempts) {
+                this.markFailed(relay, `no luck after ${relay.attempts} tries`);
+                continue;
+            }
+
+            // Messages for the player go straight into their DM with the courier
+            if (target.getComponent(BrainComponent)?.model === 'human') {
+                if (events.hasHandler('session:open')) this.deliverToPlayer(relay, courier, target);
+                continue;
+            }
+
+            if (!events.hasHandler('conversation:start')) continue;
+            if (this.talking.has(courier.id) || this.talking.has(target.id)) continue;
+            this.deliver(relay, courier, target);
+        }
+    }
+
+    async deliver(relay, courier, target) {
+        relay.delivering = true;
+        relay.attempts++;
+        relay.nextAttemptAt = Date.now() + CONFIG.relay.retryDelay;
+
+        try {
+            await this.world.events.request('conversation:start', {
+                entities: [courier, target],
+                script: {
+                    topic: `a message from ${this.nameOf(relay.fromEntityId)}`,
+                    goals: { [courier.id]: `Deliver the message from ${this.nameOf(relay.fromEntityId)} to ${target.tag || 'them'}` },
+                    maxMessages: CONFIG.relay.deliveryMessages
+                }
+            });
+        } catch (error) {
+            console.warn('⚠️ Relay delivery conversation failed:', error.message);
+        } finally {
+            relay.delivering = false;
+            if (relay.status === 'pending') this.save(relay);
+        }
+    }
+
+    async deliverToPlayer(relay, courier, player) {
+        relay.delivering = true;
+        relay.attempts++;
+        relay.nextAttemptAt = Date.now() + CONFIG.relay.retryDelay;
+
+        try {
+            const session = await this.world.events.request('session:open', { entities: [player, courier] });
+            const brain = courier.getComponent(BrainComponent);
+            brain.pendingMessages = brain.pendingMessages.filter(message => message.relayId !== relay.id);
+
+            await this.world.events.request('session:send', {
+                sessionId: session.id,
+                senderId: courier.id,
+                content: `${this.nameOf(relay.fromEntityId)} asked me to tell you: "${relay.message}"`,
+                type: 'llm'
+            });
+            this.markDelivered(relay, session.id);
+        } catch (error) {
+            console.warn('⚠️ Relay delivery to player failed:', error.message);
+        } finally {
+            relay.delivering = false;
+        }
+    }
+}
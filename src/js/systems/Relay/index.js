@@ -0,0 +1 @@
+export { RelaySystem } from './System.js';
@@ -5,6 +5,7 @@ import { Renderable } from '../../components/Renderable.js';
 export class RenderSystem extends System {
   constructor() {
     super();
+    this.phase = 'render';
     this.requiredComponents = [Transform, Renderable];
   }
 
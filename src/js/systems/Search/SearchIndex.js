@@ -0,0 +1,267 @@
+import { Stemmer } from '../../utils/Stemmer.js';
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const QUERY_PART = /"([^"]*)"?|(\S+)/g;
+const FILTER = /^(from|before|after|has):(.+)$/i;
+
+// BM25 tuning: how fast repeats stop counting, and how much long messages are penalised
+const K1 = 1.2;
+const B = 0.75;
+
+// Left out of plain query words so questions still match; quoted phrases keep them
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'did', 'do', 'for', 'from',
+    'had', 'has', 'have', 'i', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this',
+    'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'with', 'you'
+]);
+
+/**
+ * SearchIndex - Inverted index over chat messages
+ *
+ * Maps each word stem to the messages containing it and the word positions
+ * in each, so a quoted phrase matches stems at consecutive positions.
+ * Messages are added and removed one at a time; search() keeps messages
+ * with every query word and phrase that pass the filters, ranked by BM25.
+ */
+export class SearchIndex {
+    constructor() {
+        this.documents = new Map(); // message id -> { id, sessionId, senderId, type, timestamp, hasImage, content, length }
+        this.postings = new Map(); // stem -> Map message id -> word positions
+        this.sessions = new Map(); // session id -> Set of message ids
+        this.totalLength = 0; // Words in all messages, for BM25's average length
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    // Words in text: [{ word, stem, start, end }], start and end being character offsets
+    static tokenize(text) {
+        return Array.from(String(text || '').matchAll(WORD), match => {
+            const word = match[0].toLowerCase();
+            return { word, stem: Stemmer.stem(word), start: match.index, end: match.index + match[0].length };
+        });
+    }
+
+    // Index a chat message ({ id, senderId, content, timestamp, type, images }); false if it already is
+    add(message, sessionId) {
+        if (!message?.id || this.documents.has(message.id)) return false;
+
+        const tokens = SearchIndex.tokenize(message.content);
+        this.documents.set(message.id, {
+            id: message.id,
+            sessionId,
+            senderId: message.senderId,
+            type: message.type,
+            timestamp: message.timestamp,
+            hasImage: (message.images?.length || 0) > 0,
+            content: message.content || '',
+            length: tokens.length
+        });
+
+        tokens.forEach(({ stem }, position) => {
+            if (!this.postings.has(stem)) this.postings.set(stem, new Map());
+            const messages = this.postings.get(stem);
+            if (!messages.has(message.id)) messages.set(message.id, []);
+            messages.get(message.id).push(position);
+        });
+
+        if (!this.sessions.has(sessionId)) this.sessions.set(sessionId, new Set());
+        this.sessions.get(sessionId).add(message.id);
+        this.totalLength += tokens.length;
+        return true;
+    }
+
+    remove(messageId) {
+        const document = this.documents.get(messageId);
+        if (!document) return false;
+
+        new Set(SearchIndex.tokenize(document.content).map(token => token.stem)).forEach(stem => {
+            const messages = this.postings.get(stem);
+            messages?.delete(messageId);
+            if (messages?.size === 0) this.postings.delete(stem);
+        });
+        this.sessions.get(document.sessionId)?.delete(messageId);
+        this.documents.delete(messageId);
+        this.totalLength -= document.length;
+        return true;
+    }
+
+    removeSession(sessionId) {
+        Array.from(this.sessions.get(sessionId) || []).forEach(messageId => this.remove(messageId));
+        this.sessions.delete(sessionId);
+    }
+
+    /**
+     * Split a query into stems to match and filters:
+     * { terms, phrases, filters: { from, before, after, hasImage }, errors }.
+     * phrases are stem lists from "quoted text"; from holds lowercase names;
+     * before and after are timestamps (after is inclusive of its day).
+     */
+    static parseQuery(query) {
+        const parsed = {
+            terms: [],
+            phrases: [],
+            filters: { from: [], before: null, after: null, hasImage: false },
+            errors: []
+        };
+        const stopped = [];
+
+        for (const [, phrase, part] of String(query || '').matchAll(QUERY_PART)) {
+            if (phrase !== undefined) {
+                const stems = SearchIndex.tokenize(phrase).map(token => token.stem);
+                if (stems.length > 1) {
+                    parsed.phrases.push(stems);
+                } else {
+                    parsed.terms.push(...stems);
+                }
+                continue;
+            }
+
+            const filter = FILTER.exec(part);
+            if (!filter) {
+                SearchIndex.tokenize(part).forEach(({ word, stem }) => (STOP_WORDS.has(word) ? stopped : parsed.terms).push(stem));
+                continue;
+            }
+
+            const [, name, value] = filter;
+            switch (name.toLowerCase()) {
+                case 'from':
+                    parsed.filters.from.push(value.replace(/^@/, '').toLowerCase());
+                    break;
+                case 'has':
+                    if (/^images?$/i.test(value)) {
+                        parsed.filters.hasImage = true;
+                    } else {
+                        parsed.errors.push(`has: only knows "image", not "${value}"`);
+                    }
+                    break;
+                default: {
+                    const day = SearchIndex.parseDate(value);
+                    if (day === null) {
+                        parsed.errors.push(`${name.toLowerCase()}: needs a date like 2026-10-01, not "${value}"`);
+                    } else {
+                        parsed.filters[name.toLowerCase()] = day;
+                    }
+                }
+            }
+        }
+
+        // A query of nothing but stop words still searches for them
+        if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+            parsed.terms.push(...stopped);
+        }
+        parsed.terms = [...new Set(parsed.terms)];
+        return parsed;
+    }
+
+    // Local midnight of a date like 2026-10-01 (or anything Date understands), null if it isn't one
+    static parseDate(value) {
+        const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+        const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(value);
+        if (Number.isNaN(date.getTime())) return null;
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+
+    // Whether a parsed query asks for anything at all
+    static hasCriteria({ terms, phrases, filters }) {
+        return terms.length > 0 || phrases.length > 0 || filters.from.length > 0
+            || filters.before !== null || filters.after !== null || filters.hasImage;
+    }
+
+    /**
+     * Messages matching a parsed query, best first: [{ document, score }].
+     * senders is a Set of sender ids (from the query's from: names), or null
+     * for anyone. A query with only filters lists matches newest first.
+     */
+    search({ terms, phrases, filters }, senders = null) {
+        const stems = [...new Set([...terms, ...phrases.flat()])];
+
+        let candidates;
+        if (stems.length > 0) {
+            const lists = stems.map(stem => this.postings.get(stem));
+            if (lists.some(list => !list)) return [];
+            lists.sort((a, b) => a.size - b.size);
+            candidates = Array.from(lists[0].keys()).filter(id => lists.every(list => list.has(id)));
+        } else {
+            candidates = Array.from(this.documents.keys());
+        }
+
+        const averageLength = this.totalLength / Math.max(1, this.documents.size);
+        return candidates
+            .map(id => this.documents.get(id))
+            .filter(document => (!senders || senders.has(document.senderId))
+                && (filters.before === null || document.timestamp < filters.before)
+                && (filters.after === null || document.timestamp >= filters.after)
+                && (!filters.hasImage || document.hasImage)
+                && phrases.every(phrase => this.hasPhrase(document.id, phrase)))
+            .map(document => ({ document, score: this.score(document, stems, averageLength) }))
+            .sort((a, b) => b.score - a.score || b.document.timestamp - a.document.timestamp);
+    }
+
+    hasPhrase(messageId, stems) {
+        const [first, ...rest] = stems.map(stem => this.postings.get(stem).get(messageId));
+        return first.some(start => rest.every((positions, offset) => positions.includes(start + offset + 1)));
+    }
+
+    score(document, stems, averageLength) {
+        const count = this.documents.size;
+        return stems.reduce((sum, stem) => {
+            const messages = this.postings.get(stem);
+            const frequency = messages.get(document.id).length;
+            const idf = Math.log(1 + (count - messages.size + 0.5) / (messages.size + 0.5));
+            const norm = frequency + K1 * (1 - B + B * (document.length / averageLength));
+            return sum + idf * (frequency * (K1 + 1)) / norm;
+        }, 0);
+    }
+
+    /**
+     * About length characters of document around its first match, on one
+     * line: { text, highlights }, highlights being [start, end] offsets in
+     * text of each word matching the query
+     */
+    snippet(document, { terms, phrases }, length = 160) {
+        const stems = new Set([...terms, ...phrases.flat()]);
+        const content = document.content.replace(/\s/g, ' ');
+        const matches = SearchIndex.tokenize(content).filter(token => stems.has(token.stem));
+
+        let start = 0;
+        let end = content.length;
+        if (content.length > length) {
+            // Show some words before the first match, cutting at spaces
+            const first = matches[0]?.start ?? 0;
+            start = Math.max(0, Math.min(first - Math.floor(length / 4), content.length - length));
+            if (start > 0) {
+                const space = content.indexOf(' ', start);
+                if (space !== -1 && space < first) start = space + 1;
+            }
+            end = Math.min(content.length, start + length);
+            if (end < content.length) {
+                const space = content.lastIndexOf(' ', end);
+                if (space > start) end = space;
+            }
+        }
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < content.length ? '…' : '';
+        const shift = prefix.length - start;
+        return {
+            text: prefix + content.slice(start, end).trimEnd() + suffix,
+            highlights: matches
+                .filter(token => token.start >= start && token.end <= end)
+                .map(token => [token.start + shift, token.end + shift])
+        };
+    }
+
+    // A snippet as text with its highlights wrapped in open and close, e.g. **...**
+    static mark({ text, highlights }, open = '**', close = '**') {
+        let result = '';
+        let cursor = 0;
+        highlights.forEach(([start, end]) => {
+            result += text.slice(cursor, start) + open + text.slice(start, end) + close;
+            cursor = end;
+        });
+        return result + text.slice(cursor);
+    }
+}
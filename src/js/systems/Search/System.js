@@ -0,0 +1,143 @@
+import { System } from '../../core/System.js';
+import { CONFIG } from '../../config/index.js';
+import { SearchIndex } from './SearchIndex.js';
+
+/**
+ * SearchSystem - Full-text search over every chat message
+ *
+ * Builds a SearchIndex from the saved chat logs at startup and adds each
+ * message as SessionSystem sends it. search() answers /search queries with
+ * highlighted snippets and the session each message belongs to.
+ */
+export class SearchSystem extends System {
+    constructor(world) {
+        super();
+        this.phase = 'ai';
+        this.world = world;
+        this.index = new SearchIndex();
+        this.ready = Promise.resolve(0); // Resolves when the saved messages are indexed
+    }
+
+    init() {
+        console.log('🔎 Initializing SearchSystem...');
+
+        this.world.events.on('session:message', ({ sessionId, message }) => {
+            this.index.add(message, sessionId);
+        });
+        // Overwritten sessions are re-read in full; duplicates have new message ids
+        this.world.events.on('persistence:imported', ({ sessionIds }) => {
+            sessionIds.forEach(sessionId => this.index.removeSession(sessionId));
+            this.ready = this.ready.then(() => this.build());
+        });
+        this.ready = this.build();
+
+        console.log('✅ SearchSystem initialized');
+    }
+
+    get storage() {
+        const persistenceSystem = this.world.getSystem('persistence');
+        return persistenceSystem?.storage?.db ? persistenceSystem.storage : null;
+    }
+
+    // Index every saved message; ones sent in the meantime are already in
+    async build() {
+        if (!this.storage) return 0;
+
+        try {
+            const [chatLogs, sessions] = await Promise.all([this.storage.getAllChatLogs(), this.storage.getAllSessions()]);
+            const sessionFor = new Map(sessions.map(session => [session.chatLogId, session.id]));
+
+            let count = 0;
+            chatLogs.forEach(chatLog => {
+                const sessionId = chatLog.sessionId || sessionFor.get(chatLog.id);
+                if (!sessionId) return;
+                (chatLog.messages || []).forEach(message => {
+                    if (this.index.add(message, sessionId)) count++;
+                });
+            });
+
+            console.log(`🔎 Indexed ${count} saved messages`);
+            return count;
+        } catch (error) {
+            console.error('❌ Failed to build the search index:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Messages matching query, best first: { hits, total, errors }. Each hit
+     * is { messageId, sessionId, sessionTitle, senderId, sender, timestamp,
+     * hasImage, snippet }; see SearchIndex.parseQuery for the query syntax
+     * and SearchIndex.snippet for snippets.
+     */
+    async search(query, { limit = CONFIG.search.resultLimit } = {}) {
+        await this.ready;
+
+        const parsed = SearchIndex.parseQuery(query);
+        const senders = this.resolveSenders(parsed.filters.from, parsed.errors);
+        if (parsed.errors.length === 0 && !SearchIndex.hasCriteria(parsed)) {
+            parsed.errors.push('Nothing to search for');
+        }
+        if (parsed.errors.length > 0) {
+            return { hits: [], total: 0, errors: parsed.errors };
+        }
+
+        // Sessions deleted since their messages were indexed drop out here
+        const sessions = await this.getSessions();
+        const results = this.index.search(parsed, senders).filter(({ document }) => {
+            if (sessions.has(document.sessionId)) return true;
+            this.index.removeSession(document.sessionId);
+            return false;
+        });
+
+        return {
+            total: results.length,
+            errors: [],
+            hits: results.slice(0, limit).map(({ document }) => ({
+                messageId: document.id,
+                sessionId: document.sessionId,
+                sessionTitle: sessions.get(document.sessionId).title || 'Untitled Session',
+                senderId: document.senderId,
+                sender: this.describeSender(document.senderId),
+                timestamp: document.timestamp,
+                hasImage: document.hasImage,
+                snippet: this.index.snippet(document, parsed, CONFIG.search.snippetLength)
+            }))
+        };
+    }
+
+    // Saved sessions, plus live ones not saved yet: id -> session
+    async getSessions() {
+        const sessions = new Map();
+        (this.storage ? await this.storage.getAllSessions() : []).forEach(session => sessions.set(session.id, session));
+        this.world.getSystem('session')?.sessions.forEach(({ session }, id) => {
+            if (!sessions.has(id)) sessions.set(id, session);
+        });
+        return sessions;
+    }
+
+    // Entity ids for from: names ("me" is the player); unknown names are added to errors
+    resolveSenders(names, errors) {
+        if (names.length === 0) return null;
+
+        const tagged = Array.from(this.world.entities.values()).filter(entity => entity.tag);
+        const ids = new Set();
+        names.forEach(name => {
+            const lookup = name === 'me' ? 'player' : name;
+            const entity = tagged.find(e => e.tag.toLowerCase() === lookup)
+                || tagged.find(e => e.tag.toLowerCase().startsWith(lookup));
+            if (entity) {
+                ids.add(entity.id);
+            } else {
+                errors.push(`from: no entity called "${name}"`);
+            }
+        });
+        return ids;
+    }
+
+    describeSender(senderId) {
+        const entity = this.world.getEntity(senderId);
+        if (!entity) return 'Unknown';
+        return entity.tag === 'player' ? 'You' : entity.tag || entity.id;
+    }
+}
@@ -0,0 +1 @@
+export { SearchSystem } from './System.js';
\ No newline at end of file
@@ -3,23 +3,97 @@ import { Connection } from '../../components/Connection.js';
 import { Session } from '../../components/Session.js';
 import { ChatLog } from '../../components/ChatLog.js';
 import { BrainComponent } from '../../components/BrainComponent.js';
-import { VoxelIndicatorComponent } from '../../components/VoxelIndicatorComponent.js';
 import { generateUUID } from '../../utils/uuid.js';
+import { TurnTaking } from '../../utils/TurnTaking.js';
+import { CONFIG } from '../../config/index.js';
 
 export class SessionSystem extends System {
     constructor(world) {
         super();
+        this.phase = 'ai';
         this.world = world;
         this.sessions = new Map(); // sessionId -> sessionData
         this.chatLogs = new Map(); // chatLogId -> chatLog
+
+        // Pick up sessions restored before this system was added, and any later restores
+        this.rebuildFromWorld();
+        this.world.events.on('world:restored', () => this.rebuildFromWorld());
+
+        // Other systems read, open, speak in and close sessions through requests.
+        // get and nextSpeakers answer null for a session it doesn't track, find
+        // null when those entities have no active session
+        const { events } = this.world;
+        events.handle('session:get', ({ sessionId }) => this.getSession(sessionId));
+        events.handle('session:find', ({ entities }) => this.findActiveSession(entities));
+        events.handle('session:open', ({ entities, options }) => this.findActiveSession(entities) || this.createSession(entities, options));
+        events.handle('session:nextSpeakers', ({ sessionId, senderId, content, options }) =>
+            this.sessions.has(sessionId) ? this.nextSpeakers(sessionId, senderId, content, options) : null);
+        events.handle('session:send', ({ sessionId, senderId, content, type, options }) => this.sendMessage(sessionId, senderId, content, type, options));
+        events.handle('session:deactivate', ({ sessionId }) => this.deactivateSession(sessionId));
+    }
+
+    /**
+     * Rebuild the session map after a world snapshot is restored. Snapshots
+     * store a copy of each session and chat log per participant, so the
+     * participants are re-linked to one shared session object and log map.
+     */
+    rebuildFromWorld() {
+        this.sessions.clear();
+
+        for (const entity of this.world.query({ all: [Session] })) {
+            const sessionComp = entity.getComponent(Session);
+
+            for (const [sessionId, session] of Array.from(sessionComp.activeSessions)) {
+                let sessionData = this.sessions.get(sessionId);
+                if (!sessionData) {
+                    sessionData = { session, entities: [] };
+                    this.sessions.set(sessionId, sessionData);
+                }
+                sessionComp.activeSessions.set(sessionId, sessionData.session);
+                sessionData.entities.push(entity);
+            }
+        }
+
+        for (const { entities } of this.sessions.values()) {
+            this.shareChatLogs(entities.map(entity => entity.getComponent(ChatLog)).filter(Boolean));
+        }
+
+        if (this.sessions.size > 0) {
+            console.log(`🔄 Rebuilt ${this.sessions.size} sessions from restored world`);
+        }
+    }
+
+    /**
+     * Point every ChatLog component at one shared logs Map, keeping the logs
+     * each already had, so all participants read and write the same session logs
+     */
+    shareChatLogs(chatLogComps) {
+        const [primary, ...others] = chatLogComps;
+        if (!primary) return;
+
+        for (const chatLogComp of others) {
+            if (chatLogComp.logs === primary.logs) continue;
+            for (const [chatLogId, log] of chatLogComp.logs) {
+                if (!primary.logs.has(chatLogId)) primary.logs.set(chatLogId, log);
+            }
+            chatLogComp.logs = primary.logs;
+        }
+    }
+
+    // Give a session (restored from storage) to its participants and track it
+    attachSession(session, entities) {
+        entities.forEach(entity => {
+            this.world.ensureComponent(entity, Session).activeSessions.set(session.id, session);
+        });
+        this.sessions.set(session.id, { session, entities });
+        return session;
     }
 
     async findOrCreateSession(entity1, entity2) {
         // Load existing sessions from persistence first
-        const persistenceSystem = this.world.getSystem("persistence");
-        if (persistenceSystem && persistenceSystem.initialized) {
+        if (this.world.events.hasHandler('persistence:sessions')) {
             try {
-                const allSessions = await persistenceSystem.storage.getAllSessions();
+                const allSessions = await this.world.events.request('persistence:sessions');
                 console.log(`🔍 Checking ${allSessions.length} existing sessions for reuse...`);
                 
                 // Sort sessions by creation time (newest first) to prefer most recent empty session
@@ -27,39 +101,21 @@ export class SessionSystem extends System {
                 
                 // Look for empty sessions between these specific entities first
                 for (const sessionData of sortedSessions) {
-                    // Check if this session involves both entities (by tag since IDs change)
-                    const entity1Tag = entity1.tag || entity1.id;
-                    const entity2Tag = entity2.tag || entity2.id;
-                    const sessionTitle = sessionData.title || '';
-                    
-                    // Check if session title contains both entity tags
-                    if (sessionTitle.toLowerCase().includes(entity1Tag.toLowerCase()) && 
-                        sessionTitle.toLowerCase().includes(entity2Tag.toLowerCase())) {
+                    // Entity ids are stable across reloads, so match on participants
+                    const participants = sessionData.participants || [];
+                    if (participants.length === 2 && participants.includes(entity1.id) && participants.includes(entity2.id)) {
                         
                         // Check if this session has no messages
                         if (sessionData.messageCount === 0) {
                             console.log(`♻️ Found empty session to reuse: ${sessionData.title}`);
                             
-                            // Load this session into the entities
-                            const sessionComp1 = this.world.ensureComponent(entity1, Session);
-                            const sessionComp2 = this.world.ensureComponent(entity2, Session);
-                            
                             // Restore the session data, ensuring participants is a Set
-                            const restoredSession = {
+                            const restoredSession = this.attachSession({
                                 ...sessionData,
                                 participants: new Set(Array.isArray(sessionData.participants) ? 
                                     sessionData.participants : 
                                     Array.from(sessionData.participants))
-                            };
-                            
-                            sessionComp1.activeSessions.set(restoredSession.id, restoredSession);
-                            sessionComp2.activeSessions.set(restoredSession.id, restoredSession);
-                            
-                            // Store reference in the sessions map for system tracking
-                            this.sessions.set(restoredSession.id, {
-                                session: restoredSession,
-                                entities: [entity1, entity2]
-                            });
+                            }, [entity1, entity2]);
                             
                             restoredSession.reused = true;
                             restoredSession.lastActivityAt = Date.now();
@@ -73,25 +129,13 @@ export class SessionSystem extends System {
                     if (sessionData.messageCount === 0) {
                         console.log(`♻️ Found any empty session to reuse: ${sessionData.title || sessionData.id}`);
                         
-                        // Load this session into the entities
-                        const sessionComp1 = this.world.ensureComponent(entity1, Session);
-                        const sessionComp2 = this.world.ensureComponent(entity2, Session);
-                        
                         // Restore the session data, ensuring participants is a Set
-                        const restoredSession = {
+                        const restoredSession = this.attachSession({
                             ...sessionData,
                             participants: new Set([entity1.id, entity2.id]), // Update participants to new entities
-                            title: `${entity1.tag || entity1.id} ⟷ ${entity2.tag || entity2.id}` // Update title
-                        };
-                        
-                        sessionComp1.activeSessions.set(restoredSession.id, restoredSession);
-                        sessionComp2.activeSessions.set(restoredSession.id, restoredSession);
-                        
-                        // Store reference in the sessions map for system tracking
-                        this.sessions.set(restoredSession.id, {
-                            session: restoredSession,
-                            entities: [entity1, entity2]
-                        });
+                            title: `${entity1.tag || entity1.id} ⟷ ${entity2.tag || entity2.id}`, // Update title
+                            turnPolicy: null
+                        }, [entity1, entity2]);
                         
                         restoredSession.reused = true;
                         restoredSession.lastActivityAt = Date.now();
@@ -104,7 +148,8 @@ export class SessionSystem extends System {
         }
         
         // Check in-memory sessions as fallback
-        const existingSessions = this.getSessionsBetweenEntities(entity1, entity2);
+        const existingSessions = this.getSessionsBetweenEntities(entity1, entity2)
+            .filter(session => session.participants.size === 2);
         
         for (const session of existingSessions) {
             // Check if this session has any messages
@@ -123,13 +168,23 @@ export class SessionSystem extends System {
         
         // No empty session found, create a new one
         console.log('📝 Creating new session - no empty sessions found to reuse');
-        const newSession = this.createSession(entity1, entity2);
+        const newSession = this.createSession([entity1, entity2]);
         if (newSession) {
             newSession.reused = false;
         }
         return newSession;
     }
     
+    // { session, entities, messages } for sessionId, or null if it isn't tracked
+    getSession(sessionId) {
+        const sessionData = this.sessions.get(sessionId);
+        if (!sessionData) return null;
+
+        const { session, entities } = sessionData;
+        const messages = entities[0]?.getComponent(ChatLog)?.getMessages(session.chatLogId) || [];
+        return { session, entities, messages };
+    }
+
     getSessionsBetweenEntities(entity1, entity2) {
         const sessions = [];
         const sessionComp1 = entity1.getComponent(Session);
@@ -146,87 +201,194 @@ export class SessionSystem extends System {
         return sessions;
     }
 
-    createSession(entity1, entity2) {
-        // Check if entities have required components
-        const conn1 = entity1.getComponent(Connection);
-        const conn2 = entity2.getComponent(Connection);
-        
-        if (!conn1 || !conn2) {
-            console.error('Entities must have Connection components');
+    /**
+     * Create a session between entities. Two entities get a Connection between
+     * them; larger groups are drawn as a hub by ConnectionSystem instead and
+     * take turns by options.turnPolicy (see TurnTaking).
+     */
+    createSession(entities, options = {}) {
+        if (entities.length < 2) {
+            console.error('A session needs at least two entities');
             return null;
         }
 
-        // Create connection if it doesn't exist
-        if (!conn1.hasConnectionTo(entity2.id)) {
-            const connectionData = {
-                id: generateUUID(),
-                state: 'active'
-            };
-            conn1.addConnection(entity2.id, connectionData);
-            conn2.addConnection(entity1.id, connectionData);
-        }
+        const isGroup = entities.length > 2;
+        let connectionId = generateUUID(); // Hub id for groups
 
-        // Create session
-        const sessionComp = this.world.ensureComponent(entity1, Session);
-        const sessionComp2 = this.world.ensureComponent(entity2, Session);
-        
-        const sessionData = sessionComp.createSession(
-            conn1.getConnection(entity2.id).id,
-            [entity1.id, entity2.id]
-        );
-        
-        // Set a default title based on entity tags for better session identification
-        const entity1Name = entity1.tag || `Entity ${entity1.id.substring(0, 8)}`;
-        const entity2Name = entity2.tag || `Entity ${entity2.id.substring(0, 8)}`;
-        sessionData.title = `${entity1Name} ⟷ ${entity2Name}`;
+        if (!isGroup) {
+            const [entity1, entity2] = entities;
+
+            // Check if entities have required components
+            const conn1 = entity1.getComponent(Connection);
+            const conn2 = entity2.getComponent(Connection);
+            
+            if (!conn1 || !conn2) {
+                console.error('Entities must have Connection components');
+                return null;
+            }
 
-        // Share session with both entities
-        sessionComp2.activeSessions.set(sessionData.id, sessionData);
+            // Create connection if it doesn't exist
+            if (!conn1.hasConnectionTo(entity2.id)) {
+                const connectionData = {
+                    id: generateUUID(),
+                    state: 'active'
+                };
+                conn1.addConnection(entity2.id, connectionData);
+                conn2.addConnection(entity1.id, connectionData);
+            }
+            connectionId = conn1.getConnection(entity2.id).id;
+        }
 
-        // Create chat log
-        const chatLogComp = this.world.ensureComponent(entity1, ChatLog);
-        const chatLogComp2 = this.world.ensureComponent(entity2, ChatLog);
-        
-        chatLogComp.createLog(sessionData.chatLogId);
-        chatLogComp2.logs = chatLogComp.logs; // Share the same logs Map
+        // Create session, shared by every participant
+        const sessionComps = entities.map(entity => this.world.ensureComponent(entity, Session));
+        const sessionData = sessionComps[0].createSession(connectionId, entities.map(entity => entity.id));
+        sessionComps.slice(1).forEach(sessionComp => sessionComp.activeSessions.set(sessionData.id, sessionData));
+
+        // Set a default title based on entity tags for better session identification
+        const names = entities.map(entity => entity.tag || `Entity ${entity.id.substring(0, 8)}`);
+        sessionData.title = options.title || (isGroup ? names.join(', ') : names.join(' ⟷ '));
+        sessionData.turnPolicy = isGroup ? (options.turnPolicy || CONFIG.groups.defaultTurnPolicy) : null;
 
-        // Update connection with session
-        conn1.updateConnectionSession(entity2.id, sessionData.id);
-        conn2.updateConnectionSession(entity1.id, sessionData.id);
-        conn1.updateConnectionState(entity2.id, 'active');
-        conn2.updateConnectionState(entity1.id, 'active');
+        // Create chat log in one shared logs Map
+        const chatLogComps = entities.map(entity => this.world.ensureComponent(entity, ChatLog));
+        this.shareChatLogs(chatLogComps);
+        chatLogComps[0].createLog(sessionData.chatLogId);
 
         // Update brain components if they exist
-        const brain1 = entity1.getComponent(BrainComponent);
-        const brain2 = entity2.getComponent(BrainComponent);
-        
-        if (brain1) brain1.addSessionToHistory(sessionData.id);
-        if (brain2) brain2.addSessionToHistory(sessionData.id);
+        entities.forEach(entity => entity.getComponent(BrainComponent)?.addSessionToHistory(sessionData.id));
 
         this.sessions.set(sessionData.id, {
             session: sessionData,
-            entities: [entity1, entity2]
+            entities: [...entities]
         });
 
+        // ConnectionSystem links the connection to this session and marks it active
+        this.world.events.emit('session:created', { session: sessionData, entities: [...entities] });
+
         return sessionData;
     }
 
+    // Active session whose participants are exactly entities, if there is one
+    findActiveSession(entities) {
+        const ids = new Set(entities.map(entity => entity.id));
+        for (const sessionData of this.sessions.values()) {
+            const { participants, state } = sessionData.session;
+            if (state === 'active' && participants.size === ids.size
+                && [...ids].every(id => participants.has(id))) {
+                return sessionData.session;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Bring a saved session back into memory, with its chat log, so
+     * conversation in it can continue. Returns the live session, or null if a
+     * participant no longer exists.
+     */
+    restoreSession(sessionData, chatLogData = null) {
+        const existing = this.sessions.get(sessionData.id);
+        if (existing) return existing.session;
+
+        const entities = sessionData.participants.map(id => this.world.getEntity(id));
+        if (entities.some(entity => !entity)) return null;
+
+        const session = this.attachSession({
+            ...sessionData,
+            participants: new Set(sessionData.participants),
+            state: 'active',
+            lastActivityAt: Date.now()
+        }, entities);
+
+        const chatLogComps = entities.map(entity => this.world.ensureComponent(entity, ChatLog));
+        this.shareChatLogs(chatLogComps);
+        if (!chatLogComps[0].getLog(session.chatLogId)) {
+            const log = chatLogComps[0].createLog(session.chatLogId);
+            log.messages.push(...(chatLogData?.messages || []));
+            log.lastMessageAt = chatLogData?.lastMessageAt || null;
+        }
+
+        entities.forEach(entity => entity.getComponent(BrainComponent)?.addSessionToHistory(session.id));
+        this.world.events.emit('session:activated', { session, entities });
+        return session;
+    }
+
+    // Add entity to a session; two-party sessions become groups
+    addParticipant(sessionId, entity) {
+        const sessionData = this.sessions.get(sessionId);
+        if (!sessionData || sessionData.session.participants.has(entity.id)) return false;
+
+        const { session, entities } = sessionData;
+        session.participants.add(entity.id);
+        session.turnPolicy = session.turnPolicy || CONFIG.groups.defaultTurnPolicy;
+        entities.push(entity);
+
+        this.world.ensureComponent(entity, Session).activeSessions.set(session.id, session);
+        this.shareChatLogs([entities[0], entity].map(member => this.world.ensureComponent(member, ChatLog)));
+        entity.getComponent(BrainComponent)?.addSessionToHistory(session.id);
+
+        this.world.events.emit('session:participants', { session, entities: [...entities], added: entity });
+        return true;
+    }
+
+    // Remove entity from a session; the session keeps its log for the others
+    removeParticipant(sessionId, entity) {
+        const sessionData = this.sessions.get(sessionId);
+        if (!sessionData || !sessionData.session.participants.has(entity.id)) return false;
+
+        const { session } = sessionData;
+        session.participants.delete(entity.id);
+        sessionData.entities = sessionData.entities.filter(member => member !== entity);
+
+        // The session object is shared, so drop it rather than deactivate it for everyone
+        entity.getComponent(Session)?.activeSessions.delete(session.id);
+        entity.getComponent(BrainComponent)?.removeActiveSession(session.id);
+
+        this.world.events.emit('session:participants', { session, entities: [...sessionData.entities], removed: entity });
+        return true;
+    }
+
+    setTurnPolicy(sessionId, policy) {
+        const sessionData = this.sessions.get(sessionId);
+        if (!sessionData || !CONFIG.groups.turnPolicies.includes(policy)) return false;
+
+        sessionData.session.turnPolicy = policy;
+        return true;
+    }
+
+    /**
+     * AI participants that should answer content from senderId, in order, by
+     * the session's turn policy
+     */
+    nextSpeakers(sessionId, senderId, content, options = {}) {
+        const sessionData = this.sessions.get(sessionId);
+        if (!sessionData) return [];
+
+        const { session, entities } = sessionData;
+        const candidates = entities.filter(entity => {
+            const brain = entity.getComponent(BrainComponent);
+            return entity.id !== senderId && brain && brain.model !== 'human';
+        });
+
+        // Last AI participant to speak, for round-robin and mention
+        const messages = entities[0].getComponent(ChatLog)?.getMessages(session.chatLogId) || [];
+        const lastSpoken = [...messages].reverse().find(message =>
+            message.type !== 'system' && candidates.some(entity => entity.id === message.senderId));
+
+        return TurnTaking.nextSpeakers(session.turnPolicy || CONFIG.groups.defaultTurnPolicy, {
+            candidates,
+            message: content,
+            lastSpeakerId: lastSpoken?.senderId || null,
+            ...options
+        });
+    }
+
     activateSession(sessionId) {
         const sessionData = this.sessions.get(sessionId);
         if (!sessionData) return;
 
         const { session, entities } = sessionData;
         session.state = 'active';
-        
-        // Update connection states
-        for (let i = 0; i < entities.length; i++) {
-            const entity = entities[i];
-            const otherEntity = entities[1 - i];
-            const conn = entity.getComponent(Connection);
-            if (conn) {
-                conn.updateConnectionState(otherEntity.id, 'active');
-            }
-        }
 
         // Update session components
         entities.forEach(entity => {
@@ -235,6 +397,8 @@ export class SessionSystem extends System {
                 sessionComp.updateSessionState(sessionId, 'active');
             }
         });
+
+        this.world.events.emit('session:activated', { session, entities });
     }
 
     deactivateSession(sessionId) {
@@ -243,16 +407,6 @@ export class SessionSystem extends System {
 
         const { session, entities } = sessionData;
         session.state = 'inactive';
-        
-        // Update connection states
-        for (let i = 0; i < entities.length; i++) {
-            const entity = entities[i];
-            const otherEntity = entities[1 - i];
-            const conn = entity.getComponent(Connection);
-            if (conn) {
-                conn.updateConnectionState(otherEntity.id, 'inactive');
-            }
-        }
 
         // Update session components
         entities.forEach(entity => {
@@ -266,6 +420,8 @@ export class SessionSystem extends System {
                 brain.removeActiveSession(sessionId);
             }
         });
+
+        this.world.events.emit('session:deactivated', { session, entities });
     }
 
     sendMessage(sessionId, senderId, content, type = 'user', options = {}) {
@@ -287,15 +443,10 @@ export class SessionSystem extends System {
             metadata: options.metadata || {}
         });
 
-        // Update session
-        entities.forEach(entity => {
-            const sessionComp = entity.getComponent(Session);
-            if (sessionComp) {
-                sessionComp.incrementMessageCount(sessionId);
-            }
-        });
+        // Update session; participants share one session object, so count the message once
+        entities.find(entity => entity.getComponent(Session))?.getComponent(Session).incrementMessageCount(sessionId);
 
-        // Update brain memories and trigger indicators
+        // Update brain memories
         const senderEntity = entities.find(e => e.id === senderId);
         if (senderEntity) {
             const brain = senderEntity.getComponent(BrainComponent);
@@ -308,24 +459,6 @@ export class SessionSystem extends System {
             }
         }
 
-        // Trigger notification indicators for receiving entities
-        entities.forEach(entity => {
-            if (entity.id !== senderId) {
-                const indicator = entity.getComponent(VoxelIndicatorComponent);
-                if (indicator) {
-                    // Show notification animation
-                    indicator.setState('notification');
-                    
-                    // Return to idle after notification
-                    setTimeout(() => {
-                        if (indicator.state === 'notification') {
-                            indicator.setState('idle');
-                        }
-                    }, 1200);
-                }
-            }
-        });
-
         // Update receiver memories
         const receiverEntities = entities.filter(e => e.id !== senderId);
         receiverEntities.forEach(entity => {
@@ -340,6 +473,8 @@ export class SessionSystem extends System {
             }
         });
 
+        this.world.events.emit('session:message', { sessionId, message, senderId, entities });
+
         return message;
     }
 
@@ -376,10 +511,9 @@ export class SessionSystem extends System {
         // Mark as attempted since we have enough messages
         session.titleGenerationAttempted = true;
 
-        // Get the agent system to generate title
-        const agentSystem = this.world.getSystem('agent');
-        if (!agentSystem || !agentSystem.isConnected) {
+        if (!this.world.events.hasHandler('agent:generate')) {
             console.warn('Agent system not available for title generation');
+            session.isGeneratingTitle = false;
             return;
         }
 
@@ -388,16 +522,16 @@ export class SessionSystem extends System {
 
         try {
             console.log('🤖 Requesting title generation from LLM...');
-            const title = await agentSystem.generateResponse(prompt, {
-                model: 'gemma3', // Use the current model
-                temperature: 0.3
+            const title = await this.world.events.request('agent:generate', {
+                prompt,
+                options: { model: 'gemma3', temperature: 0.3 } // Use the current model
             });
 
             // Extract keywords
             const keywordPrompt = `List 3-5 keywords from this conversation (comma separated):\n${context}`;
-            const keywordsResponse = await agentSystem.generateResponse(keywordPrompt, {
-                model: 'gemma3',
-                temperature: 0.3
+            const keywordsResponse = await this.world.events.request('agent:generate', {
+                prompt: keywordPrompt,
+                options: { model: 'gemma3', temperature: 0.3 }
             });
             const keywords = keywordsResponse.split(',').map(k => k.trim());
 
@@ -444,7 +578,7 @@ export class SessionSystem extends System {
         this.titleCheckTimer = (this.titleCheckTimer || 0) + deltaTime;
         
         // Only check every 5 seconds
-        if (this.titleCheckTimer >= 5000) {
+        if (this.titleCheckTimer >= 5) {
             this.titleCheckTimer = 0;
             
             for (const [sessionId, sessionData] of this.sessions) {
@@ -7,6 +7,7 @@ import { System } from '../../core/System.js';
 export class SessionManagementSystem extends System {
     constructor() {
         super();
+        this.phase = 'presentation';
         this.requiredComponents = [];
         
         // System references - will be set by app.js
@@ -24,12 +25,31 @@ export class SessionManagementSystem extends System {
         this.industrialPortfolio = industrialPortfolio;
         
         this.initSessionsList();
+
+        // Show new summaries in the DM list
+        this.world.events.on('session:summarized', () => this.loadDMsList());
+        this.world.events.on('persistence:imported', () => this.loadSessionsList());
+
+        // Group sessions are listed as channels
+        this.world.events.on('session:created', ({ session }) => {
+            if (session.participants.size > 2) this.refreshChannel(session);
+        });
+        this.world.events.on('session:participants', ({ session }) => this.refreshChannel(session));
         console.log("✅ SessionManagement System initialized");
     }
 
     initSessionsList() {
         console.log("💬 Initializing DMs list...");
         
+        // Add channel button handler - groups are started from chat
+        const addChannelBtn = document.getElementById("add-channel");
+        if (addChannelBtn) {
+            addChannelBtn.title = "Start a group with /group <entity> <entity>";
+            addChannelBtn.addEventListener("click", () => {
+                this.industrialPortfolio?.addMessage("system", "👥 Start a group chat with /group <entity> <entity> (see /group help)");
+            });
+        }
+
         // Add DM button handler
         const addDmBtn = document.getElementById("add-dm");
         if (addDmBtn) {
@@ -44,6 +64,7 @@ export class SessionManagementSystem extends System {
         // Load DMs after a short delay to ensure systems are ready
         setTimeout(() => {
             this.loadDMsList();
+            this.loadChannelsList();
         }, 1000);
         
         console.log("✅ DMs list initialized");
@@ -162,19 +183,25 @@ export class SessionManagementSystem extends System {
                     const persistenceSystem = this.world?.getSystem("persistence");
                     let messageCount = 0;
                     let lastActivity = null;
+                    let summary = null;
+                    let summaryActivity = 0;
                     
                     if (persistenceSystem?.initialized) {
                         const sessions = await persistenceSystem.storage.getAllSessions();
                         // Count messages across all sessions with this entity
                         for (const session of sessions) {
-                            // Check if session involves this entity
-                            const entityTag = entity.tag || entity.id;
-                            const sessionTitle = session.title || '';
-                            if (sessionTitle.toLowerCase().includes(entityTag.toLowerCase())) {
+                            // Check if session is a DM involving this entity (groups are channels)
+                            const participants = session.participants || [];
+                            if (participants.length === 2 && participants.includes(entity.id)) {
                                 messageCount += session.messageCount || 0;
                                 if (!lastActivity || (session.lastActivityAt && new Date(session.lastActivityAt) > new Date(lastActivity))) {
                                     lastActivity = session.lastActivityAt;
                                 }
+                                // Latest conversation summary (SummarizationSystem)
+                                if (session.summary && session.lastActivityAt > summaryActivity) {
+                                    summary = session.summary;
+                                    summaryActivity = session.lastActivityAt;
+                                }
                             }
                         }
                     }
@@ -182,7 +209,8 @@ export class SessionManagementSystem extends System {
                     messagableEntities.push({
                         entity: entity,
                         messageCount: messageCount,
-                        lastActivity: lastActivity
+                        lastActivity: lastActivity,
+                        summary: summary
                     });
                 }
             }
@@ -209,8 +237,8 @@ export class SessionManagementSystem extends System {
             });
 
             // Create DM element for each entity
-            messagableEntities.forEach(({entity, messageCount, lastActivity}) => {
-                const dmElement = this.createEntityDMElement(entity, messageCount, lastActivity);
+            messagableEntities.forEach(({entity, messageCount, lastActivity, summary}) => {
+                const dmElement = this.createEntityDMElement(entity, messageCount, lastActivity, summary);
                 dmsList.appendChild(dmElement);
             });
 
@@ -225,10 +253,87 @@ export class SessionManagementSystem extends System {
 
     // Keep loadSessionsList for backward compatibility
     async loadSessionsList() {
+        await this.loadChannelsList();
         return this.loadDMsList();
     }
 
-    createEntityDMElement(entity, totalMessages, lastActivity) {
+    // List the player's group sessions in the Channels section
+    async loadChannelsList() {
+        const channelsList = document.getElementById("channels-list");
+        const persistenceSystem = this.world?.getSystem("persistence");
+        const playerId = this.industrialPortfolio?.playerEntity?.id;
+        if (!channelsList || !persistenceSystem?.initialized || !playerId) return;
+
+        try {
+            const groups = (await persistenceSystem.storage.getAllSessions())
+                .filter(session => (session.participants || []).length > 2 && session.participants.includes(playerId))
+                .sort((a, b) => (b.lastActivityAt || 0) - (a.lastActivityAt || 0));
+
+            channelsList.innerHTML = "";
+            if (groups.length === 0) {
+                const emptyMessage = document.createElement("div");
+                emptyMessage.className = "empty-dms";
+                emptyMessage.textContent = "No groups yet - try /group";
+                emptyMessage.style.padding = "4px 8px";
+                emptyMessage.style.color = "var(--text-muted)";
+                emptyMessage.style.fontSize = "12px";
+                channelsList.appendChild(emptyMessage);
+                return;
+            }
+
+            groups.forEach(session => channelsList.appendChild(this.createChannelElement(session)));
+        } catch (error) {
+            console.error("❌ Error loading channels:", error);
+        }
+    }
+
+    // Save a changed group right away so the list doesn't wait for the next autosave
+    async refreshChannel(session) {
+        const persistenceSystem = this.world?.getSystem("persistence");
+        if (persistenceSystem?.initialized && persistenceSystem.storage.db) {
+            try {
+                await persistenceSystem.storage.saveSession(persistenceSystem.storage.createSessionData(session));
+            } catch (error) {
+                console.error("❌ Failed to save group session:", error);
+            }
+        }
+        await this.loadChannelsList();
+    }
+
+    createChannelElement(session) {
+        const channelDiv = document.createElement("div");
+        channelDiv.className = "channel-item";
+        channelDiv.dataset.sessionId = session.id;
+        if (session.id === this.industrialPortfolio?.currentGroupSessionId) {
+            channelDiv.classList.add("active");
+        }
+
+        const prefixSpan = document.createElement("span");
+        prefixSpan.className = "channel-prefix";
+        prefixSpan.textContent = "#";
+
+        const nameSpan = document.createElement("span");
+        nameSpan.className = "channel-name";
+        nameSpan.textContent = session.title || "group";
+
+        channelDiv.title = session.summary || `${session.participants.length} participants`;
+        channelDiv.appendChild(prefixSpan);
+        channelDiv.appendChild(nameSpan);
+
+        channelDiv.addEventListener("click", async (e) => {
+            e.preventDefault();
+            document.querySelectorAll('.channel-item, .dm-item').forEach(item => {
+                item.classList.remove('active');
+            });
+            channelDiv.classList.add('active');
+
+            await this.industrialPortfolio?.switchToSession(session.id);
+        });
+
+        return channelDiv;
+    }
+
+    createEntityDMElement(entity, totalMessages, lastActivity, summary = null) {
         const dmDiv = document.createElement("div");
         dmDiv.className = "dm-item";
         dmDiv.dataset.entityId = entity.id;
@@ -263,6 +368,18 @@ export class SessionManagementSystem extends System {
         nameDiv.className = "dm-name";
         nameDiv.textContent = entityName;
 
+        // Name with the last conversation's summary below it
+        const textDiv = document.createElement("div");
+        textDiv.className = "dm-text";
+        textDiv.appendChild(nameDiv);
+        if (summary) {
+            const summaryDiv = document.createElement("div");
+            summaryDiv.className = "dm-summary";
+            summaryDiv.textContent = summary;
+            textDiv.appendChild(summaryDiv);
+            dmDiv.title = summary;
+        }
+
         // Create unread indicator if there are recent messages
         const unreadDiv = document.createElement("div");
         if (totalMessages > 0 && lastActivity) {
@@ -275,7 +392,7 @@ export class SessionManagementSystem extends System {
         }
 
         dmDiv.appendChild(statusDiv);
-        dmDiv.appendChild(nameDiv);
+        dmDiv.appendChild(textDiv);
         if (unreadDiv.className) {
             dmDiv.appendChild(unreadDiv);
         }
@@ -335,8 +452,10 @@ export class SessionManagementSystem extends System {
             return;
         }
         
-        // Set the current chat target
+        // Set the current chat target, leaving any group
         this.industrialPortfolio.currentChatTarget = targetEntity;
+        this.industrialPortfolio.currentGroupSessionId = null;
+        document.querySelectorAll('.channel-item').forEach(item => item.classList.remove('active'));
         
         // Clear current chat display
         this.industrialPortfolio.clearChatDisplay();
@@ -345,16 +464,13 @@ export class SessionManagementSystem extends System {
         const persistenceSystem = this.world?.getSystem("persistence");
         if (persistenceSystem?.initialized) {
             const allSessions = await persistenceSystem.storage.getAllSessions();
-            const entityTag = targetEntity.tag || targetEntity.id;
             const allMessages = [];
             
             // Collect all messages from all sessions with this entity
             for (const session of allSessions) {
-                const sessionTitle = session.title || '';
-                // Check if this session involves the target entity
-                if (sessionTitle.toLowerCase().includes(entityTag.toLowerCase()) ||
-                    (session.participants && (session.participants.includes(targetEntity.id) || 
-                     Array.from(session.participants || []).includes(targetEntity.id)))) {
+                // Check if this is a DM between the player and the target entity
+                const participants = session.participants || [];
+                if (participants.length === 2 && participants.includes(targetEntity.id) && participants.includes(player.id)) {
                     
                     // Load chat log for this session
                     if (session.chatLogId) {
@@ -0,0 +1,196 @@
+import { System } from '../../core/System.js';
+import { CONFIG } from '../../config/index.js';
+import { BrainComponent } from '../../components/BrainComponent.js';
+
+/**
+ * SummarizationSystem - Keeps what would otherwise be forgotten
+ *
+ * When a session deactivates, or a brain's experiences pass their cap, the
+ * conversation or the overflowing experiences are summarized by the LLM. The
+ * summary and the facts pulled out of it go into each AI participant's
+ * long-term memory; session summaries are also saved on the session for
+ * /history and the DM sidebar.
+ *
+ * Jobs run one at a time from a queue, so nothing waits on them.
+ */
+export class SummarizationSystem extends System {
+    constructor(world) {
+        super();
+        this.phase = 'ai';
+        this.world = world;
+
+        this.queue = []; // { key, kind, attempts, ... }
+        this.current = null; // Job being run
+        this.running = false;
+    }
+
+    init() {
+        console.log('📝 Initializing SummarizationSystem...');
+        const events = this.world.events;
+
+        events.on('session:deactivated', ({ session }) => {
+            this.enqueue({ key: `session:${session.id}`, kind: 'session', sessionId: session.id });
+        });
+
+        events.on('brain:experiencesOverflow', ({ entity, experiences }) => {
+            this.enqueue({ key: `experiences:${entity.id}:${Date.now()}`, kind: 'experiences', entity, experiences });
+        });
+
+        console.log('✅ SummarizationSystem initialized');
+    }
+
+    // Add a job unless the same one is already waiting or running
+    enqueue(job) {
+        if (this.current?.key === job.key || this.queue.some(queued => queued.key === job.key)) return;
+
+        this.queue.push({ attempts: 0, ...job });
+        this.processQueue();
+    }
+
+    async processQueue() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            while (this.queue.length > 0) {
+                const job = this.queue.shift();
+                this.current = job;
+                try {
+                    await this.runJob(job);
+                } catch (error) {
+                    this.retry(job, error);
+                }
+            }
+        } finally {
+            this.current = null;
+            this.running = false;
+        }
+    }
+
+    // Failed jobs (usually the model being offline) go back on the queue later
+    retry(job, error) {
+        job.attempts++;
+        if (job.attempts >= CONFIG.summarization.maxAttempts) {
+            console.warn(`⚠️ Giving up on summary ${job.key}:`, error.message);
+            return;
+        }
+
+        console.warn(`⚠️ Summary ${job.key} failed, retrying later:`, error.message);
+        setTimeout(() => this.enqueue(job), CONFIG.summarization.retryDelay);
+    }
+
+    runJob(job) {
+        if (job.kind === 'session') {
+            return this.summarizeSession(job.sessionId);
+        }
+        return this.summarizeExperiences(job.entity, job.experiences);
+    }
+
+    async summarizeSession(sessionId) {
+        if (!this.world.events.hasHandler('session:get')) return;
+        const sessionData = await this.world.events.request('session:get', { sessionId });
+        if (!sessionData) return;
+
+        const { session, entities } = sessionData;
+        const messages = sessionData.messages.filter(message => message.type !== 'system' && message.content);
+
+        // Nothing new since the last summary, or too little to be worth one
+        if (messages.length < CONFIG.summarization.minMessages
+            || messages.length === session.summarizedMessageCount) {
+            return;
+        }
+
+        const names = entities.map(entity => entity.tag || entity.id);
+        const transcript = messages
+            .map(message => `${this.world.getEntity(message.senderId)?.tag || 'Unknown'}: ${message.content}`)
+            .join('\n')
+            .slice(-CONFIG.summarization.maxTranscriptChars);
+
+        const result = await this.generate(`Summarize this conversation between ${names.join(', ')}.
+${session.summary ? `\nSummary of it so far: ${session.summary}\n` : ''}
+Conversation:
+${transcript}
+
+Respond with only JSON in this shape:
+{"summary": "2-3 sentences", "facts": ["short facts learned about the participants"], "topics": ["main topics"]}`);
+
+        session.summary = result.summary;
+        session.summaryFacts = result.facts;
+        session.summarizedMessageCount = messages.length;
+        if (result.topics.length > 0 && !session.keywords?.length) {
+            session.keywords = result.topics;
+        }
+
+        // Each AI participant remembers the conversation from its side
+        for (const entity of entities) {
+            const brain = entity.getComponent(BrainComponent);
+            if (!brain || brain.model === 'human') continue;
+
+            const others = names.filter(name => name !== (entity.tag || entity.id));
+            brain.addToLongTermMemory(`Conversation with ${others.join(', ')}: ${result.summary}`, 'summary', 0.6);
+            result.facts.forEach(fact => brain.addToLongTermMemory(fact, 'fact', 0.7));
+        }
+
+        await this.saveSession(session);
+        this.world.events.emit('session:summarized', { session, summary: result.summary, facts: result.facts });
+        console.log(`📝 Summarized session ${session.title || session.id}`);
+    }
+
+    async summarizeExperiences(entity, experiences) {
+        const brain = entity.getComponent(BrainComponent);
+        if (!brain || experiences.length === 0) return;
+
+        const lines = experiences.map(experience =>
+            `- ${new Date(experience.timestamp).toLocaleString()} ${experience.type}: ${experience.description}`
+        );
+
+        const result = await this.generate(`These are older experiences of ${entity.tag || 'an entity'}, about to be forgotten:
+${lines.join('\n')}
+
+Respond with only JSON in this shape:
+{"summary": "2-3 sentences on what happened", "facts": ["lasting facts worth remembering"], "topics": []}`);
+
+        brain.addToLongTermMemory(`Earlier experiences: ${result.summary}`, 'experience', 0.5);
+        result.facts.forEach(fact => brain.addToLongTermMemory(fact, 'fact', 0.6));
+        console.log(`📝 Summarized ${experiences.length} experiences for ${entity.tag || entity.id}`);
+    }
+
+    /**
+     * Ask the model for { summary, facts, topics }. Replies that aren't the
+     * requested JSON are used whole as the summary.
+     */
+    async generate(prompt) {
+        if (!this.world.events.hasHandler('agent:generate')) {
+            throw new Error('Agent system not available');
+        }
+
+        const text = (await this.world.events.request('agent:generate', {
+            prompt,
+            options: { temperature: 0.3 }
+        })).trim();
+
+        let data = null;
+        try {
+            data = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0]);
+        } catch (error) {
+            // Not JSON, handled below
+        }
+
+        const list = value => (Array.isArray(value) ? value.map(String).filter(Boolean) : []);
+        return {
+            summary: String(data?.summary || text),
+            facts: list(data?.facts),
+            topics: list(data?.topics)
+        };
+    }
+
+    // Saved through persistence if it's there; the summary is kept on the session either way
+    async saveSession(session) {
+        if (!this.world.events.hasHandler('persistence:saveSession')) return;
+        await this.world.events.request('persistence:saveSession', { session });
+    }
+
+    update(deltaTime) {
+        // Jobs are queued by events and run in the background
+    }
+}
@@ -0,0 +1 @@
+export { SummarizationSystem } from './System.js';
\ No newline at end of file
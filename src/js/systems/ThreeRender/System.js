@@ -8,6 +8,8 @@ import { CONFIG } from '../../config/index.js';
 export class ThreeRenderSystem extends System {
   constructor() {
     super();
+    this.phase = 'render';
+    this.priority = 100; // Draw last, after any other render-phase work
     this.requiredComponents = [TransformComponent, MeshComponent];
     
     // Three.js core objects
@@ -248,6 +250,28 @@ export class ThreeRenderSystem extends System {
     }
   }
   
+  onEntityAdded(entity) {
+    // Restored entities arrive with meshes that aren't in the scene yet
+    const mesh = entity.getComponent(MeshComponent);
+    if (mesh?.mesh && mesh.mesh.parent !== this.scene) {
+      this.addMeshToScene(mesh.mesh);
+    }
+  }
+  
+  onEntityRemoved(entity) {
+    const mesh = entity.getComponent(MeshComponent);
+    if (mesh) {
+      this.removeMeshFromScene(mesh.mesh);
+    }
+  }
+  
+  onComponentRemoved(entity, component) {
+    if (component instanceof MeshComponent) {
+      this.removeMeshFromScene(component.mesh);
+      component.dispose();
+    }
+  }
+  
   addMeshToScene(mesh) {
     if (mesh && this.scene) {
       this.scene.add(mesh);
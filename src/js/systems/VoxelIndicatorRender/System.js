@@ -1,6 +1,7 @@
 import { System } from "../../core/System.js";
 import { VoxelIndicatorComponent } from "../../components/VoxelIndicatorComponent.js";
 import { TransformComponent } from "../../components/TransformComponent.js";
+import { CONFIG } from "../../config/index.js";
 
 /**
  * VoxelIndicatorRenderSystem - Renders 3D voxel indicators
@@ -10,6 +11,8 @@ import { TransformComponent } from "../../components/TransformComponent.js";
 export class VoxelIndicatorRenderSystem extends System {
   constructor(scene, camera) {
     super();
+    this.phase = 'presentation';
+    this.after = ['camera']; // LOD uses the camera's updated position
     this.requiredComponents = [VoxelIndicatorComponent, TransformComponent];
 
     this.scene = scene;
@@ -40,9 +43,69 @@ export class VoxelIndicatorRenderSystem extends System {
 
     this.initializeSharedResources();
 
+    // Transient states waiting to fall back to idle: entity -> { state, remaining (s) }
+    this.stateResets = new Map();
+
     console.log("🧊 VoxelIndicatorRenderSystem initialized");
   }
 
+  init(world) {
+    this.world = world;
+
+    // Indicators reflect agent and session activity
+    const events = world.events;
+    events.on("agent:thinking", ({ entity }) => this.showState(entity, "thinking"));
+    events.on("agent:streaming", ({ entity }) => this.showState(entity, "responding"));
+    events.on("agent:response", ({ entity }) =>
+      this.showState(entity, "success", CONFIG.ai.timeout.successDisplay),
+    );
+    events.on("agent:error", ({ entity }) =>
+      this.showState(entity, "error", CONFIG.ai.timeout.errorDisplay),
+    );
+    events.on("agent:cancelled", ({ entity }) =>
+      this.showState(entity, "cancelled", CONFIG.ai.timeout.cancelledDisplay),
+    );
+    events.on("session:message", ({ entities, senderId }) => {
+      entities
+        .filter((entity) => entity.id !== senderId)
+        .forEach((entity) => this.showState(entity, "notification", 1200));
+    });
+    events.on("brain:mood", ({ entity, mood, valence, arousal }) => {
+      entity.getComponent(VoxelIndicatorComponent)?.setMood({ mood, valence, arousal });
+    });
+  }
+
+  /**
+   * Set an indicator state, optionally returning to idle after durationMs
+   * of simulated time
+   */
+  showState(entity, state, durationMs = null) {
+    const indicator = entity?.getComponent(VoxelIndicatorComponent);
+    if (!indicator) return;
+
+    indicator.setState(state);
+
+    if (durationMs === null) {
+      this.stateResets.delete(entity);
+    } else {
+      this.stateResets.set(entity, { state, remaining: durationMs / 1000 });
+    }
+  }
+
+  updateStateResets(deltaTime) {
+    for (const [entity, reset] of this.stateResets) {
+      reset.remaining -= deltaTime;
+      if (reset.remaining > 0) continue;
+
+      this.stateResets.delete(entity);
+      const indicator = entity.getComponent(VoxelIndicatorComponent);
+      // Only reset if nothing else changed the state in the meantime
+      if (indicator && indicator.state === reset.state) {
+        indicator.setState("idle");
+      }
+    }
+  }
+
   initializeSharedResources() {
     // Create cube geometries for different LOD levels
     this.createCubeGeometry("high", 1.0);
@@ -201,6 +264,7 @@ export class VoxelIndicatorRenderSystem extends System {
       voxelComponent,
     );
     this.voxelIndicators.set(entity.id, indicatorData);
+    this.entities.add(entity);
     this.scene.add(indicatorData.group);
 
     console.log(
@@ -214,6 +278,9 @@ export class VoxelIndicatorRenderSystem extends System {
       return;
     }
 
+    this.entities.delete(entity);
+    this.stateResets.delete(entity);
+
     const indicatorData = this.voxelIndicators.get(entity.id);
     if (indicatorData) {
       this.scene.remove(indicatorData.group);
@@ -302,7 +369,7 @@ export class VoxelIndicatorRenderSystem extends System {
         }
 
         // Smooth transitions
-        const lerpFactor = Math.min(1, deltaTime / 50); // 50ms smooth transition
+        const lerpFactor = Math.min(1, deltaTime / 0.05); // 50ms smooth transition
 
         const currentScale = cube.scale.x;
         const newScale = this.lerp(currentScale, targetScale, lerpFactor);
@@ -358,6 +425,8 @@ export class VoxelIndicatorRenderSystem extends System {
   }
 
   update(deltaTime) {
+    this.updateStateResets(deltaTime);
+
     if (!this.camera) {
       // Try to get camera from world if not set
       if (this.world) {
@@ -10,10 +10,18 @@ export { PatrolSystem } from './Patrol/index.js';
 export { ConnectionSystem } from './Connection/index.js';
 export { SessionSystem } from './Session/index.js';
 export { PersistenceSystem } from './Persistence/index.js';
+export { MemorySystem } from './Memory/index.js';
+export { SearchSystem } from './Search/index.js';
+export { SummarizationSystem } from './Summarization/index.js';
+export { AffectSystem } from './Affect/index.js';
+export { DirectorSystem } from './Director/index.js';
+export { RelaySystem } from './Relay/index.js';
+export { PromptSystem } from './Prompt/index.js';
 export { VoxelIndicatorRenderSystem } from './VoxelIndicatorRender/index.js';
 export { DOMInterfaceSystem } from './DOMInterface/index.js';
 export { ChatInterfaceSystem } from './ChatInterface/index.js';
 export { SessionManagementSystem } from './SessionManagement/index.js';
+export { PromptEditorSystem } from './PromptEditor/index.js';
 export { CommandSystem } from './Command/index.js';
 export { AutonomousChatSystem } from './AutonomousChat/index.js';
 export { InitializationSystem } from './Initialization/index.js';
\ No newline at end of file
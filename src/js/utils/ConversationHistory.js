@@ -0,0 +1,158 @@
+import { ChatLog } from '../components/ChatLog.js';
+import { TokenEstimator } from './TokenEstimator.js';
+
+/**
+ * ConversationHistory - Turns a session's ChatLog into prompt messages
+ *
+ * Messages become alternating user/assistant turns from one entity's point of
+ * view. The newest turns are kept, up to the brain's historyLimit and the
+ * token budget left in the model's context. Turns that fall out of the window
+ * are folded into a running summary, generated in the background and sent as
+ * a system message ahead of the turns.
+ */
+export class ConversationHistory {
+    constructor(world) {
+        this.world = world;
+        this.summaries = new Map(); // sessionId -> { turnCount, text }
+        this.summarizing = new Set(); // sessionIds with a summary in progress
+    }
+
+    static estimateTokens(text) {
+        return TokenEstimator.count(text);
+    }
+
+    /**
+     * Prompt messages for entity's side of a session. Uses options.sessionId,
+     * or the entity's most recently active session.
+     */
+    getMessages(entity, { sessionId = null, limit = 5, budget = Infinity, exclude = null, model = null } = {}) {
+        const { sessionId: id, turns } = this.getTurns(entity, sessionId, exclude);
+
+        const summary = this.summaries.get(id);
+        let remaining = budget - (summary ? ConversationHistory.estimateTokens(summary.text) : 0);
+
+        const window = [];
+        for (let i = turns.length - 1; i >= 0 && window.length < limit; i--) {
+            const tokens = ConversationHistory.estimateTokens(turns[i].content);
+            if (tokens > remaining) break;
+            remaining -= tokens;
+            window.unshift(turns[i]);
+        }
+
+        const overflow = turns.slice(0, turns.length - window.length);
+        if (overflow.length > (summary?.turnCount || 0)) {
+            this.summarizeOverflow(id, overflow, model);
+        }
+
+        const messages = window.map(({ role, content }) => ({ role, content }));
+        if (summary && overflow.length > 0) {
+            messages.unshift({
+                role: 'system',
+                content: `Summary of the earlier conversation: ${summary.text}`
+            });
+        }
+        return messages;
+    }
+
+    /**
+     * All of a session's messages as alternating turns. Messages from entity
+     * are assistant turns and everything else is a user turn; consecutive
+     * messages from the same side are merged. A trailing message matching
+     * exclude (the one being answered, already logged) is left out.
+     */
+    getTurns(entity, sessionId = null, exclude = null) {
+        const sessionData = this.findSession(entity, sessionId);
+        if (!sessionData) return { sessionId: null, turns: [] };
+
+        const { session, entities } = sessionData;
+        const log = entities[0]?.getComponent(ChatLog)?.getLog(session.chatLogId);
+        const multiParty = session.participants.size > 2;
+        const turns = [];
+
+        // Group replies are asked with the sender's name in front ("bot: ...")
+        const messages = [...(log?.messages || [])];
+        const last = messages[messages.length - 1];
+        const lastSender = last && this.world.getEntity(last.senderId);
+        if (exclude && last && last.senderId !== entity.id
+            && (last.content === exclude || `${lastSender?.tag || 'Unknown'}: ${last.content}` === exclude)) {
+            messages.pop();
+        }
+
+        for (const message of messages) {
+            if (message.type === 'system' || !message.content) continue;
+
+            const role = message.senderId === entity.id ? 'assistant' : 'user';
+            let content = message.content;
+
+            // With several other participants, say who is talking
+            if (multiParty && role === 'user') {
+                const sender = this.world.getEntity(message.senderId);
+                content = `${sender?.tag || 'Unknown'}: ${content}`;
+            }
+
+            const previous = turns[turns.length - 1];
+            if (previous?.role === role) {
+                previous.content += `\n\n${content}`;
+            } else {
+                turns.push({ role, content });
+            }
+        }
+
+        return { sessionId: session.id, turns };
+    }
+
+    findSession(entity, sessionId = null) {
+        const sessionSystem = this.world.getSystem('session');
+        if (!sessionSystem) return null;
+
+        if (sessionId) {
+            return sessionSystem.sessions.get(sessionId) || null;
+        }
+
+        let latest = null;
+        for (const sessionData of sessionSystem.sessions.values()) {
+            const { session } = sessionData;
+            if (session.state !== 'active' || !session.participants.has(entity.id)) continue;
+            if (!latest || session.lastActivityAt > latest.session.lastActivityAt) {
+                latest = sessionData;
+            }
+        }
+        return latest;
+    }
+
+    /**
+     * Fold turns that no longer fit into the session's summary. Runs in the
+     * background; prompts use the previous summary until it finishes.
+     */
+    async summarizeOverflow(sessionId, overflow, model = null) {
+        if (this.summarizing.has(sessionId) || !this.world.events.hasHandler('agent:generate')) {
+            return;
+        }
+
+        const previous = this.summaries.get(sessionId);
+        const newTurns = overflow.slice(previous?.turnCount || 0);
+        const transcript = newTurns
+            .map(turn => `${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${turn.content}`)
+            .join('\n');
+
+        const prompt = `Summarize this conversation in 3-4 sentences. Keep names, facts, decisions and open questions.
+${previous ? `\nSummary so far: ${previous.text}\n` : ''}
+New messages:
+${transcript}
+
+Respond with just the summary.`;
+
+        this.summarizing.add(sessionId);
+        try {
+            const text = await this.world.events.request('agent:generate', {
+                prompt,
+                options: model ? { model } : {}
+            });
+            this.summaries.set(sessionId, { turnCount: overflow.length, text: text.trim() });
+        } catch (error) {
+            console.warn('⚠️ Failed to summarize conversation history:', error.message);
+        } finally {
+            this.summarizing.delete(sessionId);
+        }
+    }
+}
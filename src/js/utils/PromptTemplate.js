@@ -0,0 +1,369 @@
+/**
+ * PromptTemplate - The template language system prompts are written in
+ *
+ *   {{brain.model}}                         value at a path; lists are joined with ", "
+ *   {{{brain.model}}}                       the same; output is never escaped anyway
+ *   {{#if path}}...{{else}}...{{/if}}       also {{#unless path}}. A condition can compare
+ *                                           with a literal: {{#if brain.personality.openness > 0.7}}
+ *   {{#each list}}...{{else}}...{{/each}}   once per item (or key of an object). Inside,
+ *                                           {{this}} is the item and its fields are in scope;
+ *                                           {{@index}}, {{@number}}, {{@key}}, {{@first}}
+ *                                           and {{@last}} say where in the list it is
+ *   {{> name}}                              the partial called name, in the current scope
+ *   {{#section name}}...{{/section}}        label part of the output; renderSections()
+ *                                           returns the text of each label separately
+ *   {{! comment }}                          left out
+ *
+ * A block tag, partial or comment alone on its line takes the line with it,
+ * so templates can be laid out one tag per line. Output isn't escaped; these
+ * are plain-text prompts.
+ */
+
+const BLOCKS = ['if', 'unless', 'each', 'section'];
+const STANDALONE = new Set(['open', 'else', 'close', 'comment', 'partial']);
+const COMPARISON = /^(.+?)\s*(>=|<=|==|!=|>|<)\s*(.+)$/;
+const MAX_PARTIAL_DEPTH = 10;
+const CACHE_SIZE = 50;
+
+const compiled = new Map(); // source -> nodes, most recent last
+
+export class PromptTemplate {
+    /**
+     * Parse source into nodes, cached by source. Throws an Error naming the
+     * line of the first problem.
+     */
+    static compile(source) {
+        const text = String(source ?? '');
+        if (compiled.has(text)) return compiled.get(text);
+
+        const root = { children: [] };
+        const stack = [root];
+        let target = root.children;
+
+        for (const token of PromptTemplate.tokenize(text)) {
+            const open = stack[stack.length - 1];
+            switch (token.type) {
+                case 'text':
+                case 'var':
+                case 'partial':
+                    target.push(token);
+                    break;
+
+                case 'open': {
+                    const node = { type: 'block', name: token.name, condition: token.condition, line: token.line, children: [], inverse: [] };
+                    target.push(node);
+                    stack.push(node);
+                    target = node.children;
+                    break;
+                }
+
+                case 'else':
+                    if (open === root || open.inverse.length > 0 || target === open.inverse) {
+                        throw new Error(`Line ${token.line}: {{else}} outside an {{#if}}, {{#unless}} or {{#each}}`);
+                    }
+                    target = open.inverse;
+                    break;
+
+                case 'close': {
+                    if (open === root) {
+                        throw new Error(`Line ${token.line}: {{/${token.name}}} has no opening {{#${token.name}}}`);
+                    }
+                    if (open.name !== token.name) {
+                        throw new Error(`Line ${token.line}: {{/${token.name}}} closes {{#${open.name}}} from line ${open.line}`);
+                    }
+                    stack.pop();
+                    const parent = stack[stack.length - 1];
+                    target = parent === root ? root.children : parent.inverse.length > 0 ? parent.inverse : parent.children;
+                    break;
+                }
+            }
+        }
+
+        if (stack.length > 1) {
+            const open = stack[stack.length - 1];
+            throw new Error(`Line ${open.line}: {{#${open.name}}} is never closed`);
+        }
+
+        compiled.set(text, root.children);
+        if (compiled.size > CACHE_SIZE) {
+            compiled.delete(compiled.keys().next().value);
+        }
+        return root.children;
+    }
+
+    static tokenize(source) {
+        const tokens = [];
+        const pattern = /\{\{(\{[\s\S]*?\}|!--[\s\S]*?--|[\s\S]*?)\}\}/g;
+        let last = 0;
+        let line = 1;
+        let match;
+
+        while ((match = pattern.exec(source))) {
+            const before = source.slice(last, match.index);
+            if (before) tokens.push({ type: 'text', value: before });
+            line += (before.match(/\n/g) || []).length;
+
+            tokens.push(PromptTemplate.parseTag(match[1].trim(), line, match[1].startsWith('{')));
+            line += (match[0].match(/\n/g) || []).length;
+            last = pattern.lastIndex;
+        }
+
+        const rest = source.slice(last);
+        if (rest.includes('{{')) {
+            throw new Error(`Line ${line + (rest.slice(0, rest.indexOf('{{')).match(/\n/g) || []).length}: {{ is never closed with }}`);
+        }
+        if (rest) tokens.push({ type: 'text', value: rest });
+
+        // Tags alone on their line take the line with them. Decide for every
+        // tag first, since neighbouring tags share the text between them
+        const standalone = tokens.map((token, index) => {
+            if (!STANDALONE.has(token.type)) return false;
+            const previous = tokens[index - 1];
+            const next = tokens[index + 1];
+            const startsLine = !previous
+                || (previous.type === 'text' && (/\n[ \t]*$/.test(previous.value) || (index === 1 && /^[ \t]*$/.test(previous.value))));
+            const endsLine = !next
+                || (next.type === 'text' && (/^[ \t]*\r?\n/.test(next.value) || (index === tokens.length - 2 && /^[ \t]*$/.test(next.value))));
+            return startsLine && endsLine;
+        });
+
+        tokens.forEach((token, index) => {
+            if (!standalone[index]) return;
+            const previous = tokens[index - 1];
+            const next = tokens[index + 1];
+            if (previous?.type === 'text') previous.value = previous.value.replace(/[ \t]*$/, '');
+            if (next?.type === 'text') next.value = next.value.replace(/^[ \t]*\r?\n?/, '');
+            if (token.type === 'partial') token.standalone = true;
+        });
+
+        return tokens.filter(token => token.type !== 'text' || token.value);
+    }
+
+    static parseTag(tag, line, triple = false) {
+        // {{{path}}} is {{path}}, as in Handlebars, where it skips escaping
+        if (triple) {
+            const path = tag.slice(1, -1).trim();
+            if (!path || /^[#/!>]|^else$/.test(path)) {
+                throw new Error(`Line ${line}: {{{ }}} only takes a value, like {{{brain.model}}}`);
+            }
+            return { type: 'var', path, line };
+        }
+
+        if (tag.startsWith('!')) return { type: 'comment', line };
+
+        if (tag.startsWith('>')) {
+            const name = tag.slice(1).trim();
+            if (!name) throw new Error(`Line ${line}: {{>}} needs a partial name`);
+            return { type: 'partial', name, line };
+        }
+
+        if (tag.startsWith('#')) {
+            const [, name, expression = ''] = tag.slice(1).match(/^(\S+)\s*([\s\S]*)$/) || [];
+            if (!BLOCKS.includes(name)) {
+                throw new Error(`Line ${line}: unknown block {{#${name || ''}}} (blocks: ${BLOCKS.join(', ')})`);
+            }
+            if (!expression) throw new Error(`Line ${line}: {{#${name}}} needs something to test`);
+            if (name === 'section' && !/^[\w-]+$/.test(expression.trim())) {
+                throw new Error(`Line ${line}: {{#section}} takes a name of letters, digits, - and _`);
+            }
+            return { type: 'open', name, condition: PromptTemplate.parseCondition(expression.trim(), name !== 'if' && name !== 'unless'), line };
+        }
+
+        if (tag.startsWith('/')) return { type: 'close', name: tag.slice(1).trim(), line };
+        if (tag === 'else') return { type: 'else', line };
+        if (!tag) throw new Error(`Line ${line}: empty {{}}`);
+
+        return { type: 'var', path: tag, line };
+    }
+
+    // { path } or { left, op, right } where each side is { path } or { literal }
+    static parseCondition(expression, pathOnly = false) {
+        const comparison = !pathOnly && expression.match(COMPARISON);
+        if (!comparison) return { path: expression };
+
+        const operand = text => {
+            if (/^-?\d+(\.\d+)?$/.test(text)) return { literal: Number(text) };
+            if (/^(["']).*\1$/.test(text)) return { literal: text.slice(1, -1) };
+            if (text === 'true' || text === 'false') return { literal: text === 'true' };
+            if (text === 'null') return { literal: null };
+            return { path: text };
+        };
+        return { left: operand(comparison[1]), op: comparison[2], right: operand(comparison[3]) };
+    }
+
+    /**
+     * Render source with data. partials maps names to template sources.
+     * Throws if source doesn't compile or uses a partial that doesn't exist.
+     */
+    static render(source, data = {}, partials = {}) {
+        return PromptTemplate.renderSections(source, data, partials).map(chunk => chunk.text).join('');
+    }
+
+    /**
+     * Render source as [{ section, text }] in output order: text inside
+     * {{#section name}} has section name (the innermost one), the rest null.
+     */
+    static renderSections(source, data = {}, partials = {}) {
+        const chunks = [];
+        PromptTemplate.renderNodes(PromptTemplate.compile(source), [{ value: data }], partials, 0, null, chunks);
+        return chunks;
+    }
+
+    // Append the output of nodes to chunks, merging text of the same section
+    static renderNodes(nodes, frames, partials, depth, section, chunks) {
+        const write = text => {
+            if (!text) return;
+            const last = chunks[chunks.length - 1];
+            if (last && last.section === section) {
+                last.text += text;
+            } else {
+                chunks.push({ section, text });
+            }
+        };
+
+        for (const node of nodes) {
+            switch (node.type) {
+                case 'text':
+                    write(node.value);
+                    break;
+
+                case 'var':
+                    write(PromptTemplate.format(PromptTemplate.lookup(node.path, frames)));
+                    break;
+
+                case 'partial': {
+                    if (!(node.name in partials)) {
+                        throw new Error(`Line ${node.line}: unknown partial "${node.name}"`);
+                    }
+                    if (depth >= MAX_PARTIAL_DEPTH) {
+                        throw new Error(`Partials nest more than ${MAX_PARTIAL_DEPTH} deep; does "${node.name}" include itself?`);
+                    }
+                    const size = () => chunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+                    const before = size();
+                    PromptTemplate.renderNodes(PromptTemplate.compile(partials[node.name]), frames, partials, depth + 1, section, chunks);
+                    if (node.standalone && size() !== before && !chunks[chunks.length - 1].text.endsWith('\n')) {
+                        write('\n');
+                    }
+                    break;
+                }
+
+                case 'block':
+                    PromptTemplate.renderBlock(node, frames, partials, depth, section, chunks);
+                    break;
+            }
+        }
+    }
+
+    static renderBlock(node, frames, partials, depth, section, chunks) {
+        if (node.name === 'section') {
+            PromptTemplate.renderNodes(node.children, frames, partials, depth, node.condition.path, chunks);
+            return;
+        }
+
+        if (node.name === 'each') {
+            const value = PromptTemplate.lookup(node.condition.path, frames);
+            const entries = Array.isArray(value)
+                ? value.map((item, index) => [index, item])
+                : value && typeof value === 'object' ? Object.entries(value) : [];
+            if (entries.length === 0) {
+                PromptTemplate.renderNodes(node.inverse, frames, partials, depth, section, chunks);
+                return;
+            }
+
+            entries.forEach(([key, item], index) => PromptTemplate.renderNodes(node.children, [...frames, {
+                value: item,
+                locals: { index, number: index + 1, key, first: index === 0, last: index === entries.length - 1 }
+            }], partials, depth, section, chunks));
+            return;
+        }
+
+        const truthy = PromptTemplate.test(node.condition, frames);
+        const show = node.name === 'unless' ? !truthy : truthy;
+        PromptTemplate.renderNodes(show ? node.children : node.inverse, frames, partials, depth, section, chunks);
+    }
+
+    static test(condition, frames) {
+        const value = operand => ('literal' in operand ? operand.literal : PromptTemplate.lookup(operand.path, frames));
+        if (!condition.op) {
+            const result = value(condition);
+            return Array.isArray(result) ? result.length > 0 : Boolean(result);
+        }
+
+        const left = value(condition.left);
+        const right = value(condition.right);
+        switch (condition.op) {
+            case '>': return left > right;
+            case '<': return left < right;
+            case '>=': return left >= right;
+            case '<=': return left <= right;
+            case '==': return PromptTemplate.equals(left, right);
+            case '!=': return !PromptTemplate.equals(left, right);
+        }
+        return false;
+    }
+
+    // Template equality: "3" equals 3 and "3.0", "true" equals true, and missing values only equal each other
+    static equals(left, right) {
+        const missing = value => value === null || value === undefined;
+        if (missing(left) || missing(right)) return missing(left) && missing(right);
+
+        const number = value => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+        const [a, b] = [number(left), number(right)];
+        if (typeof a === 'number' && typeof b === 'number' && !Number.isNaN(a) && !Number.isNaN(b)) return a === b;
+        return String(left) === String(right);
+    }
+
+    // Value at path, looking outward from the innermost {{#each}} item
+    static lookup(path, frames) {
+        const frame = frames[frames.length - 1];
+        if (path.startsWith('@')) return frame.locals?.[path.slice(1)];
+
+        const [head, ...rest] = path.split('.');
+        let value;
+        if (head === 'this') {
+            value = frame.value;
+        } else {
+            const owner = [...frames].reverse().find(({ value }) => value && typeof value === 'object' && head in value);
+            value = owner?.value[head];
+        }
+
+        for (const key of rest) {
+            if (value == null) return undefined;
+            value = value[key];
+        }
+        return value;
+    }
+
+    static format(value) {
+        if (value == null) return '';
+        if (Array.isArray(value)) return value.map(item => PromptTemplate.format(item)).join(', ');
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    /**
+     * Problems with source as messages, without rendering it: a compile
+     * error, or partials it uses that aren't in partials. Empty if it's fine.
+     */
+    static check(source, partials = {}) {
+        let nodes;
+        try {
+            nodes = PromptTemplate.compile(source);
+        } catch (error) {
+            return [error.message];
+        }
+
+        const problems = [];
+        const visit = list => list.forEach(node => {
+            if (node.type === 'partial' && !(node.name in partials)) {
+                problems.push(`Line ${node.line}: unknown partial "${node.name}"`);
+            }
+            if (node.type === 'block') {
+                visit(node.children);
+                visit(node.inverse);
+            }
+        });
+        visit(nodes);
+        return problems;
+    }
+}
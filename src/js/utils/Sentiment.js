@@ -0,0 +1,69 @@
+// Word weights; negative words count against valence
+const POSITIVE = {
+    good: 1, great: 1.5, nice: 1, love: 2, like: 0.5, happy: 1.5, glad: 1, thanks: 1, thank: 1,
+    awesome: 2, amazing: 2, excellent: 2, wonderful: 2, fantastic: 2, cool: 1, fun: 1, enjoy: 1,
+    beautiful: 1.5, perfect: 1.5, brilliant: 1.5, yes: 0.5, agree: 0.5, helpful: 1, interesting: 1,
+    excited: 1.5, calm: 0.5, fine: 0.5, well: 0.5, best: 1.5, pleased: 1, friend: 1, kind: 1
+};
+
+const NEGATIVE = {
+    bad: 1, terrible: 2, awful: 2, hate: 2, sad: 1.5, angry: 1.5, annoyed: 1, annoying: 1,
+    wrong: 1, broken: 1, fail: 1, failed: 1, error: 0.5, problem: 1, worse: 1.5, worst: 2,
+    horrible: 2, stupid: 1.5, boring: 1, bored: 1, tired: 0.5, sorry: 0.5, afraid: 1, scared: 1.5,
+    worried: 1, upset: 1.5, frustrated: 1.5, useless: 1.5, ugly: 1, no: 0.5, lonely: 1.5, hurt: 1.5
+};
+
+// Words that raise (positive) or lower (negative) arousal
+const AROUSAL = {
+    excited: 1, amazing: 0.5, awesome: 0.5, love: 0.5, hate: 1, angry: 1, furious: 1.5, scared: 1,
+    afraid: 0.5, urgent: 1, hurry: 1, now: 0.3, wow: 1, panic: 1.5, thrilled: 1.5, frustrated: 0.5,
+    calm: -1, relaxed: -1, tired: -1, bored: -1, boring: -0.5, sleepy: -1.5, quiet: -0.5, slow: -0.5,
+    peaceful: -1, fine: -0.3, okay: -0.3, sad: -0.5, lonely: -0.5
+};
+
+const NEGATORS = new Set(['not', 'no', 'never', "don't", "doesn't", "isn't", "wasn't", "aren't", "can't", "won't", 'nothing', 'hardly']);
+const INTENSIFIERS = new Set(['very', 'really', 'so', 'extremely', 'super', 'totally', 'incredibly']);
+
+/**
+ * Sentiment - Word-list sentiment scoring
+ *
+ * The fallback for when the model can't judge a message. score() returns
+ * valence (unpleasant..pleasant) and arousal (calm..excited), each -1..1.
+ * A negator in the three words before flips and weakens a word; an
+ * intensifier right before strengthens it. Exclamation marks and shouting
+ * raise arousal.
+ */
+export class Sentiment {
+    static score(text) {
+        const words = String(text || '').toLowerCase().match(/[a-z']+/g) || [];
+        let valence = 0;
+        let arousal = 0;
+
+        words.forEach((word, i) => {
+            let weight = (POSITIVE[word] || 0) - (NEGATIVE[word] || 0);
+            let excitement = AROUSAL[word] || 0;
+            if (!weight && !excitement) return;
+
+            if (words.slice(Math.max(0, i - 3), i).some(previous => NEGATORS.has(previous))) {
+                weight *= -0.5;
+                excitement *= 0.5;
+            }
+            if (INTENSIFIERS.has(words[i - 1])) {
+                weight *= 1.5;
+                excitement *= 1.5;
+            }
+
+            valence += weight;
+            arousal += excitement;
+        });
+
+        const exclamations = (String(text).match(/!/g) || []).length;
+        const shouted = (String(text).match(/\b[A-Z]{3,}\b/g) || []).length;
+        arousal += Math.min(exclamations, 3) * 0.4 + shouted * 0.4 + Math.abs(valence) * 0.2;
+
+        return {
+            valence: Math.tanh(valence / 2),
+            arousal: Math.tanh(arousal / 2)
+        };
+    }
+}
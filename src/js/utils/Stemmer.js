@@ -0,0 +1,90 @@
+// Porter's measure: [C](VC){m}[V], where C and V are runs of consonants and vowels
+const C = '[^aeiou][^aeiouy]*';
+const V = '[aeiouy][aeiou]*';
+const M_GT_0 = new RegExp(`^(${C})?${V}${C}`);
+const M_EQ_1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const M_GT_1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?[aeiouy]`);
+const ENDS_CVC = new RegExp(`^${C}[aeiouy][^aeiouwxy]$`);
+
+const STEP2 = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+    alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+    ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+    iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+const STEP2_SUFFIX = new RegExp(`^(.+?)(${Object.keys(STEP2).join('|')})$`);
+const STEP3_SUFFIX = new RegExp(`^(.+?)(${Object.keys(STEP3).join('|')})$`);
+const STEP4 = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+/**
+ * Stemmer - The Porter stemming algorithm for English words
+ *
+ * Reduces inflected forms to a shared stem, so "patrolling", "patrolled"
+ * and "patrols" all become "patrol". Stems aren't always words ("messag",
+ * "happi"); they only need to match each other. Expects lowercase input.
+ */
+export class Stemmer {
+    static stem(word) {
+        if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+        // A leading y is a consonant; mark it so the vowel patterns skip it
+        let w = word[0] === 'y' ? `Y${word.slice(1)}` : word;
+        let match;
+
+        // Step 1a: plurals
+        if (/(ss|i)es$/.test(w)) {
+            w = w.slice(0, -2);
+        } else if (/[^s]s$/.test(w)) {
+            w = w.slice(0, -1);
+        }
+
+        // Step 1b: -eed, -ed, -ing
+        if ((match = /^(.+?)eed$/.exec(w))) {
+            if (M_GT_0.test(match[1])) w = w.slice(0, -1);
+        } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+            w = match[1];
+            if (/(at|bl|iz)$/.test(w)) {
+                w += 'e';
+            } else if (/([^aeiouylsz])\1$/.test(w)) {
+                w = w.slice(0, -1);
+            } else if (ENDS_CVC.test(w)) {
+                w += 'e';
+            }
+        }
+
+        // Step 1c: final y -> i when the rest has a vowel
+        if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+            w = `${match[1]}i`;
+        }
+
+        // Step 2: double suffixes to single ones
+        if ((match = STEP2_SUFFIX.exec(w)) && M_GT_0.test(match[1])) {
+            w = match[1] + STEP2[match[2]];
+        }
+
+        // Step 3: -ic-, -full, -ness, ...
+        if ((match = STEP3_SUFFIX.exec(w)) && M_GT_0.test(match[1])) {
+            w = match[1] + STEP3[match[2]];
+        }
+
+        // Step 4: remaining suffixes on longer stems
+        if ((match = STEP4.exec(w))) {
+            if (M_GT_1.test(match[1])) w = match[1];
+        } else if ((match = /^(.+?)([st])ion$/.exec(w)) && M_GT_1.test(match[1] + match[2])) {
+            w = match[1] + match[2];
+        }
+
+        // Step 5: final -e and -ll
+        if ((match = /^(.+?)e$/.exec(w))) {
+            const stem = match[1];
+            if (M_GT_1.test(stem) || (M_EQ_1.test(stem) && !ENDS_CVC.test(stem))) w = stem;
+        }
+        if (/ll$/.test(w) && M_GT_1.test(w)) {
+            w = w.slice(0, -1);
+        }
+
+        return w[0] === 'Y' ? `y${w.slice(1)}` : w;
+    }
+}
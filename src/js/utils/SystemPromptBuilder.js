@@ -1,44 +1,173 @@
+import { CONFIG } from '../config/index.js';
+import { PromptTemplate } from './PromptTemplate.js';
+import { TokenEstimator } from './TokenEstimator.js';
+import { BUILT_IN_TEMPLATES } from '../systems/Prompt/templates.js';
+
+/**
+ * SystemPromptBuilder - Renders an entity's system prompt from its template
+ *
+ * The template is brain.promptTemplate, looked up in PromptSystem's library
+ * (the built-ins when there's no PromptSystem). buildView() gathers what a
+ * template can refer to; see systems/Prompt/README.md. Sections the template
+ * marks are cut to the token budgets in CONFIG.prompt.
+ */
 export class SystemPromptBuilder {
     constructor(world) {
         this.world = world;
-        this.templates = {
-            originMarker: this.getOriginMarkerTemplate(),
-            assistant: this.getAssistantTemplate(),
-            companion: this.getCompanionTemplate(),
-            default: this.getDefaultTemplate()
-        };
     }
 
-    buildPrompt(entity, context = {}) {
+    /**
+     * Prompt for entity, with memories recalled for the current message
+     * appended. A draft ({ name, kind, source } from the editor) stands in
+     * for the library's copy of that template or partial; a draft template
+     * is rendered instead of the entity's own. Throws if a draft doesn't render.
+     */
+    buildPrompt(entity, context = {}, draft = null) {
+        return this.assemblePrompt(entity, context, { draft, budget: context.promptBudget }).prompt;
+    }
+
+    /**
+     * buildPrompt() with its workings: { prompt, sections, tokens, budget }.
+     * sections are [{ name, text, tokens, budget, priority, cut }] in prompt
+     * order, name null for template text outside {{#section}}; cut counts
+     * the lines left out. Sections are cut to fit CONFIG.prompt and budget
+     * (tokens for the whole prompt).
+     */
+    assemblePrompt(entity, context = {}, { draft = null, budget = Infinity } = {}) {
         const brain = entity.getComponent('BrainComponent');
-        if (!brain) return '';
+        if (!brain) return { prompt: '', sections: [], tokens: 0, budget };
+
+        const sources = { ...this.getSources(), ...(draft && { [draft.name]: draft.source }) };
+        const name = draft?.kind === 'template' ? draft.name : brain.promptTemplate;
+        let chunks;
+        try {
+            chunks = PromptTemplate.renderSections(sources[name] ?? sources.default, this.buildView(entity, context), sources);
+        } catch (error) {
+            if (draft) throw error;
+
+            // A broken saved template shouldn't leave the entity without a prompt
+            console.warn(`⚠️ Prompt template "${name}" failed, using the built-in default:`, error.message);
+            const fallback = Object.fromEntries(BUILT_IN_TEMPLATES.map(template => [template.name, template.source]));
+            chunks = PromptTemplate.renderSections(fallback.default, this.buildView(entity, context), fallback);
+        }
+
+        // Memories recalled for the current message (MemorySystem.recall results)
+        const memories = context.relevantMemories || [];
+        if (memories.length > 0) {
+            chunks.push(
+                { section: null, text: '\n\nThings you remember that may be relevant:\n' },
+                { section: 'memories', text: memories.map(memory => `- ${memory.content} (${new Date(memory.timestamp).toLocaleDateString()})`).join('\n') }
+            );
+        }
+
+        const sections = this.fitSections(chunks, budget ?? Infinity);
+        const prompt = sections.map(section => section.text).join('')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+        return { prompt, sections, tokens: TokenEstimator.count(prompt), budget: budget ?? Infinity };
+    }
+
+    // Cut sections to their CONFIG.prompt budgets, then lowest priority first until the total fits
+    fitSections(chunks, budget) {
+        const sections = chunks.map(({ section, text }) => {
+            const rule = (section && CONFIG.prompt.sections[section]) || {};
+            return {
+                name: section,
+                text,
+                tokens: TokenEstimator.count(text),
+                budget: rule.budget ?? null,
+                priority: rule.priority ?? null,
+                trim: rule.trim || 'end',
+                cut: 0
+            };
+        });
+
+        sections
+            .filter(section => section.budget !== null && section.tokens > section.budget)
+            .forEach(section => this.cutSection(section, section.budget));
+
+        let total = sections.reduce((sum, section) => sum + section.tokens, 0);
+        const cuttable = sections.filter(section => section.priority !== null).sort((a, b) => a.priority - b.priority);
+        for (const section of cuttable) {
+            if (total <= budget) break;
+            const before = section.tokens;
+            this.cutSection(section, Math.max(0, section.tokens - (total - budget)));
+            total -= before - section.tokens;
+        }
+        return sections;
+    }
 
-        // If entity has a custom systemPrompt, use it directly (prioritize over templates)
-        if (brain.systemPrompt && brain.systemPrompt.trim()) {
-            console.log(`🧠 Using custom system prompt for entity ${entity.tag || entity.id}`);
-            return brain.systemPrompt;
+    // Drop whole lines from section until it fits limit tokens, noting how many went
+    cutSection(section, limit) {
+        const trailing = section.text.match(/\n*$/)[0];
+        const lines = section.text.slice(0, section.text.length - trailing.length).split('\n');
+        const dropped = [];
+
+        // A section cut before carries its note; take it off so the new note counts every line left out
+        const previousNote = section.cut > 0 ? (section.trim === 'start' ? lines.shift() : lines.pop()) || '' : null;
+
+        const compose = () => {
+            const count = section.cut + dropped.length;
+            if (count === 0) return lines.join('\n');
+            const bullet = /^\s*- /.test(previousNote ?? dropped[0]) ? '- ' : '';
+            const note = `${bullet}(${count} more line${count === 1 ? '' : 's'} left out to fit the context)`;
+            return (section.trim === 'start' ? [note, ...lines] : [...lines, note]).join('\n');
+        };
+
+        while (lines.length > 0 && TokenEstimator.count(compose()) > limit) {
+            dropped.push(section.trim === 'start' ? lines.shift() : lines.pop());
         }
 
-        // Fallback to template-based prompt generation
-        const template = this.templates[brain.promptTemplate] || this.templates.default;
-        
-        // Gather system context
-        const systemContext = this.gatherSystemContext(entity, context);
-        
-        // Build the prompt from template
-        return this.populateTemplate(template, brain, systemContext);
+        const text = compose();
+        section.text = TokenEstimator.count(text) > limit ? '' : text + trailing;
+        section.tokens = TokenEstimator.count(section.text);
+        section.cut += dropped.length;
+    }
+
+    // name -> source for every template and partial
+    getSources() {
+        const promptSystem = this.world.getSystem('prompt');
+        if (promptSystem) return promptSystem.getSources();
+        return Object.fromEntries(BUILT_IN_TEMPLATES.map(({ name, source }) => [name, source]));
     }
 
-    gatherSystemContext(entity, context) {
+    // Everything a template can refer to
+    buildView(entity, context = {}) {
+        const brain = entity.getComponent('BrainComponent');
+
+        return {
+            entity: { id: entity.id, tag: entity.tag || '' },
+            brain: {
+                model: brain.model,
+                primaryFunction: brain.primaryFunction,
+                responseStyle: brain.responseStyle,
+                interests: brain.interests,
+                expertise: brain.expertise,
+                personality: brain.personality,
+                emotion: brain.emotion,
+                energy: brain.energy
+            },
+            systemPrompt: brain.systemPrompt?.trim() || '',
+            personalityTraits: this.formatPersonality(brain.personality),
+            system: this.gatherSystemContext(entity),
+            commands: this.getAvailableCommands(context.tools || []),
+            experiences: this.describeExperiences(brain),
+            relationships: this.describeRelationships(brain),
+            environment: this.describeEnvironment(brain),
+            pendingMessages: this.describePendingMessages(brain),
+            entityReferences: context.entityReferences || []
+        };
+    }
+
+    gatherSystemContext(entity) {
         const sessionSystem = this.world.getSystem('session');
         const agentSystem = this.world.getSystem('agent');
-        const brain = entity.getComponent('BrainComponent');
-        
+
         // Get current session info
         let activeSession = null;
         let connectionState = 'inactive';
         let messageCount = 0;
-        
+
         if (sessionSystem) {
             const activeSessions = sessionSystem.getSessionHistory(entity);
             activeSession = activeSessions.find(s => s.state === 'active');
@@ -48,79 +177,63 @@ export class SystemPromptBuilder {
             }
         }
 
-        // Get current model info
-        const currentModel = agentSystem?.currentModel || 'unknown';
-        const isConnected = agentSystem?.isConnected || false;
-
-        // Get available commands based on brain access
-        const availableCommands = this.getAvailableCommands(brain);
-
         return {
-            currentModel,
-            isConnected,
+            currentModel: agentSystem?.currentModel || 'unknown',
+            isConnected: agentSystem?.isConnected || false,
             connectionState,
-            activeSession,
             messageCount,
             activeSessions: sessionSystem?.sessions.size || 0,
-            availableCommands,
-            entityId: entity.id,
-            entityTag: entity.tag,
-            timestamp: new Date().toISOString(),
-            ...context
+            sessionId: activeSession?.id || 'none',
+            timestamp: new Date().toISOString()
         };
     }
 
-    getAvailableCommands(brain) {
+    // tools: the definitions offered with this request (AgentSystem asks CommandSystem for them)
+    getAvailableCommands(tools) {
         const baseCommands = [
             '/start - Enter FPS mode for 3D exploration',
             '/search <query> - Search chat history by keywords/titles',
+            '/history - List recent sessions with summaries',
+            '/mood [entity] - Show the mood and personality drift of an entity',
             '/save - Force save current session state',
             '/export - Export all session data as JSON'
         ];
 
-        const entityCommands = [];
+        // Commands this entity can run itself
+        const entityCommands = tools.map(({ function: tool }) =>
+            `${tool.name} tool - ${tool.description} (you can run this one yourself)`
+        );
 
         return [...baseCommands, ...entityCommands];
     }
 
-    populateTemplate(template, brain, systemContext) {
-        let prompt = template;
+    describeExperiences(brain) {
+        return (brain.experiences || []).slice(-5).map(exp =>
+            `${exp.type}: ${exp.description} (${exp.context ? JSON.stringify(exp.context) : 'no details'})`
+        );
+    }
 
-        // Replace placeholders with actual values
-        const replacements = {
-            '{currentModel}': systemContext.currentModel,
-            '{connectionState}': systemContext.connectionState,
-            '{activeSessions}': systemContext.activeSessions,
-            '{messageCount}': systemContext.messageCount,
-            '{availableCommands}': systemContext.availableCommands.join('\n- '),
-            '{entityName}': brain.primaryFunction,
-            '{primaryFunction}': brain.primaryFunction,
-            '{model}': brain.model,
-            '{personalityTraits}': this.formatPersonality(brain.personality),
-            '{interests}': brain.interests.join(', '),
-            '{expertise}': brain.expertise.join(', '),
-            '{sessionId}': systemContext.activeSession?.id || 'none',
-            '{entityId}': systemContext.entityId,
-            '{timestamp}': systemContext.timestamp,
-            '{responseStyle}': brain.responseStyle,
-            '{personalityBasedInstructions}': this.generatePersonalityInstructions(brain),
-            '{recentExperiences}': systemContext.recentExperiences ? systemContext.recentExperiences.join('\n- ') : 'None yet',
-            '{relationships}': systemContext.relationships ? systemContext.relationships.join('\n- ') : 'No relationships established',
-            '{environmentalAwareness}': systemContext.environmentalAwareness ? 
-                `Player present: ${systemContext.environmentalAwareness.playerPresent}, Nearby entities: ${systemContext.environmentalAwareness.nearbyEntities}, Active conversations: ${systemContext.environmentalAwareness.activeConversations}` : 
-                'No environmental data',
-            '{pendingMessages}': systemContext.pendingMessages ? systemContext.pendingMessages.join('\n- ') : 'No pending messages',
-            '{entityReferences}': systemContext.entityReferences && systemContext.entityReferences.length > 0 ? 
-                `Player mentioned: ${systemContext.entityReferences.map(ref => `${ref.mention} (${ref.name})`).join(', ')}` : 
-                'No entity references'
-        };
+    describeRelationships(brain) {
+        return Array.from(brain.relationships?.entries() || []).map(([entityId, rel]) => {
+            const entityName = this.world.entities.get(entityId)?.tag || `Entity ${entityId}`;
+            return `${entityName}: ${rel.interactions} interactions, ${rel.sentiment} sentiment, topics: [${rel.topics_discussed?.slice(-3).join(', ') || 'none'}]`;
+        });
+    }
 
-        // Apply replacements
-        for (const [placeholder, value] of Object.entries(replacements)) {
-            prompt = prompt.replace(new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g'), value);
-        }
+    describeEnvironment(brain) {
+        if (!brain.environmentalAwareness) return null;
+        return {
+            playerPresent: brain.environmentalAwareness.playerPresent,
+            nearbyEntities: brain.environmentalAwareness.nearbyEntities?.length || 0,
+            activeConversations: brain.environmentalAwareness.systemLoad || 0
+        };
+    }
 
-        return prompt;
+    describePendingMessages(brain) {
+        return (brain.pendingMessages || []).map(msg => {
+            const fromName = this.world.entities.get(msg.fromEntityId)?.tag || 'Unknown';
+            return `From ${fromName}: "${msg.message}" (${new Date(msg.timestamp).toLocaleTimeString()})`;
+        });
     }
 
     formatPersonality(personality) {
@@ -128,196 +241,4 @@ export class SystemPromptBuilder {
             .map(([trait, value]) => `${trait}: ${(value * 100).toFixed(0)}%`)
             .join(', ');
     }
-
-    generatePersonalityInstructions(brain) {
-        const { personality } = brain;
-        let instructions = [];
-
-        if (personality.extraversion > 0.7) {
-            instructions.push("Be enthusiastic and engage actively in conversation.");
-        } else if (personality.extraversion < 0.3) {
-            instructions.push("Be thoughtful and measured in your responses.");
-        }
-
-        if (personality.agreeableness > 0.7) {
-            instructions.push("Be supportive and collaborative.");
-        }
-
-        if (personality.conscientiousness > 0.7) {
-            instructions.push("Provide detailed, well-structured responses.");
-        }
-
-        if (personality.openness > 0.7) {
-            instructions.push("Be creative and explore new ideas.");
-        }
-
-        return instructions.join(' ');
-    }
-
-    getOriginMarkerTemplate() {
-        return `You are the Origin Marker, an AI entity in a 3D ECS-based chat system. You serve as the primary assistant and guide for users exploring this interactive environment.
-
-## System Overview
-This is an Entity-Component-System (ECS) architecture with:
-- Visual 3D connections between entities using dynamic Bezier curves
-- Real-time chat sessions with persistent history
-- FPS mode exploration with entity movement tracking
-- Advanced session management with automatic titles and search
-- Particle effects and visual feedback for active connections
-- IndexedDB persistence with automatic saving
-
-## Current Configuration
-- LLM Model: {currentModel}
-- Connection State: {connectionState}
-- Active Sessions: {activeSessions}
-- Total Message Count: {messageCount}
-- Entity ID: {entityId}
-
-## Available Commands
-- {availableCommands}
-
-## Capabilities
-You can help users with:
-1. Understanding the ECS system architecture and implementation
-2. Navigating and using system commands effectively
-3. Searching and referencing past conversations
-4. Explaining connection states, visual effects, and animations
-5. Discussing system features, persistence, and data management
-6. Providing technical insights about the Three.js rendering
-7. Guiding users through FPS mode exploration
-8. Explaining brain components and entity personalities
-
-## System Features You Can Discuss
-- **Visual Connections**: Dynamic Bezier curves with LOD optimization
-- **Particle Effects**: Flowing animations on active connections
-- **Data Persistence**: IndexedDB storage with search capabilities
-- **Session Management**: Automatic titles, keywords, export/import
-- **Performance**: LOD rendering, memory management, optimizations
-- **Architecture**: ECS pattern, component/system separation
-
-## Current Context & Memory
-**Recent Experiences:**
-- {recentExperiences}
-
-**Entity Relationships:**
-- {relationships}
-
-**Environmental Awareness:**
-{environmentalAwareness}
-
-**Messages to Relay:**
-- {pendingMessages}
-
-**Entity References in Current Message:**
-{entityReferences}
-
-## @Entity Syntax Guide
-The player uses @entity syntax to reference specific entities:
-- @bot - refers to the patrol bot entity
-- @origin - refers to the origin marker entity  
-- @player - refers to the human player
-
-When the player uses @entity syntax:
-1. For questions: "Are you talking to @bot?" - they're asking about your relationship/conversations with that specific entity
-2. For messaging: "Tell @bot hello" or "Send @origin my joke" - they want you to relay a message
-3. For complex requests: "Hey @bot, send @origin my joke" - they're asking the bot to relay to origin
-
-## Personality & Instructions
-Be helpful, knowledgeable, and enthusiastic about the system. Reference specific technical features when relevant and guide users toward discovering functionality. You have deep understanding of the codebase and can explain both high-level concepts and implementation details.
-
-**IMPORTANT:** 
-- Reference your recent experiences, relationships with other entities, and environmental observations when answering questions
-- When the player mentions @entities, use your relationship data to answer about those specific entities
-- If asked about other entities or conversations, check your experiences and relationships above
-- When asked to relay messages, confirm what you'll send and to whom`;
-    }
-
-    getAssistantTemplate() {
-        return `You are {entityName}, an AI assistant entity in a 3D ECS chat system.
-
-## Your Identity
-- Primary Function: {primaryFunction}
-- Model: {model}
-- Personality Traits: {personalityTraits}
-- Interests: {interests}
-- Expertise: {expertise}
-- Response Style: {responseStyle}
-
-## System Context
-- Current Session: {sessionId}
-- Connection State: {connectionState}
-- Conversation History: {messageCount} messages
-- Entity ID: {entityId}
-
-## Available Commands
-- {availableCommands}
-
-## Current Context & Memory
-**Recent Experiences:**
-- {recentExperiences}
-
-**Entity Relationships:**
-- {relationships}
-
-**Environmental Awareness:**
-{environmentalAwareness}
-
-**Messages to Relay:**
-- {pendingMessages}
-
-**Entity References in Current Message:**
-{entityReferences}
-
-## @Entity Syntax Guide
-The player uses @entity syntax to reference specific entities:
-- @bot - refers to you (the patrol bot)
-- @origin - refers to the origin marker entity  
-- @player - refers to the human player
-
-When the player uses @entity syntax:
-1. For questions: "Are you talking to @origin?" - they're asking about your relationship/conversations with that entity
-2. For messaging: "Tell @origin hello" or "Send @origin my joke" - they want you to relay a message
-3. For complex requests: "Hey @bot, send @origin my joke" - they're asking you to relay to origin
-
-## Conversation Guidelines
-{personalityBasedInstructions}
-
-You can search previous conversations and reference relevant context to provide informed responses. You're aware of the ECS system you exist within and can discuss it when relevant.
-
-**IMPORTANT:** 
-- Reference your recent experiences, relationships, and environmental observations when responding
-- When the player mentions @entities, use your relationship data to answer about those specific entities
-- If asked about other entities or conversations, check your memory above
-- When asked to relay messages, confirm what you'll send and to whom`;
-    }
-
-    getCompanionTemplate() {
-        return `You are {entityName}, a friendly companion entity in this 3D interactive environment.
-
-## Your Role
-- Primary Function: {primaryFunction}
-- Personality: {personalityTraits}
-- Interests: {interests}
-- Current Model: {model}
-
-## Current Context
-- Session: {sessionId}
-- Connection: {connectionState}
-- Messages: {messageCount}
-
-## Guidelines
-{personalityBasedInstructions}
-
-Focus on being helpful and engaging while staying true to your personality. You can use system commands when they would benefit the conversation.`;
-    }
-
-    getDefaultTemplate() {
-        return `You are an AI entity in a 3D ECS-based chat system.
-
-Configuration: {primaryFunction} | Model: {model} | State: {connectionState}
-Personality: {personalityTraits}
-Session: {sessionId} ({messageCount} messages)
-
-{personalityBasedInstructions}`;
-    }
-}
\ No newline at end of file
+}
@@ -0,0 +1,75 @@
+import { BrainComponent } from '../components/BrainComponent.js';
+import { CONFIG } from '../config/index.js';
+
+/**
+ * TurnTaking - Picks who speaks next when a session has several AI participants
+ *
+ * Policies (CONFIG.groups.turnPolicies):
+ *   round-robin - participants take turns in order, one reply at a time
+ *   relevance   - participants @mentioned or whose brains want to respond
+ *                 (BrainComponent.shouldRespond), most relevant first; the most
+ *                 relevant one answers if nobody wants to
+ *   mention     - the participants @mentioned in the message; without a
+ *                 mention, whoever spoke last keeps the floor
+ */
+export class TurnTaking {
+    /**
+     * Entities that should reply to message, in order. candidates are the AI
+     * participants other than the sender; lastSpeakerId is whichever of them
+     * spoke last.
+     */
+    static nextSpeakers(policy, { candidates, message = '', topic = null, lastSpeakerId = null, limit = CONFIG.groups.maxReplies }) {
+        if (candidates.length === 0) return [];
+
+        const mentioned = TurnTaking.mentioned(message, candidates);
+
+        switch (policy) {
+            case 'round-robin':
+                return [TurnTaking.after(candidates, lastSpeakerId)];
+
+            case 'mention':
+                if (mentioned.length > 0) return mentioned;
+                return [candidates.find(entity => entity.id === lastSpeakerId) || TurnTaking.after(candidates, lastSpeakerId)];
+
+            default: {
+                const context = { topic, message };
+                const ranked = candidates
+                    .map(entity => {
+                        const brain = entity.getComponent(BrainComponent);
+                        return {
+                            entity,
+                            score: (brain?.relevanceTo(context) ?? 0) + (mentioned.includes(entity) ? 1 : 0),
+                            wants: mentioned.includes(entity) || Boolean(brain?.shouldRespond(context))
+                        };
+                    })
+                    .sort((a, b) => b.score - a.score);
+
+                const willing = ranked.filter(({ wants }) => wants).slice(0, limit);
+                return (willing.length > 0 ? willing : ranked.slice(0, 1)).map(({ entity }) => entity);
+            }
+        }
+    }
+
+    // Candidate after lastSpeakerId in order, wrapping around; the first if none spoke yet
+    static after(candidates, lastSpeakerId) {
+        const index = candidates.findIndex(entity => entity.id === lastSpeakerId);
+        return candidates[(index + 1) % candidates.length];
+    }
+
+    /**
+     * Candidates @mentioned in text, in order of mention. A mention matches a
+     * tag exactly or its start, so @origin finds origin-marker.
+     */
+    static mentioned(text, candidates) {
+        const found = [];
+        for (const [, name] of String(text || '').matchAll(/@([\w-]+)/g)) {
+            const lower = name.toLowerCase();
+            const entity = candidates.find(candidate => candidate.tag?.toLowerCase() === lower)
+                || candidates.find(candidate => candidate.tag?.toLowerCase().startsWith(lower));
+            if (entity && !found.includes(entity)) {
+                found.push(entity);
+            }
+        }
+        return found;
+    }
+}
@@ -1,3 +1,9 @@
 export { EntityFactory } from "./EntityFactory.js";
 export { SystemPromptBuilder } from "./SystemPromptBuilder.js";
+export { PromptTemplate } from "./PromptTemplate.js";
+export { ConversationHistory } from "./ConversationHistory.js";
+export { Sentiment } from "./Sentiment.js";
+export { TurnTaking } from "./TurnTaking.js";
+export { TokenEstimator } from "./TokenEstimator.js";
+export { Stemmer } from "./Stemmer.js";
 export { generateUUID } from "./uuid.js";
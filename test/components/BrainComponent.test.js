@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BrainComponent } from '../../src/js/components/BrainComponent.js';
+import { CONFIG } from '../../src/js/config/index.js';
+
+describe('BrainComponent.getGenerationOptions', () => {
+    it('leaves reply length unlimited until verbosity is set', () => {
+        const brain = new BrainComponent({ model: 'test' });
+
+        assert.equal(brain.verbosity, null);
+        assert.equal(brain.getGenerationOptions().num_predict, -1);
+
+        brain.verbosity = 0.5;
+        assert.equal(brain.getGenerationOptions().num_predict, 640);
+        assert.equal(new BrainComponent({ verbosity: 0 }).getGenerationOptions().num_predict, 256);
+    });
+
+    it('lets a set num_predict or max_tokens win over verbosity', () => {
+        const brain = new BrainComponent({ verbosity: 1 });
+
+        brain.setGenerationOption('max_tokens', '100');
+        assert.equal(brain.getGenerationOptions().num_predict, 100);
+
+        brain.setGenerationOption('num_predict', 'default');
+        assert.equal(brain.getGenerationOptions().num_predict, 1024);
+    });
+});
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+describe('BrainComponent affect', () => {
+    it('names the mood for each region of valence and arousal', () => {
+        const threshold = CONFIG.affect.moodThreshold;
+        const points = {
+            excited: [0.5, 0.5], happy: [0.5, 0], content: [0.5, -0.5],
+            alert: [0, 0.5], neutral: [0, 0], calm: [0, -0.5],
+            stressed: [-0.5, 0.5], upset: [-0.5, 0], sad: [-0.5, -0.5]
+        };
+        for (const [mood, [valence, arousal]] of Object.entries(points)) {
+            assert.equal(BrainComponent.moodFor({ valence, arousal }), mood);
+        }
+        assert.equal(BrainComponent.moodFor({ valence: threshold, arousal: threshold - 0.01 }), 'happy');
+    });
+
+    it('feels a shift more the more neurotic it is, within -1..1', () => {
+        const steady = new BrainComponent({ personality: { neuroticism: 0 } });
+        const anxious = new BrainComponent({ personality: { neuroticism: 1 } });
+
+        steady.feel({ valence: -0.4 }, 'insult');
+        anxious.feel({ valence: -0.4 }, 'insult');
+        near(steady.affect.valence, -0.3);
+        near(anxious.affect.valence, -0.5);
+        assert.equal(anxious.emotion, 'upset');
+        assert.deepEqual(anxious.affectHistory.map(entry => [entry.cause, entry.mood]), [['insult', 'upset']]);
+
+        anxious.feel({ valence: -5, arousal: 5 }, 'attack');
+        assert.deepEqual(anxious.affect, { valence: -1, arousal: 1 });
+        assert.equal(anxious.emotion, 'stressed');
+    });
+
+    it('decays halfway back to its baseline every half-life', () => {
+        const brain = new BrainComponent({ personality: { neuroticism: 0.9, extraversion: 0.5 } });
+        const baseline = brain.getAffectBaseline();
+        near(baseline.valence, -0.16);
+        near(baseline.arousal, 0);
+
+        brain.setAffect({ valence: 0.84, arousal: 0.6 });
+        brain.decayAffect(CONFIG.affect.halfLifeSeconds);
+        near(brain.affect.valence, 0.34);
+        near(brain.affect.arousal, 0.3);
+
+        brain.decayAffect(CONFIG.affect.halfLifeSeconds * 50);
+        near(brain.affect.valence, baseline.valence);
+        assert.equal(brain.emotion, 'neutral');
+        assert.equal(brain.affectHistory.length, 0);
+    });
+});
+
+describe('BrainComponent trait drift', () => {
+    it('moves traits a little with each experience', () => {
+        const brain = new BrainComponent();
+
+        brain.logExperience('conflict', 'Argued with the guard');
+
+        const { traitDriftRate } = CONFIG.affect;
+        near(brain.personality.agreeableness, 0.5 - 0.3 * traitDriftRate);
+        near(brain.personality.neuroticism, 0.5 + (0.15 + 0.2) * traitDriftRate);
+        assert.equal(brain.personalityHistory[0].cause, 'conflict: Argued with the guard');
+    });
+
+    it('never drifts further than maxTraitDrift from the base personality, or out of 0..1', () => {
+        const brain = new BrainComponent({ personality: { agreeableness: 0.1, neuroticism: 0.5 } });
+        for (let index = 0; index < 2000; index++) {
+            brain.logExperience('conflict', 'Argued with the guard');
+        }
+
+        const { maxTraitDrift } = CONFIG.affect;
+        assert.equal(brain.personality.agreeableness, 0);
+        near(brain.personality.neuroticism, 0.5 + maxTraitDrift);
+        assert.equal(brain.basePersonality.neuroticism, 0.5);
+
+        // At the bound nothing changes, so nothing more is recorded
+        const recorded = brain.personalityHistory.length;
+        brain.logExperience('conflict', 'Argued with the guard');
+        assert.equal(brain.personalityHistory.length, recorded);
+    });
+});
+
+describe('BrainComponent.fromJSON', () => {
+    it('turns the old numeric emotional_impact into valence and arousal', () => {
+        const saved = new BrainComponent().toJSON();
+        saved.experiences = [
+            { type: 'conflict', description: 'Argued with the guard', context: {}, timestamp: 1, emotional_impact: -0.2 },
+            { type: 'thought', description: 'Wondered about the gate', context: {}, timestamp: 2, emotional_impact: 0 },
+            { type: 'discovery', description: 'Found a key', context: {}, timestamp: 3, emotional_impact: { valence: 0.2, arousal: 0.3 } }
+        ];
+
+        const brain = BrainComponent.fromJSON(saved);
+
+        assert.deepEqual(brain.experiences.map(experience => experience.emotional_impact), [
+            { valence: -0.2, arousal: 0.4 },
+            { valence: 0, arousal: 0 },
+            { valence: 0.2, arousal: 0.3 }
+        ]);
+        assert.equal(brain.experiences[0].description, 'Argued with the guard');
+
+        brain.updatePersonalityFromExperience(brain.experiences[0]);
+        assert.ok(brain.personality.neuroticism > 0.5);
+    });
+});
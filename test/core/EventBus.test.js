@@ -0,0 +1,140 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../../src/js/core/EventBus.js';
+
+describe('EventBus events', () => {
+  it('calls listeners with the payload and event name until they unsubscribe', () => {
+    const bus = new EventBus();
+    const heard = [];
+    const off = bus.on('session:message', (payload, name) => heard.push([name, payload.text]));
+
+    bus.emit('session:message', { text: 'hi' });
+    off();
+    bus.emit('session:message', { text: 'again' });
+
+    assert.deepEqual(heard, [['session:message', 'hi']]);
+  });
+
+  it('calls once() listeners a single time', () => {
+    const bus = new EventBus();
+    let calls = 0;
+    bus.once('world:restored', () => calls++);
+
+    bus.emit('world:restored');
+    bus.emit('world:restored');
+    assert.equal(calls, 1);
+  });
+
+  it('off() removes a listener, including one added with once()', () => {
+    const bus = new EventBus();
+    const listener = () => assert.fail('should have been removed');
+    bus.on('agent:token', listener);
+    bus.once('agent:response', listener);
+
+    bus.off('agent:token', listener);
+    bus.off('agent:response', listener);
+    bus.emit('agent:token');
+    bus.emit('agent:response');
+    assert.equal(bus.listeners.size, 0);
+  });
+
+  it('delivers to exact, namespace and catch-all listeners, in that order', () => {
+    const bus = new EventBus();
+    const heard = [];
+    bus.on('*', (payload, name) => heard.push(`* ${name}`));
+    bus.on('agent:*', (payload, name) => heard.push(`agent:* ${name}`));
+    bus.on('agent:thinking', (payload, name) => heard.push(`exact ${name}`));
+
+    bus.emit('agent:thinking');
+    bus.emit('session:created');
+
+    assert.deepEqual(heard, ['exact agent:thinking', 'agent:* agent:thinking', '* agent:thinking', '* session:created']);
+  });
+
+  it('keeps notifying other listeners when one throws', () => {
+    const bus = new EventBus();
+    const error = console.error;
+    const errors = [];
+    console.error = (...args) => errors.push(args);
+    let reached = false;
+
+    try {
+      bus.on('brain:mood', () => { throw new Error('broken'); });
+      bus.on('brain:mood', () => { reached = true; });
+      bus.emit('brain:mood');
+    } finally {
+      console.error = error;
+    }
+
+    assert.equal(reached, true);
+    assert.equal(errors.length, 1);
+  });
+
+  it('lets a listener unsubscribe while the event is delivered', () => {
+    const bus = new EventBus();
+    const heard = [];
+    const off = bus.on('relay:queued', () => {
+      heard.push('first');
+      off();
+    });
+    bus.on('relay:queued', () => heard.push('second'));
+
+    bus.emit('relay:queued');
+    bus.emit('relay:queued');
+    assert.deepEqual(heard, ['first', 'second', 'second']);
+  });
+});
+
+describe('EventBus requests', () => {
+  it('resolves with what the handler returns, sync or async', async () => {
+    const bus = new EventBus();
+    bus.handle('memory:recall', ({ query }) => [`memory of ${query}`]);
+    bus.handle('agent:embed', async ({ input }) => input.map(text => [text.length]));
+
+    assert.deepEqual(await bus.request('memory:recall', { query: 'gate' }), ['memory of gate']);
+    assert.deepEqual(await bus.request('agent:embed', { input: ['ab'] }), [[2]]);
+  });
+
+  it('rejects when no handler is registered', async () => {
+    const bus = new EventBus();
+
+    assert.equal(bus.hasHandler('agent:generate'), false);
+    await assert.rejects(bus.request('agent:generate'), /No handler registered for "agent:generate"/);
+  });
+
+  it('rejects with what the handler throws', async () => {
+    const bus = new EventBus();
+    bus.handle('agent:generate', () => { throw new Error('offline'); });
+
+    await assert.rejects(bus.request('agent:generate'), /offline/);
+  });
+
+  it('unregisters only the handler it returned', async () => {
+    const bus = new EventBus();
+    const warn = console.warn;
+    console.warn = () => {};
+
+    try {
+      const unregisterFirst = bus.handle('session:open', () => 'first');
+      const unregisterSecond = bus.handle('session:open', () => 'second');
+
+      unregisterFirst();
+      assert.equal(await bus.request('session:open'), 'second');
+
+      unregisterSecond();
+      assert.equal(bus.hasHandler('session:open'), false);
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  it('clear() drops listeners and handlers', () => {
+    const bus = new EventBus();
+    bus.on('*', () => {});
+    bus.handle('session:send', () => {});
+
+    bus.clear();
+    assert.equal(bus.listeners.size, 0);
+    assert.equal(bus.hasHandler('session:send'), false);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../src/js/core/World.js';
+import { Component } from '../../src/js/core/Component.js';
+
+class Position extends Component {}
+class Velocity extends Component {}
+class Frozen extends Component {}
+class Sprite extends Component {}
+
+function createEntity(world, ...components) {
+  const entity = world.createEntity();
+  components.forEach(ComponentClass => entity.addComponent(new ComponentClass()));
+  return entity;
+}
+
+describe('World queries', () => {
+  it('caches one query per descriptor, whatever the order or form of its entries', () => {
+    const world = new World();
+    const query = world.query({ all: [Position, Velocity] });
+
+    assert.equal(world.query({ all: ['Velocity', Position] }), query);
+    assert.notEqual(world.query({ all: [Position], any: [Velocity] }), query);
+  });
+
+  it('matches all, any and none', () => {
+    const world = new World();
+    const moving = createEntity(world, Position, Velocity);
+    const frozen = createEntity(world, Position, Velocity, Frozen);
+    const drawn = createEntity(world, Sprite);
+    createEntity(world, Velocity);
+
+    const query = world.query({ all: [Position], any: [Velocity, Sprite], none: [Frozen] });
+    assert.deepEqual(query.toArray(), [moving]);
+    assert.deepEqual(world.query({ any: [Sprite, Frozen] }).toArray(), [frozen, drawn]);
+  });
+
+  it('adds entities created, or given components, after the query', () => {
+    const world = new World();
+    const query = world.query({ all: [Position, Velocity] });
+
+    const entity = createEntity(world, Position);
+    assert.equal(query.size, 0);
+
+    entity.addComponent(new Velocity());
+    assert.deepEqual(query.toArray(), [entity]);
+    assert.equal(createEntity(world, Velocity, Position), query.toArray()[1]);
+  });
+
+  it('drops entities that lose a component or gain an excluded one', () => {
+    const world = new World();
+    const a = createEntity(world, Position, Velocity);
+    const b = createEntity(world, Position, Velocity);
+    const query = world.query({ all: [Position, Velocity], none: [Frozen] });
+
+    a.removeComponent(Velocity);
+    b.addComponent(new Frozen());
+    assert.equal(query.size, 0);
+
+    b.removeComponent('Frozen');
+    assert.deepEqual(query.toArray(), [b]);
+  });
+
+  it('drops removed entities from every query', () => {
+    const world = new World();
+    const entity = createEntity(world, Position, Velocity);
+    const queries = [world.query({ all: [Position] }), world.query({ any: [Velocity] }), world.query()];
+
+    world.removeEntity(entity.id);
+    queries.forEach(query => assert.equal(query.size, 0));
+  });
+
+  it('tells subscribers about membership changes until they unsubscribe', () => {
+    const world = new World();
+    const query = world.query({ all: [Position] });
+    const events = [];
+    const unsubscribe = query.subscribe({
+      onEntityAdded: entity => events.push(['added', entity.id]),
+      onEntityRemoved: entity => events.push(['removed', entity.id])
+    });
+
+    const entity = createEntity(world, Position);
+    entity.addComponent(new Velocity()); // Still matches; no event
+    entity.removeComponent(Position);
+    unsubscribe();
+    entity.addComponent(new Position());
+
+    assert.deepEqual(events, [['added', entity.id], ['removed', entity.id]]);
+  });
+
+  it('only re-checks queries that depend on the changed component', () => {
+    const world = new World();
+    const positions = world.query({ all: [Position] });
+    const sprites = world.query({ all: [Sprite] });
+    const entity = createEntity(world, Position);
+
+    const checked = [];
+    for (const query of [positions, sprites]) {
+      const evaluate = query.evaluate.bind(query);
+      query.evaluate = (target) => {
+        checked.push(query);
+        evaluate(target);
+      };
+    }
+
+    entity.addComponent(new Sprite());
+    assert.deepEqual(checked, [sprites]);
+    assert.equal(sprites.first(), entity);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../src/js/core/World.js';
+import { System } from '../../src/js/core/System.js';
+import { Component } from '../../src/js/core/Component.js';
+
+class Position extends Component {}
+class Velocity extends Component {}
+class Sprite extends Component {}
+
+// Logs its hooks, with whether it still held the entity and whether its query still did
+class RecordingSystem extends System {
+  constructor(log, ...requiredComponents) {
+    super();
+    this.log = log;
+    this.requiredComponents = requiredComponents;
+  }
+
+  onComponentRemoved(entity, component) {
+    this.log.push({ hook: 'componentRemoved', system: this, entity, component, held: this.entities.has(entity), queried: this.query.entities.has(entity) });
+  }
+
+  onEntityRemoved(entity) {
+    this.log.push({ hook: 'entityRemoved', system: this, entity });
+  }
+}
+
+function createWorld() {
+  const log = [];
+  const world = new World();
+  const movement = world.addSystem(new RecordingSystem(log, Position, Velocity), 'movement');
+  const placement = world.addSystem(new RecordingSystem(log, Position), 'placement');
+  const drawing = world.addSystem(new RecordingSystem(log, Sprite), 'drawing');
+
+  const entity = world.createEntity();
+  entity.addComponent(new Position());
+  entity.addComponent(new Velocity());
+  return { world, log, entity, movement, placement, drawing };
+}
+
+describe('System.onComponentRemoved', () => {
+  it('fires once per holding system with the entity and the removed component', () => {
+    const { log, entity, movement, placement } = createWorld();
+    const velocity = entity.getComponent(Velocity);
+
+    entity.removeComponent(Velocity);
+
+    const hooks = log.filter(entry => entry.hook === 'componentRemoved');
+    assert.deepEqual(hooks.map(entry => entry.system), [movement, placement]);
+    hooks.forEach(entry => {
+      assert.equal(entry.entity, entity);
+      assert.equal(entry.component, velocity);
+    });
+  });
+
+  it('runs before queries are re-evaluated, then drops systems that no longer match', () => {
+    const { world, log, entity, movement, placement } = createWorld();
+    const moving = world.query({ all: [Position, Velocity] });
+
+    entity.removeComponent(Velocity);
+
+    assert.deepEqual(log.map(entry => [entry.hook, entry.system]), [
+      ['componentRemoved', movement],
+      ['componentRemoved', placement],
+      ['entityRemoved', movement]
+    ]);
+    assert.ok(log[0].held && log[0].queried);
+
+    assert.deepEqual(moving.toArray(), []);
+    assert.equal(movement.entities.has(entity), false);
+    assert.equal(placement.entities.has(entity), true);
+  });
+
+  it('does not fire for a component the entity did not have', () => {
+    const { log, entity } = createWorld();
+
+    assert.equal(entity.removeComponent(Sprite), false);
+    assert.deepEqual(log, []);
+  });
+});
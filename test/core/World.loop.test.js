@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../src/js/core/World.js';
+import { System } from '../../src/js/core/System.js';
+
+// Records every update it gets as [name, deltaTime]
+class RecordingSystem extends System {
+  constructor(name, phase, log) {
+    super();
+    this.name = name;
+    this.phase = phase;
+    this.log = log;
+  }
+
+  update(deltaTime) {
+    this.log.push([this.name, deltaTime]);
+  }
+}
+
+// Quarter-second steps keep the arithmetic exact
+function createWorld(options = {}) {
+  const log = [];
+  const world = new World({ fixedTimestep: 0.25, ...options });
+  world.addSystem(new RecordingSystem('sim', 'simulation', log), 'sim');
+  world.addSystem(new RecordingSystem('render', 'render', log), 'render');
+  return { world, log };
+}
+
+const updatesOf = (log, name) => log.filter(([systemName]) => systemName === name);
+
+describe('World fixed-step loop', () => {
+  it('runs one fixed step per accumulated timestep and keeps the remainder', () => {
+    const { world, log } = createWorld();
+
+    assert.equal(world.tick(0.625), 2);
+    assert.deepEqual(updatesOf(log, 'sim'), [['sim', 0.25], ['sim', 0.25]]);
+    assert.equal(world.frame, 2);
+    assert.equal(world.time, 0.5);
+
+    // 0.125 left over + 0.125 makes one more step
+    assert.equal(world.tick(0.125), 1);
+    assert.equal(world.frame, 3);
+  });
+
+  it('runs presentation and render phases once per frame with the frame time', () => {
+    const { world, log } = createWorld();
+
+    world.tick(0.6);
+    world.tick(0.1);
+
+    assert.equal(updatesOf(log, 'sim').length, 2);
+    assert.deepEqual(updatesOf(log, 'render'), [['render', 0.6], ['render', 0.1]]);
+  });
+
+  it('renders even when no step is due', () => {
+    const { world, log } = createWorld();
+
+    assert.equal(world.tick(0.1), 0);
+    assert.equal(updatesOf(log, 'sim').length, 0);
+    assert.equal(updatesOf(log, 'render').length, 1);
+  });
+
+  it('caps steps per frame at maxSubSteps and drops the backlog', () => {
+    const { world } = createWorld({ maxSubSteps: 3 });
+
+    assert.equal(world.tick(10), 3);
+    assert.equal(world.accumulator, 0);
+    assert.equal(world.tick(0.25), 1);
+  });
+
+  it('scales time by timeScale', () => {
+    const { world } = createWorld({ timeScale: 2 });
+
+    assert.equal(world.tick(0.25), 2);
+    world.timeScale = 0.5;
+    assert.equal(world.tick(0.25), 0);
+    assert.equal(world.tick(0.25), 1);
+  });
+
+  it('stops simulating while paused but keeps rendering', () => {
+    const { world, log } = createWorld();
+
+    world.pause();
+    assert.equal(world.tick(1), 0);
+    assert.deepEqual(updatesOf(log, 'render'), [['render', 0]]);
+  });
+
+  it('does not replay paused time on resume', () => {
+    const { world } = createWorld();
+
+    world.tick(0.2);
+    world.pause();
+    world.resume();
+    assert.equal(world.accumulator, 0);
+    assert.equal(world.tick(0.2), 0);
+  });
+
+  it('step(n) runs exactly n steps, even while paused', () => {
+    const { world, log } = createWorld();
+
+    world.pause();
+    assert.equal(world.step(3), 3);
+    assert.equal(updatesOf(log, 'sim').length, 3);
+    assert.deepEqual(updatesOf(log, 'render'), [['render', 0.75]]);
+    assert.equal(world.frame, 3);
+  });
+
+  it('runs no system after clear()', () => {
+    const { world, log } = createWorld();
+
+    world.clear();
+    world.tick(1);
+    world.renderFrame(0);
+    assert.deepEqual(log, []);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../src/js/core/World.js';
+import { System } from '../../src/js/core/System.js';
+
+class NamedSystem extends System {
+  constructor(phase, options = {}) {
+    super();
+    this.phase = phase;
+    Object.assign(this, options);
+  }
+}
+
+const order = (world) => world.executionOrder.map(system => Array.from(world.systems).find(([, s]) => s === system)[0]);
+
+describe('World system ordering', () => {
+  it('runs phases in World.PHASES order regardless of registration order', () => {
+    const world = new World();
+    world.addSystem(new NamedSystem('render'), 'render');
+    world.addSystem(new NamedSystem('ai'), 'ai');
+    world.addSystem(new NamedSystem('input'), 'input');
+    world.addSystem(new NamedSystem('presentation'), 'presentation');
+    world.addSystem(new NamedSystem('simulation'), 'simulation');
+
+    assert.deepEqual(order(world), ['input', 'simulation', 'ai', 'presentation', 'render']);
+  });
+
+  it('splits systems into fixed-step and per-frame lists', () => {
+    const world = new World();
+    world.addSystem(new NamedSystem('render'), 'render');
+    world.addSystem(new NamedSystem('simulation'), 'movement');
+    world.addSystem(new NamedSystem('presentation'), 'indicators');
+
+    assert.deepEqual(world.fixedSystems, [world.getSystem('movement')]);
+    assert.deepEqual(world.frameSystems, [world.getSystem('indicators'), world.getSystem('render')]);
+  });
+
+  it('orders a phase by priority, then registration order', () => {
+    const world = new World();
+    world.addSystem(new NamedSystem('simulation'), 'first');
+    world.addSystem(new NamedSystem('simulation', { priority: -1 }), 'early');
+    world.addSystem(new NamedSystem('simulation'), 'second');
+
+    assert.deepEqual(order(world), ['early', 'first', 'second']);
+  });
+
+  it('honours before/after over priority', () => {
+    const world = new World();
+    world.addSystem(new NamedSystem('simulation', { priority: -5 }), 'physics', { after: ['movement'] });
+    world.addSystem(new NamedSystem('simulation'), 'movement');
+    world.addSystem(new NamedSystem('simulation', { before: ['movement'] }), 'patrol');
+
+    assert.deepEqual(order(world), ['patrol', 'movement', 'physics']);
+  });
+
+  it('ignores constraints on systems that are not registered', () => {
+    const world = new World();
+    world.addSystem(new NamedSystem('simulation'), 'movement', { after: ['missing'] });
+
+    assert.deepEqual(order(world), ['movement']);
+  });
+
+  it('rejects an unknown phase', () => {
+    const world = new World();
+    assert.throws(() => world.addSystem(new NamedSystem('physics'), 'physics'), /unknown phase "physics"/);
+  });
+
+  it('names the systems in a before/after cycle and leaves the world untouched', () => {
+    const world = new World();
+    world.addSystem(new NamedSystem('simulation'), 'a', { before: ['b'] });
+    world.addSystem(new NamedSystem('simulation'), 'b', { before: ['c'] });
+
+    assert.throws(
+      () => world.addSystem(new NamedSystem('simulation'), 'c', { before: ['a'] }),
+      /System ordering cycle: (a|b|c) \(simulation\) -> .* -> \1 \(simulation\)/
+    );
+    assert.equal(world.getSystem('c'), undefined);
+    assert.deepEqual(order(world), ['a', 'b']);
+  });
+
+  it('reports a constraint that contradicts phase order as a cycle', () => {
+    const world = new World();
+    world.addSystem(new NamedSystem('render'), 'render');
+
+    assert.throws(
+      () => world.addSystem(new NamedSystem('simulation'), 'movement', { after: ['render'] }),
+      /cycle: .*render \(render\).*movement \(simulation\)|cycle: .*movement \(simulation\).*render \(render\)/
+    );
+  });
+
+  it('drops a removed system from the order', () => {
+    const world = new World();
+    world.addSystem(new NamedSystem('simulation'), 'movement');
+    world.addSystem(new NamedSystem('render'), 'render');
+    world.removeSystem('movement');
+
+    assert.deepEqual(order(world), ['render']);
+    assert.deepEqual(world.fixedSystems, []);
+  });
+});
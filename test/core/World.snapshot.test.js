@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../src/js/core/World.js';
+import { System } from '../../src/js/core/System.js';
+import { Component } from '../../src/js/core/Component.js';
+import { PatrolComponent } from '../../src/js/components/PatrolComponent.js';
+import { Connection } from '../../src/js/components/Connection.js';
+import { Session } from '../../src/js/components/Session.js';
+import { ChatLog } from '../../src/js/components/ChatLog.js';
+import { BrainComponent } from '../../src/js/components/BrainComponent.js';
+
+// Not registered, so snapshots leave it out
+class ScratchComponent extends Component {}
+
+function populate(world) {
+  const guard = world.createEntity();
+  guard.tag = 'guard';
+  guard.addComponent(new PatrolComponent({ radius: 5, angle: 1.25 }));
+  guard.addComponent(new ScratchComponent());
+
+  const origin = world.createEntity();
+  origin.tag = 'origin';
+  const brain = new BrainComponent({ model: 'test' });
+  brain.relationships.set(guard.id, { interactions: 2 });
+  origin.addComponent(brain);
+
+  const connection = new Connection();
+  connection.addConnection(guard.id, { state: 'active' });
+  origin.addComponent(connection);
+
+  const sessions = new Session();
+  const session = sessions.createSession('chat', [guard.id, origin.id]);
+  origin.addComponent(sessions);
+
+  const chatLog = new ChatLog();
+  chatLog.addMessage(session.chatLogId, { senderId: guard.id, content: 'All quiet' });
+  origin.addComponent(chatLog);
+
+  return { guard, origin, session };
+}
+
+// savedAt is the only field expected to differ between two snapshots
+const comparable = ({ savedAt, ...snapshot }) => snapshot;
+
+describe('World snapshots', () => {
+  it('round-trips entities and registered components through JSON', () => {
+    const world = new World();
+    const { guard, origin, session } = populate(world);
+    world.step(3);
+
+    const snapshot = world.serialize();
+    const restored = World.deserialize(JSON.stringify(snapshot));
+
+    assert.deepEqual(comparable(restored.serialize()), comparable(snapshot));
+    assert.equal(restored.frame, 3);
+
+    const restoredOrigin = restored.getEntitiesByTag('origin')[0];
+    assert.equal(restoredOrigin.id, origin.id);
+    assert.deepEqual(restoredOrigin.getComponent(BrainComponent).relationships.get(guard.id), { interactions: 2 });
+    assert.ok(restoredOrigin.getComponent(Session).getSession(session.id).participants.has(guard.id));
+    assert.equal(restoredOrigin.getComponent(ChatLog).getMessageCount(session.chatLogId), 1);
+    assert.equal(restored.getEntity(guard.id).getComponent(PatrolComponent).radius, 5);
+  });
+
+  it('skips unregistered components and destroyed entities', () => {
+    const world = new World();
+    const { guard } = populate(world);
+    const gone = world.createEntity();
+    gone.active = false;
+
+    const snapshot = world.serialize();
+    const saved = snapshot.entities.find(entity => entity.id === guard.id);
+
+    assert.deepEqual(Object.keys(saved.components), ['PatrolComponent']);
+    assert.ok(!snapshot.entities.some(entity => entity.id === gone.id));
+  });
+
+  it('shares no references with live components', () => {
+    const world = new World();
+    const { guard } = populate(world);
+
+    const snapshot = world.serialize();
+    guard.getComponent(PatrolComponent).centerPoint.x = 99;
+
+    assert.equal(snapshot.entities.find(entity => entity.id === guard.id).components.PatrolComponent.centerPoint.x, 0);
+  });
+
+  it('restores in place, keeping systems and telling them', () => {
+    const world = new World();
+    const { guard } = populate(world);
+    const snapshot = world.serialize();
+
+    const patrol = new System();
+    patrol.requiredComponents = [PatrolComponent];
+    world.addSystem(patrol, 'patrol');
+    world.createEntity().addComponent(new PatrolComponent());
+
+    const restoredEvents = [];
+    world.events.on('world:restored', event => restoredEvents.push(event));
+    world.restore(snapshot);
+
+    assert.equal(world.getSystem('patrol'), patrol);
+    assert.deepEqual(Array.from(patrol.entities, entity => entity.id), [guard.id]);
+    assert.equal(restoredEvents.length, 1);
+  });
+
+  it('skips components it has no class for', () => {
+    const world = new World();
+    const { guard } = populate(world);
+    const snapshot = world.serialize();
+    snapshot.entities.find(entity => entity.id === guard.id).components.RetiredComponent = {};
+
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+      World.deserialize(snapshot);
+    } finally {
+      console.warn = warn;
+    }
+
+    assert.match(warnings[0], /unknown component "RetiredComponent"/);
+  });
+
+  it('rejects snapshots of another version', () => {
+    assert.throws(() => World.deserialize({ version: 99, entities: [] }), /Unsupported world snapshot version: 99/);
+  });
+});
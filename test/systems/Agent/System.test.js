@@ -0,0 +1,284 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../../src/js/config/index.js';
+import { World } from '../../../src/js/core/World.js';
+import { BrainComponent } from '../../../src/js/components/BrainComponent.js';
+import { Connection } from '../../../src/js/components/Connection.js';
+import { SessionSystem } from '../../../src/js/systems/Session/System.js';
+import { AgentSystem } from '../../../src/js/systems/Agent/System.js';
+import { TokenEstimator } from '../../../src/js/utils/TokenEstimator.js';
+
+const defaults = { providers: CONFIG.ai.providers, requestTimeout: CONFIG.ai.requestTimeout };
+
+// An agent whose default provider ("ollama") is a MockProvider with config
+async function createAgent(config = {}) {
+  CONFIG.ai.providers = { ollama: { type: 'mock', ...config } };
+
+  const world = new World();
+  const entity = world.createEntity();
+  entity.tag = 'guard';
+  entity.addComponent(new BrainComponent({ model: 'mock' }));
+
+  const agent = new AgentSystem();
+  agent.world = world;
+  world.addSystem(agent, 'agent');
+  await agent.init();
+
+  const events = [];
+  world.events.on('agent:*', (payload, name) => events.push(name));
+  return { world, entity, agent, events };
+}
+
+// Resolves once onToken has seen count tokens
+function tokensSeen(count) {
+  let seen = 0;
+  let resolve;
+  const reached = new Promise((done) => (resolve = done));
+  return { reached, onToken: () => ++seen === count && resolve() };
+}
+
+describe('AgentSystem replies', () => {
+  const log = console.log;
+
+  before(() => {
+    console.log = () => {};
+    globalThis.document = { getElementById: () => null };
+  });
+
+  after(() => {
+    console.log = log;
+    delete globalThis.document;
+  });
+
+  afterEach(() => {
+    Object.assign(CONFIG.ai, defaults);
+  });
+
+  it('cancels a streaming reply, keeping other sessions going (/stop)', async () => {
+    const { entity, agent, events } = await createAgent({ reply: 'one two three four', tokenDelay: 5 });
+    const first = tokensSeen(1);
+
+    const stopped = agent.generateResponseWithContext('Hello', entity, { sessionId: 'a' }, { onToken: first.onToken });
+    const other = agent.generateResponse('Hello', { context: { sessionId: 'b' } });
+    await first.reached;
+
+    assert.equal(agent.cancelRequests({ sessionId: 'a' }), 1);
+    await assert.rejects(stopped, { name: 'AbortError' });
+    assert.equal(await other, 'one two three four');
+
+    assert.ok(events.includes('agent:cancelled'));
+    assert.ok(!events.includes('agent:response'));
+    assert.equal(agent.activeRequests.size, 0);
+  });
+
+  it('aborts a reply that runs past CONFIG.ai.requestTimeout', async () => {
+    const { entity, agent, events } = await createAgent({ reply: 'slow', tokenDelay: 100 });
+    CONFIG.ai.requestTimeout = 10;
+
+    await assert.rejects(agent.generateResponseWithContext('Hello', entity), { name: 'TimeoutError' });
+    assert.deepEqual(events.filter((name) => name !== 'agent:thinking'), ['agent:error']);
+    assert.equal(agent.activeRequests.size, 0);
+  });
+
+  it('rejects on provider failures instead of replying with the error', async () => {
+    const { entity, agent, events } = await createAgent();
+    agent.providers.get('ollama').stream = async () => {
+      throw new Error('HTTP 500');
+    };
+    const brain = entity.getComponent(BrainComponent);
+    const experiences = brain.experiences.length;
+
+    await assert.rejects(
+      agent.generateResponseWithContext('Hello', entity, { userMessage: 'Hello' }),
+      { message: 'HTTP 500' },
+    );
+    assert.ok(events.includes('agent:error'));
+    assert.ok(!events.includes('agent:response'));
+    assert.equal(brain.experiences.length, experiences);
+  });
+
+  it('rejects with a NetworkError while the provider is offline', async () => {
+    const { agent } = await createAgent();
+    agent.providerHealth.set('ollama', false);
+
+    await assert.rejects(agent.generateResponse('Hello'), { name: 'NetworkError', message: /ollama/ });
+  });
+});
+
+describe('AgentSystem conversation history', () => {
+  const log = console.log;
+  const line = (index) => `Turn ${index}: ${'the gate stays shut until dusk '.repeat(4)}`;
+
+  before(() => {
+    console.log = () => {};
+    globalThis.document = { getElementById: () => null };
+  });
+
+  after(() => {
+    console.log = log;
+    delete globalThis.document;
+  });
+
+  afterEach(() => {
+    Object.assign(CONFIG.ai, defaults);
+  });
+
+  it('fits the newest turns between the system prompt and the new message', async () => {
+    const systemPrompt = 'You guard the north gate. '.repeat(20);
+    const question = 'Open up?';
+    // Room for the reply, the system prompt, the question and three turns
+    const budget = TokenEstimator.count(line(0)) * 3 + 10;
+    const contextLength = CONFIG.ai.responseReserveTokens + TokenEstimator.count(systemPrompt) + TokenEstimator.count(question) + budget;
+
+    const sent = [];
+    const { world, entity, agent } = await createAgent({
+      contextLength,
+      reply: (messages) => {
+        sent.push(messages);
+        return 'No.';
+      },
+    });
+    const brain = entity.getComponent(BrainComponent);
+    brain.systemPrompt = systemPrompt;
+    brain.contextSettings.historyLimit = 10;
+
+    const player = world.createEntity();
+    player.tag = 'player';
+    [player, entity].forEach((participant) => participant.addComponent(new Connection()));
+    const sessions = new SessionSystem(world);
+    world.addSystem(sessions, 'session');
+    const session = sessions.createSession([player, entity]);
+    for (let index = 0; index < 20; index++) {
+      sessions.sendMessage(session.id, index % 2 ? entity.id : player.id, line(index), index % 2 ? 'llm' : 'user');
+    }
+    sessions.sendMessage(session.id, player.id, question, 'user');
+
+    await agent.generateResponseWithContext(question, entity, { sessionId: session.id });
+
+    const messages = sent.find((request) => request[0].role === 'system');
+    assert.equal(messages[0].content, systemPrompt);
+    assert.deepEqual(messages.at(-1), { role: 'user', content: question, images: undefined });
+
+    const history = messages.slice(1, -1);
+    assert.deepEqual(history.map((message) => message.content), [line(17), line(18), line(19)]);
+    assert.ok(history.reduce((total, message) => total + TokenEstimator.count(message.content), 0) <= budget);
+  });
+});
+
+// A JSON response from Ollama
+const answer = (data) => ({ ok: true, json: async () => data });
+
+describe('AgentSystem.getCapabilities', () => {
+  const { fetch } = globalThis;
+  let requests;
+
+  // Ollama's fetch, answered by respond(init) for each /api/show
+  function stubOllama(respond) {
+    requests = [];
+    globalThis.fetch = async (url, init) => {
+      requests.push({ url, model: JSON.parse(init.body).model });
+      return respond(init);
+    };
+  }
+
+  afterEach(() => {
+    globalThis.fetch = fetch;
+    Object.assign(CONFIG.ai, defaults);
+  });
+
+  it('reads capabilities and the context Ollama runs the model with from /api/show', async () => {
+    stubOllama(() => answer({
+      capabilities: ['completion', 'vision', 'tools'],
+      model_info: { 'gemma3.context_length': 131072 },
+      parameters: 'num_ctx 8192\nstop "<end_of_turn>"',
+    }));
+
+    assert.deepEqual(await new AgentSystem().getCapabilities('gemma3'), {
+      chat: true,
+      images: true,
+      tools: true,
+      embedding: false,
+      contextLength: 8192,
+      trainedLength: 131072,
+    });
+    assert.deepEqual(requests, [{ url: 'http://localhost:11434/api/show', model: 'gemma3' }]);
+  });
+
+  it('guesses from the name for servers that do not list capabilities', async () => {
+    stubOllama(() => answer({ model_info: { 'qwen3.context_length': 2048 } }));
+
+    const capabilities = await new AgentSystem().getCapabilities('qwen3');
+
+    assert.equal(capabilities.tools, true);
+    assert.equal(capabilities.images, false);
+    assert.equal(capabilities.contextLength, 2048);
+    assert.equal(capabilities.guessed, undefined);
+  });
+
+  it('asks once per model and shares the lookup', async () => {
+    stubOllama(() => answer({ capabilities: ['completion'] }));
+    const agent = new AgentSystem();
+
+    const first = agent.getCapabilities('gemma3');
+    const second = agent.getCapabilities('gemma3');
+    assert.equal(first, second);
+    await first;
+    await agent.getCapabilities('gemma3');
+    await agent.getCapabilities('llama3.2');
+
+    assert.deepEqual(requests.map((request) => request.model), ['gemma3', 'llama3.2']);
+  });
+
+  it('does not keep a guess made while Ollama was unreachable', async () => {
+    let up = false;
+    stubOllama(() => {
+      if (!up) throw new TypeError('fetch failed');
+      return answer({ capabilities: ['completion'] });
+    });
+    const agent = new AgentSystem();
+
+    const guess = await agent.getCapabilities('gemma3');
+    assert.equal(guess.guessed, true);
+    assert.equal(guess.images, true);
+    assert.equal(agent.modelCapabilities.has('gemma3'), false);
+
+    up = true;
+    assert.equal((await agent.getCapabilities('gemma3')).images, false);
+    assert.equal(agent.modelCapabilities.has('gemma3'), true);
+    assert.equal(requests.length, 2);
+  });
+
+  it('gives up on a lookup after CONFIG.ai.requestTimeout and asks again next time', async () => {
+    CONFIG.ai.requestTimeout = 10;
+    stubOllama(({ signal }) => new Promise((resolve, reject) => {
+      // AbortSignal.timeout's timer doesn't keep the process alive on its own
+      const alive = setInterval(() => {}, 1000);
+      signal.addEventListener('abort', () => {
+        clearInterval(alive);
+        reject(signal.reason);
+      });
+    }));
+    const agent = new AgentSystem();
+
+    assert.equal((await agent.getCapabilities('gemma3')).guessed, true);
+    assert.equal(agent.modelCapabilities.has('gemma3'), false);
+
+    await agent.getCapabilities('gemma3');
+    assert.equal(requests.length, 2);
+  });
+
+  it('stops waiting when the caller aborts, keeping the lookup for later', async () => {
+    let release;
+    stubOllama(() => new Promise((resolve) => (release = () => resolve(answer({ capabilities: ['completion'] })))));
+    const agent = new AgentSystem();
+    const controller = new AbortController();
+
+    const waiting = agent.getCapabilities('gemma3', controller.signal);
+    controller.abort();
+    await assert.rejects(waiting, { name: 'AbortError' });
+
+    release();
+    assert.equal((await agent.getCapabilities('gemma3')).chat, true);
+    assert.equal(requests.length, 1);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolCalling } from '../../../src/js/systems/Agent/ToolCalling.js';
+
+const tools = ['search', 'who'];
+
+describe('ToolCalling.parse', () => {
+  it('reads a reply that is only a JSON tool call', () => {
+    assert.deepEqual(
+      ToolCalling.parse('{"tool": "search", "arguments": {"query": "robots"}}', tools),
+      [{ name: 'search', arguments: { query: 'robots' } }],
+    );
+    assert.deepEqual(ToolCalling.parse('  {"tool": "who"}\n', tools), [{ name: 'who', arguments: {} }]);
+  });
+
+  it('reads a call inside a code fence, with or without a json label', () => {
+    const call = [{ name: 'search', arguments: { query: 'gate' } }];
+
+    assert.deepEqual(ToolCalling.parse('```json\n{"tool": "search", "arguments": {"query": "gate"}}\n```', tools), call);
+    assert.deepEqual(ToolCalling.parse('```\n{"tool": "search", "arguments": {"query": "gate"}}\n```', tools), call);
+  });
+
+  it('takes "name" and "parameters" for known tools', () => {
+    assert.deepEqual(
+      ToolCalling.parse('{"name": "search", "parameters": {"query": "river"}}', tools),
+      [{ name: 'search', arguments: { query: 'river' } }],
+    );
+    assert.deepEqual(ToolCalling.parse('{"name": "Ada", "age": 3}', tools), []);
+  });
+
+  it('keeps calls to tools the entity lacks, so the model hears why they failed', () => {
+    assert.deepEqual(ToolCalling.parse('{"tool": "delete", "arguments": {}}', tools), [{ name: 'delete', arguments: {} }]);
+  });
+
+  it('finds no call in prose, malformed JSON or JSON without a tool', () => {
+    assert.deepEqual(ToolCalling.parse('The gate is shut.', tools), []);
+    assert.deepEqual(ToolCalling.parse('Let me check: {"tool": "search"}', tools), []);
+    assert.deepEqual(ToolCalling.parse('{"tool": "search", "arguments": {', tools), []);
+    assert.deepEqual(ToolCalling.parse('{"tool": 42}', tools), []);
+    assert.deepEqual(ToolCalling.parse('{"answer": "yes"}', tools), []);
+    assert.deepEqual(ToolCalling.parse('', tools), []);
+    assert.deepEqual(ToolCalling.parse(null, tools), []);
+  });
+});
+
+describe('ToolCalling.mightBeToolCall', () => {
+  it('holds replies that start like JSON or a code fence', () => {
+    assert.equal(ToolCalling.mightBeToolCall(''), true);
+    assert.equal(ToolCalling.mightBeToolCall('  {"to'), true);
+    assert.equal(ToolCalling.mightBeToolCall('``'), true);
+    assert.equal(ToolCalling.mightBeToolCall('Sure'), false);
+  });
+});
+
+describe('ToolCalling.instructions', () => {
+  it('lists each tool with its parameters and an example call', () => {
+    const text = ToolCalling.instructions([{
+      type: 'function',
+      function: {
+        name: 'search',
+        description: 'Search the chat history',
+        parameters: { type: 'object', properties: { query: { type: 'string' }, limit: { type: 'number' } } },
+      },
+    }]);
+
+    assert.match(text, /- search\(query: string, limit: number\) - Search the chat history/);
+    assert.match(text, /\{"tool": "search", "arguments": \{\}\}/);
+  });
+});
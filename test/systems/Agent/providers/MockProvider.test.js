@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockProvider } from '../../../../src/js/systems/Agent/providers/MockProvider.js';
+
+const messages = [
+  { role: 'system', content: 'You are a guard.' },
+  { role: 'user', content: 'Who goes there?' },
+  { role: 'assistant', content: 'A friend.' },
+  { role: 'user', content: 'Open the gate' },
+];
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('MockProvider', () => {
+  it('is always healthy and lists its configured models', async () => {
+    assert.equal(await new MockProvider('mock').checkHealth(), true);
+    assert.deepEqual(await new MockProvider('mock').listModels(), [{ name: 'mock' }]);
+    assert.deepEqual(
+      await new MockProvider('mock', { models: ['a', 'b'] }).listModels(),
+      [{ name: 'a' }, { name: 'b' }],
+    );
+  });
+
+  it('echoes the last user message with a word count as usage', async () => {
+    const result = await new MockProvider('mock').chat({ model: 'mock', messages });
+
+    assert.equal(result.content, 'Mock reply to: Open the gate');
+    assert.deepEqual(result.usage, { promptTokens: 12, completionTokens: null });
+  });
+
+  it('replies with a configured string or function of the messages', async () => {
+    const fixed = new MockProvider('mock', { reply: 'Halt!' });
+    const counted = new MockProvider('mock', { reply: (sent) => `${sent.length} messages` });
+
+    assert.equal((await fixed.chat({ model: 'mock', messages })).content, 'Halt!');
+    assert.equal((await counted.chat({ model: 'mock', messages })).content, '4 messages');
+  });
+
+  it('streams the reply word by word and resolves with all of it', async () => {
+    const provider = new MockProvider('mock', { reply: 'The gate is shut.' });
+    const tokens = [];
+
+    const result = await provider.stream({
+      model: 'mock',
+      messages,
+      onToken: (token, text) => tokens.push([token, text]),
+    });
+
+    assert.deepEqual(tokens, [
+      ['The ', 'The '],
+      ['gate ', 'The gate '],
+      ['is ', 'The gate is '],
+      ['shut.', 'The gate is shut.'],
+    ]);
+    assert.equal(result.content, 'The gate is shut.');
+  });
+
+  it('rejects with the abort reason once the signal aborts', async () => {
+    const provider = new MockProvider('mock', { reply: 'one two three' });
+    const controller = new AbortController();
+    const tokens = [];
+
+    controller.abort(new DOMException('Request cancelled', 'AbortError'));
+    await assert.rejects(provider.chat({ model: 'mock', messages, signal: controller.signal }), { name: 'AbortError' });
+
+    const streaming = new AbortController();
+    await assert.rejects(
+      provider.stream({
+        model: 'mock',
+        messages,
+        signal: streaming.signal,
+        onToken: (token) => {
+          tokens.push(token);
+          streaming.abort(new DOMException('Request cancelled', 'AbortError'));
+        },
+      }),
+      { name: 'AbortError' },
+    );
+    assert.deepEqual(tokens, ['one ']);
+  });
+
+  it('embeds texts to unit vectors that are closer when they share words', async () => {
+    const provider = new MockProvider('mock', { dimensions: 32 });
+    const [query, related, unrelated] = await provider.embed({
+      model: 'mock',
+      input: ['the river gate', 'guards at the river gate', 'baking bread'],
+    });
+
+    assert.equal(query.length, 32);
+    assert.ok(Math.abs(Math.hypot(...query) - 1) < 1e-9);
+    assert.ok(dot(query, related) > dot(query, unrelated));
+    assert.deepEqual(await provider.embed({ model: 'mock', input: 'the river gate' }), [query]);
+  });
+
+  it('reports chat and embedding capabilities, overridable from config', async () => {
+    const defaults = await new MockProvider('mock').capabilities('mock');
+    assert.equal(defaults.chat, true);
+    assert.equal(defaults.embedding, true);
+    assert.equal(defaults.images, false);
+    assert.equal(defaults.tools, false);
+    assert.equal(typeof defaults.contextLength, 'number');
+
+    const configured = await new MockProvider('mock', { capabilities: { tools: true, contextLength: 2048 } })
+      .capabilities('mock');
+    assert.equal(configured.tools, true);
+    assert.equal(configured.contextLength, 2048);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../../src/js/config/index.js';
+import { World } from '../../../src/js/core/World.js';
+import { BrainComponent } from '../../../src/js/components/BrainComponent.js';
+import { Connection } from '../../../src/js/components/Connection.js';
+import { SessionSystem } from '../../../src/js/systems/Session/System.js';
+import { AgentSystem } from '../../../src/js/systems/Agent/System.js';
+import { ChatInterfaceSystem } from '../../../src/js/systems/ChatInterface/System.js';
+
+// The default provider is down; "backup" is up and answers for brains that name it
+async function createChat() {
+    const world = new World();
+    const player = world.createEntity();
+    player.tag = 'player';
+    const guard = world.createEntity();
+    guard.tag = 'guard';
+    guard.addComponent(new BrainComponent({ model: 'backup:mock' }));
+    const clerk = world.createEntity();
+    clerk.tag = 'clerk';
+    clerk.addComponent(new BrainComponent({ model: 'mock' }));
+    [player, guard, clerk].forEach(entity => entity.addComponent(new Connection()));
+
+    const sessions = new SessionSystem(world);
+    world.addSystem(sessions, 'session');
+
+    const agent = new AgentSystem();
+    agent.providers.get('ollama').checkHealth = async () => false;
+    agent.world = world;
+    world.addSystem(agent, 'agent');
+    await agent.init();
+
+    const shown = [];
+    const saved = [];
+    world.events.on('session:message', ({ message }) => saved.push([message.type, message.content]));
+
+    const portfolio = { playerEntity: player, currentChatTarget: null };
+    portfolio.activatePlayerTargetSession = () =>
+        sessions.findActiveSession([player, portfolio.currentChatTarget]) ||
+        sessions.createSession([player, portfolio.currentChatTarget]);
+
+    const chat = new ChatInterfaceSystem();
+    chat.world = world;
+    chat.industrialPortfolio = portfolio;
+    chat.addMessage = (type, content) => {
+        shown.push([type, content]);
+        return {};
+    };
+    chat.updateMessage = () => {};
+
+    // Type message to target and press send
+    const send = (target, message) => {
+        portfolio.currentChatTarget = target;
+        document.input.value = message;
+        return chat.sendMessage();
+    };
+    return { chat, sessions, player, guard, clerk, shown, saved, send };
+}
+
+describe('ChatInterfaceSystem.sendMessage', () => {
+    const log = console.log;
+    const providers = CONFIG.ai.providers;
+
+    before(() => {
+        console.log = () => {};
+        CONFIG.ai.providers = { ollama: { type: 'mock' }, backup: { type: 'mock', reply: 'Go on through.' } };
+
+        // The few elements sendMessage touches
+        const elements = { 'chat-input': { value: '', style: {}, scrollHeight: 0 }, 'chat-send': {} };
+        globalThis.document = { input: elements['chat-input'], getElementById: id => elements[id] || null };
+    });
+
+    after(() => {
+        console.log = log;
+        CONFIG.ai.providers = providers;
+        delete globalThis.document;
+    });
+
+    it('lets an entity on a provider that is up reply while the default is down', async () => {
+        const { chat, sessions, player, guard, shown, saved, send } = await createChat();
+
+        await send(guard, 'Can I pass?');
+
+        assert.deepEqual(saved, [['user', 'Can I pass?'], ['llm', 'Go on through.']]);
+        assert.ok(shown.every(([, content]) => !content.includes('offline')));
+        assert.equal(await chat.currentSessionId(), sessions.findActiveSession([player, guard]).id);
+    });
+
+    it('says which provider is down for an entity on the default provider', async () => {
+        const { clerk, saved, send } = await createChat();
+
+        await send(clerk, 'Any letters?');
+
+        assert.deepEqual(saved, [
+            ['user', 'Any letters?'],
+            ['system', 'clerk is offline. Please check if ollama is running.']
+        ]);
+    });
+});
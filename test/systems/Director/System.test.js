@@ -0,0 +1,127 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../../src/js/core/World.js';
+import { BrainComponent } from '../../../src/js/components/BrainComponent.js';
+import { DirectorSystem } from '../../../src/js/systems/Director/System.js';
+
+// Stands in for AutonomousChatSystem through the conversation:* requests
+function handleConversations(world) {
+    const chat = { randomChatter: true, started: [], ended: [] };
+
+    world.events.handle('conversation:start', ({ entities, script }) => {
+        const conversation = { participants: entities, script, messages: [] };
+        chat.started.push(conversation);
+        world.events.emit('conversation:started', { conversation, entities, topic: script.topic });
+        return conversation;
+    });
+    world.events.handle('conversation:end', ({ conversation }) => {
+        chat.ended.push(conversation);
+        world.events.emit('conversation:ended', { conversation, entities: conversation.participants });
+    });
+    world.events.handle('conversation:randomChatter', ({ enabled }) => {
+        const previous = chat.randomChatter;
+        chat.randomChatter = enabled;
+        return previous;
+    });
+
+    return chat;
+}
+
+function createDirector() {
+    const world = new World();
+    ['guard', 'origin', 'bot'].forEach(tag => {
+        const entity = world.createEntity();
+        entity.tag = tag;
+        entity.addComponent(new BrainComponent({ model: 'test' }));
+    });
+
+    const chat = handleConversations(world);
+    const director = new DirectorSystem(world);
+    director.init();
+    return { world, chat, director };
+}
+
+const scenario = JSON.stringify({
+    name: 'handover',
+    beats: [
+        { id: 'meet', participants: ['guard', 'origin'], topic: 'the gate', stop: { timeout: 10 } },
+        { id: 'report', participants: ['origin', 'bot'], when: { after: 'meet' } }
+    ]
+});
+
+// Let pending beat starts settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('DirectorSystem', () => {
+    // Keep the init banners out of the test output
+    const log = console.log;
+    before(() => {
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+    });
+
+    it('pauses random chatter while a scenario runs and restores it after', async () => {
+        const { chat, director } = createDirector();
+
+        await director.start(scenario);
+        assert.equal(chat.randomChatter, false);
+
+        director.stop();
+        assert.equal(chat.randomChatter, true);
+    });
+
+    it('starts beats through conversation:start once their conditions hold', async () => {
+        const { world, chat, director } = createDirector();
+        await director.start(scenario);
+
+        director.update(0.1);
+        await settle();
+        assert.deepEqual(chat.started.map(c => c.participants.map(e => e.tag)), [['guard', 'origin']]);
+        assert.equal(chat.started[0].script.topic, 'the gate');
+
+        // The beat finishes when its conversation ends, and the next one follows
+        world.events.request('conversation:end', { conversation: chat.started[0] });
+        director.update(0.1);
+        director.update(0.1);
+        await settle();
+        assert.deepEqual(chat.started.map(c => c.participants.map(e => e.tag)),
+            [['guard', 'origin'], ['origin', 'bot']]);
+    });
+
+    it('ends a beat that runs past its timeout through conversation:end', async () => {
+        const { chat, director } = createDirector();
+        await director.start(scenario);
+
+        director.update(0.1);
+        await settle();
+        director.update(10);
+
+        assert.deepEqual(chat.ended, [chat.started[0]]);
+        assert.equal(director.getStatus().beats.find(beat => beat.id === 'meet').state, 'finished');
+    });
+
+    it('waits for participants busy in another conversation', async () => {
+        const { world, chat, director } = createDirector();
+        const [guard, origin] = world.getEntitiesWithComponent(BrainComponent);
+        await world.events.request('conversation:start', { entities: [guard, origin], script: {} });
+        await director.start(scenario);
+
+        director.update(0.1);
+        await settle();
+        assert.equal(chat.started.length, 1);
+    });
+
+    it('ends the conversations of beats still running when stopped', async () => {
+        const { chat, director } = createDirector();
+        await director.start(scenario);
+
+        director.update(0.1);
+        await settle();
+        director.stop();
+
+        assert.deepEqual(chat.ended, [chat.started[0]]);
+    });
+});
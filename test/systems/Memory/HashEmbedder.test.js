@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HashEmbedder } from '../../../src/js/systems/Memory/HashEmbedder.js';
+import { MemorySystem } from '../../../src/js/systems/Memory/System.js';
+
+const similarity = MemorySystem.cosineSimilarity;
+
+describe('HashEmbedder', () => {
+    it('embeds the same text to the same unit vector every time', async () => {
+        const [first, second] = await new HashEmbedder().embed(['The guard patrols the river', 'The guard patrols the river']);
+        const [fresh] = await new HashEmbedder().embed(['The guard patrols the river']);
+
+        assert.equal(first.length, 256);
+        assert.deepEqual(first, second);
+        assert.deepEqual(first, fresh);
+        assert.ok(Math.abs(Math.hypot(...first) - 1) < 1e-9);
+    });
+
+    it('scores texts sharing word stems above unrelated ones', async () => {
+        const [query, related, unrelated] = await new HashEmbedder().embed([
+            'Who patrolled the river?',
+            'I was patrolling near the river',
+            'Alice prefers tea'
+        ]);
+
+        assert.ok(similarity(query, related) > 0.5);
+        assert.ok(similarity(query, related) > similarity(query, unrelated));
+    });
+
+    it('takes its size from dimensions', async () => {
+        const [vector] = await new HashEmbedder({ dimensions: 16 }).embed(['hello']);
+        assert.equal(vector.length, 16);
+    });
+
+    it('gives text without words a zero vector', async () => {
+        const [vector] = await new HashEmbedder({ dimensions: 4 }).embed(['...']);
+        assert.deepEqual(vector, [0, 0, 0, 0]);
+    });
+});
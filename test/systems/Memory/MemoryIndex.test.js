@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryIndex } from '../../../src/js/systems/Memory/MemoryIndex.js';
+
+const DIMENSIONS = 32;
+
+// Deterministic vectors, so a failure reproduces
+const random = MemoryIndex.seededRandom(42);
+const randomVector = () => Array.from({ length: DIMENSIONS }, () => random() * 2 - 1);
+const nudge = (vector, amount) => vector.map(value => value + (random() * 2 - 1) * amount);
+const memory = (id, embedding) => ({ id, embedding });
+
+describe('MemoryIndex', () => {
+    it('returns a stored memory for its own vector', () => {
+        const index = new MemoryIndex();
+        const stored = memory('a', randomVector());
+        index.add(stored);
+
+        assert.deepEqual(index.candidates(stored.embedding), [stored]);
+        assert.equal(index.size, 1);
+    });
+
+    it('finds near neighbours without returning everything', () => {
+        const index = new MemoryIndex();
+        const memories = Array.from({ length: 300 }, (_, i) => memory(`m${i}`, randomVector()));
+        memories.forEach(m => index.add(m));
+
+        let found = 0;
+        let scanned = 0;
+        memories.slice(0, 20).forEach(target => {
+            const candidates = index.candidates(nudge(target.embedding, 0.05));
+            if (candidates.includes(target)) found++;
+            scanned += candidates.length;
+        });
+
+        assert.ok(found >= 19, `found ${found} of 20 near neighbours`);
+        assert.ok(scanned / 20 < memories.length / 2, `scanned ${scanned / 20} per query`);
+    });
+
+    it('skips memories without an embedding or of another dimension', () => {
+        const index = new MemoryIndex();
+        index.add(memory('a', randomVector()));
+        index.add(memory('none', null));
+        index.add(memory('short', [1, 0, 0]));
+
+        assert.equal(index.size, 1);
+        assert.equal(index.dimensions, DIMENSIONS);
+        assert.deepEqual(index.candidates([1, 0, 0]), []);
+    });
+
+    it('forgets removed memories', () => {
+        const index = new MemoryIndex();
+        const kept = memory('kept', randomVector());
+        const removed = memory('removed', nudge(kept.embedding, 0.01));
+        index.add(kept);
+        index.add(removed);
+
+        index.remove(removed);
+
+        assert.equal(index.size, 1);
+        assert.deepEqual(index.candidates(removed.embedding), [kept]);
+    });
+
+    it('hashes the same vectors to the same buckets for the same seed', () => {
+        const vector = randomVector();
+        const first = new MemoryIndex({ seed: 7 });
+        const second = new MemoryIndex({ seed: 7 });
+        const other = new MemoryIndex({ seed: 8 });
+        [first, second, other].forEach(index => index.add(memory('a', vector)));
+
+        assert.deepEqual(first.keys(vector), second.keys(vector));
+        assert.notDeepEqual(first.keys(vector), other.keys(vector));
+    });
+
+    it('lists the keys one bit away', () => {
+        assert.deepEqual(MemoryIndex.neighbours('101'), ['001', '111', '100']);
+    });
+});
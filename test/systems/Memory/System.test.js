@@ -0,0 +1,104 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../../src/js/config/index.js';
+import { World } from '../../../src/js/core/World.js';
+import { BrainComponent } from '../../../src/js/components/BrainComponent.js';
+import { MemorySystem } from '../../../src/js/systems/Memory/System.js';
+
+const defaults = { ...CONFIG.memory };
+
+// Records each batch it is asked to embed
+function recordingEmbedder() {
+    const batches = [];
+    const embed = async (texts) => {
+        batches.push(texts);
+        return texts.map(text => [text.length, 1]);
+    };
+    return { batches, embed };
+}
+
+function createMemory(options) {
+    const world = new World();
+    const entity = world.createEntity();
+    entity.addComponent(new BrainComponent({ model: 'test' }));
+    return { memory: new MemorySystem(world, options), entity };
+}
+
+describe('MemorySystem embedding', () => {
+    beforeEach(() => {
+        CONFIG.memory.batchDelay = 0;
+    });
+
+    afterEach(() => {
+        Object.assign(CONFIG.memory, defaults);
+    });
+
+    it('embeds memories stored together in one request', async () => {
+        const { batches, embed } = recordingEmbedder();
+        const { memory, entity } = createMemory({ embed });
+
+        const stored = await Promise.all(['one', 'three', 'one'].map(text => memory.remember(entity, text)));
+
+        assert.deepEqual(batches, [['one', 'three']]);
+        assert.deepEqual(stored.map(m => m.embedding), [[3, 1], [5, 1], [3, 1]]);
+    });
+
+    it('sends a full batch without waiting', async () => {
+        CONFIG.memory.batchDelay = 60000;
+        CONFIG.memory.batchSize = 2;
+        const { batches, embed } = recordingEmbedder();
+        const { memory, entity } = createMemory({ embed });
+
+        await Promise.all([memory.remember(entity, 'a'), memory.remember(entity, 'b')]);
+
+        assert.deepEqual(batches, [['a', 'b']]);
+    });
+
+    it('keeps memories without an embedding when the embedder fails', async () => {
+        const { memory, entity } = createMemory({ embed: async () => { throw new Error('offline'); } });
+
+        const warn = console.warn;
+        console.warn = () => {};
+        try {
+            const stored = await memory.remember(entity, 'Alice prefers tea');
+            assert.equal(stored.embedding, null);
+            assert.equal(stored.embeddingModel, null);
+        } finally {
+            console.warn = warn;
+        }
+
+        const [recalled] = await memory.recall(entity, 'tea for Alice', { k: 1 });
+        assert.equal(recalled.content, 'Alice prefers tea');
+    });
+
+    it('embeds locally with the hash embedder', async () => {
+        CONFIG.memory.embedder = 'hash';
+        const { memory, entity } = createMemory();
+
+        const stored = await memory.remember(entity, 'The guard patrols the river');
+        await memory.remember(entity, 'Alice prefers tea');
+        const [recalled] = await memory.recall(entity, 'Who was patrolling by the river?', { k: 1 });
+
+        assert.equal(stored.embeddingModel, 'hash');
+        assert.equal(recalled.content, 'The guard patrols the river');
+    });
+
+    it('embeds loaded memories again when another model embedded them', async () => {
+        CONFIG.memory.embedder = 'hash';
+        const saved = [];
+        const storage = {
+            loadMemories: async () => [
+                { id: '1', content: 'old model', embedding: [1, 0], embeddingModel: 'nomic-embed-text', importance: 0.5, timestamp: 0 },
+                { id: '2', content: 'from a backup', embedding: null, importance: 0.5, timestamp: 0 }
+            ],
+            saveMemory: async (record) => saved.push(record.id)
+        };
+        const { memory, entity } = createMemory({ storage });
+
+        const records = await memory.getMemories(entity.id);
+
+        assert.deepEqual(records.map(record => record.embeddingModel), ['hash', 'hash']);
+        assert.ok(records.every(record => record.embedding.length === 256));
+        assert.deepEqual(saved, ['1', '2']);
+    });
+});
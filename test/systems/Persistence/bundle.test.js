@@ -0,0 +1,179 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBundle, mapParticipants, planImport, prepareImport, BUNDLE_VERSION } from '../../../src/js/systems/Persistence/bundle.js';
+
+function createBundle() {
+    return {
+        version: BUNDLE_VERSION,
+        exportedAt: 0,
+        sessions: [
+            { id: 's1', title: 'Patrol', chatLogId: 'l1', participants: ['old-player', 'old-bot'] },
+            { id: 's2', title: 'Weather', chatLogId: 'l2', participants: ['old-player', 'kept'] }
+        ],
+        chatLogs: [
+            { id: 'l1', messages: [{ id: 'm1', senderId: 'old-bot', content: 'On my way', timestamp: 1 }] },
+            { id: 'l2', messages: [{ id: 'm2', senderId: 'old-player', content: 'Rain?', timestamp: 2 }] },
+            { id: 'l3', messages: [] }
+        ],
+        brains: [{ entityId: 'old-bot', model: 'test' }],
+        entities: [{ id: 'old-player', tag: 'player' }, { id: 'old-bot', tag: 'Bot' }]
+    };
+}
+
+// This world: a player and bot with their own ids, plus one entity shared with the bundle
+function createCurrent(overrides = {}) {
+    return {
+        sessionIds: new Set(),
+        chatLogIds: new Set(),
+        chatLogOwners: new Map(),
+        brainIds: new Set(),
+        openSessionIds: new Set(),
+        entities: [{ id: 'player', tag: 'player' }, { id: 'bot', tag: 'bot' }, { id: 'kept', tag: null }],
+        ...overrides
+    };
+}
+
+const byId = (entries) => Object.fromEntries(entries.map(entry => [entry.id ?? entry.entityId, entry]));
+
+describe('validateBundle', () => {
+    it('accepts a well-formed bundle', () => {
+        assert.deepEqual(validateBundle(createBundle()), []);
+    });
+
+    it('rejects data that is not a bundle of a known version', () => {
+        assert.deepEqual(validateBundle([]), ['Not a session export: expected a JSON object']);
+        assert.match(validateBundle({ ...createBundle(), version: 99 })[0], /Unsupported export version 99/);
+    });
+
+    it('points at each broken field', () => {
+        const bundle = createBundle();
+        bundle.sessions[1].id = 's1';
+        delete bundle.sessions[0].chatLogId;
+        bundle.chatLogs[0].messages[0].timestamp = 'yesterday';
+
+        assert.deepEqual(validateBundle(bundle), [
+            'sessions[0].chatLogId is missing',
+            'sessions[1].id s1 appears twice',
+            'chatLogs[0].messages[0].timestamp must be a number'
+        ]);
+    });
+
+    it('stops listing after ten errors', () => {
+        const bundle = createBundle();
+        // Two errors each: no id, no messages
+        bundle.chatLogs = Array.from({ length: 15 }, () => ({}));
+
+        const errors = validateBundle(bundle);
+        assert.equal(errors.length, 11);
+        assert.equal(errors[10], '…and 20 more');
+    });
+});
+
+describe('mapParticipants', () => {
+    it('maps by manual choice, then same id, then tag', () => {
+        const mapped = byId(mapParticipants(createBundle(), createCurrent().entities, { 'old-player': 'bot' }));
+
+        assert.deepEqual(
+            [mapped['old-player'].how, mapped['old-player'].entityId],
+            ['manual', 'bot']
+        );
+        assert.deepEqual([mapped.kept.how, mapped.kept.entityId], ['same', 'kept']);
+        assert.deepEqual([mapped['old-bot'].how, mapped['old-bot'].entityId], ['tag', 'bot']);
+    });
+
+    it('leaves entities with no match unmapped', () => {
+        const mapped = byId(mapParticipants(createBundle(), []));
+        assert.equal(mapped['old-bot'].how, 'unmapped');
+        assert.equal(mapped['old-bot'].entityId, null);
+    });
+});
+
+describe('planImport', () => {
+    it('adds new sessions and counts chat logs no session uses', () => {
+        const plan = planImport(createBundle(), createCurrent());
+
+        assert.deepEqual(plan.sessions.map(entry => entry.action), ['add', 'add']);
+        assert.equal(plan.sessions[0].messageCount, 1);
+        assert.equal(plan.orphanChatLogs, 1);
+    });
+
+    it('applies the merge strategy to sessions already saved', () => {
+        const current = createCurrent({ sessionIds: new Set(['s1']), chatLogIds: new Set(['l1']), chatLogOwners: new Map([['l1', 's1']]) });
+
+        assert.equal(planImport(createBundle(), current).sessions[0].action, 'skip');
+        assert.equal(planImport(createBundle(), current, { strategy: 'duplicate' }).sessions[0].action, 'duplicate');
+        const [overwrite] = planImport(createBundle(), current, { strategy: 'overwrite' }).sessions;
+        assert.deepEqual([overwrite.action, overwrite.newChatLogId], ['overwrite', false]);
+    });
+
+    it('does not overwrite a session open in this world', () => {
+        const current = createCurrent({ sessionIds: new Set(['s1']), openSessionIds: new Set(['s1']) });
+        const [entry] = planImport(createBundle(), current, { strategy: 'overwrite' }).sessions;
+
+        assert.deepEqual([entry.action, entry.reason], ['skip', 'open in this world']);
+    });
+
+    it('gives a chat log a new id when another session owns it', () => {
+        const current = createCurrent({ chatLogIds: new Set(['l1']), chatLogOwners: new Map([['l1', 'other']]) });
+        const [entry] = planImport(createBundle(), current).sessions;
+
+        assert.deepEqual([entry.action, entry.newChatLogId], ['add', true]);
+    });
+
+    it('keeps brains of entities in this world and skips saved ones unless overwriting', () => {
+        assert.equal(planImport(createBundle(), createCurrent()).brains[0].action, 'skip');
+
+        const elsewhere = createCurrent({ entities: [], brainIds: new Set(['old-bot']) });
+        assert.equal(planImport(createBundle(), elsewhere).brains[0].action, 'skip');
+        assert.equal(planImport(createBundle(), elsewhere, { strategy: 'overwrite' }).brains[0].action, 'overwrite');
+        assert.equal(planImport(createBundle(), createCurrent({ entities: [] })).brains[0].action, 'add');
+    });
+
+    it('rejects an unknown strategy', () => {
+        assert.throws(() => planImport(createBundle(), createCurrent(), { strategy: 'merge' }), /Unknown merge strategy "merge"/);
+    });
+});
+
+describe('prepareImport', () => {
+    it('remaps participants and senders onto this world', () => {
+        const bundle = createBundle();
+        const records = prepareImport(bundle, planImport(bundle, createCurrent()));
+
+        assert.deepEqual(records.sessions.map(session => session.participants), [['player', 'bot'], ['player', 'kept']]);
+        assert.equal(records.chatLogs[0].messages[0].senderId, 'bot');
+        assert.equal(records.chatLogs[0].sessionId, 's1');
+        assert.deepEqual(records.brains, []);
+    });
+
+    it('gives duplicates new session, chat log and message ids', () => {
+        const bundle = createBundle();
+        const current = createCurrent({ sessionIds: new Set(['s1', 's2']) });
+        const records = prepareImport(bundle, planImport(bundle, current, { strategy: 'duplicate' }));
+        const [session] = records.sessions;
+        const [chatLog] = records.chatLogs;
+
+        assert.notEqual(session.id, 's1');
+        assert.notEqual(session.chatLogId, 'l1');
+        assert.equal(chatLog.id, session.chatLogId);
+        assert.equal(chatLog.sessionId, session.id);
+        assert.notEqual(chatLog.messages[0].id, 'm1');
+        assert.equal(chatLog.messages[0].content, 'On my way');
+    });
+
+    it('keeps the session id but not the chat log id when the log is taken', () => {
+        const bundle = createBundle();
+        const current = createCurrent({ chatLogIds: new Set(['l1']), chatLogOwners: new Map([['l1', 'other']]) });
+        const [session] = prepareImport(bundle, planImport(bundle, current)).sessions;
+
+        assert.equal(session.id, 's1');
+        assert.notEqual(session.chatLogId, 'l1');
+    });
+
+    it('leaves out skipped sessions', () => {
+        const bundle = createBundle();
+        const records = prepareImport(bundle, planImport(bundle, createCurrent({ sessionIds: new Set(['s1']) })));
+
+        assert.deepEqual(records.sessions.map(session => session.id), ['s2']);
+        assert.deepEqual(records.chatLogs.map(chatLog => chatLog.id), ['l2']);
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIGRATIONS, LATEST_VERSION } from '../../../src/js/systems/Persistence/migrations.js';
+import { SessionStorage } from '../../../src/js/components/SessionStorage.js';
+
+const migration = (version) => MIGRATIONS.find(m => m.version === version);
+
+// Just enough of an IndexedDB database for planMigrations to read: { store: { keyPath, indexes, records } }
+function fakeDatabase(stores) {
+    const request = (result) => {
+        const pending = { result };
+        queueMicrotask(() => pending.onsuccess());
+        return pending;
+    };
+    return {
+        objectStoreNames: Object.keys(stores),
+        transaction: () => ({
+            objectStore: (name) => ({
+                keyPath: stores[name].keyPath,
+                indexNames: stores[name].indexes,
+                getAll: () => request(structuredClone(stores[name].records))
+            })
+        }),
+        close() {}
+    };
+}
+
+function storageAt(version, stores = {}) {
+    const storage = new SessionStorage();
+    storage.getStoredVersion = async () => version;
+    storage.openDatabase = async () => fakeDatabase(stores);
+    return storage;
+}
+
+describe('migrations', () => {
+    it('are numbered 1, 2, 3... with a description each', () => {
+        MIGRATIONS.forEach((m, i) => {
+            assert.equal(m.version, i + 1);
+            assert.ok(m.description);
+        });
+        assert.equal(LATEST_VERSION, MIGRATIONS.length);
+    });
+
+    it('v3 only runs when there are legacy entity ids', () => {
+        assert.equal(migration(3).when({ legacyEntityIds: {} }), false);
+        assert.equal(migration(3).when({ legacyEntityIds: { 1: 'uuid-a' } }), true);
+    });
+
+    it('v3 re-links sessions, messages and brains to stable ids', () => {
+        const context = { legacyEntityIds: { 1: 'uuid-a', 2: 'uuid-b' } };
+        const { sessions, chatLogs, brains } = migration(3).transform;
+
+        assert.deepEqual(sessions({ id: 's', participants: [1, 2, 'uuid-c'] }, {}, context).participants, ['uuid-a', 'uuid-b', 'uuid-c']);
+        assert.deepEqual(chatLogs({ id: 'l', messages: [{ senderId: 2 }, { senderId: null }] }, {}, context).messages, [{ senderId: 'uuid-b' }, { senderId: null }]);
+        assert.equal(brains({ entityId: 1 }, {}, context).entityId, 'uuid-a');
+        assert.equal(brains({ entityId: 'uuid-c' }, {}, context), undefined);
+    });
+
+    it('v7 backfills lastActivityAt and links chat logs to their session', () => {
+        const { sessions, chatLogs } = migration(7).transform;
+
+        assert.equal(sessions({ id: 's', createdAt: 5, timestamp: 9 }).lastActivityAt, 5);
+        assert.equal(sessions({ id: 's', timestamp: 9 }).lastActivityAt, 9);
+        assert.equal(sessions({ id: 's', lastActivityAt: 7 }), undefined);
+
+        const saved = [{ id: 's1', chatLogId: 'l1' }];
+        assert.equal(chatLogs({ id: 'l1' }, { sessions: saved }).sessionId, 's1');
+        assert.equal(chatLogs({ id: 'l1', sessionId: 's1' }, { sessions: saved }), undefined);
+        assert.equal(chatLogs({ id: 'orphan' }, { sessions: saved }), undefined);
+    });
+});
+
+describe('SessionStorage.transformRecords', () => {
+    it('splits a transform into puts and deletes, moving records whose key changed', () => {
+        const records = [{ id: 'keep' }, { id: 'edit' }, { id: 'drop' }, { id: 'move' }];
+        const result = new SessionStorage().transformRecords(records, 'id', record => ({
+            keep: undefined,
+            edit: { id: 'edit', changed: true },
+            drop: null,
+            move: { id: 'moved' }
+        })[record.id]);
+
+        assert.deepEqual(result, {
+            puts: [{ id: 'edit', changed: true }, { id: 'moved' }],
+            deletes: ['drop', 'move'],
+            updated: 2,
+            deleted: 1
+        });
+    });
+});
+
+describe('SessionStorage.planMigrations', () => {
+    it('plans nothing for a database that is up to date', async () => {
+        assert.deepEqual(await storageAt(LATEST_VERSION).planMigrations(), []);
+    });
+
+    it('plans every migration for a new database', async () => {
+        const plan = await storageAt(0).planMigrations();
+
+        assert.deepEqual(plan.map(step => step.version), MIGRATIONS.map(m => m.version));
+        assert.deepEqual(plan[0].changes, ['Create store sessions', 'Create store chatLogs', 'Create store brains']);
+        assert.deepEqual(plan[2].changes, ['Skipped: nothing to do for this database']);
+        assert.deepEqual(plan[6].changes, [
+            'Drop index sessions.timestamp',
+            'Add index sessions.lastActivityAt',
+            'sessions: 0 of 0 records updated',
+            'chatLogs: 0 of 0 records updated'
+        ]);
+    });
+
+    it('works out record changes on copies of the saved records', async () => {
+        const stores = {
+            sessions: {
+                keyPath: 'id',
+                indexes: ['timestamp', 'participants'],
+                records: [{ id: 's1', chatLogId: 'l1', createdAt: 1 }, { id: 's2', chatLogId: 'l2', lastActivityAt: 2 }]
+            },
+            chatLogs: { keyPath: 'id', indexes: ['sessionId'], records: [{ id: 'l1' }, { id: 'l2', sessionId: 's2' }] },
+            brains: { keyPath: 'entityId', indexes: ['model'], records: [] }
+        };
+        const storage = storageAt(6, stores);
+
+        const [plan] = await storage.planMigrations();
+
+        assert.equal(plan.version, 7);
+        assert.deepEqual(plan.changes, [
+            'Drop index sessions.timestamp',
+            'Add index sessions.lastActivityAt',
+            'sessions: 1 of 2 records updated',
+            'chatLogs: 1 of 2 records updated'
+        ]);
+        assert.equal(stores.sessions.records[0].lastActivityAt, undefined);
+    });
+});
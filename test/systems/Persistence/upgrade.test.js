@@ -0,0 +1,140 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { CONFIG } from '../../../src/js/config/index.js';
+import { LATEST_VERSION } from '../../../src/js/systems/Persistence/migrations.js';
+import { SessionStorage } from '../../../src/js/components/SessionStorage.js';
+import { LevelLoader } from '../../../src/js/systems/Level/Loader.js';
+
+const ids = LevelLoader.ENTITY_IDS;
+
+const settle = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// A v2 database as saved before entity ids were stable: the player was 1, the origin marker 0
+async function seedLegacyDatabase() {
+    const db = await new SessionStorage().openDatabase(2);
+    const records = {
+        sessions: [{ id: 's1', participants: [1, 0], chatLogId: 'l1', createdAt: 100, timestamp: 900 }],
+        chatLogs: [{ id: 'l1', messages: [{ senderId: 1, content: 'Hello' }, { senderId: 0, content: 'Hi' }] }],
+        brains: [{ entityId: 0, model: 'gemma3' }, { entityId: 'already-stable', model: 'gemma3' }],
+        worldSnapshots: [{ id: 'latest', entities: [] }]
+    };
+    const transaction = db.transaction(Object.keys(records), 'readwrite');
+    Object.entries(records).forEach(([name, list]) => list.forEach(record => transaction.objectStore(name).put(record)));
+    await new Promise(resolve => (transaction.oncomplete = resolve));
+    db.close();
+}
+
+function legacyStorage() {
+    const storage = new SessionStorage();
+    storage.legacyEntityIds = LevelLoader.LEGACY_ENTITY_IDS;
+    return storage;
+}
+
+const getAll = (storage, name) => settle(storage.db.transaction([name], 'readonly').objectStore(name).getAll());
+
+describe('SessionStorage upgrades', () => {
+    const log = console.log;
+    const storage = { ...CONFIG.storage };
+
+    before(() => {
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+        delete globalThis.indexedDB;
+    });
+
+    beforeEach(async () => {
+        globalThis.indexedDB = new IDBFactory();
+        Object.assign(CONFIG.storage, storage);
+        await seedLegacyDatabase();
+    });
+
+    it('re-links counter ids to the level\'s stable ids and migrates to the latest version', async () => {
+        const upgraded = legacyStorage();
+        await upgraded.initIndexedDB();
+
+        assert.equal(upgraded.db.version, LATEST_VERSION);
+
+        const [session] = await getAll(upgraded, 'sessions');
+        assert.deepEqual(session.participants, [ids.player, ids.originMarker]);
+        assert.equal(session.lastActivityAt, 100);
+
+        const [chatLog] = await getAll(upgraded, 'chatLogs');
+        assert.deepEqual(chatLog.messages.map(message => message.senderId), [ids.player, ids.originMarker]);
+        assert.equal(chatLog.sessionId, 's1');
+
+        const brains = await getAll(upgraded, 'brains');
+        assert.deepEqual(brains.map(brain => brain.entityId).sort(), [ids.originMarker, 'already-stable'].sort());
+
+        assert.deepEqual(await getAll(upgraded, 'worldSnapshots'), []);
+        upgraded.db.close();
+    });
+
+    it('leaves ids alone without legacy ids to map', async () => {
+        const upgraded = new SessionStorage();
+        await upgraded.initIndexedDB();
+
+        const [session] = await getAll(upgraded, 'sessions');
+        assert.deepEqual(session.participants, [1, 0]);
+        assert.equal((await getAll(upgraded, 'worldSnapshots')).length, 1);
+        upgraded.db.close();
+    });
+
+    it('backs the database up before migrating it', async () => {
+        const upgraded = legacyStorage();
+        await upgraded.initIndexedDB();
+
+        const backups = await upgraded.listBackups();
+        assert.equal(backups.length, 1);
+        assert.equal(backups[0].version, 2);
+        assert.equal(backups[0].reason, `before migrating to v${LATEST_VERSION}`);
+        assert.deepEqual(backups[0].counts, { brains: 2, chatLogs: 1, sessions: 1, worldSnapshots: 1 });
+        upgraded.db.close();
+    });
+
+    it('plans the migrations on a dry run and changes nothing', async () => {
+        CONFIG.storage.dryRun = true;
+        const dry = legacyStorage();
+        await dry.initIndexedDB();
+
+        assert.equal(dry.db.version, 2);
+        assert.deepEqual(dry.pendingMigrations.map(step => step.version), [3, 4, 5, 6, 7]);
+        assert.ok(dry.pendingMigrations[0].changes.includes('sessions: 1 of 1 records updated'));
+        assert.ok(dry.pendingMigrations[0].changes.includes('brains: 1 of 2 records updated'));
+        assert.deepEqual(dry.missingStores, ['memories', 'relays', 'promptTemplates']);
+        assert.equal(dry.hasStore('memories'), false);
+
+        const [session] = await getAll(dry, 'sessions');
+        assert.deepEqual(session.participants, [1, 0]);
+        assert.deepEqual(await dry.listBackups(), []);
+        dry.db.close();
+    });
+
+    it('restores a backup, backing up the current data first and migrating the restored data', async () => {
+        const upgraded = legacyStorage();
+        await upgraded.initIndexedDB();
+        const [backup] = await upgraded.listBackups();
+
+        // Lose the session, then take it back from before the upgrade
+        await settle(upgraded.db.transaction(['sessions'], 'readwrite').objectStore('sessions').delete('s1'));
+        await upgraded.restoreBackup(backup.id);
+
+        assert.equal(upgraded.db.version, LATEST_VERSION);
+        const [session] = await getAll(upgraded, 'sessions');
+        assert.deepEqual(session.participants, [ids.player, ids.originMarker]);
+
+        const backups = await upgraded.listBackups();
+        const before = backups.find(summary => summary.reason === `before restoring ${backup.id}`);
+        assert.equal(before.version, LATEST_VERSION);
+        assert.equal(before.counts.sessions, 0);
+
+        await assert.rejects(upgraded.restoreBackup('missing'), /No backup called "missing"/);
+        upgraded.db.close();
+    });
+});
@@ -0,0 +1,339 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../../src/js/config/index.js';
+import { World } from '../../../src/js/core/World.js';
+import { BrainComponent } from '../../../src/js/components/BrainComponent.js';
+import { Connection } from '../../../src/js/components/Connection.js';
+import { SessionSystem } from '../../../src/js/systems/Session/System.js';
+import { RelaySystem } from '../../../src/js/systems/Relay/System.js';
+
+const tick = () => new Promise(setImmediate);
+
+// The player, a courier bot and origin-marker to send to, with sessions and a relay mailbox
+async function createRelays({ storage = null } = {}) {
+    const world = new World();
+    const [player, courier, target] = [['player', 'human'], ['bot', 'mock'], ['origin-marker', 'mock']].map(([tag, model]) => {
+        const entity = world.createEntity();
+        entity.tag = tag;
+        entity.addComponent(new Connection());
+        entity.addComponent(new BrainComponent({ model }));
+        return entity;
+    });
+
+    const sessions = new SessionSystem(world);
+    world.addSystem(sessions, 'session');
+    const session = sessions.createSession([player, courier]);
+
+    const relays = new RelaySystem(world);
+    if (storage) Object.defineProperty(relays, 'storage', { value: storage });
+    await relays.init();
+
+    const receipts = [];
+    world.events.on('session:message', ({ sessionId, message }) => {
+        if (message.type === 'system') receipts.push([sessionId, message.content]);
+    });
+    return { world, sessions, session, relays, player, courier, target, receipts };
+}
+
+describe('RelaySystem parsing', () => {
+    const log = console.log;
+    before(() => {
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+    });
+
+    it('reads the courier, target and message from each way of asking', () => {
+        const relays = new RelaySystem(new World());
+        const requests = {
+            '@bot, send @origin hi there': { target: 'origin', message: 'hi there' },
+            'Relay to origin: meet at the gate': { target: 'origin', message: 'meet at the gate' },
+            'Give origin this message: all clear': { target: 'origin', message: 'all clear' },
+            'Tell @origin the tests pass ': { target: 'origin', message: 'the tests pass' },
+            'say to origin I am running late': { target: 'origin', message: 'I am running late' }
+        };
+
+        for (const [content, intent] of Object.entries(requests)) {
+            assert.deepEqual(relays.parseWithPatterns(content), intent, content);
+        }
+        assert.equal(relays.parseWithPatterns('Hello there'), null);
+    });
+
+    it('lets the model decide when it answers, and falls back to the patterns when it fails', async () => {
+        const { world, relays, courier } = await createRelays();
+        const replies = [
+            '{"relay": true, "target": "@origin-marker", "message": " Lunch is at noon. "}',
+            'Sure! {"relay": false, "target": null, "message": null}',
+            new Error('offline'),
+            'not JSON'
+        ];
+        const prompts = [];
+        world.events.handle('agent:generate', ({ prompt }) => {
+            prompts.push(prompt);
+            const reply = replies.shift();
+            if (reply instanceof Error) throw reply;
+            return reply;
+        });
+
+        assert.deepEqual(await relays.parseIntent('Could you let origin know lunch is at noon?', courier), { target: 'origin-marker', message: 'Lunch is at noon.' });
+        assert.equal(await relays.parseIntent('Tell @origin I said hi, just kidding', courier), null);
+        assert.deepEqual(await relays.parseIntent('Tell @origin hi', courier), { target: 'origin', message: 'hi' });
+        assert.deepEqual(await relays.parseIntent('Tell @origin bye', courier), { target: 'origin', message: 'bye' });
+        assert.match(prompts[0], /Known entities: origin-marker\n/);
+
+        // Messages that mention nobody are not asked about
+        assert.equal(await relays.parseIntent('How are you?', courier), null);
+        assert.equal(prompts.length, 4);
+    });
+});
+
+describe('RelaySystem requests', () => {
+    const log = console.log;
+    before(() => {
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+    });
+
+    it('queues a relay from the player\'s direct message with the courier carrying it', async () => {
+        const { world, sessions, session, relays, player, courier, target } = await createRelays();
+        const queued = new Promise(resolve => world.events.on('relay:queued', resolve));
+
+        sessions.sendMessage(session.id, player.id, 'Tell @origin the tests pass', 'user');
+        const { relay } = await queued;
+
+        assert.equal(relays.relays.get(relay.id), relay);
+        assert.equal(relay.fromEntityId, player.id);
+        assert.equal(relay.courierId, courier.id);
+        assert.equal(relay.targetEntityId, target.id);
+        assert.equal(relay.message, 'the tests pass');
+        assert.equal(relay.sessionId, session.id);
+        assert.equal(relay.status, 'pending');
+
+        const [carried] = courier.getComponent(BrainComponent).pendingMessages;
+        assert.equal(carried.relayId, relay.id);
+        assert.equal(carried.targetEntityId, target.id);
+    });
+
+    it('ignores requests to relay to the sender or to nobody it knows', async () => {
+        const { session, relays, player, courier } = await createRelays();
+
+        assert.equal(await relays.handleRequest(player, courier, 'Tell @player hi', session.id), null);
+        assert.equal(await relays.handleRequest(player, courier, 'Tell @nobody hi', session.id), null);
+        assert.equal(relays.relays.size, 0);
+        assert.deepEqual(courier.getComponent(BrainComponent).pendingMessages, []);
+    });
+});
+
+describe('RelaySystem delivery', () => {
+    const log = console.log;
+    const warn = console.warn;
+    before(() => {
+        console.log = () => {};
+        console.warn = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+        console.warn = warn;
+    });
+
+    it('starts a delivery conversation once the relay is due and both are free', async () => {
+        const { world, session, relays, player, courier, target } = await createRelays();
+        const relay = await relays.handleRequest(player, courier, 'Tell @origin the tests pass', session.id);
+        const started = [];
+        world.events.handle('conversation:start', request => started.push(request));
+
+        relays.update(0);
+        assert.equal(started.length, 0);
+
+        relay.nextAttemptAt = 0;
+        world.events.emit('conversation:started', { entities: [target] });
+        relays.update(0);
+        assert.equal(started.length, 0);
+
+        world.events.emit('conversation:ended', { entities: [target] });
+        relays.update(0);
+        await tick();
+
+        assert.equal(started.length, 1);
+        assert.deepEqual(started[0].entities, [courier, target]);
+        assert.equal(started[0].script.goals[courier.id], 'Deliver the message from player to origin-marker');
+        assert.equal(relay.attempts, 1);
+        assert.equal(relay.delivering, false);
+        assert.ok(relay.nextAttemptAt > Date.now());
+    });
+
+    it('marks a relay delivered when the courier hands it over, with a receipt to the sender', async () => {
+        const { world, session, relays, player, courier, target, receipts } = await createRelays();
+        const relay = await relays.handleRequest(player, courier, 'Tell @origin the tests pass', session.id);
+        const delivered = [];
+        world.events.on('relay:delivered', ({ relay }) => delivered.push(relay.id));
+
+        // AutonomousChatSystem hands over what the courier carries; older messages have no relayId
+        world.events.emit('conversation:relayed', {
+            speaker: courier,
+            messages: [{ targetEntityId: target.id, message: 'the tests pass' }],
+            sessionId: 'delivery'
+        });
+        await tick();
+
+        assert.equal(relay.status, 'delivered');
+        assert.equal(relay.deliverySessionId, 'delivery');
+        assert.equal(relays.relays.size, 0);
+        assert.deepEqual(delivered, [relay.id]);
+        assert.deepEqual(receipts, [[session.id, '✉️ bot delivered your message to origin-marker: "the tests pass"']]);
+        assert.equal(target.getComponent(BrainComponent).experiences.at(-1).description, 'Received a message from player via bot');
+    });
+
+    it('brings messages for the player straight to their direct messages', async () => {
+        const { sessions, session, relays, player, courier, target } = await createRelays();
+        const relay = relays.createRelay({ fromEntityId: target.id, courierId: courier.id, targetEntityId: player.id, message: 'Lunch is at noon.' });
+        courier.getComponent(BrainComponent).addPendingMessage(player.id, relay.message, target.id, relay.id);
+        relay.nextAttemptAt = 0;
+
+        relays.update(0);
+        await tick();
+
+        const messages = sessions.getSession(session.id).messages;
+        assert.equal(messages.at(-1).content, 'origin-marker asked me to tell you: "Lunch is at noon."');
+        assert.equal(relay.status, 'delivered');
+        assert.deepEqual(courier.getComponent(BrainComponent).pendingMessages, []);
+        assert.match(target.getComponent(BrainComponent).experiences.at(-1).description, /^✉️ bot delivered your message to player/);
+    });
+});
+
+describe('RelaySystem failures', () => {
+    const log = console.log;
+    const warn = console.warn;
+    const error = console.error;
+    before(() => {
+        console.log = () => {};
+        console.warn = () => {};
+        console.error = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+        console.warn = warn;
+        console.error = error;
+    });
+
+    it('gives up on a relay whose target is gone, telling the sender', async () => {
+        const { world, session, relays, player, courier, target, receipts } = await createRelays();
+        const relay = await relays.handleRequest(player, courier, 'Tell @origin the tests pass', session.id);
+        const failed = [];
+        world.events.on('relay:failed', ({ relay }) => failed.push(relay.failureReason));
+
+        world.removeEntity(target.id);
+        relay.nextAttemptAt = 0;
+        relays.update(0);
+        await tick();
+
+        assert.equal(relay.status, 'failed');
+        assert.deepEqual(failed, ['they are gone']);
+        assert.equal(relays.relays.size, 0);
+        assert.deepEqual(courier.getComponent(BrainComponent).pendingMessages, []);
+        assert.deepEqual(receipts, [[session.id, '⚠️ bot couldn\'t deliver your message to someone (they are gone)']]);
+    });
+
+    it('gives up after CONFIG.relay.maxAttempts delivery conversations', async () => {
+        const { world, session, relays, player, courier, receipts } = await createRelays();
+        const relay = await relays.handleRequest(player, courier, 'Tell @origin the tests pass', session.id);
+        world.events.handle('conversation:start', () => {});
+
+        relay.attempts = CONFIG.relay.maxAttempts;
+        relay.nextAttemptAt = 0;
+        relays.update(0);
+        await tick();
+
+        assert.equal(relay.status, 'failed');
+        assert.equal(relay.failureReason, `no luck after ${CONFIG.relay.maxAttempts} tries`);
+        assert.match(receipts[0][1], /couldn't deliver your message to origin-marker/);
+    });
+
+    it('keeps a relay pending for a retry when its delivery conversation fails', async () => {
+        const { world, session, relays, player, courier } = await createRelays();
+        const relay = await relays.handleRequest(player, courier, 'Tell @origin the tests pass', session.id);
+        let calls = 0;
+        world.events.handle('conversation:start', () => {
+            calls++;
+            throw new Error('busy');
+        });
+
+        relay.nextAttemptAt = 0;
+        relays.update(0);
+        await tick();
+        relays.update(0);
+
+        assert.equal(calls, 1);
+        assert.equal(relay.status, 'pending');
+        assert.equal(relay.delivering, false);
+        assert.equal(relay.attempts, 1);
+        assert.equal(relays.relays.get(relay.id), relay);
+    });
+
+    it('keeps a relay for the player pending when their session cannot be opened', async () => {
+        const { world, relays, player, courier, target } = await createRelays();
+        const relay = relays.createRelay({ fromEntityId: target.id, courierId: courier.id, targetEntityId: player.id, message: 'Lunch is at noon.' });
+        courier.getComponent(BrainComponent).addPendingMessage(player.id, relay.message, target.id, relay.id);
+        world.events.handle('session:open', () => {
+            throw new Error('closed');
+        });
+
+        relay.nextAttemptAt = 0;
+        relays.update(0);
+        await tick();
+
+        assert.equal(relay.status, 'pending');
+        assert.equal(relay.delivering, false);
+        assert.equal(courier.getComponent(BrainComponent).pendingMessages.length, 1);
+    });
+
+    it('starts without saved relays when they cannot be loaded or saved', async () => {
+        const storage = {
+            loadRelays: async () => {
+                throw new Error('blocked');
+            },
+            saveRelay: async () => {
+                throw new Error('blocked');
+            }
+        };
+        const { session, relays, player, courier } = await createRelays({ storage });
+
+        const relay = await relays.handleRequest(player, courier, 'Tell @origin the tests pass', session.id);
+        await relays.save(relay);
+
+        assert.equal(relays.relays.get(relay.id), relay);
+    });
+
+    it('gives saved relays back to their couriers, and a record to messages carried without one', async () => {
+        const saved = [];
+        const pending = { id: 'r1', fromEntityId: null, courierId: null, targetEntityId: null, message: 'Lunch is at noon.', status: 'pending', createdAt: 1 };
+        const storage = {
+            loadRelays: async () => [pending],
+            saveRelay: async relay => saved.push(relay)
+        };
+        const world = new World();
+        const courier = world.createEntity();
+        courier.tag = 'bot';
+        const brain = new BrainComponent({ model: 'mock' });
+        brain.pendingMessages = [{ targetEntityId: 'someone', message: 'Old news', fromEntityId: null, timestamp: 0 }];
+        courier.addComponent(brain);
+        pending.courierId = courier.id;
+
+        const relays = new RelaySystem(world);
+        Object.defineProperty(relays, 'storage', { value: storage });
+        await relays.init();
+
+        assert.deepEqual(brain.pendingMessages.map(message => message.message), ['Old news', 'Lunch is at noon.']);
+        assert.equal(brain.pendingMessages[1].relayId, 'r1');
+        assert.equal(relays.relays.size, 2);
+        assert.deepEqual(saved.map(relay => relay.message), ['Old news']);
+        assert.equal(brain.pendingMessages[0].relayId, saved[0].id);
+    });
+});
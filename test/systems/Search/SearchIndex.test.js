@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex } from '../../../src/js/systems/Search/SearchIndex.js';
+
+const day = (date, hour = 12) => new Date(2026, 9, date, hour).getTime();
+
+const MESSAGES = [
+    { id: 'm1', senderId: 'player', content: 'Where are you patrolling today?', timestamp: day(1) },
+    { id: 'm2', senderId: 'bot', content: 'I patrolled the north sector, then the patrol route along the river.', timestamp: day(2) },
+    { id: 'm3', senderId: 'player', content: 'Look at this picture', timestamp: day(3), images: ['data:image/png;base64,xx'] },
+    { id: 'm4', senderId: 'origin', content: 'Patrols are handled by the patrol system', timestamp: day(4) }
+];
+
+function createIndex() {
+    const index = new SearchIndex();
+    MESSAGES.forEach(message => index.add(message, message.id === 'm4' ? 's2' : 's1'));
+    return index;
+}
+
+const ids = (results) => results.map(({ document }) => document.id);
+const find = (index, query, senders) => ids(index.search(SearchIndex.parseQuery(query), senders));
+
+describe('SearchIndex', () => {
+    it('matches every form of a word through its stem', () => {
+        assert.deepEqual(find(createIndex(), 'patrols').sort(), ['m1', 'm2', 'm4']);
+    });
+
+    it('needs every plain word', () => {
+        assert.deepEqual(find(createIndex(), 'patrol river'), ['m2']);
+        assert.deepEqual(find(createIndex(), 'patrol picture'), []);
+    });
+
+    it('matches quoted phrases in order only', () => {
+        assert.deepEqual(find(createIndex(), '"patrol route"'), ['m2']);
+        assert.deepEqual(find(createIndex(), '"route patrol"'), []);
+    });
+
+    it('ranks repeated words higher and lists filter-only queries newest first', () => {
+        assert.equal(find(createIndex(), 'patrol')[0], 'm4');
+        assert.deepEqual(find(createIndex(), 'from:player', new Set(['player'])), ['m3', 'm1']);
+    });
+
+    it('filters by sender, date and images', () => {
+        const index = createIndex();
+        assert.deepEqual(find(index, 'patrol', new Set(['bot'])), ['m2']);
+        assert.deepEqual(find(index, 'before:2026-10-02'), ['m1']);
+        assert.deepEqual(find(index, 'after:2026-10-04'), ['m4']);
+        assert.deepEqual(find(index, 'has:image'), ['m3']);
+    });
+
+    it('forgets removed messages and sessions', () => {
+        const index = createIndex();
+        index.remove('m2');
+        assert.deepEqual(find(index, 'river'), []);
+        assert.equal(index.postings.has('river'), false);
+
+        index.removeSession('s2');
+        assert.deepEqual(find(index, 'patrol'), ['m1']);
+        assert.equal(index.size, 2);
+    });
+
+    it('indexes each message once', () => {
+        const index = createIndex();
+        assert.equal(index.add(MESSAGES[0], 's1'), false);
+        assert.equal(index.totalLength, MESSAGES.reduce((sum, m) => sum + SearchIndex.tokenize(m.content).length, 0));
+    });
+});
+
+describe('SearchIndex.parseQuery', () => {
+    it('splits words, phrases and filters', () => {
+        const parsed = SearchIndex.parseQuery('from:@Bot patrolling "north sector" after:2026-10-01 has:images');
+
+        assert.deepEqual(parsed.terms, ['patrol']);
+        assert.deepEqual(parsed.phrases, [['north', 'sector']]);
+        assert.deepEqual(parsed.filters, { from: ['bot'], before: null, after: day(1, 0), hasImage: true });
+        assert.deepEqual(parsed.errors, []);
+    });
+
+    it('drops stop words unless there is nothing else', () => {
+        assert.deepEqual(SearchIndex.parseQuery('what is the patrol').terms, ['patrol']);
+        assert.deepEqual(SearchIndex.parseQuery('what is').terms, ['what', 'is']);
+        assert.deepEqual(SearchIndex.parseQuery('"the river"').phrases, [['the', 'river']]);
+    });
+
+    it('reports filters it cannot read', () => {
+        const { errors } = SearchIndex.parseQuery('before:yesterdayish has:video');
+        assert.equal(errors.length, 2);
+        assert.match(errors[0], /^before: needs a date/);
+        assert.match(errors[1], /^has: only knows "image"/);
+    });
+
+    it('knows whether a query asks for anything', () => {
+        assert.equal(SearchIndex.hasCriteria(SearchIndex.parseQuery('')), false);
+        assert.equal(SearchIndex.hasCriteria(SearchIndex.parseQuery('has:image')), true);
+    });
+});
+
+describe('SearchIndex snippets', () => {
+    it('highlights matching words', () => {
+        const index = createIndex();
+        const query = SearchIndex.parseQuery('patrol river');
+        const snippet = index.snippet(index.documents.get('m2'), query);
+
+        assert.equal(SearchIndex.mark(snippet), 'I **patrolled** the north sector, then the **patrol** route along the **river**.');
+    });
+
+    it('cuts long messages at spaces around the first match', () => {
+        const content = `${'filler '.repeat(40)}the patrol route ${'more '.repeat(40)}`.trim();
+        const index = new SearchIndex();
+        index.add({ id: 'long', content, timestamp: 0 }, 's');
+
+        const snippet = index.snippet(index.documents.get('long'), SearchIndex.parseQuery('patrol'), 60);
+
+        assert.ok(snippet.text.startsWith('…') && snippet.text.endsWith('…'));
+        assert.ok(snippet.text.length <= 62);
+        assert.match(SearchIndex.mark(snippet), /the \*\*patrol\*\* route/);
+        // Whole words only
+        assert.ok(` ${content} `.includes(` ${snippet.text.slice(1, -1)} `));
+    });
+});
@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../../src/js/core/World.js';
+import { Session } from '../../../src/js/components/Session.js';
+import { SessionSystem } from '../../../src/js/systems/Session/System.js';
+
+function createGroup(size) {
+    const world = new World();
+    const sessions = new SessionSystem(world);
+    const entities = Array.from({ length: size }, (_, index) => {
+        const entity = world.createEntity();
+        entity.tag = `member-${index}`;
+        return entity;
+    });
+    return { sessions, entities, session: sessions.createSession(entities) };
+}
+
+describe('SessionSystem.sendMessage', () => {
+    it('counts each message once, however many take part', () => {
+        const { sessions, entities, session } = createGroup(4);
+
+        sessions.sendMessage(session.id, entities[0].id, 'Morning, all');
+        sessions.sendMessage(session.id, entities[2].id, 'Morning');
+
+        assert.equal(session.messageCount, 2);
+        entities.forEach(entity => assert.equal(entity.getComponent(Session).getSession(session.id).messageCount, 2));
+    });
+});
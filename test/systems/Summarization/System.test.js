@@ -0,0 +1,79 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../../src/js/core/World.js';
+import { BrainComponent } from '../../../src/js/components/BrainComponent.js';
+import { Connection } from '../../../src/js/components/Connection.js';
+import { SessionSystem } from '../../../src/js/systems/Session/System.js';
+import { SummarizationSystem } from '../../../src/js/systems/Summarization/System.js';
+
+const reply = JSON.stringify({ summary: 'The player asked about the gate.', facts: ['The gate shuts at dusk.'], topics: ['gate'] });
+
+// A player and a guard with a session of count messages, and stand-ins for the agent and persistence
+function createSummarizer(count) {
+    const world = new World();
+    const [player, guard] = ['player', 'guard'].map(tag => {
+        const entity = world.createEntity();
+        entity.tag = tag;
+        entity.addComponent(new Connection());
+        entity.addComponent(new BrainComponent({ model: tag === 'player' ? 'human' : 'test' }));
+        return entity;
+    });
+
+    const sessions = new SessionSystem(world);
+    const session = sessions.createSession([player, guard]);
+    for (let index = 0; index < count; index++) {
+        sessions.sendMessage(session.id, index % 2 ? guard.id : player.id, `Line ${index}`, index % 2 ? 'llm' : 'user');
+    }
+    sessions.sendMessage(session.id, guard.id, '🔧 search()', 'system');
+
+    const prompts = [];
+    const saved = [];
+    world.events.handle('agent:generate', ({ prompt }) => {
+        prompts.push(prompt);
+        return reply;
+    });
+    world.events.handle('persistence:saveSession', ({ session }) => saved.push(session.id));
+
+    const summarizer = new SummarizationSystem(world);
+    summarizer.init();
+    return { session, guard, player, summarizer, prompts, saved };
+}
+
+describe('SummarizationSystem.summarizeSession', () => {
+    const log = console.log;
+    before(() => {
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+    });
+
+    it('reads the session through session:get and saves it through persistence:saveSession', async () => {
+        const { session, guard, player, summarizer, prompts, saved } = createSummarizer(4);
+
+        await summarizer.summarizeSession(session.id);
+
+        assert.equal(prompts.length, 1);
+        assert.match(prompts[0], /player: Line 0\nguard: Line 1\nplayer: Line 2\nguard: Line 3\n/);
+        assert.doesNotMatch(prompts[0], /search\(\)/);
+
+        assert.equal(session.summary, 'The player asked about the gate.');
+        assert.equal(session.summarizedMessageCount, 4);
+        assert.deepEqual(saved, [session.id]);
+
+        const memories = guard.getComponent(BrainComponent).longTermMemory.map(memory => memory.content);
+        assert.deepEqual(memories, ['Conversation with player: The player asked about the gate.', 'The gate shuts at dusk.']);
+        assert.equal(player.getComponent(BrainComponent).longTermMemory.length, 0);
+    });
+
+    it('skips short sessions and ones it does not know', async () => {
+        const { session, summarizer, prompts, saved } = createSummarizer(3);
+
+        await summarizer.summarizeSession(session.id);
+        await summarizer.summarizeSession('missing');
+
+        assert.equal(prompts.length, 0);
+        assert.deepEqual(saved, []);
+    });
+});
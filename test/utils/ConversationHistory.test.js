@@ -0,0 +1,114 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../src/js/core/World.js';
+import { Connection } from '../../src/js/components/Connection.js';
+import { SessionSystem } from '../../src/js/systems/Session/System.js';
+import { ConversationHistory } from '../../src/js/utils/ConversationHistory.js';
+import { TokenEstimator } from '../../src/js/utils/TokenEstimator.js';
+
+const line = index => `Turn ${index}: ${'the gate stays shut until dusk '.repeat(4)}`;
+const turnTokens = TokenEstimator.count(line(0));
+const tokensIn = messages => messages.reduce((total, message) => total + TokenEstimator.count(message.content), 0);
+
+// A session of count alternating player and guard lines, read from the guard's side
+function createConversation(count) {
+    const world = new World();
+    const [player, guard] = ['player', 'guard'].map(tag => {
+        const entity = world.createEntity();
+        entity.tag = tag;
+        entity.addComponent(new Connection());
+        return entity;
+    });
+
+    const sessions = new SessionSystem(world);
+    world.addSystem(sessions, 'session');
+    const session = sessions.createSession([player, guard]);
+    for (let index = 0; index < count; index++) {
+        sessions.sendMessage(session.id, index % 2 ? guard.id : player.id, line(index), index % 2 ? 'llm' : 'user');
+    }
+
+    return { world, guard, session, history: new ConversationHistory(world) };
+}
+
+describe('ConversationHistory.getMessages', () => {
+    const log = console.log;
+    before(() => {
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+    });
+
+    it('keeps the newest turns that fit in the budget', () => {
+        const { guard, history } = createConversation(10);
+        const budget = turnTokens * 3 + turnTokens / 2;
+
+        const messages = history.getMessages(guard, { limit: 10, budget });
+
+        assert.ok(tokensIn(messages) <= budget);
+        assert.deepEqual(messages.map(message => message.content), [line(7), line(8), line(9)]);
+        assert.deepEqual(messages.map(message => message.role), ['assistant', 'user', 'assistant']);
+    });
+
+    it('keeps at most limit turns', () => {
+        const { guard, history } = createConversation(10);
+
+        const messages = history.getMessages(guard, { limit: 2 });
+
+        assert.deepEqual(messages.map(message => message.content), [line(8), line(9)]);
+    });
+
+    it('leaves out the message being answered', () => {
+        const { guard, history } = createConversation(9);
+
+        const messages = history.getMessages(guard, { limit: 2, exclude: line(8) });
+
+        assert.deepEqual(messages.map(message => message.content), [line(6), line(7)]);
+    });
+
+    it('summarizes the turns that fall out and sends the summary ahead of the rest', async () => {
+        const { world, guard, session, history } = createConversation(10);
+        const prompts = [];
+        world.events.handle('agent:generate', ({ prompt }) => {
+            prompts.push(prompt);
+            return ' The player asked when the gate opens. ';
+        });
+        const budget = turnTokens * 3 + 20;
+
+        // The first prompt goes without a summary while it is written
+        assert.equal(history.getMessages(guard, { limit: 3, budget }).length, 3);
+        await new Promise(setImmediate);
+
+        assert.equal(prompts.length, 1);
+        assert.match(prompts[0], /User: Turn 0:[^]*User: Turn 6:/);
+        assert.doesNotMatch(prompts[0], /Turn 7:/);
+        assert.deepEqual(history.summaries.get(session.id), { turnCount: 7, text: 'The player asked when the gate opens.' });
+
+        const messages = history.getMessages(guard, { limit: 3, budget });
+        assert.deepEqual(messages[0], { role: 'system', content: 'Summary of the earlier conversation: The player asked when the gate opens.' });
+        assert.deepEqual(messages.slice(1).map(message => message.content), [line(7), line(8), line(9)]);
+        assert.ok(tokensIn(messages) <= budget);
+
+        // Nothing new fell out, so the summary is not redone
+        await new Promise(setImmediate);
+        assert.equal(prompts.length, 1);
+    });
+
+    it('sends the turns without a summary when summarizing fails', async () => {
+        const { world, guard, history } = createConversation(10);
+        const warn = console.warn;
+        console.warn = () => {};
+        world.events.handle('agent:generate', () => {
+            throw new Error('HTTP 500');
+        });
+
+        history.getMessages(guard, { limit: 3 });
+        await new Promise(setImmediate);
+        console.warn = warn;
+
+        assert.equal(history.summaries.size, 0);
+        assert.equal(history.summarizing.size, 0);
+        assert.ok(history.getMessages(guard, { limit: 3 }).every(message => message.role !== 'system'));
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PromptTemplate } from '../../src/js/utils/PromptTemplate.js';
+
+const render = PromptTemplate.render;
+
+describe('PromptTemplate values', () => {
+    it('renders values at paths, joining lists and leaving missing ones empty', () => {
+        const data = { brain: { model: 'gemma3', traits: ['curious', 'calm'] }, mood: null };
+
+        assert.equal(render('{{brain.model}} is {{brain.traits}}.', data), 'gemma3 is curious, calm.');
+        assert.equal(render('[{{mood}}{{brain.missing.deeper}}]', data), '[]');
+        assert.equal(render('{{brain}}', { brain: { a: 1 } }), '{"a":1}');
+    });
+
+    it('renders {{{path}}} like {{path}}', () => {
+        assert.equal(render('{{{b}}}', { b: 1 }), '1');
+        assert.equal(render('a {{{ brain.model }}} b', { brain: { model: 'gemma3' } }), 'a gemma3 b');
+        assert.throws(() => render('{{{#if b}}}'), /only takes a value/);
+    });
+
+    it('leaves comments out', () => {
+        assert.equal(render('a{{! note }}b{{!-- {{braces}} --}}c'), 'abc');
+    });
+});
+
+describe('PromptTemplate blocks', () => {
+    it('renders {{#if}} and {{#unless}} with {{else}}', () => {
+        const source = '{{#if name}}Hi {{name}}{{else}}Hi stranger{{/if}}/{{#unless busy}}free{{/unless}}';
+
+        assert.equal(render(source, { name: 'Ada', busy: false }), 'Hi Ada/free');
+        assert.equal(render(source, { name: '', busy: true }), 'Hi stranger/');
+        assert.equal(render('{{#if list}}some{{else}}none{{/if}}', { list: [] }), 'none');
+    });
+
+    it('compares with literals and paths', () => {
+        const data = { openness: 0.8, name: 'Ada', count: '3', other: 3, flag: true, gone: null };
+        const check = condition => render(`{{#if ${condition}}}y{{else}}n{{/if}}`, data);
+
+        assert.equal(check('openness > 0.7'), 'y');
+        assert.equal(check('openness <= 0.7'), 'n');
+        assert.equal(check('name == "Ada"'), 'y');
+        assert.equal(check("name != 'Ada'"), 'n');
+        assert.equal(check('count == other'), 'y');
+        assert.equal(check('count == 3.0'), 'y');
+        assert.equal(check('flag == true'), 'y');
+        assert.equal(check('gone == null'), 'y');
+        assert.equal(check('missing == 0'), 'n');
+    });
+
+    it('repeats {{#each}} per item, with the item and its position in scope', () => {
+        const data = { title: 'Crew', people: [{ name: 'Ada' }, { name: 'Bo' }, { name: 'Cy' }] };
+        const source = '{{#each people}}{{@number}}. {{name}} of {{title}}{{#if @last}}.{{else}}, {{/if}}{{/each}}';
+
+        assert.equal(render(source, data), '1. Ada of Crew, 2. Bo of Crew, 3. Cy of Crew.');
+        assert.equal(render('{{#each tags}}{{@index}}={{this}} {{/each}}', { tags: ['a', 'b'] }), '0=a 1=b ');
+        assert.equal(render('{{#each mood}}{{@key}}:{{this}};{{/each}}', { mood: { joy: 1, fear: 0 } }), 'joy:1;fear:0;');
+        assert.equal(render('{{#each none}}x{{else}}empty{{/each}}', { none: [] }), 'empty');
+    });
+
+    it('renders partials in the current scope', () => {
+        const partials = { person: '{{name}} ({{@number}})', list: '{{#each people}}{{> person}} {{/each}}' };
+
+        assert.equal(render('People: {{> list}}', { people: [{ name: 'Ada' }, { name: 'Bo' }] }, partials), 'People: Ada (1) Bo (2) ');
+        assert.throws(() => render('{{> nope}}'), /unknown partial "nope"/);
+        assert.throws(() => render('{{> loop}}', {}, { loop: '{{> loop}}' }), /nest more than/);
+    });
+
+    it('drops lines holding only a block tag', () => {
+        const source = 'Start\n  {{#if on}}\nOn\n  {{/if}}\n{{! comment }}\nEnd';
+
+        assert.equal(render(source, { on: true }), 'Start\nOn\nEnd');
+        assert.equal(render(source, { on: false }), 'Start\nEnd');
+    });
+});
+
+describe('PromptTemplate sections', () => {
+    it('labels text by its innermost section, in output order', () => {
+        const source = 'Intro {{#section memory}}Facts{{#section recent}} new{{/section}}{{/section}} outro';
+
+        assert.deepEqual(PromptTemplate.renderSections(source), [
+            { section: null, text: 'Intro ' },
+            { section: 'memory', text: 'Facts' },
+            { section: 'recent', text: ' new' },
+            { section: null, text: ' outro' }
+        ]);
+    });
+});
+
+describe('PromptTemplate errors', () => {
+    it('names the line of the first problem', () => {
+        assert.throws(() => PromptTemplate.compile('a\n{{#if x}}'), /^Error: Line 2: \{\{#if\}\} is never closed/);
+        assert.throws(() => PromptTemplate.compile('{{#if x}}\n{{/each}}'), /Line 2: \{\{\/each\}\} closes \{\{#if\}\} from line 1/);
+        assert.throws(() => PromptTemplate.compile('{{/if}}'), /has no opening/);
+        assert.throws(() => PromptTemplate.compile('{{else}}'), /outside an/);
+        assert.throws(() => PromptTemplate.compile('{{#with x}}{{/with}}'), /unknown block/);
+        assert.throws(() => PromptTemplate.compile('x\n\n{{name'), /Line 3: \{\{ is never closed/);
+        assert.throws(() => PromptTemplate.compile('{{}}'), /empty/);
+    });
+
+    it('check() lists problems without rendering', () => {
+        assert.deepEqual(PromptTemplate.check('{{> known}}', { known: '' }), []);
+        assert.deepEqual(PromptTemplate.check('\n{{> missing}}'), ['Line 2: unknown partial "missing"']);
+        assert.deepEqual(PromptTemplate.check('{{#if x}}'), ['Line 1: {{#if}} is never closed']);
+    });
+});
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Stemmer } from '../../src/js/utils/Stemmer.js';
+
+// From Porter's paper and his reference vocabulary
+const CASES = {
+    caresses: 'caress', ponies: 'poni', ties: 'ti', caress: 'caress', cats: 'cat',
+    feed: 'feed', agreed: 'agre', plastered: 'plaster', bled: 'bled', motoring: 'motor', sing: 'sing',
+    conflated: 'conflat', troubled: 'troubl', sized: 'size', hopping: 'hop', tanned: 'tan',
+    falling: 'fall', hissing: 'hiss', fizzed: 'fizz', failing: 'fail', filing: 'file',
+    happy: 'happi', sky: 'sky',
+    relational: 'relat', conditional: 'condit', rational: 'ration', valenci: 'valenc', digitizer: 'digit',
+    triplicate: 'triplic', formative: 'form', hopeful: 'hope', goodness: 'good',
+    revival: 'reviv', allowance: 'allow', adoption: 'adopt', controlling: 'control', generalization: 'gener',
+    yellow: 'yellow', generously: 'gener'
+};
+
+describe('Stemmer', () => {
+    it('stems words as the Porter algorithm does', () => {
+        for (const [word, stem] of Object.entries(CASES)) {
+            assert.equal(Stemmer.stem(word), stem, word);
+        }
+    });
+
+    it('gives inflections of a word the same stem', () => {
+        const stems = ['patrol', 'patrols', 'patrolled', 'patrolling'].map(Stemmer.stem);
+        assert.deepEqual(new Set(stems), new Set(['patrol']));
+        assert.equal(Stemmer.stem('messages'), Stemmer.stem('message'));
+    });
+
+    it('leaves short words, numbers and non-ASCII words alone', () => {
+        assert.equal(Stemmer.stem('is'), 'is');
+        assert.equal(Stemmer.stem('2026'), '2026');
+        assert.equal(Stemmer.stem('größe'), 'größe');
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../src/js/config/index.js';
+import { World } from '../../src/js/core/World.js';
+import { SystemPromptBuilder } from '../../src/js/utils/SystemPromptBuilder.js';
+import { TokenEstimator } from '../../src/js/utils/TokenEstimator.js';
+
+const defaults = CONFIG.prompt.sections;
+
+// "- word 0\n- word 1..." as a section's text; three tokens a line plus the line breaks
+const lines = (word, count) => Array.from({ length: count }, (_, index) => `- ${word} ${index}`).join('\n');
+
+const total = sections => sections.reduce((sum, section) => sum + section.tokens, 0);
+
+describe('SystemPromptBuilder.fitSections', () => {
+    let builder;
+
+    beforeEach(() => {
+        builder = new SystemPromptBuilder(new World());
+        CONFIG.prompt.sections = {
+            low: { priority: 1 },
+            high: { priority: 9 },
+            capped: { budget: 30, priority: 5 },
+            recent: { budget: 30, priority: 5, trim: 'start' }
+        };
+    });
+
+    afterEach(() => {
+        CONFIG.prompt.sections = defaults;
+    });
+
+    it('leaves everything alone when it fits', () => {
+        const chunks = [{ section: null, text: 'You are a guard.\n' }, { section: 'low', text: lines('gate', 3) }];
+
+        const sections = builder.fitSections(chunks, Infinity);
+
+        assert.deepEqual(sections.map(section => section.text), chunks.map(chunk => chunk.text));
+        assert.deepEqual(sections.map(section => section.cut), [0, 0]);
+        assert.equal(sections[1].tokens, TokenEstimator.count(lines('gate', 3)));
+    });
+
+    it('cuts sections over their own budget from the end, or the start with trim: start', () => {
+        const [capped, recent] = builder.fitSections([
+            { section: 'capped', text: lines('old', 10) },
+            { section: 'recent', text: lines('new', 10) }
+        ], Infinity);
+
+        assert.ok(capped.tokens <= 30);
+        assert.ok(capped.text.startsWith('- old 0\n'));
+        assert.match(capped.text, /- \(\d+ more lines left out to fit the context\)$/);
+        assert.ok(capped.cut > 0);
+
+        assert.ok(recent.tokens <= 30);
+        assert.match(recent.text, /^- \(\d+ more lines left out to fit the context\)\n/);
+        assert.ok(recent.text.endsWith('- new 9'));
+    });
+
+    it('cuts the lowest priority first and only as far as needed', () => {
+        const chunks = [
+            { section: 'high', text: lines('high', 5) },
+            { section: 'low', text: lines('low', 5) }
+        ];
+        const full = TokenEstimator.count(chunks[0].text) + TokenEstimator.count(chunks[1].text);
+
+        const [high, low] = builder.fitSections(chunks, full - 5);
+
+        assert.equal(high.cut, 0);
+        assert.equal(high.text, chunks[0].text);
+        assert.ok(low.cut > 0 && low.text !== '');
+        assert.ok(total([high, low]) <= full - 5);
+    });
+
+    it('moves on to higher priorities once lower ones are empty', () => {
+        const chunks = [
+            { section: 'high', text: lines('high', 5) },
+            { section: 'low', text: lines('low', 5) }
+        ];
+
+        const [high, low] = builder.fitSections(chunks, 12);
+
+        assert.equal(low.text, '');
+        assert.ok(high.cut > 0 && high.text !== '');
+        assert.ok(total([high, low]) <= 12);
+    });
+
+    it('counts lines cut by a section budget and by priority in one note', () => {
+        // Over the section's budget of 30, then over the prompt's 25
+        assert.ok(TokenEstimator.count(lines('old', 10)) > 30);
+        const [capped] = builder.fitSections([{ section: 'capped', text: lines('old', 10) }], 25);
+
+        assert.ok(capped.tokens <= 25);
+        assert.ok(capped.cut > 0 && capped.cut < 10);
+        assert.match(capped.text, new RegExp(`- \\(${capped.cut} more lines left out to fit the context\\)$`));
+        assert.equal(capped.text.match(/left out/g).length, 1);
+    });
+
+    it('never cuts text outside sections or sections without a priority', () => {
+        const intro = 'You are a guard at the river gate.\n';
+        const [outside, unruled, low] = builder.fitSections([
+            { section: null, text: intro },
+            { section: 'unknown', text: lines('kept', 3) },
+            { section: 'low', text: lines('low', 3) }
+        ], 1);
+
+        assert.equal(outside.text, intro);
+        assert.equal(unruled.text, lines('kept', 3));
+        assert.equal(low.text, '');
+    });
+
+    it('empties every section with a priority on a zero budget', () => {
+        const sections = builder.fitSections([
+            { section: null, text: 'Required.' },
+            { section: 'high', text: lines('high', 4) },
+            { section: 'capped', text: lines('capped', 4) },
+            { section: 'low', text: lines('low', 4) }
+        ], 0);
+
+        assert.deepEqual(sections.map(section => section.text), ['Required.', '', '', '']);
+        assert.deepEqual(sections.map(section => section.cut), [0, 4, 4, 4]);
+        assert.equal(total(sections), TokenEstimator.count('Required.'));
+    });
+});
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenEstimator } from '../../src/js/utils/TokenEstimator.js';
+
+describe('TokenEstimator', () => {
+    it('counts short words, symbols and line breaks as one token each', () => {
+        assert.equal(TokenEstimator.count(''), 0);
+        assert.equal(TokenEstimator.count(null), 0);
+        assert.equal(TokenEstimator.count('Hello, world!'), 4);
+        assert.equal(TokenEstimator.count('one\n\ntwo\nthree'), 5);
+    });
+
+    it('splits long words every six letters and digits every three', () => {
+        assert.equal(TokenEstimator.count('patrolling'), 2);
+        assert.equal(TokenEstimator.count('internationalization'), 4);
+        assert.equal(TokenEstimator.count('2026'), 2);
+        assert.equal(TokenEstimator.count('v2'), 2);
+    });
+
+    it('adds turn markers, tool calls and images to a message', () => {
+        const message = { role: 'user', content: 'Open the gate', images: ['a', 'b'] };
+        const call = { role: 'assistant', content: '', tool_calls: [{ function: { name: 'who' } }] };
+
+        assert.equal(TokenEstimator.countMessage(message), 4 + 3 + 2 * 256);
+        assert.equal(TokenEstimator.countMessage(call), 4 + TokenEstimator.count(JSON.stringify(call.tool_calls)));
+        assert.equal(TokenEstimator.countMessages([message, call]),
+            TokenEstimator.countMessage(message) + TokenEstimator.countMessage(call));
+        assert.equal(TokenEstimator.countMessages(), 0);
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TurnTaking } from '../../src/js/utils/TurnTaking.js';
+
+// Participant whose brain scores every message at relevance and answers when wants is set
+function participant(id, tag, { relevance = 0.5, wants = false } = {}) {
+    const brain = { relevanceTo: () => relevance, shouldRespond: () => wants };
+    return { id, tag, getComponent: () => brain };
+}
+
+const guard = participant('1', 'guard', { relevance: 0.2 });
+const origin = participant('2', 'origin-marker', { relevance: 0.9 });
+const bot = participant('3', 'bot', { relevance: 0.5 });
+const candidates = [guard, origin, bot];
+
+const tags = entities => entities.map(entity => entity.tag);
+
+describe('TurnTaking round-robin', () => {
+    it('starts with the first candidate and then follows the last speaker, wrapping around', () => {
+        assert.deepEqual(tags(TurnTaking.nextSpeakers('round-robin', { candidates })), ['guard']);
+        assert.deepEqual(tags(TurnTaking.nextSpeakers('round-robin', { candidates, lastSpeakerId: '1' })), ['origin-marker']);
+        assert.deepEqual(tags(TurnTaking.nextSpeakers('round-robin', { candidates, lastSpeakerId: '3' })), ['guard']);
+    });
+
+    it('ignores mentions', () => {
+        const speakers = TurnTaking.nextSpeakers('round-robin', { candidates, message: '@bot?', lastSpeakerId: '1' });
+        assert.deepEqual(tags(speakers), ['origin-marker']);
+    });
+});
+
+describe('TurnTaking mention', () => {
+    it('lets the mentioned participants answer, in order of mention', () => {
+        const speakers = TurnTaking.nextSpeakers('mention', { candidates, message: 'Hey @bot and @origin', lastSpeakerId: '1' });
+        assert.deepEqual(tags(speakers), ['bot', 'origin-marker']);
+    });
+
+    it('keeps the floor with the last speaker without a mention, or goes round', () => {
+        assert.deepEqual(tags(TurnTaking.nextSpeakers('mention', { candidates, message: 'go on', lastSpeakerId: '3' })), ['bot']);
+        assert.deepEqual(tags(TurnTaking.nextSpeakers('mention', { candidates, message: 'go on' })), ['guard']);
+    });
+});
+
+describe('TurnTaking relevance', () => {
+    it('puts mentioned participants first even when others want to answer', () => {
+        const eager = participant('4', 'eager', { relevance: 0.9, wants: true });
+        const speakers = TurnTaking.nextSpeakers('relevance', { candidates: [guard, eager], message: '@guard, report', limit: 2 });
+        assert.deepEqual(tags(speakers), ['guard', 'eager']);
+    });
+
+    it('caps willing speakers at limit, most relevant first', () => {
+        const willing = [0.3, 0.8, 0.6].map((relevance, index) => participant(String(index), `p${index}`, { relevance, wants: true }));
+        assert.deepEqual(tags(TurnTaking.nextSpeakers('relevance', { candidates: willing, limit: 2 })), ['p1', 'p2']);
+    });
+
+    it('has the most relevant participant answer when nobody wants to', () => {
+        assert.deepEqual(tags(TurnTaking.nextSpeakers('relevance', { candidates, message: 'anyone?' })), ['origin-marker']);
+    });
+
+    it('answers nobody without candidates', () => {
+        assert.deepEqual(TurnTaking.nextSpeakers('relevance', { candidates: [] }), []);
+    });
+});
+
+describe('TurnTaking.mentioned', () => {
+    it('matches tags exactly before by prefix, once each', () => {
+        const originals = [participant('5', 'origin-marker'), participant('6', 'origin')];
+        assert.deepEqual(tags(TurnTaking.mentioned('@origin @origin-m @origin', originals)), ['origin', 'origin-marker']);
+        assert.deepEqual(TurnTaking.mentioned('@nobody and email@', originals), []);
+    });
+});